@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { main } from '../src/lint-cli.js';
+import { exitOnClosedOutput } from '../src/command.js';
+
+exitOnClosedOutput();
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { serve } from '../src/lsp.js';
+
+// Speaks the Language Server Protocol over standard input and output.
+serve(process.stdin, process.stdout).then((code) => process.exit(code));
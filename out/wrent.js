@@ -11,13 +11,143 @@ var Wrent;Wrent =
 /******/ 	"use strict";
 /******/ 	var __webpack_modules__ = ({
 
+/***/ "./src/ast.js":
+/*!********************!*\
+  !*** ./src/ast.js ***!
+  \********************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"ParseErrorCode\": () => /* binding */ ParseErrorCode,\n/* harmony export */   \"parseTokens\": () => /* binding */ parseTokens,\n/* harmony export */   \"parse\": () => /* binding */ parse\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n\n\n// A recursive descent parser that turns the tokens from [Parser] into a syntax\n// tree. It follows the grammar in wren_compiler.c, including its handling of\n// newlines, but builds a tree instead of emitting bytecode.\n//\n// Every node is a plain object with a [type], the fields listed below and a\n// [span] that covers its source:\n//\n//     { start, end, line, column, endLine, endColumn }\n//\n// [start] and [end] are offsets, the lines and columns are 1-based and the end\n// is just past the last character, the same as on tokens. Nodes hold no other\n// references, so a tree can be passed through `JSON.stringify()` as is.\n//\n// Definitions and statements:\n//\n// * Module           { body: [statement] }\n// * Class            { name, superclass: expression?, isForeign,\n//                      attributes: [Attribute], methods: [Method] }\n// * Method           { kind, name, signature, isStatic, isForeign, isOperator,\n//                      parameters: [Parameter], body: Block?,\n//                      attributes: [Attribute] }\n//                    [kind] is one of 'method', 'getter', 'setter',\n//                    'subscript', 'subscriptSetter' or 'constructor'. [name] is\n//                    `[]` for subscripts. [signature] is Wren's signature for\n//                    the method, like `foo(_,_)`, `bar=(_)` or `[_]=(_)`.\n//                    [body] is `null` for foreign methods.\n// * Parameter        { name }\n// * Attribute        { name, value: literal?, entries: [AttributeEntry]?,\n//                      isRuntime }\n//                    [entries] is only set for a group, like `#group(a, b = 1)`.\n// * AttributeEntry   { name, value: literal? }\n// * Import           { module: StringLiteral, variables: [ImportVariable]? }\n// * ImportVariable   { name, alias? }\n// * Var              { name, initializer: expression? }\n// * Block            { statements: [statement], isExpression }\n//                    [isExpression] is true for a single-expression body, like\n//                    `{ x + 1 }`, whose value a method or function returns.\n// * If               { condition, thenBranch, elseBranch? }\n// * While            { condition, body }\n// * For              { variable, sequence, body }\n// * Break            {}\n// * Continue         {}\n// * Return           { value: expression? }\n// * ExpressionStatement { expression }\n// * Error            {}\n//                    Stands in for a definition or statement that couldn't be\n//                    parsed.\n//\n// Expressions:\n//\n// * NullLiteral      {}\n// * BooleanLiteral   { value }\n// * NumberLiteral    { value }\n// * StringLiteral    { value }\n// * Interpolation    { parts: [StringLiteral | expression] }\n//                    The parts alternate between literal text and interpolated\n//                    expressions, starting and ending with a StringLiteral.\n// * List             { elements: [expression] }\n// * Map              { entries: [MapEntry] }\n// * MapEntry         { key, value }\n// * Identifier       { name }\n//                    A local or module variable.\n// * Field            { name }\n// * StaticField      { name }\n// * This             {}\n// * Super            {}\n//                    Only appears as the receiver of a Call.\n// * Call             { receiver: expression?, name, arguments: [expression]?,\n//                      blockArgument: Function?, signature }\n//                    [receiver] is `null` for a call on implicit `this`. [name]\n//                    is `null` for a bare `super(...)` call, which calls the\n//                    enclosing method's name. [arguments] is `null` when there\n//                    is no argument list, as in a getter call.\n// * Subscript        { receiver, arguments: [expression] }\n// * Function         { parameters: [Parameter], body: Block }\n//                    A block argument, like `{ |a, b| a + b }`.\n// * Unary            { operator, operand }\n// * Binary           { operator, left, right }\n//                    Any infix operator that is a method call, including `is`.\n// * Logical          { operator, left, right }\n//                    `&&` and `||`.\n// * Conditional      { condition, thenBranch, elseBranch }\n// * Assignment       { target, value }\n//                    [target] is an Identifier, Field, StaticField, Call (a\n//                    setter) or Subscript.\n\n// Stable codes for the errors the parser reports. Lexical errors keep their own\n// codes from [LexErrorCode].\nconst ParseErrorCode = Object.freeze({\n    // The tokens don't match the grammar.\n    SYNTAX: 'PARSE_SYNTAX',\n\n    // Something valid used where it isn't allowed, like `this` outside of a\n    // method or `break` outside of a loop.\n    INVALID_CONTEXT: 'PARSE_INVALID_CONTEXT',\n\n    // A method or call has more than [MAX_PARAMETERS] parameters or arguments.\n    TOO_MANY_PARAMETERS: 'PARSE_TOO_MANY_PARAMETERS'\n});\n\n// The maximum number of parameters or arguments a method can have.\nconst MAX_PARAMETERS = 16;\n\nconst PREC_NONE = 0;\nconst PREC_LOWEST = 1;\nconst PREC_ASSIGNMENT = 2;    // =\nconst PREC_CONDITIONAL = 3;   // ?:\nconst PREC_LOGICAL_OR = 4;    // ||\nconst PREC_LOGICAL_AND = 5;   // &&\nconst PREC_EQUALITY = 6;      // == !=\nconst PREC_IS = 7;            // is\nconst PREC_COMPARISON = 8;    // < > <= >=\nconst PREC_BITWISE_OR = 9;    // |\nconst PREC_BITWISE_XOR = 10;  // ^\nconst PREC_BITWISE_AND = 11;  // &\nconst PREC_BITWISE_SHIFT = 12; // << >>\nconst PREC_RANGE = 13;        // .. ...\nconst PREC_TERM = 14;         // + -\nconst PREC_FACTOR = 15;       // * / %\nconst PREC_UNARY = 16;        // unary - ! ~\nconst PREC_CALL = 17;         // . () []\n\n// The precedence of each token that can appear after the left-hand side of an\n// expression.\nconst infixPrecedence = {\n    TOKEN_LEFT_BRACKET: PREC_CALL,\n    TOKEN_DOT: PREC_CALL,\n    TOKEN_DOTDOT: PREC_RANGE,\n    TOKEN_DOTDOTDOT: PREC_RANGE,\n    TOKEN_STAR: PREC_FACTOR,\n    TOKEN_SLASH: PREC_FACTOR,\n    TOKEN_PERCENT: PREC_FACTOR,\n    TOKEN_PLUS: PREC_TERM,\n    TOKEN_MINUS: PREC_TERM,\n    TOKEN_LTLT: PREC_BITWISE_SHIFT,\n    TOKEN_GTGT: PREC_BITWISE_SHIFT,\n    TOKEN_PIPE: PREC_BITWISE_OR,\n    TOKEN_PIPEPIPE: PREC_LOGICAL_OR,\n    TOKEN_AMP: PREC_BITWISE_AND,\n    TOKEN_AMPAMP: PREC_LOGICAL_AND,\n    TOKEN_CARET: PREC_BITWISE_XOR,\n    TOKEN_QUESTION: PREC_ASSIGNMENT,\n    TOKEN_LT: PREC_COMPARISON,\n    TOKEN_GT: PREC_COMPARISON,\n    TOKEN_LTEQ: PREC_COMPARISON,\n    TOKEN_GTEQ: PREC_COMPARISON,\n    TOKEN_EQEQ: PREC_EQUALITY,\n    TOKEN_BANGEQ: PREC_EQUALITY,\n    TOKEN_IS: PREC_IS\n};\n\n// Tokens that can be the name of an operator method, and the kind of signature\n// each one has.\nconst operatorSignatures = {\n    TOKEN_BANG: 'unary',\n    TOKEN_TILDE: 'unary',\n    TOKEN_MINUS: 'mixed',\n    TOKEN_DOTDOT: 'infix',\n    TOKEN_DOTDOTDOT: 'infix',\n    TOKEN_STAR: 'infix',\n    TOKEN_SLASH: 'infix',\n    TOKEN_PERCENT: 'infix',\n    TOKEN_PLUS: 'infix',\n    TOKEN_LTLT: 'infix',\n    TOKEN_GTGT: 'infix',\n    TOKEN_PIPE: 'infix',\n    TOKEN_AMP: 'infix',\n    TOKEN_CARET: 'infix',\n    TOKEN_LT: 'infix',\n    TOKEN_GT: 'infix',\n    TOKEN_LTEQ: 'infix',\n    TOKEN_GTEQ: 'infix',\n    TOKEN_EQEQ: 'infix',\n    TOKEN_BANGEQ: 'infix',\n    TOKEN_IS: 'infix'\n};\n\n// Tokens the parser doesn't look at. Lexical errors were already reported by\n// the lexer.\nconst ignoredTokens = new Set([\n    'TOKEN_COMMENT',\n    'TOKEN_WHITESPACE',\n    'TOKEN_SHEBANG',\n    'TOKEN_ERROR'\n]);\n\n// Thrown to unwind out of a definition that has a syntax error, so the parser\n// can skip ahead and carry on with the next one.\nconst PANIC = { panic: true };\n\n// Returns true if [name] is a local name: one that starts with a lowercase\n// letter. Inside a class, those refer to methods on `this` unless a local\n// variable is in scope.\nfunction isLocalName(name) {\n    return name[0] >= 'a' && name[0] <= 'z';\n}\n\n// Returns the Wren signature string for a method or call.\nfunction signatureString(kind, name, arity) {\n    let parameters = '(' + Array(arity).fill('_').join(',') + ')';\n    switch (kind) {\n    case 'getter': return name;\n    case 'setter': return name + '=(_)';\n    case 'subscript': return '[' + Array(arity).fill('_').join(',') + ']';\n    case 'subscriptSetter':\n        return '[' + Array(arity - 1).fill('_').join(',') + ']=(_)';\n    default: return name + parameters;\n    }\n}\n\nclass TreeParser {\n    constructor(tokens) {\n        this.tokens = tokens.filter((token) => !ignoredTokens.has(token.type));\n\n        // Make sure there's always an EOF to stop at.\n        let last = this.tokens[this.tokens.length - 1];\n        if (last == null || last.type != 'TOKEN_EOF') {\n            let end = last ? last.end : 0;\n            this.tokens.push({\n                type: 'TOKEN_EOF',\n                text: '',\n                value: '',\n                line: last ? last.endLine : 1,\n                column: last ? last.endColumn : 1,\n                endLine: last ? last.endLine : 1,\n                endColumn: last ? last.endColumn : 1,\n                start: end,\n                end: end\n            });\n        }\n\n        // The index of the current token in [tokens].\n        this.index = 0;\n\n        this.diagnostics = [];\n\n        // The function being parsed: the module, a method or a block argument.\n        // Tracks the local variables in scope and how deeply nested in loops\n        // the code is.\n        this.fn = null;\n\n        // The class being parsed, or `null` when not inside one. Holds whether\n        // the method being parsed is static.\n        this.enclosingClass = null;\n    }\n\n    // Returns the token the parser is sitting on.\n    get current() {\n        return this.tokens[this.index];\n    }\n\n    // Returns the most recently consumed token.\n    get previous() {\n        return this.tokens[Math.max(this.index - 1, 0)];\n    }\n\n    // Returns the type of the current token.\n    peek() {\n        return this.current.type;\n    }\n\n    // Returns the type of the token after the current one.\n    peekNext() {\n        let next = this.tokens[this.index + 1];\n        return next ? next.type : 'TOKEN_EOF';\n    }\n\n    // Consumes the current token and returns it. Never moves past the EOF.\n    advance() {\n        let token = this.current;\n        if (token.type != 'TOKEN_EOF') this.index++;\n        return token;\n    }\n\n    // Puts [token], which was just consumed by [advance()], back.\n    retreat(token) {\n        if (token.type != 'TOKEN_EOF') this.index--;\n    }\n\n    // If the current token is of [type], consumes it and returns `true`.\n    match(type) {\n        if (this.peek() != type) return false;\n        this.advance();\n        return true;\n    }\n\n    // Consumes the current token if it is of [type], and reports [message]\n    // otherwise.\n    consume(type, message) {\n        if (!this.match(type)) this.error(message);\n        return this.previous;\n    }\n\n    // Matches one or more newlines. Returns true if at least one was found.\n    matchLine() {\n        if (!this.match('TOKEN_LINE')) return false;\n        while (this.match('TOKEN_LINE'));\n        return true;\n    }\n\n    // Discards any newlines starting at the current token.\n    ignoreNewlines() {\n        this.matchLine();\n    }\n\n    // Consumes the current token, which must be a newline, and any that follow.\n    consumeLine(message) {\n        this.consume('TOKEN_LINE', message);\n        this.ignoreNewlines();\n    }\n\n    // Skips a newline if the line after it continues with a method call, as in:\n    //\n    //     list\n    //       .where { |x| x > 2 }\n    //       .map { |x| x * 2 }\n    allowLineBeforeDot() {\n        if (this.peek() == 'TOKEN_LINE' && this.peekNext() == 'TOKEN_DOT') {\n            this.advance();\n        }\n    }\n\n    // Records an error with [message] at [token] and keeps going.\n    report(message, token, code) {\n        this.diagnostics.push({\n            code: code,\n            message: message,\n            severity: 'error',\n            line: token.line,\n            column: token.column,\n            endLine: token.endLine,\n            endColumn: token.endColumn,\n            start: token.start,\n            end: token.end\n        });\n    }\n\n    // Records a syntax error with [message] at the current token and abandons\n    // the current definition.\n    error(message) {\n        let token = this.current;\n        let found = token.type == 'TOKEN_EOF' ? 'end of file'\n            : token.type == 'TOKEN_LINE' ? 'newline'\n                : '\\'' + token.text + '\\'';\n\n        this.report(message + ' Found ' + found + '.', token, ParseErrorCode.SYNTAX);\n        throw PANIC;\n    }\n\n    // Sets the span of [node] to run from [start], a token or span, to the end\n    // of the most recently consumed token. Returns [node].\n    finish(node, start) {\n        let end = this.previous;\n        if (end.end < start.start) end = start;\n\n        node.span = {\n            start: start.start,\n            end: end.end,\n            line: start.line,\n            column: start.column,\n            endLine: end.endLine,\n            endColumn: end.endColumn\n        };\n        return node;\n    }\n\n    // Skips tokens after a syntax error until the next newline, or the \"}\" that\n    // closes the block the error is in, so parsing can pick up from there.\n    // [open] is how many blocks and interpolated strings the definition had\n    // begun before the error, which are skipped to their ends first.\n    synchronize(open) {\n        let depth = 0;\n        for (;;) {\n            switch (this.peek()) {\n            case 'TOKEN_EOF':\n                return;\n\n            case 'TOKEN_LINE':\n                if (depth == 0 && open == 0) return;\n                break;\n\n            case 'TOKEN_LEFT_PAREN':\n            case 'TOKEN_LEFT_BRACKET':\n            case 'TOKEN_LEFT_BRACE':\n                depth++;\n                break;\n\n            case 'TOKEN_RIGHT_PAREN':\n            case 'TOKEN_RIGHT_BRACKET':\n                if (depth > 0) depth--;\n                break;\n\n            // An interpolated string opens a level of nesting with its first\n            // part and closes it with its last, which start with '\"' and ')'.\n            case 'TOKEN_INTERPOLATION':\n                if (this.current.text[0] == '\"') depth++;\n                break;\n\n            case 'TOKEN_STRING':\n                if (this.current.text[0] != ')') break;\n                if (depth > 0) {\n                    depth--;\n                } else if (open > 0) {\n                    open--;\n                }\n                break;\n\n            case 'TOKEN_RIGHT_BRACE':\n                if (depth > 0) {\n                    depth--;\n                } else if (open > 0) {\n                    open--;\n                } else {\n                    return;\n                }\n                break;\n            }\n\n            this.advance();\n        }\n    }\n\n    // Parses [parse] as one definition. If it has a syntax error, skips past it\n    // and returns an Error node instead.\n    recover(parse) {\n        let start = this.current;\n        let startIndex = this.index;\n        let fn = this.fn;\n        let scopes = fn.scopes.length;\n        let loopDepth = fn.loopDepth;\n        let enclosingClass = this.enclosingClass;\n        try {\n            return parse();\n        } catch (error) {\n            if (error !== PANIC) throw error;\n\n            // Leave the functions, scopes and class the definition was in the\n            // middle of.\n            this.fn = fn;\n            fn.scopes.length = scopes;\n            fn.loopDepth = loopDepth;\n            this.enclosingClass = enclosingClass;\n\n            this.synchronize(this.openedSince(startIndex));\n            return this.finish({ type: 'Error' }, start);\n        }\n    }\n\n    // Returns how many of the blocks and interpolated strings that begin in the\n    // tokens from [index] up to the current one are still open.\n    openedSince(index) {\n        let depth = 0;\n        for (let i = index; i < this.index; i++) {\n            let token = this.tokens[i];\n            switch (token.type) {\n            case 'TOKEN_LEFT_BRACE':\n                depth++;\n                break;\n            case 'TOKEN_RIGHT_BRACE':\n                if (depth > 0) depth--;\n                break;\n            case 'TOKEN_INTERPOLATION':\n                if (token.text[0] == '\"') depth++;\n                break;\n            case 'TOKEN_STRING':\n                if (token.text[0] == ')' && depth > 0) depth--;\n                break;\n            }\n        }\n        return depth;\n    }\n\n    // Begins parsing a new function. [isMethod] is true for methods, whose\n    // bodies can't see the local variables around them.\n    pushFunction(isMethod) {\n        this.fn = {\n            parent: this.fn,\n            isMethod: isMethod,\n            scopes: [new Set()],\n            loopDepth: 0\n        };\n    }\n\n    popFunction() {\n        this.fn = this.fn.parent;\n    }\n\n    pushScope() {\n        this.fn.scopes.push(new Set());\n    }\n\n    popScope() {\n        this.fn.scopes.pop();\n    }\n\n    // Adds a local variable called [name] to the current scope. Variables at the\n    // top level of the module are module variables, not locals.\n    declareLocal(name) {\n        if (this.fn.parent == null && this.fn.scopes.length == 1) return;\n        this.fn.scopes[this.fn.scopes.length - 1].add(name);\n    }\n\n    // Returns true if [name] is a local variable visible from here. Like Wren,\n    // stops looking at the edge of the enclosing method.\n    isLocal(name) {\n        for (let fn = this.fn; fn != null; fn = fn.parent) {\n            for (let scope of fn.scopes) {\n                if (scope.has(name)) return true;\n            }\n            if (fn.isMethod) return false;\n        }\n        return false;\n    }\n\n    // Parses the whole token stream.\n    //\n    //     module: definition* EOF\n    module() {\n        let start = this.current;\n        let body = [];\n        this.pushFunction(false);\n\n        this.ignoreNewlines();\n        while (this.peek() != 'TOKEN_EOF') {\n            // There's no block for a stray \"}\" to close. Don't pile on if it's\n            // left over from a definition that had an error.\n            if (this.match('TOKEN_RIGHT_BRACE')) {\n                let last = body[body.length - 1];\n                if (last == null || last.type != 'Error') {\n                    this.report('Expect end of file.', this.previous,\n                        ParseErrorCode.SYNTAX);\n                }\n                this.ignoreNewlines();\n                continue;\n            }\n\n            body.push(this.recover(() => {\n                let definition = this.definition();\n\n                // If there is no newline, it must be the end of file on the same\n                // line.\n                if (!this.matchLine() && this.peek() != 'TOKEN_EOF') {\n                    this.error('Expect end of file.');\n                }\n                return definition;\n            }));\n\n            this.ignoreNewlines();\n        }\n\n        this.popFunction();\n        return this.finish({ type: 'Module', body: body }, start);\n    }\n\n    // Parses any attributes before a definition.\n    attributes() {\n        let attributes = [];\n        while (this.peek() == 'TOKEN_HASH') attributes.push(this.attribute());\n        return attributes;\n    }\n\n    //     attribute: \"#\" \"!\"? name ( \"=\" literal | \"(\" entries \")\" )? newline\n    attribute() {\n        let start = this.advance();\n        let isRuntime = this.match('TOKEN_BANG');\n\n        let attribute = {\n            type: 'Attribute',\n            name: this.consume('TOKEN_NAME',\n                'Expect an attribute definition after #.').text,\n            value: null,\n            entries: null,\n            isRuntime: isRuntime\n        };\n\n        if (this.match('TOKEN_EQ')) {\n            attribute.value = this.attributeValue();\n        } else if (this.match('TOKEN_LEFT_PAREN')) {\n            attribute.entries = [];\n            this.ignoreNewlines();\n            if (this.peek() == 'TOKEN_RIGHT_PAREN') {\n                this.error('Expected attributes in group, group cannot be empty.');\n            }\n\n            do {\n                this.ignoreNewlines();\n                let entryStart = this.consume('TOKEN_NAME',\n                    'Expect name for attribute key.');\n                let entry = { type: 'AttributeEntry', name: entryStart.text, value: null };\n                if (this.match('TOKEN_EQ')) entry.value = this.attributeValue();\n                attribute.entries.push(this.finish(entry, entryStart));\n                this.ignoreNewlines();\n            } while (this.match('TOKEN_COMMA'));\n\n            this.consume('TOKEN_RIGHT_PAREN', 'Expected \\')\\' after grouped attributes.');\n        } else if (this.peek() != 'TOKEN_LINE') {\n            this.error('Expect an equal, newline or grouping after an attribute key.');\n        }\n\n        this.finish(attribute, start);\n        this.consumeLine('Expect a newline after attribute.');\n        return attribute;\n    }\n\n    // Parses the value of an attribute, which must be a simple literal or name.\n    attributeValue() {\n        let token = this.current;\n        switch (token.type) {\n        case 'TOKEN_FALSE':\n        case 'TOKEN_TRUE':\n        case 'TOKEN_NUMBER':\n        case 'TOKEN_STRING':\n            return this.prefix(this.advance(), false);\n\n        case 'TOKEN_NAME':\n            this.advance();\n            return this.finish({ type: 'Identifier', name: token.text }, token);\n        }\n\n        this.error('Expect a Bool, Num, String or Identifier literal for an attribute value.');\n    }\n\n    //     definition: attribute* ( class | import | var ) | statement\n    definition() {\n        if (this.peek() == 'TOKEN_HASH') {\n            let attributes = this.attributes();\n            if (this.peek() != 'TOKEN_CLASS' && this.peek() != 'TOKEN_FOREIGN') {\n                this.report('Attributes can only specified before a class or a method.',\n                    attributes[0].span, ParseErrorCode.INVALID_CONTEXT);\n                return this.definition();\n            }\n\n            let definition = this.definition();\n            definition.attributes = attributes.concat(definition.attributes);\n            definition.span.start = attributes[0].span.start;\n            definition.span.line = attributes[0].span.line;\n            definition.span.column = attributes[0].span.column;\n            return definition;\n        }\n\n        let start = this.current;\n        if (this.match('TOKEN_CLASS')) return this.classDefinition(start, false);\n\n        if (this.match('TOKEN_FOREIGN')) {\n            this.consume('TOKEN_CLASS', 'Expect \\'class\\' after \\'foreign\\'.');\n            return this.classDefinition(start, true);\n        }\n\n        if (this.match('TOKEN_IMPORT')) return this.importStatement(start);\n        if (this.match('TOKEN_VAR')) return this.variableDefinition(start);\n\n        return this.statement();\n    }\n\n    //     class: \"foreign\"? \"class\" name ( \"is\" expression )? \"{\" method* \"}\"\n    classDefinition(start, isForeign) {\n        let name = this.consume('TOKEN_NAME', 'Expect class name.').text;\n        this.declareLocal(name);\n\n        let superclass = null;\n        if (this.match('TOKEN_IS')) superclass = this.expressionAt(PREC_CALL);\n\n        let node = {\n            type: 'Class',\n            name: name,\n            superclass: superclass,\n            isForeign: isForeign,\n            attributes: [],\n            methods: []\n        };\n\n        let enclosingClass = this.enclosingClass;\n        this.enclosingClass = { name: name, inStatic: false, method: null };\n\n        this.consume('TOKEN_LEFT_BRACE', 'Expect \\'{\\' after class declaration.');\n        this.matchLine();\n\n        while (!this.match('TOKEN_RIGHT_BRACE')) {\n            if (this.peek() == 'TOKEN_EOF') {\n                this.error('Expect \\'}\\' after class body.');\n            }\n\n            let method = this.recover(() => {\n                let method = this.method();\n\n                // Don't require a newline after the last definition.\n                if (this.peek() != 'TOKEN_RIGHT_BRACE') {\n                    this.consumeLine('Expect newline after definition in class.');\n                }\n                return method;\n            });\n            node.methods.push(method);\n\n            // Skip past a bad definition that didn't end in a newline.\n            if (method.type == 'Error' && this.peek() != 'TOKEN_RIGHT_BRACE') {\n                this.ignoreNewlines();\n            }\n        }\n\n        this.enclosingClass = enclosingClass;\n        return this.finish(node, start);\n    }\n\n    //     method: attribute* \"foreign\"? \"static\"? signature body?\n    method() {\n        let start = this.current;\n        let attributes = this.attributes();\n\n        let isForeign = this.match('TOKEN_FOREIGN');\n        let isStatic = this.match('TOKEN_STATIC');\n        this.enclosingClass.inStatic = isStatic;\n\n        this.pushFunction(true);\n        let nameToken = this.current;\n        let node = this.signature();\n        this.enclosingClass.method = node;\n        node.isStatic = isStatic;\n        node.isForeign = isForeign;\n        node.attributes = attributes;\n\n        if (isStatic && node.kind == 'constructor') {\n            this.report('A constructor cannot be static.', nameToken,\n                ParseErrorCode.INVALID_CONTEXT);\n        }\n\n        if (isForeign) {\n            node.body = null;\n        } else {\n            this.consume('TOKEN_LEFT_BRACE', 'Expect \\'{\\' to begin method body.');\n            node.body = this.finishBlock(this.previous, false);\n        }\n\n        this.popFunction();\n        return this.finish(node, start);\n    }\n\n    // Parses the signature of a method: its name and parameters.\n    signature() {\n        let token = this.advance();\n        let node = {\n            type: 'Method',\n            kind: 'getter',\n            name: token.text,\n            signature: null,\n            isStatic: false,\n            isForeign: false,\n            isOperator: false,\n            parameters: [],\n            body: null,\n            attributes: []\n        };\n\n        switch (token.type) {\n        case 'TOKEN_NAME':\n            // A setter can't also have a parameter list.\n            if (!this.maybeSetter(node)) this.parameterList(node);\n            break;\n\n        case 'TOKEN_LEFT_BRACKET':\n            node.kind = 'subscript';\n            node.name = '[]';\n            node.isOperator = true;\n            this.finishParameterList(node);\n            this.consume('TOKEN_RIGHT_BRACKET', 'Expect \\']\\' after parameters.');\n            this.maybeSetter(node);\n            break;\n\n        case 'TOKEN_CONSTRUCT':\n            node.kind = 'constructor';\n            node.name = this.consume('TOKEN_NAME',\n                'Expect constructor name after \\'construct\\'.').text;\n\n            if (this.peek() == 'TOKEN_EQ') {\n                this.error('A constructor cannot be a setter.');\n            }\n            if (!this.match('TOKEN_LEFT_PAREN')) {\n                this.error('A constructor cannot be a getter.');\n            }\n\n            this.ignoreNewlines();\n            if (!this.match('TOKEN_RIGHT_PAREN')) {\n                this.finishParameterList(node);\n                this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after parameters.');\n            }\n            break;\n\n        default:\n            switch (operatorSignatures[token.type]) {\n            case 'unary':\n                node.isOperator = true;\n                break;\n\n            case 'mixed':\n                node.isOperator = true;\n                if (this.peek() == 'TOKEN_LEFT_PAREN') this.operatorParameter(node);\n                break;\n\n            case 'infix':\n                node.isOperator = true;\n                this.operatorParameter(node);\n                break;\n\n            default:\n                // Don't swallow the token, so the class body can end here.\n                this.retreat(token);\n                this.error('Expect method definition.');\n            }\n        }\n\n        node.signature = signatureString(node.kind, node.name, node.parameters.length);\n        return node;\n    }\n\n    // Parses the \"(\" param \")\" of an operator that takes one operand.\n    operatorParameter(node) {\n        this.consume('TOKEN_LEFT_PAREN', 'Expect \\'(\\' after operator name.');\n        node.kind = 'method';\n        node.parameters.push(this.parameter());\n        this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after parameter name.');\n    }\n\n    // Parses a setter's \"=\" \"(\" param \")\" if there is one.\n    maybeSetter(node) {\n        if (!this.match('TOKEN_EQ')) return false;\n\n        node.kind = node.kind == 'subscript' ? 'subscriptSetter' : 'setter';\n        this.consume('TOKEN_LEFT_PAREN', 'Expect \\'(\\' after \\'=\\'.');\n        node.parameters.push(this.parameter());\n        this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after parameter name.');\n        return true;\n    }\n\n    // Parses an optional parenthesized parameter list for a named method.\n    parameterList(node) {\n        if (!this.match('TOKEN_LEFT_PAREN')) return;\n\n        node.kind = 'method';\n        this.ignoreNewlines();\n        if (this.match('TOKEN_RIGHT_PAREN')) return;\n\n        this.finishParameterList(node);\n        this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after parameters.');\n    }\n\n    // Parses a comma-separated list of parameters into [node].\n    finishParameterList(node) {\n        do {\n            this.ignoreNewlines();\n            if (node.parameters.length == MAX_PARAMETERS) {\n                this.report('Methods cannot have more than ' + MAX_PARAMETERS +\n                    ' parameters.', this.current, ParseErrorCode.TOO_MANY_PARAMETERS);\n            }\n            node.parameters.push(this.parameter());\n        } while (this.match('TOKEN_COMMA'));\n    }\n\n    // Parses the name of a parameter and declares it.\n    parameter() {\n        let token = this.consume('TOKEN_NAME', 'Expect variable name.');\n        this.declareLocal(token.text);\n        return this.finish({ type: 'Parameter', name: token.text }, token);\n    }\n\n    //     import: \"import\" string ( \"for\" name ( \"as\" name )? ( \",\" ... )* )?\n    importStatement(start) {\n        this.ignoreNewlines();\n        let moduleToken = this.consume('TOKEN_STRING', 'Expect a string after \\'import\\'.');\n        let node = {\n            type: 'Import',\n            module: this.finish({ type: 'StringLiteral', value: moduleToken.value },\n                moduleToken),\n            variables: null\n        };\n\n        // The for clause is optional.\n        if (!this.match('TOKEN_FOR')) return this.finish(node, start);\n\n        node.variables = [];\n        do {\n            this.ignoreNewlines();\n            let nameToken = this.consume('TOKEN_NAME', 'Expect variable name.');\n            let variable = { type: 'ImportVariable', name: nameToken.text, alias: null };\n\n            // Older lexers don't know about `as`, so accept it as a name too.\n            if (this.match('TOKEN_AS') ||\n                (this.peek() == 'TOKEN_NAME' && this.current.text == 'as' &&\n                 this.advance())) {\n                variable.alias = this.consume('TOKEN_NAME',\n                    'Expect variable name after \\'as\\'.').text;\n            }\n\n            this.declareLocal(variable.alias || variable.name);\n            node.variables.push(this.finish(variable, nameToken));\n        } while (this.match('TOKEN_COMMA'));\n\n        return this.finish(node, start);\n    }\n\n    //     var: \"var\" name ( \"=\" expression )?\n    variableDefinition(start) {\n        let name = this.consume('TOKEN_NAME', 'Expect variable name.').text;\n\n        let initializer = null;\n        if (this.match('TOKEN_EQ')) {\n            this.ignoreNewlines();\n            initializer = this.expression();\n        }\n\n        // Declare the variable after its initializer, so the initializer can't\n        // refer to it.\n        this.declareLocal(name);\n        return this.finish({\n            type: 'Var',\n            name: name,\n            initializer: initializer\n        }, start);\n    }\n\n    //     statement: break | continue | for | if | return | while | block\n    //              | expression\n    statement() {\n        let start = this.current;\n\n        if (this.match('TOKEN_BREAK')) {\n            if (this.fn.loopDepth == 0) {\n                this.report('Cannot use \\'break\\' outside of a loop.', start,\n                    ParseErrorCode.INVALID_CONTEXT);\n            }\n            return this.finish({ type: 'Break' }, start);\n        }\n\n        if (this.match('TOKEN_CONTINUE')) {\n            if (this.fn.loopDepth == 0) {\n                this.report('Cannot use \\'continue\\' outside of a loop.', start,\n                    ParseErrorCode.INVALID_CONTEXT);\n            }\n            return this.finish({ type: 'Continue' }, start);\n        }\n\n        if (this.match('TOKEN_FOR')) {\n            this.consume('TOKEN_LEFT_PAREN', 'Expect \\'(\\' after \\'for\\'.');\n            let name = this.consume('TOKEN_NAME', 'Expect for loop variable name.');\n            let variable = this.finish({ type: 'Parameter', name: name.text }, name);\n            this.consume('TOKEN_IN', 'Expect \\'in\\' after loop variable.');\n            this.ignoreNewlines();\n            let sequence = this.expression();\n            this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after loop expression.');\n\n            this.pushScope();\n            this.declareLocal(variable.name);\n            let body = this.loopBody();\n            this.popScope();\n\n            return this.finish({\n                type: 'For',\n                variable: variable,\n                sequence: sequence,\n                body: body\n            }, start);\n        }\n\n        if (this.match('TOKEN_IF')) {\n            this.consume('TOKEN_LEFT_PAREN', 'Expect \\'(\\' after \\'if\\'.');\n            this.ignoreNewlines();\n            let condition = this.expression();\n            this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after if condition.');\n\n            let thenBranch = this.statement();\n            let elseBranch = null;\n            if (this.match('TOKEN_ELSE')) elseBranch = this.statement();\n\n            return this.finish({\n                type: 'If',\n                condition: condition,\n                thenBranch: thenBranch,\n                elseBranch: elseBranch\n            }, start);\n        }\n\n        if (this.match('TOKEN_RETURN')) {\n            let value = null;\n            let next = this.peek();\n            if (next != 'TOKEN_LINE' && next != 'TOKEN_RIGHT_BRACE' &&\n                next != 'TOKEN_EOF') {\n                value = this.expression();\n            }\n            return this.finish({ type: 'Return', value: value }, start);\n        }\n\n        if (this.match('TOKEN_WHILE')) {\n            this.consume('TOKEN_LEFT_PAREN', 'Expect \\'(\\' after \\'while\\'.');\n            this.ignoreNewlines();\n            let condition = this.expression();\n            this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after while condition.');\n\n            return this.finish({\n                type: 'While',\n                condition: condition,\n                body: this.loopBody()\n            }, start);\n        }\n\n        if (this.match('TOKEN_LEFT_BRACE')) {\n            this.pushScope();\n            let block = this.finishBlock(start, true);\n            this.popScope();\n            return block;\n        }\n\n        let expression = this.expression();\n        return this.finish({ type: 'ExpressionStatement', expression: expression },\n            start);\n    }\n\n    // Parses the body of a loop.\n    loopBody() {\n        this.fn.loopDepth++;\n        let body = this.statement();\n        this.fn.loopDepth--;\n        return body;\n    }\n\n    // Parses the rest of a block after its \"{\". [start] is the \"{\" token. The\n    // block may be a single expression on the same line as the \"{\" and \"}\",\n    // unless [statementsOnly] is true because it's just a block statement.\n    finishBlock(start, statementsOnly) {\n        let node = { type: 'Block', statements: [], isExpression: false };\n\n        // Empty blocks do nothing.\n        if (this.match('TOKEN_RIGHT_BRACE')) return this.finish(node, start);\n\n        // If there's no line after the \"{\", it's a single-expression body.\n        if (!this.matchLine()) {\n            let expressionStart = this.current;\n            let expression = this.expression();\n            node.statements.push(this.finish({\n                type: 'ExpressionStatement',\n                expression: expression\n            }, expressionStart));\n            node.isExpression = !statementsOnly;\n            this.consume('TOKEN_RIGHT_BRACE', 'Expect \\'}\\' at end of block.');\n            return this.finish(node, start);\n        }\n\n        // Empty blocks (with just a newline inside) do nothing.\n        if (this.match('TOKEN_RIGHT_BRACE')) return this.finish(node, start);\n\n        do {\n            node.statements.push(this.recover(() => {\n                let definition = this.definition();\n                if (this.peek() != 'TOKEN_RIGHT_BRACE') {\n                    this.consumeLine('Expect newline after statement.');\n                }\n                return definition;\n            }));\n            this.ignoreNewlines();\n        } while (this.peek() != 'TOKEN_RIGHT_BRACE' && this.peek() != 'TOKEN_EOF');\n\n        this.consume('TOKEN_RIGHT_BRACE', 'Expect \\'}\\' at end of block.');\n        return this.finish(node, start);\n    }\n\n    // Parses an expression at the lowest precedence.\n    expression() {\n        return this.expressionAt(PREC_LOWEST);\n    }\n\n    // Parses an expression whose operators bind at least as tightly as\n    // [precedence].\n    expressionAt(precedence) {\n        let token = this.advance();\n\n        // Only allow assignment at the top level of an expression, so that\n        // `a + b = c` is an error.\n        let canAssign = precedence <= PREC_CONDITIONAL;\n        let left = this.prefix(token, canAssign);\n\n        for (;;) {\n            if (precedence <= PREC_CALL) this.allowLineBeforeDot();\n            if (precedence > (infixPrecedence[this.peek()] || PREC_NONE)) break;\n\n            left = this.infix(this.advance(), left, canAssign);\n        }\n\n        return left;\n    }\n\n    // Parses the expression that begins with [token].\n    prefix(token, canAssign) {\n        switch (token.type) {\n        case 'TOKEN_LEFT_PAREN': {\n            let expression = this.expression();\n            this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after expression.');\n            return expression;\n        }\n\n        case 'TOKEN_LEFT_BRACKET': return this.list(token);\n        case 'TOKEN_LEFT_BRACE': return this.map(token);\n\n        case 'TOKEN_MINUS':\n        case 'TOKEN_BANG':\n        case 'TOKEN_TILDE': {\n            this.ignoreNewlines();\n            let operand = this.expressionAt(PREC_UNARY + 1);\n            return this.finish({\n                type: 'Unary',\n                operator: token.text,\n                operand: operand\n            }, token);\n        }\n\n        case 'TOKEN_NULL':\n            return this.finish({ type: 'NullLiteral' }, token);\n        case 'TOKEN_TRUE':\n        case 'TOKEN_FALSE':\n            return this.finish({\n                type: 'BooleanLiteral',\n                value: token.type == 'TOKEN_TRUE'\n            }, token);\n        case 'TOKEN_NUMBER':\n            return this.finish({ type: 'NumberLiteral', value: token.value }, token);\n        case 'TOKEN_STRING':\n            return this.finish({ type: 'StringLiteral', value: token.value }, token);\n        case 'TOKEN_INTERPOLATION':\n            return this.interpolation(token);\n\n        case 'TOKEN_FIELD':\n            if (this.enclosingClass == null) {\n                this.report('Cannot reference a field outside of a class definition.',\n                    token, ParseErrorCode.INVALID_CONTEXT);\n            } else if (this.enclosingClass.inStatic) {\n                this.report('Cannot use an instance field in a static method.',\n                    token, ParseErrorCode.INVALID_CONTEXT);\n            }\n            return this.assignment(\n                this.finish({ type: 'Field', name: token.text }, token), canAssign);\n\n        case 'TOKEN_STATIC_FIELD':\n            if (this.enclosingClass == null) {\n                this.report('Cannot use a static field outside of a class definition.',\n                    token, ParseErrorCode.INVALID_CONTEXT);\n            }\n            return this.assignment(\n                this.finish({ type: 'StaticField', name: token.text }, token), canAssign);\n\n        case 'TOKEN_NAME':\n            return this.name(token, canAssign);\n\n        case 'TOKEN_THIS':\n            if (this.enclosingClass == null) {\n                this.report('Cannot use \\'this\\' outside of a method.', token,\n                    ParseErrorCode.INVALID_CONTEXT);\n            }\n            return this.finish({ type: 'This' }, token);\n\n        case 'TOKEN_SUPER':\n            return this.superCall(token, canAssign);\n        }\n\n        // Don't swallow the token, so the statement can end here.\n        this.retreat(token);\n        this.error('Expected expression.');\n    }\n\n    // Parses the rest of the expression that has [left] before [token].\n    infix(token, left, canAssign) {\n        let start = left.span;\n        switch (token.type) {\n        case 'TOKEN_DOT': {\n            this.ignoreNewlines();\n            let name = this.consume('TOKEN_NAME', 'Expect method name after \\'.\\'.');\n            return this.namedCall(start, left, name, canAssign);\n        }\n\n        case 'TOKEN_LEFT_BRACKET': {\n            let node = { type: 'Subscript', receiver: left, arguments: [] };\n            this.finishArgumentList(node.arguments);\n            this.consume('TOKEN_RIGHT_BRACKET', 'Expect \\']\\' after arguments.');\n            return this.assignment(this.finish(node, start), canAssign);\n        }\n\n        case 'TOKEN_QUESTION': {\n            this.ignoreNewlines();\n            let thenBranch = this.expressionAt(PREC_CONDITIONAL);\n            this.consume('TOKEN_COLON',\n                'Expect \\':\\' after then branch of conditional operator.');\n            this.ignoreNewlines();\n            let elseBranch = this.expressionAt(PREC_ASSIGNMENT);\n            return this.finish({\n                type: 'Conditional',\n                condition: left,\n                thenBranch: thenBranch,\n                elseBranch: elseBranch\n            }, start);\n        }\n\n        case 'TOKEN_AMPAMP':\n        case 'TOKEN_PIPEPIPE': {\n            this.ignoreNewlines();\n            let right = this.expressionAt(infixPrecedence[token.type]);\n            return this.finish({\n                type: 'Logical',\n                operator: token.text,\n                left: left,\n                right: right\n            }, start);\n        }\n        }\n\n        // An infix operator cannot end an expression.\n        this.ignoreNewlines();\n        let right = this.expressionAt(infixPrecedence[token.type] + 1);\n        return this.finish({\n            type: 'Binary',\n            operator: token.text,\n            left: left,\n            right: right\n        }, start);\n    }\n\n    // If [canAssign] and the next token is \"=\", parses an assignment to\n    // [target]. Otherwise returns [target].\n    assignment(target, canAssign) {\n        if (!canAssign || !this.match('TOKEN_EQ')) return target;\n\n        this.ignoreNewlines();\n        let value = this.expression();\n        return this.finish({ type: 'Assignment', target: target, value: value },\n            target.span);\n    }\n\n    // Parses a name used as an expression. Depending on what's in scope, that's\n    // a variable or a call on implicit `this`.\n    name(token, canAssign) {\n        if (!this.isLocal(token.text) && isLocalName(token.text) &&\n            this.enclosingClass != null) {\n            return this.namedCall(token, null, token, canAssign);\n        }\n\n        return this.assignment(\n            this.finish({ type: 'Identifier', name: token.text }, token), canAssign);\n    }\n\n    // Parses a call to the method [name] on [receiver], which is `null` for\n    // implicit `this`. [start] is where the call expression begins.\n    namedCall(start, receiver, name, canAssign) {\n        let node = {\n            type: 'Call',\n            receiver: receiver,\n            name: name.text,\n            arguments: null,\n            blockArgument: null,\n            signature: null\n        };\n\n        if (canAssign && this.peek() == 'TOKEN_EQ') {\n            node.signature = signatureString('getter', node.name, 0);\n            return this.assignment(this.finish(node, start), canAssign);\n        }\n\n        this.methodCall(node);\n        return this.finish(node, start);\n    }\n\n    // Parses the argument list and block argument of a call, if there are any,\n    // into [node].\n    methodCall(node) {\n        let kind = 'getter';\n\n        if (this.match('TOKEN_LEFT_PAREN')) {\n            kind = 'method';\n            node.arguments = [];\n\n            // Allow a newline before an empty argument list.\n            this.ignoreNewlines();\n            if (this.peek() != 'TOKEN_RIGHT_PAREN') {\n                this.finishArgumentList(node.arguments);\n            }\n            this.consume('TOKEN_RIGHT_PAREN', 'Expect \\')\\' after arguments.');\n        }\n\n        if (this.peek() == 'TOKEN_LEFT_BRACE') {\n            kind = 'method';\n            node.blockArgument = this.blockArgument(this.advance());\n        }\n\n        let arity = (node.arguments ? node.arguments.length : 0) +\n            (node.blockArgument ? 1 : 0);\n        node.signature = signatureString(kind, node.name, arity);\n    }\n\n    //     blockArgument: \"{\" ( \"|\" params \"|\" )? body \"}\"\n    blockArgument(start) {\n        this.pushFunction(false);\n        let node = { type: 'Function', parameters: [], body: null };\n\n        if (this.match('TOKEN_PIPE')) {\n            this.finishParameterList(node);\n            this.consume('TOKEN_PIPE', 'Expect \\'|\\' after function parameters.');\n        }\n\n        node.body = this.finishBlock(start, false);\n        this.popFunction();\n        return this.finish(node, start);\n    }\n\n    // Parses a comma-separated list of arguments into [list].\n    finishArgumentList(list) {\n        do {\n            this.ignoreNewlines();\n            if (list.length == MAX_PARAMETERS) {\n                this.report('Methods cannot have more than ' + MAX_PARAMETERS +\n                    ' parameters.', this.current, ParseErrorCode.TOO_MANY_PARAMETERS);\n            }\n            list.push(this.expression());\n        } while (this.match('TOKEN_COMMA'));\n\n        // Allow a newline before the closing delimiter.\n        this.ignoreNewlines();\n    }\n\n    //     super: \"super\" ( \".\" name )? arguments?\n    superCall(token, canAssign) {\n        if (this.enclosingClass == null) {\n            this.report('Cannot use \\'super\\' outside of a method.', token,\n                ParseErrorCode.INVALID_CONTEXT);\n        }\n\n        let receiver = this.finish({ type: 'Super' }, token);\n        if (this.match('TOKEN_DOT')) {\n            let name = this.consume('TOKEN_NAME', 'Expect method name after \\'super.\\'.');\n            return this.namedCall(token, receiver, name, canAssign);\n        }\n\n        // No explicit name, so it calls the enclosing method's name.\n        let method = this.enclosingClass && this.enclosingClass.method;\n        let node = {\n            type: 'Call',\n            receiver: receiver,\n            name: method ? method.name : null,\n            arguments: null,\n            blockArgument: null,\n            signature: null\n        };\n        this.methodCall(node);\n        node.name = null;\n\n        if (method && method.kind == 'constructor' && node.arguments == null) {\n            this.report('A superclass constructor must have an argument list.',\n                this.previous, ParseErrorCode.INVALID_CONTEXT);\n        }\n        return this.finish(node, token);\n    }\n\n    //     list: \"[\" ( expression ( \",\" expression )* \",\"? )? \"]\"\n    list(start) {\n        let node = { type: 'List', elements: [] };\n        do {\n            this.ignoreNewlines();\n\n            // Stop if we hit the end of the list.\n            if (this.peek() == 'TOKEN_RIGHT_BRACKET') break;\n            node.elements.push(this.expression());\n        } while (this.match('TOKEN_COMMA'));\n\n        // Allow newlines before the closing \"]\".\n        this.ignoreNewlines();\n        this.consume('TOKEN_RIGHT_BRACKET', 'Expect \\']\\' after list elements.');\n        return this.finish(node, start);\n    }\n\n    //     map: \"{\" ( key \":\" value ( \",\" key \":\" value )* \",\"? )? \"}\"\n    map(start) {\n        let node = { type: 'Map', entries: [] };\n        do {\n            this.ignoreNewlines();\n\n            // Stop if we hit the end of the map.\n            if (this.peek() == 'TOKEN_RIGHT_BRACE') break;\n\n            let key = this.expressionAt(PREC_UNARY);\n            this.consume('TOKEN_COLON', 'Expect \\':\\' after map key.');\n            this.ignoreNewlines();\n            let value = this.expression();\n\n            node.entries.push(this.finish({\n                type: 'MapEntry',\n                key: key,\n                value: value\n            }, key.span));\n        } while (this.match('TOKEN_COMMA'));\n\n        // Allow newlines before the closing \"}\".\n        this.ignoreNewlines();\n        this.consume('TOKEN_RIGHT_BRACE', 'Expect \\'}\\' after map entries.');\n        return this.finish(node, start);\n    }\n\n    // Parses an interpolated string whose first part is [start].\n    interpolation(start) {\n        let node = { type: 'Interpolation', parts: [] };\n        let part = start;\n\n        do {\n            // The literal text before the expression.\n            node.parts.push(this.finish({ type: 'StringLiteral', value: part.value }, part));\n\n            // The interpolated expression.\n            this.ignoreNewlines();\n            node.parts.push(this.expression());\n            this.ignoreNewlines();\n            part = this.current;\n        } while (this.match('TOKEN_INTERPOLATION'));\n\n        // The trailing string part.\n        let end = this.consume('TOKEN_STRING', 'Expect end of string interpolation.');\n        node.parts.push(this.finish({ type: 'StringLiteral', value: end.value }, end));\n\n        return this.finish(node, start);\n    }\n}\n\n// Parses [tokens] from [Parser] into a syntax tree. Returns an object with the\n// Module node in [ast] and any syntax errors in [diagnostics].\nfunction parseTokens(tokens) {\n    let parser = new TreeParser(tokens);\n    let ast = parser.module();\n    return { ast: ast, diagnostics: parser.diagnostics };\n}\n\n// Tokenizes and parses [source] into a syntax tree. [options] are passed on to\n// [Parser], except for `skipNewlines`, since the parser follows Wren's own rules\n// for newlines, and `compact`. Returns an object with the Module node in [ast] and every lexical\n// and syntax error, in source order, in [diagnostics].\nfunction parse(source, options = {}) {\n    let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, Object.assign({}, options,\n        { lazy: false, throwOnError: false, skipNewlines: false, compact: false }));\n\n    let result = parseTokens(lexer.tokens);\n    result.diagnostics = lexer.diagnostics.concat(result.diagnostics)\n        .sort((a, b) => a.start - b.start);\n    return result;\n}\n\n\n//# sourceURL=webpack://Wrent/./src/ast.js?");
+
+/***/ }),
+
+/***/ "./src/buffer.js":
+/*!***********************!*\
+  !*** ./src/buffer.js ***!
+  \***********************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"tokenTypes\": () => /* binding */ tokenTypes,\n/* harmony export */   \"TokenBuffer\": () => /* binding */ TokenBuffer\n/* harmony export */ });\n// Compact storage for tokens, for tools that lex a lot of source and don't\n// want an object per token.\n\n// The token types the lexer makes, in the order of their ids in a\n// [TokenBuffer]. Extra keywords get ids after these, in the order they're\n// first seen.\nconst tokenTypes = Object.freeze([\n    'TOKEN_LEFT_PAREN', 'TOKEN_RIGHT_PAREN', 'TOKEN_LEFT_BRACKET',\n    'TOKEN_RIGHT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_RIGHT_BRACE',\n    'TOKEN_COLON', 'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT',\n    'TOKEN_COMMA', 'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT', 'TOKEN_HASH',\n    'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE',\n    'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_BANG',\n    'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT', 'TOKEN_GT',\n    'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ',\n\n    'TOKEN_AS', 'TOKEN_BREAK', 'TOKEN_CLASS', 'TOKEN_CONSTRUCT',\n    'TOKEN_CONTINUE', 'TOKEN_ELSE', 'TOKEN_FALSE', 'TOKEN_FOR',\n    'TOKEN_FOREIGN', 'TOKEN_IF', 'TOKEN_IMPORT', 'TOKEN_IN', 'TOKEN_IS',\n    'TOKEN_NULL', 'TOKEN_RETURN', 'TOKEN_STATIC', 'TOKEN_SUPER', 'TOKEN_THIS',\n    'TOKEN_TRUE', 'TOKEN_VAR', 'TOKEN_WHILE',\n\n    'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_NAME', 'TOKEN_NUMBER',\n    'TOKEN_STRING', 'TOKEN_INTERPOLATION',\n\n    'TOKEN_LINE', 'TOKEN_COMMENT', 'TOKEN_WHITESPACE', 'TOKEN_SHEBANG',\n    'TOKEN_ERROR', 'TOKEN_EOF'\n]);\n\n// How many tokens a new buffer has room for before it grows, at least.\nconst MIN_CAPACITY = 1024;\n\n// Holds the tokens of a [Parser] created with `compact: true` in typed arrays,\n// with one entry per token for its type id, start offset, length and line.\n// Text is only sliced out of the source when asked for, and the only other\n// thing kept is the [value] of literals whose value isn't their text.\n//\n// It's array-like: [length] is the number of tokens, and iterating it or\n// calling [token()] gives the same token objects as a normal parser. The\n// other methods read one field of one token without making an object.\nclass TokenBuffer {\n    // Creates an empty buffer for the tokens of [parser], which it uses to get\n    // their text and positions. It starts with room for [capacity] tokens, so\n    // an estimate saves growing it over and over.\n    constructor(parser, capacity = MIN_CAPACITY) {\n        capacity = Math.max(capacity, MIN_CAPACITY);\n\n        this.parser = parser;\n\n        // The number of tokens.\n        this.length = 0;\n\n        this.types = new Uint16Array(capacity);\n        this.starts = new Uint32Array(capacity);\n        this.lengths = new Uint32Array(capacity);\n        this.lines = new Uint32Array(capacity);\n\n        // The values of the tokens that have one, by index.\n        this.values = new Map();\n\n        // The token type of each id, and the other way around.\n        this.typeNames = tokenTypes.slice();\n        this.typeIds = new Map(tokenTypes.map((type, id) => [type, id]));\n    }\n\n    // Returns the id of the token [type], giving it one if it doesn't have one\n    // yet.\n    typeId(type) {\n        let id = this.typeIds.get(type);\n        if (id === undefined) {\n            id = this.typeNames.length;\n            this.typeNames.push(type);\n            this.typeIds.set(type, id);\n        }\n        return id;\n    }\n\n    // Adds a token of [type] that runs from [start] to [end] and begins on\n    // [line]. [value] is `undefined` if it's the same as the text.\n    push(type, start, end, line, value) {\n        if (this.length == this.types.length) this.grow();\n\n        let index = this.length++;\n        this.types[index] = this.typeId(type);\n        this.starts[index] = start;\n        this.lengths[index] = end - start;\n        this.lines[index] = line;\n        if (value !== undefined) this.values.set(index, value);\n    }\n\n    // Removes the last token.\n    pop() {\n        this.values.delete(--this.length);\n    }\n\n    // Doubles the room for tokens.\n    grow() {\n        let grow = (array) => {\n            let grown = new array.constructor(array.length * 2);\n            grown.set(array);\n            return grown;\n        };\n\n        this.types = grow(this.types);\n        this.starts = grow(this.starts);\n        this.lengths = grow(this.lengths);\n        this.lines = grow(this.lines);\n    }\n\n    // Returns the type of the token at [index].\n    type(index) {\n        return this.typeNames[this.types[index]];\n    }\n\n    // Changes the type of the token at [index] to [type].\n    setType(index, type) {\n        this.types[index] = this.typeId(type);\n    }\n\n    // Returns the offset where the token at [index] starts.\n    start(index) {\n        return this.starts[index];\n    }\n\n    // Returns the offset just past the end of the token at [index].\n    end(index) {\n        return this.starts[index] + this.lengths[index];\n    }\n\n    // Returns the line the token at [index] begins on.\n    line(index) {\n        return this.lines[index];\n    }\n\n    // Returns the source text of the token at [index].\n    text(index) {\n        return this.parser.textAt(this.start(index), this.end(index));\n    }\n\n    // Returns the value of the token at [index].\n    value(index) {\n        return this.values.has(index) ? this.values.get(index) : this.text(index);\n    }\n\n    // Returns the token at [index] as an object, the same as a normal parser\n    // would have made.\n    token(index) {\n        let start = this.start(index);\n        let end = this.end(index);\n        let location = this.parser.locate(start);\n        let endLocation = this.parser.locate(end);\n        let text = this.text(index);\n\n        return {\n            type: this.type(index),\n            text: text,\n            value: this.values.has(index) ? this.values.get(index) : text,\n            line: this.lines[index],\n            column: location.column,\n            endLine: endLocation.line,\n            endColumn: endLocation.column,\n            start: start,\n            end: end\n        };\n    }\n\n    // Yields each token as an object.\n    *[Symbol.iterator]() {\n        for (let i = 0; i < this.length; i++) yield this.token(i);\n    }\n}\n\n\n//# sourceURL=webpack://Wrent/./src/buffer.js?");
+
+/***/ }),
+
+/***/ "./src/document.js":
+/*!*************************!*\
+  !*** ./src/document.js ***!
+  \*************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"SourceDocument\": () => /* binding */ SourceDocument\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n/* harmony import */ var _lines_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./lines.js */ \"./src/lines.js\");\n\n\n\n// Returns the index of the first item in [items] (tokens or diagnostics, sorted\n// by offset) that starts at or after [offset].\nfunction firstAt(items, offset) {\n    let low = 0;\n    let high = items.length;\n    while (low < high) {\n        let middle = (low + high) >> 1;\n        if (items[middle].start < offset) {\n            low = middle + 1;\n        } else {\n            high = middle;\n        }\n    }\n    return low;\n}\n\n// Returns true if the interpolation states [a] and [b] are the same.\nfunction sameState(a, b) {\n    if (a == null || b == null || a.length != b.length) return false;\n    for (let i = 0; i < a.length; i++) {\n        if (a[i] != b[i]) return false;\n    }\n    return true;\n}\n\n// Moves a token or diagnostic that comes after an edit by [delta] characters\n// and [lines] lines. Edits only ever converge at the start of a line, so\n// everything after one keeps its column.\nfunction shift(item, delta, lines) {\n    item.start += delta;\n    item.end += delta;\n    item.line += lines;\n    item.endLine += lines;\n}\n\n// A piece of Wren source that is kept tokenized as it is edited, like the\n// buffer of an editor.\n//\n// Along with the tokens, the document remembers the lexer's interpolation state\n// at the start of every line. After an edit, it lexes again from the closest\n// line before the edit that it can restart at, and stops as soon as it reaches\n// a line after the edit whose state matches what it was before. Everything\n// past that point is reused, just moved over.\nclass SourceDocument {\n    // Tokenizes [source], a string. Takes the same [options] as [Parser], except\n    // that `lazy`, `throwOnError`, `skipNewlines`, `compact` and `offsetUnit` are\n    // ignored. Offsets are always in UTF-16 code units, like the edits.\n    constructor(source, options = {}) {\n        this.options = Object.assign({}, options, {\n            lazy: true,\n            throwOnError: false,\n            skipNewlines: false,\n            compact: false,\n            offsetUnit: 'utf16'\n        });\n\n        // The current text of the document.\n        this.source = '';\n\n        // The tokens of [source], ending with TOKEN_EOF.\n        this.tokens = [];\n\n        // The lexical errors in [source].\n        this.diagnostics = [];\n\n        // The interpolation state (see [Parser.saveInterpolation()]) at the start\n        // of each line, indexed by line - 1. A line that begins inside a token\n        // that spans lines, like a block comment or a string, has `null` since\n        // lexing can't restart there.\n        this.lineStates = [];\n\n        // Maps offsets in [source] to lines and columns.\n        this.lines = null;\n\n        this.setText(source);\n    }\n\n    // Replaces the whole text of the document and tokenizes it from scratch.\n    setText(source) {\n        this.source = source;\n        this.lines = new _lines_js__WEBPACK_IMPORTED_MODULE_1__.LineIndex(source, this.options.columnUnit);\n\n        let result = this.lex(0, 1, [], null);\n        this.tokens = result.tokens;\n        this.diagnostics = result.diagnostics;\n        this.lineStates = [[]];\n        for (let line = 2; line <= this.lines.lineCount; line++) {\n            this.lineStates.push(result.lineStates[line] || null);\n        }\n    }\n\n    // Returns the offset of [position], which is either an offset already or a\n    // `{line, column}` object with 1-based numbers.\n    offsetOf(position) {\n        if (typeof position == 'number') return position;\n        return this.lines.offsetAt(position.line, position.column);\n    }\n\n    // Replaces the text in [range], an object with a [start] and [end] position\n    // (see [offsetOf()]), with [text] and tokenizes the changed part again.\n    //\n    // Returns which tokens changed as `{index, removed, added}`: starting at\n    // [index], [removed] of the old tokens were replaced with [added] new ones.\n    edit(range, text) {\n        let start = this.offsetOf(range.start);\n        let end = this.offsetOf(range.end);\n\n        let oldSource = this.source;\n        let source = oldSource.slice(0, start) + text + oldSource.slice(end);\n        let delta = text.length - (end - start);\n\n        // Back up to the closest line that doesn't begin in the middle of a token.\n        let restartLine = this.lines.lineAt(start);\n        while (this.lineStates[restartLine - 1] == null) restartLine--;\n        let restartOffset = this.lines.lineStarts[restartLine - 1];\n\n        this.source = source;\n        this.lines = new _lines_js__WEBPACK_IMPORTED_MODULE_1__.LineIndex(source, this.options.columnUnit);\n\n        let result = this.lex(restartOffset, restartLine,\n            this.lineStates[restartLine - 1], {\n                start: start + text.length,\n                delta: delta\n            });\n\n        // Splice the new tokens in, and move the ones after them over.\n        let index = firstAt(this.tokens, restartOffset);\n        let oldEnd = result.converged ? result.oldTokenIndex : this.tokens.length;\n        let after = this.tokens.slice(oldEnd);\n        for (let token of after) shift(token, delta, result.lineDelta);\n        this.tokens = this.tokens.slice(0, index).concat(result.tokens, after);\n\n        // Same for the diagnostics.\n        let firstDiagnostic = firstAt(this.diagnostics, restartOffset);\n        let keptDiagnostics = result.converged\n            ? this.diagnostics.slice(firstAt(this.diagnostics, result.oldOffset))\n            : [];\n        for (let diagnostic of keptDiagnostics) {\n            shift(diagnostic, delta, result.lineDelta);\n        }\n        this.diagnostics = this.diagnostics.slice(0, firstDiagnostic).concat(\n            result.diagnostics, keptDiagnostics);\n\n        // And the line states.\n        let lastLine = result.converged\n            ? result.lastLine\n            : this.lines.lineCount;\n        let states = this.lineStates.slice(0, restartLine);\n        for (let line = restartLine + 1; line <= lastLine; line++) {\n            states.push(result.lineStates[line] || null);\n        }\n        if (result.converged) {\n            states = states.concat(this.lineStates.slice(lastLine - result.lineDelta));\n        }\n        this.lineStates = states;\n\n        return {\n            index: index,\n            removed: oldEnd - index,\n            added: result.tokens.length\n        };\n    }\n\n    // Lexes the document from [offset], the start of [line], with the\n    // interpolation state [parens].\n    //\n    // If [edit] is given, it's an object with the offset where the edited text\n    // [start]s to be unchanged and the [delta] in length. Lexing stops at the\n    // first line after that whose state matches the old tokens. Otherwise, lexes\n    // to the end.\n    lex(offset, line, parens, edit) {\n        let parser = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(this.source, this.options);\n        parser.resumeAt(offset, line, parens);\n\n        let lineStates = [];\n        let result = {\n            tokens: parser.tokens,\n            diagnostics: parser.diagnostics,\n            lineStates: lineStates,\n            converged: false\n        };\n\n        for (;;) {\n            parser.nextToken();\n\n            let token = parser.tokens[parser.tokens.length - 1];\n            if (token.type == 'TOKEN_EOF') return result;\n            if (token.type != 'TOKEN_LINE') continue;\n\n            let state = parser.saveInterpolation();\n            lineStates[token.line + 1] = state;\n\n            if (edit == null || token.end < edit.start) continue;\n\n            // See if the old tokens had a clean line start at the same place, in\n            // the same state.\n            let oldOffset = token.end - edit.delta;\n            let oldIndex = firstAt(this.tokens, oldOffset);\n            let oldLine = oldIndex > 0 ? this.tokens[oldIndex - 1] : null;\n            if (oldLine == null || oldLine.type != 'TOKEN_LINE' ||\n                oldLine.end != oldOffset) {\n                continue;\n            }\n\n            if (!sameState(this.lineStates[oldLine.line], state)) continue;\n\n            result.converged = true;\n            result.oldTokenIndex = oldIndex;\n            result.oldOffset = oldOffset;\n            result.lastLine = token.line + 1;\n            result.lineDelta = token.line - oldLine.line;\n            return result;\n        }\n    }\n}\n\n\n//# sourceURL=webpack://Wrent/./src/document.js?");
+
+/***/ }),
+
+/***/ "./src/embedded.js":
+/*!*************************!*\
+  !*** ./src/embedded.js ***!
+  \*************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"embeddedFormats\": () => /* binding */ embeddedFormats,\n/* harmony export */   \"EmbeddedBlock\": () => /* binding */ EmbeddedBlock,\n/* harmony export */   \"extractMarkdown\": () => /* binding */ extractMarkdown,\n/* harmony export */   \"extractHtml\": () => /* binding */ extractHtml,\n/* harmony export */   \"extractWren\": () => /* binding */ extractWren,\n/* harmony export */   \"tokenizeEmbedded\": () => /* binding */ tokenizeEmbedded,\n/* harmony export */   \"lintEmbedded\": () => /* binding */ lintEmbedded,\n/* harmony export */   \"fixEmbedded\": () => /* binding */ fixEmbedded\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n/* harmony import */ var _lines_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./lines.js */ \"./src/lines.js\");\n/* harmony import */ var _linter_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./linter.js */ \"./src/linter.js\");\n\n\n\n\n// Finds Wren code embedded in other documents, Markdown and HTML, and tokenizes\n// it in place: the code is pulled out as plain Wren, with HTML entities\n// unescaped and indentation removed, and every token and diagnostic found in it\n// is mapped back to where it is in the document.\n\n// The formats of the documents Wren can be extracted from.\nconst embeddedFormats = Object.freeze(['markdown', 'html']);\n\n// The named character references that are unescaped. Others are left as they\n// are. A no-break space becomes a plain one, since Wren doesn't take it for\n// whitespace.\nconst namedEntities = Object.freeze({\n    amp: '&',\n    lt: '<',\n    gt: '>',\n    quot: '\"',\n    apos: '\\'',\n    nbsp: ' '\n});\n\n// The words in a `class`, `id`, `lang` or `data-lang` attribute that mark a\n// `<pre>` or `<code>` as Wren.\nconst wrenWords = new Set(['wren', 'language-wren', 'lang-wren']);\n\n// Returns true if the attributes of a tag, [attributes], mark it as Wren.\nfunction isWrenElement(attributes) {\n    let pattern = /\\b(class|id|lang|data-lang)\\s*=\\s*(?:\"([^\"]*)\"|'([^']*)'|([^\\s>]+))/gi;\n    let match;\n    while ((match = pattern.exec(attributes)) != null) {\n        let value = match[2] || match[3] || match[4] || '';\n        if (value.toLowerCase().split(/\\s+/).some((word) => wrenWords.has(word))) {\n            return true;\n        }\n    }\n    return false;\n}\n\n// Returns true if the attributes of a `<script>` tag, [attributes], give it\n// the type `text/wren`.\nfunction isWrenScript(attributes) {\n    let match = /\\btype\\s*=\\s*(?:\"([^\"]*)\"|'([^']*)'|([^\\s>]+))/i.exec(attributes);\n    if (match == null) return false;\n    return (match[1] || match[2] || match[3]).trim().toLowerCase() == 'text/wren';\n}\n\n// Returns [text] with `&`, `<` and `>` escaped, for the content of a `<pre>`.\nfunction escapeHtml(text) {\n    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');\n}\n\n// Builds the text of a block along with where each of its UTF-16 code units\n// came from in the document.\nclass BlockText {\n    constructor() {\n        this.text = '';\n        this.starts = [];\n        this.ends = [];\n    }\n\n    // Adds [text], which came from the document between [start] and [end].\n    add(text, start, end) {\n        this.text += text;\n        for (let i = 0; i < text.length; i++) {\n            this.starts.push(start);\n            this.ends.push(end);\n        }\n    }\n\n    // Adds the document's [source] from [start] to [end] as it is.\n    addSource(source, start, end) {\n        for (let i = start; i < end; i++) this.add(source[i], i, i + 1);\n    }\n\n    // Adds the document's [source] from [start] to [end], leaving out tags and\n    // unescaping character references, the way a browser gets the text of an\n    // element.\n    addHtml(source, start, end) {\n        let pattern = /<[^>]*>|&(?:#(\\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));/g;\n        pattern.lastIndex = start;\n        let at = start;\n        let match;\n        while ((match = pattern.exec(source)) != null && match.index < end) {\n            let matchEnd = match.index + match[0].length;\n            if (matchEnd > end) break;\n            this.addSource(source, at, match.index);\n            at = matchEnd;\n\n            if (match[0][0] == '<') continue;\n\n            let code = match[1] != null ? parseInt(match[1], 10)\n                : match[2] != null ? parseInt(match[2], 16)\n                    : null;\n            if (code != null) {\n                let isValid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);\n                this.add(String.fromCodePoint(isValid ? code : 0xfffd), match.index, matchEnd);\n            } else if (Object.prototype.hasOwnProperty.call(namedEntities, match[3])) {\n                this.add(namedEntities[match[3]], match.index, matchEnd);\n            } else {\n                this.addSource(source, match.index, matchEnd);\n            }\n        }\n        this.addSource(source, at, end);\n    }\n\n    // Removes the indentation that every line that isn't blank starts with.\n    dedent() {\n        let lines = this.text.split('\\n');\n        let common = null;\n        for (let line of lines) {\n            if (line.trim() == '') continue;\n            let indent = /^[ \\t]*/.exec(line)[0];\n            if (common == null) {\n                common = indent;\n                continue;\n            }\n\n            let length = 0;\n            while (length < common.length && common[length] == indent[length]) length++;\n            common = common.slice(0, length);\n        }\n        if (!common) return;\n\n        let text = '';\n        let starts = [];\n        let ends = [];\n        let at = 0;\n        for (let line of lines) {\n            let skip = line.startsWith(common) ? common.length : /^[ \\t]*/.exec(line)[0].length;\n            text += line.slice(skip);\n            for (let i = at + skip; i < at + line.length + 1 && i < this.starts.length; i++) {\n                starts.push(this.starts[i]);\n                ends.push(this.ends[i]);\n            }\n            at += line.length + 1;\n            if (at <= this.text.length) text += '\\n';\n        }\n\n        this.text = text;\n        this.starts = starts;\n        this.ends = ends;\n    }\n}\n\n// A piece of Wren found in a document.\nclass EmbeddedBlock {\n    // Creates a block of the [kind] 'fence', 'pre' or 'script', whose content\n    // runs from [start] to [end] in the document, with the text built by\n    // [BlockText] [text].\n    constructor(kind, start, end, text) {\n        // Where the block was found: a Markdown 'fence', or an HTML 'pre' or\n        // 'script'.\n        this.kind = kind;\n\n        // The Wren source of the block.\n        this.source = text.text;\n\n        // The offsets of the block's content in the document.\n        this.start = start;\n        this.end = end;\n\n        // Where each UTF-16 code unit of [source] starts and ends in the\n        // document.\n        this.starts = text.starts;\n        this.ends = text.ends;\n    }\n\n    // Returns the offset in the document of [offset] in [source], as the start\n    // of a range.\n    documentOffset(offset) {\n        if (offset < this.starts.length) return this.starts[offset];\n        return this.ends.length > 0 ? this.ends[this.ends.length - 1] : this.start;\n    }\n\n    // Returns the offset in the document of [offset] in [source], as the end of\n    // a range.\n    documentEnd(offset) {\n        if (offset <= 0 || this.ends.length == 0) return this.documentOffset(0);\n        return this.ends[Math.min(offset, this.ends.length) - 1];\n    }\n\n    // Returns a copy of [item], a token or diagnostic from [source], with its\n    // offsets, lines and columns in the document instead. [lines] is a\n    // [LineIndex] of the document. A diagnostic's [fix], if it has one, is\n    // mapped too, and escaped for HTML if the block is a `<pre>`.\n    map(item, lines) {\n        let start = this.documentOffset(item.start);\n        let end = Math.max(start, this.documentEnd(item.end));\n        let from = lines.locate(start);\n        let to = lines.locate(end);\n\n        let mapped = Object.assign({}, item, {\n            start: start,\n            end: end,\n            line: from.line,\n            column: from.column,\n            endLine: to.line,\n            endColumn: to.column\n        });\n\n        if (item.fix) {\n            let fixStart = this.documentOffset(item.fix.start);\n            mapped.fix = {\n                start: fixStart,\n                end: Math.max(fixStart, this.documentEnd(item.fix.end)),\n                text: this.kind == 'pre' ? escapeHtml(item.fix.text) : item.fix.text\n            };\n        }\n        return mapped;\n    }\n}\n\n// Returns the Wren code blocks in [markdown]: the fenced code blocks, with\n// backticks or tildes, whose info string starts with `wren`. The fence's\n// indentation is removed from each line, as Markdown does. Blocks inside\n// block quotes and list items aren't found.\nfunction extractMarkdown(markdown) {\n    let blocks = [];\n    let linePattern = /[^\\n]*(?:\\n|$)/g;\n    let fence = null;\n    let match;\n\n    while (linePattern.lastIndex < markdown.length &&\n        (match = linePattern.exec(markdown)) != null) {\n        let line = match[0];\n        let lineStart = match.index;\n        let content = line.replace(/\\r?\\n$/, '');\n\n        if (fence == null) {\n            let open = /^( {0,3})(`{3,}|~{3,})(.*)$/.exec(content);\n            if (open == null) continue;\n\n            // A backtick fence's info string can't have backticks in it.\n            let info = open[3].trim();\n            if (open[2][0] == '`' && info.includes('`')) continue;\n\n            fence = {\n                marker: open[2],\n                indent: open[1].length,\n                isWren: info.split(/\\s+/)[0].toLowerCase() == 'wren',\n                start: lineStart + line.length,\n                text: new BlockText()\n            };\n            continue;\n        }\n\n        let close = /^ {0,3}(`{3,}|~{3,})[ \\t]*$/.exec(content);\n        if (close != null && close[1][0] == fence.marker[0] &&\n            close[1].length >= fence.marker.length) {\n            if (fence.isWren) {\n                blocks.push(new EmbeddedBlock('fence', fence.start, lineStart, fence.text));\n            }\n            fence = null;\n            continue;\n        }\n\n        if (fence.isWren) {\n            let skip = 0;\n            while (skip < fence.indent && line[skip] == ' ') skip++;\n            fence.text.addSource(markdown, lineStart + skip, lineStart + line.length);\n        }\n    }\n\n    // A fence that's never closed runs to the end of the document.\n    if (fence != null && fence.isWren) {\n        blocks.push(new EmbeddedBlock('fence', fence.start, markdown.length, fence.text));\n    }\n    return blocks;\n}\n\n// Returns the Wren code blocks in [html]: the `<script type=\"text/wren\">`\n// elements, and the `<pre>` elements marked as Wren by a `class`, `id`, `lang`\n// or `data-lang` of `wren`, `language-wren` or `lang-wren`, on the `<pre>` or\n// on a `<code>` right inside it. With the option `allPre`, every `<pre>` is\n// taken to be Wren.\n//\n// The text of a `<pre>` has its tags left out and its character references\n// unescaped, and loses the newline right after the start tag the way it does\n// in a browser. A script is taken as it is. Both have the indentation common to\n// all their lines removed.\nfunction extractHtml(html, options = {}) {\n    let blocks = [];\n    let pattern = /<!--[\\s\\S]*?(?:-->|$)|<(pre|script|style|textarea)(?=[\\s/>])([^>]*)>/gi;\n    let match;\n\n    while ((match = pattern.exec(html)) != null) {\n        if (match[1] == null) continue;\n\n        let name = match[1].toLowerCase();\n        let start = match.index + match[0].length;\n        let closing = new RegExp('</' + name + '\\\\s*>', 'i');\n        let endMatch = closing.exec(html.slice(start));\n        let end = endMatch ? start + endMatch.index : html.length;\n        pattern.lastIndex = endMatch ? end + endMatch[0].length : html.length;\n\n        let text = new BlockText();\n        if (name == 'script' && isWrenScript(match[2])) {\n            text.addSource(html, start, end);\n            text.dedent();\n            blocks.push(new EmbeddedBlock('script', start, end, text));\n        } else if (name == 'pre') {\n            let code = /^\\s*<code\\b([^>]*)>/i.exec(html.slice(start, end));\n            if (!options.allPre && !isWrenElement(match[2]) &&\n                !(code && isWrenElement(code[1]))) {\n                continue;\n            }\n\n            let contentStart = start;\n            if (html.startsWith('\\r\\n', start)) {\n                contentStart += 2;\n            } else if (html[start] == '\\n') {\n                contentStart++;\n            }\n            text.addHtml(html, contentStart, end);\n            text.dedent();\n            blocks.push(new EmbeddedBlock('pre', start, end, text));\n        }\n    }\n    return blocks;\n}\n\n// Returns the Wren code blocks in [text], a document in the [format] of the\n// option `format`, one of [embeddedFormats]. The other [options] are passed on\n// to [extractHtml()].\nfunction extractWren(text, options = {}) {\n    let format = options.format || 'markdown';\n    if (!embeddedFormats.includes(format)) {\n        throw new RangeError('Unknown document format \\'' + format + '\\'. Expected ' +\n            embeddedFormats.join(', ') + '.');\n    }\n    text = String(text);\n    return format == 'html' ? extractHtml(text, options) : extractMarkdown(text);\n}\n\n// Finds the Wren code in [text], a document, and tokenizes each block. The\n// options `format` and `allPre` are for [extractWren()], and the rest are\n// passed on to [Parser], except for `lazy`, `compact` and `offsetUnit`.\n// Columns in the document are counted in the `columnUnit` of the options.\n//\n// Returns an object with the [blocks], each `{ block, tokens, diagnostics }`\n// with the [EmbeddedBlock], and its tokens and lexical errors with their\n// positions in the document, and every block's [diagnostics] together. A\n// token's [text] and [value] are still what they are in the Wren source.\nfunction tokenizeEmbedded(text, options = {}) {\n    text = String(text);\n    let lines = new _lines_js__WEBPACK_IMPORTED_MODULE_1__.LineIndex(text, options.columnUnit || 'utf16');\n    let lexerOptions = Object.assign({}, options, {\n        lazy: false,\n        compact: false,\n        offsetUnit: 'utf16'\n    });\n\n    let blocks = extractWren(text, options).map((block) => {\n        let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(block.source, lexerOptions);\n        return {\n            block: block,\n            tokens: lexer.tokens.map((token) => block.map(token, lines)),\n            diagnostics: lexer.diagnostics.map((diagnostic) => block.map(diagnostic, lines))\n        };\n    });\n\n    return {\n        blocks: blocks,\n        diagnostics: [].concat(...blocks.map((entry) => entry.diagnostics))\n    };\n}\n\n// Returns what [linter] finds in the Wren code in [text], a document, with\n// positions and fixes in the document, in order. [options] are for\n// [extractWren()].\nfunction lintEmbedded(linter, text, options = {}) {\n    text = String(text);\n    let lines = new _lines_js__WEBPACK_IMPORTED_MODULE_1__.LineIndex(text, options.columnUnit || 'utf16');\n    let diagnostics = [];\n    for (let block of extractWren(text, options)) {\n        for (let diagnostic of linter.lint(block.source)) {\n            diagnostics.push(block.map(diagnostic, lines));\n        }\n    }\n    return diagnostics;\n}\n\n// Applies the fixes for what [linter] finds in the Wren code in [text], a\n// document, the same way as [Linter.fix()]. Returns an object with the fixed\n// document as [output], the number of fixes [applied] and the [diagnostics]\n// that are left.\nfunction fixEmbedded(linter, text, options = {}, maxPasses = 10) {\n    let output = String(text);\n    let applied = 0;\n    let diagnostics = lintEmbedded(linter, output, options);\n\n    for (let pass = 0; pass < maxPasses; pass++) {\n        let result = (0,_linter_js__WEBPACK_IMPORTED_MODULE_2__.applyFixes)(output, diagnostics);\n        if (result.applied == 0) break;\n\n        output = result.output;\n        applied += result.applied;\n        diagnostics = lintEmbedded(linter, output, options);\n    }\n\n    return { output: output, applied: applied, diagnostics: diagnostics };\n}\n\n\n//# sourceURL=webpack://Wrent/./src/embedded.js?");
+
+/***/ }),
+
+/***/ "./src/formatter.js":
+/*!**************************!*\
+  !*** ./src/formatter.js ***!
+  \**************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"DEFAULT_INDENT_WIDTH\": () => /* binding */ DEFAULT_INDENT_WIDTH,\n/* harmony export */   \"DEFAULT_LINE_LENGTH\": () => /* binding */ DEFAULT_LINE_LENGTH,\n/* harmony export */   \"format\": () => /* binding */ format\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n\n\n// Formats Wren source in one consistent style. It works from the lexer's\n// tokens, comments included, and only ever changes the whitespace between\n// them: it indents blocks, puts one space (or none) between tokens, keeps at\n// most one blank line in a row and breaks lines that are too long after a\n// comma. Tokens themselves are printed exactly as written, so a nested block\n// comment or an interpolated string stays the same, and formatting code that's\n// already formatted doesn't change it.\n\n// The default number of spaces per level of indentation.\nconst DEFAULT_INDENT_WIDTH = 2;\n\n// The default length lines are broken at, when they can be.\nconst DEFAULT_LINE_LENGTH = 80;\n\n// The operators that get a space on either side.\nconst binaryTypes = new Set([\n    'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS',\n    'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET',\n    'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT',\n    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ'\n]);\n\n// The operators that can only be prefixes, and the ones that can be either.\nconst prefixTypes = new Set(['TOKEN_BANG', 'TOKEN_TILDE']);\nconst maybePrefixTypes = new Set(['TOKEN_MINUS', 'TOKEN_BANG', 'TOKEN_TILDE']);\n\n// The operators that go right up against their operands, like `1..10`.\nconst tightTypes = new Set(['TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT']);\n\n// The token types that can end an operand, so an operator after them is\n// binary.\nconst operandEndTypes = new Set([\n    'TOKEN_NAME', 'TOKEN_NUMBER', 'TOKEN_STRING', 'TOKEN_INTERPOLATED_STRING',\n    'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_TRUE', 'TOKEN_FALSE',\n    'TOKEN_NULL', 'TOKEN_THIS', 'TOKEN_SUPER', 'TOKEN_RIGHT_PAREN',\n    'TOKEN_RIGHT_BRACKET', 'TOKEN_RIGHT_BRACE'\n]);\n\n// The token types that a \"(\" right after is a call, and a \"[\" a subscript.\nconst callableTypes = new Set([\n    'TOKEN_NAME', 'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_SUPER',\n    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET'\n]);\nconst subscriptableTypes = new Set([\n    'TOKEN_NAME', 'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_SUPER',\n    'TOKEN_THIS', 'TOKEN_STRING', 'TOKEN_INTERPOLATED_STRING',\n    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET'\n]);\n\n// The token types that a \"{\" right after starts a block rather than a map.\nconst blockOpenerTypes = new Set([\n    'TOKEN_NAME', 'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_ELSE'\n]);\n\n// The token types that a line can't end a statement with, so the next line\n// continues it and is indented one more level. Brackets and commas are left\n// out, since whatever they're in is already indented.\nconst continuationTypes = new Set([\n    'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_BANG', 'TOKEN_TILDE',\n    'TOKEN_COLON', 'TOKEN_IS', ...binaryTypes\n]);\n\n// The token types that Wren ignores a newline after because they're still\n// waiting for what's inside them or what comes next.\nconst openerTypes = new Set([\n    'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_COMMA'\n]);\n\nconst closerTypes = new Set([\n    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_RIGHT_BRACE'\n]);\n\n// The pairs of characters that would lex as one token, or start a comment, if\n// the tokens they end and start were put together.\nconst joiningPairs = new Set([\n    '..', '<<', '>>', '<=', '>=', '==', '!=', '||', '&&', '//', '/*'\n]);\n\n// Returns true if the texts [before] and [after] can't be put together without\n// a space between them, since they'd lex differently.\nfunction mustSeparate(before, after) {\n    let a = before[before.length - 1];\n    let b = after[0];\n    return joiningPairs.has(a + b) || /\\w/.test(a) && /\\w/.test(b);\n}\n\n// Returns [value], an option called [name], after checking that it's a whole\n// number of at least [min].\nfunction checkCount(name, value, min) {\n    if (!Number.isInteger(value) || value < min) {\n        throw new RangeError('Invalid ' + name + ' \\'' + value +\n            '\\'. Expected a whole number of at least ' + min + '.');\n    }\n    return value;\n}\n\n// Formats one source. Everything happens in the constructor; [output] is the\n// result.\nclass Formatter {\n    constructor(source, options) {\n        this.indentWidth = checkCount('indentWidth', options.indentWidth == null\n            ? DEFAULT_INDENT_WIDTH\n            : options.indentWidth, 0);\n        this.lineLength = checkCount('lineLength', options.lineLength == null\n            ? DEFAULT_LINE_LENGTH\n            : options.lineLength, 1);\n\n        let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, Object.assign({}, options, {\n            throwOnError: true,\n            trivia: true,\n            lazy: false,\n            compact: false,\n            skipNewlines: false\n        }));\n        this.keywordTypes = new Set(lexer.keywords.values());\n\n        // The formatted lines.\n        this.lines = [];\n\n        // The brackets that are open, innermost last, under one for the whole\n        // module. Each has the [kind] of thing it holds ('paren', 'bracket',\n        // 'block', 'class', 'map' or 'module'), the number of the output [line]\n        // it was opened on, how many `?` in it are still waiting for their `:`,\n        // and, for a block, whether it's in the middle of its `|parameters|`.\n        this.brackets = [{ kind: 'module', line: 0, ternaries: 0, parameters: false }];\n\n        // How many output lines have been started.\n        this.lineCount = 0;\n\n        // The last token that isn't a comment, and the token before the one\n        // being formatted on the current line, if any.\n        this.last = null;\n        this.previous = null;\n\n        // Whether the line being formatted continues the statement on the line\n        // before it.\n        this.continues = false;\n\n        // Whether the token being formatted is the first on its line.\n        this.atLineStart = true;\n\n        // Whether [previous] is a prefix operator, and whether it's the `|`\n        // that starts a block's parameters.\n        this.isPrefix = false;\n        this.isParameterStart = false;\n\n        // Whether a `class` is waiting for the \"{\" of its body.\n        this.inClassHeader = false;\n\n        // Whether the current line is a method's signature, which is written\n        // without spaces around its operators, like `[index]=(value)`.\n        this.inSignature = false;\n\n        // Each line of source, without its newline or whitespace, with each\n        // interpolated string as a single token.\n        let line = [];\n        let blankLines = 0;\n        for (let token of lexer.nestedTokens()) {\n            if (token.type == 'TOKEN_WHITESPACE' || token.type == 'TOKEN_EOF') continue;\n            if (token.type != 'TOKEN_LINE') {\n                line.push(token);\n                continue;\n            }\n\n            if (line.length == 0) {\n                blankLines++;\n                continue;\n            }\n\n            this.formatLine(line, blankLines);\n            line = [];\n            blankLines = 0;\n        }\n        if (line.length > 0) this.formatLine(line, blankLines);\n\n        this.output = this.lines.length == 0 ? '' : this.lines.join('\\n') + '\\n';\n    }\n\n    // The innermost open bracket.\n    get innermost() {\n        return this.brackets[this.brackets.length - 1];\n    }\n\n    // Formats the [tokens] of one line of source, which came after\n    // [blankLines] empty lines.\n    formatLine(tokens, blankLines) {\n        // Blank lines at the start or end of a block are dropped.\n        if (blankLines > 0 && this.previous != null &&\n            !openerTypes.has(this.previous.type) &&\n            !closerTypes.has(tokens[0].type)) {\n            this.lines.push('');\n        }\n\n        if (this.innermost.kind == 'class' && tokens[0].type != 'TOKEN_HASH') {\n            this.inSignature = true;\n        }\n\n        let start = 0;\n        while (start < tokens.length) start = this.formatPart(tokens, start);\n\n        // A signature without a body, like a foreign method's, ends with its line.\n        if (this.innermost.kind == 'class') this.inSignature = false;\n\n        // So does a `?` that wasn't closed, but only if the statement ended.\n        if (!this.continues) this.innermost.ternaries = 0;\n    }\n\n    // Formats [tokens] from [start] on as one output line, or as much of them\n    // as fits if it can be broken. Returns the index of the first token that\n    // didn't fit.\n    formatPart(tokens, start) {\n        // A line that starts with closing brackets is indented like the line\n        // that opened them.\n        let closers = 0;\n        while (start + closers < tokens.length &&\n            closerTypes.has(tokens[start + closers].type)) {\n            closers++;\n        }\n\n        let level = this.indentLevel(Math.max(1, this.brackets.length - closers));\n        if (this.continues || tokens[start].type == 'TOKEN_DOT') level++;\n\n        this.lineCount++;\n        this.previous = null;\n\n        let text = ' '.repeat(level * this.indentWidth);\n        let lineBreak = null;\n        for (let i = start; i < tokens.length; i++) {\n            let token = tokens[i];\n            this.atLineStart = i == start;\n            if (!this.atLineStart) {\n                let space = this.space(token);\n                if (space == '' && mustSeparate(this.previous.text, token.text)) {\n                    space = ' ';\n                }\n                text += space;\n            }\n            text += token.text;\n            this.advance(token);\n\n            let column = text.length - text.lastIndexOf('\\n') - 1;\n            if (column > this.lineLength && lineBreak) {\n                Object.assign(this, lineBreak.state);\n                this.lines.push(lineBreak.text);\n                return lineBreak.index;\n            }\n\n            // A line can be broken after a comma between arguments or elements,\n            // where Wren ignores the newline.\n            let next = tokens[i + 1];\n            let kind = this.innermost.kind;\n            if (token.type == 'TOKEN_COMMA' && next && next.type != 'TOKEN_COMMENT' &&\n                !closerTypes.has(next.type) &&\n                (kind == 'paren' || kind == 'bracket' || kind == 'map')) {\n                lineBreak = { index: i + 1, text: text, state: this.save() };\n            }\n        }\n\n        this.lines.push(text);\n        return tokens.length;\n    }\n\n    // Returns the indentation level for a line inside the first [count] open\n    // brackets. Brackets opened on the same line only indent once, so\n    // `foo(Fn.new {` doesn't indent the block twice.\n    indentLevel(count) {\n        let level = 0;\n        for (let i = 1; i < count; i++) {\n            if (this.brackets[i].line != this.brackets[i - 1].line) level++;\n        }\n        return level;\n    }\n\n    // Returns the state that formatting a token changes, so a line can go back\n    // to where it's broken.\n    save() {\n        return {\n            brackets: this.brackets.map((bracket) => Object.assign({}, bracket)),\n            last: this.last,\n            continues: this.continues,\n            isPrefix: this.isPrefix,\n            isParameterStart: this.isParameterStart,\n            inClassHeader: this.inClassHeader,\n            inSignature: this.inSignature\n        };\n    }\n\n    // Returns the space to put between [previous] and [token].\n    space(token) {\n        let type = token.type;\n        let previous = this.previous.type;\n        let innermost = this.innermost;\n\n        if (type == 'TOKEN_COMMENT' || previous == 'TOKEN_COMMENT') return ' ';\n\n        if (type == 'TOKEN_COMMA') return '';\n        if (previous == 'TOKEN_COMMA') return closerTypes.has(type) ? '' : ' ';\n\n        if (type == 'TOKEN_RIGHT_PAREN' || type == 'TOKEN_RIGHT_BRACKET') return '';\n        if (previous == 'TOKEN_LEFT_PAREN' || previous == 'TOKEN_LEFT_BRACKET') return '';\n\n        if (tightTypes.has(type) || tightTypes.has(previous)) return '';\n        if (previous == 'TOKEN_HASH') return '';\n\n        // A block or class body gets spaces inside its braces, but not around\n        // its parameters: `{|a, b| a + b }`. A map is written `{\"a\": 1}`.\n        if (previous == 'TOKEN_LEFT_BRACE') {\n            if (type == 'TOKEN_RIGHT_BRACE' || innermost.kind == 'map') return '';\n            return type == 'TOKEN_PIPE' ? '' : ' ';\n        }\n        if (type == 'TOKEN_RIGHT_BRACE') return innermost.kind == 'map' ? '' : ' ';\n        if (type == 'TOKEN_PIPE' && innermost.parameters) return '';\n        if (this.isParameterStart) return '';\n\n        // A `:` is spaced like an operator in `a ? b : c`, and like a comma in a\n        // map.\n        if (type == 'TOKEN_COLON') return innermost.ternaries > 0 ? ' ' : '';\n        if (previous == 'TOKEN_COLON') return ' ';\n\n        if (this.inSignature) {\n            if (type == 'TOKEN_LEFT_BRACE' || this.keywordTypes.has(previous)) return ' ';\n            if (binaryTypes.has(type) || maybePrefixTypes.has(type) ||\n                type == 'TOKEN_LEFT_PAREN' || type == 'TOKEN_LEFT_BRACKET') {\n                return '';\n            }\n            if (binaryTypes.has(previous) || maybePrefixTypes.has(previous)) return '';\n            return ' ';\n        }\n\n        if (this.isPrefix) return '';\n        if (type == 'TOKEN_LEFT_PAREN') return callableTypes.has(previous) ? '' : ' ';\n        if (type == 'TOKEN_LEFT_BRACKET') return subscriptableTypes.has(previous) ? '' : ' ';\n        return ' ';\n    }\n\n    // Updates the state for having formatted [token].\n    advance(token) {\n        let type = token.type;\n        let innermost = this.innermost;\n        let last = this.last;\n        let isParameterEnd = false;\n\n        this.previous = token;\n        this.isPrefix = false;\n        this.isParameterStart = false;\n        if (type == 'TOKEN_COMMENT' || type == 'TOKEN_SHEBANG') return;\n\n        switch (type) {\n        case 'TOKEN_LEFT_PAREN':\n        case 'TOKEN_LEFT_BRACKET':\n            this.open(type == 'TOKEN_LEFT_PAREN' ? 'paren' : 'bracket');\n            break;\n\n        case 'TOKEN_LEFT_BRACE': {\n            let kind = 'map';\n            if (this.inClassHeader) {\n                kind = 'class';\n            } else if (this.inSignature || last == null ||\n                blockOpenerTypes.has(last.type) ||\n                this.atLineStart && !continuationTypes.has(last.type) &&\n                !openerTypes.has(last.type)) {\n                // A \"{\" that starts a statement is a block too.\n                kind = 'block';\n            }\n            this.inClassHeader = false;\n            this.inSignature = false;\n            this.open(kind);\n            break;\n        }\n\n        case 'TOKEN_RIGHT_PAREN':\n        case 'TOKEN_RIGHT_BRACKET':\n        case 'TOKEN_RIGHT_BRACE':\n            if (this.brackets.length > 1) this.brackets.pop();\n            if (innermost.kind == 'class') this.inSignature = false;\n            break;\n\n        case 'TOKEN_CLASS':\n            this.inClassHeader = true;\n            break;\n\n        case 'TOKEN_QUESTION':\n            innermost.ternaries++;\n            break;\n\n        case 'TOKEN_COLON':\n            if (innermost.ternaries > 0) innermost.ternaries--;\n            break;\n\n        case 'TOKEN_PIPE':\n            if (last && last.type == 'TOKEN_LEFT_BRACE' && innermost.kind == 'block') {\n                innermost.parameters = true;\n                this.isParameterStart = true;\n            } else if (innermost.parameters) {\n                innermost.parameters = false;\n                isParameterEnd = true;\n            }\n            break;\n        }\n\n        if (prefixTypes.has(type) ||\n            maybePrefixTypes.has(type) && !(last && operandEndTypes.has(last.type))) {\n            this.isPrefix = !this.inSignature;\n        }\n\n        this.last = token;\n        this.continues = !this.inSignature && !isParameterEnd &&\n            (continuationTypes.has(type) || this.isPrefix);\n    }\n\n    // Opens a bracket of [kind] on the current line.\n    open(kind) {\n        this.brackets.push({\n            kind: kind,\n            line: this.lineCount,\n            ternaries: 0,\n            parameters: false\n        });\n    }\n}\n\n// Returns [source], a string of Wren, formatted. [options] may contain:\n//\n// * `indentWidth`: How many spaces to indent each level by. Defaults to\n//   [DEFAULT_INDENT_WIDTH].\n// * `lineLength`: How long a line can be before it's broken after a comma.\n//   Lines without a comma to break at are left long. Defaults to\n//   [DEFAULT_LINE_LENGTH].\n//\n// Along with any of [Parser]'s options, like `languageVersion`. Source with a\n// lexical error can't be formatted safely, so the first one throws a\n// [LexError].\nfunction format(source, options = {}) {\n    return new Formatter(source, options).output;\n}\n\n\n//# sourceURL=webpack://Wrent/./src/formatter.js?");
+
+/***/ }),
+
+/***/ "./src/highlight.js":
+/*!**************************!*\
+  !*** ./src/highlight.js ***!
+  \**************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"tokenClass\": () => /* binding */ tokenClass,\n/* harmony export */   \"ansiTheme\": () => /* binding */ ansiTheme,\n/* harmony export */   \"highlight\": () => /* binding */ highlight\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n\n\n// Syntax highlighting for Wren source, as HTML or as text with ANSI color\n// codes. It works from the lexer's own tokens in trivia mode, so it agrees with\n// the lexer about what everything is and puts back the source text exactly.\n\n// The token types that are operators, as opposed to punctuation.\nconst operatorTypes = new Set([\n    'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH',\n    'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT',\n    'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP',\n    'TOKEN_BANG', 'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT',\n    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ'\n]);\n\nconst punctuationTypes = new Set([\n    'TOKEN_LEFT_PAREN', 'TOKEN_RIGHT_PAREN', 'TOKEN_LEFT_BRACKET',\n    'TOKEN_RIGHT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_RIGHT_BRACE',\n    'TOKEN_COLON', 'TOKEN_DOT', 'TOKEN_COMMA', 'TOKEN_HASH'\n]);\n\n// Returns the highlighting class of a token of [type], without a prefix, or\n// `null` if it isn't highlighted.\nfunction tokenClass(type) {\n    if ((0,_main_js__WEBPACK_IMPORTED_MODULE_0__.isKeywordType)(type)) return 'keyword';\n    if (operatorTypes.has(type)) return 'operator';\n    if (punctuationTypes.has(type)) return 'punctuation';\n\n    switch (type) {\n    case 'TOKEN_FIELD': return 'field';\n    case 'TOKEN_STATIC_FIELD': return 'static-field';\n    case 'TOKEN_NUMBER': return 'number';\n    case 'TOKEN_STRING':\n    case 'TOKEN_INTERPOLATION': return 'string';\n    case 'TOKEN_COMMENT':\n    case 'TOKEN_SHEBANG': return 'comment';\n    case 'TOKEN_ERROR': return 'error';\n    }\n\n    return null;\n}\n\n// The ANSI SGR parameters for each class, for the 'ansi' format.\nconst ansiTheme = Object.freeze({\n    'keyword': '35',\n    'operator': '36',\n    'punctuation': null,\n    'field': '34',\n    'static-field': '94',\n    'number': '33',\n    'string': '32',\n    'delimiter': '36',\n    'comment': '90',\n    'error': '4;31'\n});\n\n// Returns the index in [text], the text of a TOKEN_INTERPOLATION without the\n// \")\" it may start with, of the \"%\" that begins its interpolated expression.\n// What follows is usually \"(\", but it's whatever came after the \"%\" when the\n// \"(\" is missing.\nfunction delimiterIndex(text) {\n    for (let i = 0; i < text.length; i++) {\n        if (text[i] == '\\\\') {\n            i++;\n        } else if (text[i] == '%') {\n            return i;\n        }\n    }\n    return text.length;\n}\n\nfunction escapeHtml(text) {\n    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')\n        .replace(/\"/g, '&quot;');\n}\n\n// Writes highlighted text as HTML, where each class is a `<span>` with the\n// class name, and interpolations nest inside their string.\nclass HtmlWriter {\n    constructor(prefix) {\n        this.prefix = prefix;\n        this.output = '';\n    }\n\n    text(text) {\n        this.output += escapeHtml(text);\n    }\n\n    open(name) {\n        this.output += '<span class=\"' + this.prefix + name + '\">';\n    }\n\n    close() {\n        this.output += '</span>';\n    }\n\n    span(name, text) {\n        if (text == '') return;\n        if (name == null) return this.text(text);\n\n        this.open(name);\n        this.text(text);\n        this.close();\n    }\n\n    // Writes part of the text of the string span that's open.\n    stringPart(text) {\n        this.text(text);\n    }\n}\n\n// Writes highlighted text with ANSI escape codes. Nesting doesn't work in a\n// terminal, so each piece is colored on its own, and the color is reset at the\n// end of each line so pagers that work line by line show it right.\nclass AnsiWriter {\n    constructor(theme) {\n        this.theme = theme;\n        this.output = '';\n    }\n\n    text(text) {\n        this.output += text;\n    }\n\n    open() {}\n    close() {}\n\n    stringPart(text) {\n        this.span('string', text);\n    }\n\n    span(name, text) {\n        let code = name == null ? null : this.theme[name];\n        if (code == null) return this.text(text);\n\n        this.output += text.split('\\n').map((line) => line == ''\n            ? line\n            : '\\x1b[' + code + 'm' + line + '\\x1b[0m').join('\\n');\n    }\n}\n\n// Highlights [source].\n//\n// [options] are passed on to [Parser], along with:\n//\n// * `format`: 'html' (the default) or 'ansi'.\n// * `classPrefix`: What goes before each class name in HTML. Defaults to\n//   'wren-', which is what highlight.css styles.\n// * `theme`: SGR parameters to use instead of the ones in [ansiTheme], keyed by\n//   class.\n//\n// HTML output wraps each token in `<span class=\"wren-keyword\">` and so on (see\n// [tokenClass()]). A string with interpolation is one `wren-string` span, with\n// each interpolated expression inside it in a `wren-interpolation` span whose\n// `%(` and `)` are `wren-delimiter`s.\nfunction highlight(source, options = {}) {\n    let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, Object.assign({}, options, {\n        trivia: true,\n        lazy: false,\n        compact: false,\n        throwOnError: false\n    }));\n\n    let writer = options.format == 'ansi'\n        ? new AnsiWriter(Object.assign({}, ansiTheme, options.theme))\n        : new HtmlWriter(options.classPrefix == null ? 'wren-' : options.classPrefix);\n\n    // How many interpolations are open.\n    let depth = 0;\n\n    // The lexer's own keywords, which may include extra ones.\n    let keywordTypes = new Set(lexer.keywords.values());\n\n    for (let token of lexer.tokens) {\n        let text = token.text;\n        if (keywordTypes.has(token.type)) {\n            writer.span('keyword', text);\n            continue;\n        }\n\n        if (token.type != 'TOKEN_STRING' && token.type != 'TOKEN_INTERPOLATION') {\n            writer.span(tokenClass(token.type), text);\n            continue;\n        }\n\n        // The part of a string after an interpolated expression starts with the\n        // \")\" that ends it.\n        if (depth > 0 && text[0] == ')') {\n            writer.span('delimiter', ')');\n            writer.close();\n            text = text.slice(1);\n            depth--;\n        } else {\n            writer.open('string');\n        }\n\n        if (token.type == 'TOKEN_INTERPOLATION') {\n            let delimiter = delimiterIndex(text);\n            writer.stringPart(text.slice(0, delimiter));\n            writer.open('interpolation');\n            writer.span('delimiter', text.slice(delimiter));\n            depth++;\n        } else {\n            writer.stringPart(text);\n            writer.close();\n        }\n    }\n\n    // Close whatever an unterminated string left open.\n    for (; depth > 0; depth--) {\n        writer.close();\n        writer.close();\n    }\n\n    return writer.output;\n}\n\n\n//# sourceURL=webpack://Wrent/./src/highlight.js?");
+
+/***/ }),
+
+/***/ "./src/imports.js":
+/*!************************!*\
+  !*** ./src/imports.js ***!
+  \************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"findImports\": () => /* binding */ findImports\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n/* harmony import */ var _ast_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./ast.js */ \"./src/ast.js\");\n\n\n\n// Finds the `import` statements in Wren source straight from its tokens, without\n// parsing the rest of it, so a module's dependencies can be read even when some\n// other part of it doesn't compile.\n\n// Returns the span from the start of the token [first] to the end of [last], in\n// the same form as a syntax tree node's.\nfunction spanOf(first, last) {\n    return {\n        start: first.start,\n        end: last.end,\n        line: first.line,\n        column: first.column,\n        endLine: last.endLine,\n        endColumn: last.endColumn\n    };\n}\n\n// Returns the imports in [source], a string of Wren. [options] are passed on to\n// [Parser], except for `skipNewlines`, `lazy` and `compact`.\n//\n// Returns an object with an [imports] array, in source order, and every lexical\n// error and malformed import in [diagnostics]. Each import is:\n//\n//     { module, variables: [{ name, alias, span }]?, span }\n//\n// Where [module] is the module's name, the value of its string, and\n// [variables] is `null` when there's no `for` clause. An [alias] is `null`\n// unless the variable is imported `as` another name. The spans are the same as\n// a syntax tree's.\nfunction findImports(source, options = {}) {\n    let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, Object.assign({}, options, {\n        trivia: false,\n        lazy: false,\n        compact: false,\n        skipNewlines: true,\n        throwOnError: false\n    }));\n\n    let tokens = lexer.tokens;\n    let imports = [];\n    let diagnostics = lexer.diagnostics.slice();\n    let i = 0;\n\n    // Skips newlines, which Wren ignores in the places it's called.\n    let ignoreNewlines = () => {\n        while (tokens[i].type == 'TOKEN_LINE') i++;\n    };\n\n    // Consumes the current token if it's a [type]. Otherwise, reports [message]\n    // and returns `null`.\n    let consume = (type, message) => {\n        let token = tokens[i];\n        if (token.type == type) {\n            i++;\n            return token;\n        }\n\n        let found = token.type == 'TOKEN_EOF' ? 'end of file'\n            : token.type == 'TOKEN_LINE' ? 'newline'\n                : '\\'' + token.text + '\\'';\n        diagnostics.push({\n            code: _ast_js__WEBPACK_IMPORTED_MODULE_1__.ParseErrorCode.SYNTAX,\n            message: message + ' Found ' + found + '.',\n            severity: 'error',\n            line: token.line,\n            column: token.column,\n            endLine: token.endLine,\n            endColumn: token.endColumn,\n            start: token.start,\n            end: token.end\n        });\n        return null;\n    };\n\n    // Reads the import whose `import` keyword is at [i], the same way the\n    // compiler does. Returns `null` if it's malformed.\n    let importStatement = () => {\n        let first = tokens[i++];\n        ignoreNewlines();\n        let moduleToken = consume('TOKEN_STRING', 'Expect a string after \\'import\\'.');\n        if (!moduleToken) return null;\n\n        let node = { module: moduleToken.value, variables: null, span: null };\n        let last = moduleToken;\n\n        if (tokens[i].type == 'TOKEN_FOR') {\n            node.variables = [];\n            i++;\n            for (;;) {\n                ignoreNewlines();\n                let nameToken = consume('TOKEN_NAME', 'Expect variable name.');\n                if (!nameToken) return null;\n\n                let variable = { name: nameToken.text, alias: null, span: null };\n                last = nameToken;\n\n                // Older lexers don't know about `as`, so accept it as a name too.\n                let token = tokens[i];\n                if (token.type == 'TOKEN_AS' ||\n                    (token.type == 'TOKEN_NAME' && token.text == 'as')) {\n                    i++;\n                    let aliasToken = consume('TOKEN_NAME',\n                        'Expect variable name after \\'as\\'.');\n                    if (!aliasToken) return null;\n                    variable.alias = aliasToken.text;\n                    last = aliasToken;\n                }\n\n                variable.span = spanOf(nameToken, last);\n                node.variables.push(variable);\n\n                if (tokens[i].type != 'TOKEN_COMMA') break;\n                i++;\n            }\n        }\n\n        node.span = spanOf(first, last);\n        return node;\n    };\n\n    while (i < tokens.length) {\n        if (tokens[i].type != 'TOKEN_IMPORT') {\n            i++;\n            continue;\n        }\n\n        let node = importStatement();\n        if (node) imports.push(node);\n    }\n\n    diagnostics.sort((a, b) => a.start - b.start);\n    return { imports: imports, diagnostics: diagnostics };\n}\n\n\n//# sourceURL=webpack://Wrent/./src/imports.js?");
+
+/***/ }),
+
+/***/ "./src/lines.js":
+/*!**********************!*\
+  !*** ./src/lines.js ***!
+  \**********************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"countCodePoints\": () => /* binding */ countCodePoints,\n/* harmony export */   \"countUnits\": () => /* binding */ countUnits,\n/* harmony export */   \"LineIndex\": () => /* binding */ LineIndex\n/* harmony export */ });\n// Maps offsets in a piece of source code to 1-based line and column numbers,\n// and back.\n//\n// Columns can be counted in UTF-16 code units (what JavaScript string indexes\n// and most editors use), in Unicode code points, where a character outside\n// the Basic Multilingual Plane counts once instead of twice, or in UTF-8 bytes,\n// which is what the C implementation of Wren counts.\n//\n// The source is either ordinary text or, for byte offsets, a \"byte string\" that\n// holds UTF-8 bytes, one per character, the way [Parser] keeps bytes it lexes.\n\n// Returns true if the UTF-16 code unit [code] is the first half of a surrogate\n// pair.\nfunction isHighSurrogate(code) {\n    return code >= 0xd800 && code <= 0xdbff;\n}\n\n// Returns true if the UTF-16 code unit [code] is the second half of a surrogate\n// pair.\nfunction isLowSurrogate(code) {\n    return code >= 0xdc00 && code <= 0xdfff;\n}\n\n// Returns the number of code points in [source] between the [start] and [end]\n// offsets.\nfunction countCodePoints(source, start, end) {\n    let count = 0;\n    for (let i = start; i < end; i++) {\n        // Only count the first half of a surrogate pair.\n        if (isLowSurrogate(source.charCodeAt(i)) && i > start &&\n            isHighSurrogate(source.charCodeAt(i - 1))) {\n            continue;\n        }\n        count++;\n    }\n    return count;\n}\n\n// Returns true if [code] is a UTF-8 continuation byte.\nfunction isContinuationByte(code) {\n    return code >= 0x80 && code <= 0xbf;\n}\n\n// Returns the number of [unit]s, 'utf16', 'codepoint' or 'byte', in [source]\n// between the [start] and [end] offsets. If [isBytes], [source] is a byte\n// string.\nfunction countUnits(source, start, end, unit, isBytes = false) {\n    if (unit == (isBytes ? 'byte' : 'utf16')) return end - start;\n    if (!isBytes && unit == 'codepoint') return countCodePoints(source, start, end);\n\n    let count = 0;\n    for (let i = start; i < end; i++) {\n        let code = source.charCodeAt(i);\n        if (isBytes) {\n            // Count each code point by its lead byte, and the ones that need a\n            // surrogate pair twice in UTF-16.\n            if (isContinuationByte(code)) continue;\n            count += unit == 'utf16' && code >= 0xf0 ? 2 : 1;\n        } else if (code < 0x80) {\n            count += 1;\n        } else if (code < 0x800) {\n            count += 2;\n        } else if (isHighSurrogate(code) && i + 1 < end &&\n            isLowSurrogate(source.charCodeAt(i + 1))) {\n            count += 4;\n            i++;\n        } else {\n            // Everything else, including a lone surrogate, which encodes as\n            // U+FFFD, takes three bytes.\n            count += 3;\n        }\n    }\n    return count;\n}\n\n// Returns the offset just past the character at [offset] in [source].\nfunction nextCharacter(source, offset, isBytes) {\n    if (isBytes) {\n        offset++;\n        while (offset < source.length && isContinuationByte(source.charCodeAt(offset))) {\n            offset++;\n        }\n        return offset;\n    }\n\n    let isPair = isHighSurrogate(source.charCodeAt(offset)) &&\n        isLowSurrogate(source.charCodeAt(offset + 1));\n    return offset + (isPair ? 2 : 1);\n}\n\nclass LineIndex {\n    // Indexes the lines of [source]. [unit] is the default column unit, either\n    // 'utf16', 'codepoint' or 'byte'. If [isBytes], [source] is a byte string\n    // and offsets into it are byte offsets.\n    constructor(source, unit = 'utf16', isBytes = false) {\n        this.source = source;\n        this.unit = unit;\n        this.isBytes = isBytes;\n\n        // The offset where each line starts. Line 1 always starts at 0.\n        this.lineStarts = [0];\n        for (let i = 0; i < source.length; i++) {\n            if (source[i] == '\\n') this.lineStarts.push(i + 1);\n        }\n    }\n\n    // The number of lines in the source.\n    get lineCount() {\n        return this.lineStarts.length;\n    }\n\n    // Returns the 1-based line that [offset] is on.\n    lineAt(offset) {\n        // Binary search for the last line that starts at or before [offset].\n        let low = 0;\n        let high = this.lineStarts.length - 1;\n        while (low < high) {\n            let middle = (low + high + 1) >> 1;\n            if (this.lineStarts[middle] <= offset) {\n                low = middle;\n            } else {\n                high = middle - 1;\n            }\n        }\n        return low + 1;\n    }\n\n    // Returns the 1-based `{line, column}` of [offset], counting the column in\n    // [unit].\n    locate(offset, unit = this.unit) {\n        offset = Math.max(0, Math.min(offset, this.source.length));\n        let line = this.lineAt(offset);\n        let lineStart = this.lineStarts[line - 1];\n\n        let column = countUnits(this.source, lineStart, offset, unit, this.isBytes) + 1;\n        return { line: line, column: column };\n    }\n\n    // Returns the offset of the 1-based [line] and [column], counting the column\n    // in [unit]. Positions past the end of a line are clamped to its end.\n    offsetAt(line, column, unit = this.unit) {\n        if (line < 1) return 0;\n        if (line > this.lineStarts.length) return this.source.length;\n\n        let lineStart = this.lineStarts[line - 1];\n        let lineEnd = line < this.lineStarts.length\n            ? this.lineStarts[line] - 1\n            : this.source.length;\n\n        // Columns in the source's own unit map straight onto offsets.\n        if (unit == (this.isBytes ? 'byte' : 'utf16')) {\n            return Math.min(lineStart + Math.max(column, 1) - 1, lineEnd);\n        }\n\n        let offset = lineStart;\n        let count = 1;\n        while (count < column && offset < lineEnd) {\n            let next = nextCharacter(this.source, offset, this.isBytes);\n            count += countUnits(this.source, offset, next, unit, this.isBytes);\n            offset = next;\n        }\n        return offset;\n    }\n}\n\n\n//# sourceURL=webpack://Wrent/./src/lines.js?");
+
+/***/ }),
+
+/***/ "./src/linter.js":
+/*!***********************!*\
+  !*** ./src/linter.js ***!
+  \***********************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"builtinRules\": () => /* reexport safe */ _rules_js__WEBPACK_IMPORTED_MODULE_1__.builtinRules,\n/* harmony export */   \"severities\": () => /* binding */ severities,\n/* harmony export */   \"applyFixes\": () => /* binding */ applyFixes,\n/* harmony export */   \"Linter\": () => /* binding */ Linter\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n/* harmony import */ var _rules_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./rules.js */ \"./src/rules.js\");\n\n\n\n\n\n// Checks Wren source for problems of style and likely mistakes by running\n// rules over its tokens. Each rule can be turned off, made an error or given\n// options, and some of them can fix what they find.\n\n// The severities a rule can be set to, from a config.\nconst severities = Object.freeze(['off', 'warning', 'error']);\n\n// The prefix of the comments that turn rules off and on again.\nconst directivePattern =\n    /^(?:\\/\\/|\\/\\*)\\s*wren-lint-(disable-next-line|disable-line|disable|enable)(?=\\s|\\*\\/|$)([\\s\\S]*)/;\n\n// Returns the names of the rules in the rest of a directive comment, [text],\n// or `null` for all of them. A description after \"--\" is ignored.\nfunction directiveRules(text) {\n    text = text.replace(/\\*\\/$/, '').split(/\\s--\\s/)[0];\n    let names = text.split(/[\\s,]+/).filter((name) => name != '');\n    return names.length > 0 ? names : null;\n}\n\n// Returns the fixes of [diagnostics] applied to [source], a string. Fixes\n// that overlap one that comes earlier in the source are left out. Returns an\n// object with the fixed [output] and the number of fixes [applied].\nfunction applyFixes(source, diagnostics) {\n    let fixes = diagnostics\n        .filter((diagnostic) => diagnostic.fix)\n        .map((diagnostic) => diagnostic.fix)\n        .sort((a, b) => a.start - b.start || a.end - b.end);\n\n    let output = '';\n    let offset = 0;\n    let applied = 0;\n    for (let fix of fixes) {\n        if (fix.start < offset) continue;\n        output += source.slice(offset, fix.start) + fix.text;\n        offset = fix.end;\n        applied++;\n    }\n\n    return { output: output + source.slice(offset), applied: applied };\n}\n\n// Runs lint rules over Wren source.\n//\n// A rule is an object with:\n//\n// * `description`: What it disallows, in a sentence.\n// * `severity`: How bad what it finds is when the config doesn't say,\n//   'warning' or 'error'.\n// * `options`: The options it takes, with their defaults. A config can only\n//   give the options that are here, with values of the same type. A rule\n//   without options can leave it out.\n// * `check(context)`: Reports what's wrong with a module. The [context] has\n//   the module's [source], its [tokens] (with comments and whitespace, and\n//   without the newlines that don't end a statement, as whitespace), a\n//   [LineIndex] of its [lines], the rule's [options] and a `report(problem)`\n//   function. A problem is `{ message, start, end, fix? }` where [start] and\n//   [end] are offsets into [source] and the optional [fix] is an edit,\n//   `{ start, end, text }`, that replaces that part of [source] with [text].\n//\n// Comments in the source can turn rules off. Each takes the names of the rules\n// it applies to, separated by commas or spaces, or applies to all of them if\n// there are none:\n//\n//     // wren-lint-disable-next-line no-shadow\n//     var x = 1 // wren-lint-disable-line\n//     /* wren-lint-disable max-line-length */\n//     /* wren-lint-enable max-line-length */\n//\n// A disable lasts until an enable for its rules, or one without any, or the\n// end of the file. Enabling some of the rules a disable turned off leaves the\n// rest off.\nclass Linter {\n    // Creates a linter with [config], an object that may contain:\n    //\n    // * `rules`: The rules to change from their defaults, by name. Each is\n    //   either a severity from [severities] or an array of a severity and an\n    //   object of options for the rule.\n    // * `languageVersion`: The version of Wren to lex. See [Parser].\n    //\n    // [plugins] are more rules, by name, on top of [builtinRules]. They're\n    // configured the same way. Throws a RangeError if the config names a rule,\n    // severity or option that doesn't exist, or a TypeError if a value has the\n    // wrong type.\n    constructor(config = {}, plugins = {}) {\n        this.rules = Object.assign({}, _rules_js__WEBPACK_IMPORTED_MODULE_1__.builtinRules, plugins);\n        this.languageVersion = config.languageVersion;\n\n        // The severity and options of every rule that's on, by name.\n        this.settings = new Map();\n        for (let name in this.rules) {\n            let rule = this.rules[name];\n            this.settings.set(name, {\n                severity: rule.severity,\n                options: Object.assign({}, rule.options || {})\n            });\n        }\n\n        let rules = config.rules || {};\n        for (let name in rules) this.configure(name, rules[name]);\n        for (let [name, setting] of this.settings) {\n            if (setting.severity == 'off') this.settings.delete(name);\n        }\n    }\n\n    // Applies the config's [setting] for the rule [name].\n    configure(name, setting) {\n        let rule = this.rules[name];\n        if (rule == null) throw new RangeError('Unknown lint rule \\'' + name + '\\'.');\n\n        let [severity, options] = Array.isArray(setting) ? setting : [setting, {}];\n        if (!severities.includes(severity)) {\n            throw new RangeError('Unknown severity \\'' + severity + '\\' for lint rule \\'' +\n                name + '\\'. Expected ' + severities.join(', ') + '.');\n        }\n\n        let defaults = rule.options || {};\n        let merged = Object.assign({}, defaults);\n        for (let key in options || {}) {\n            if (!(key in defaults)) {\n                throw new RangeError('Unknown option \\'' + key + '\\' for lint rule \\'' +\n                    name + '\\'.');\n            }\n            if (typeof options[key] != typeof defaults[key]) {\n                throw new TypeError('Option \\'' + key + '\\' for lint rule \\'' + name +\n                    '\\' should be a ' + typeof defaults[key] + '.');\n            }\n            merged[key] = options[key];\n        }\n\n        this.settings.set(name, { severity: severity, options: merged });\n    }\n\n    // Returns every problem the rules that are on find in [source], a string of\n    // Wren, and its lexical errors, in source order. Each is a diagnostic with\n    // the rule's name as its [code], its severity and, if the rule can fix it,\n    // a [fix].\n    lint(source) {\n        source = String(source);\n        let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, {\n            trivia: true,\n            skipNewlines: true,\n            languageVersion: this.languageVersion\n        });\n        let lines = new _main_js__WEBPACK_IMPORTED_MODULE_0__.LineIndex(source);\n        let disabled = this.disabledRanges(lexer.tokens, lines);\n\n        let diagnostics = lexer.diagnostics.slice();\n        for (let [name, setting] of this.settings) {\n            let report = (problem) => {\n                let isDisabled = disabled.some((range) =>\n                    (range.rules == null ? !range.except.includes(name)\n                        : range.rules.includes(name)) &&\n                    range.start <= problem.start && problem.start < range.end);\n                if (isDisabled) return;\n\n                let start = lines.locate(problem.start);\n                let end = lines.locate(problem.end);\n                diagnostics.push({\n                    code: name,\n                    message: problem.message,\n                    severity: setting.severity,\n                    line: start.line,\n                    column: start.column,\n                    endLine: end.line,\n                    endColumn: end.column,\n                    start: problem.start,\n                    end: problem.end,\n                    fix: problem.fix || null\n                });\n            };\n\n            this.rules[name].check({\n                source: source,\n                tokens: lexer.tokens,\n                lines: lines,\n                options: setting.options,\n                report: report\n            });\n        }\n\n        return diagnostics.sort((a, b) => a.start - b.start || a.end - b.end);\n    }\n\n    // Returns the offset ranges of [source] that directive comments in [tokens]\n    // turn rules off in, as `{ rules, except, start, end }`, where [rules] is\n    // `null` for all of them but the ones in [except].\n    disabledRanges(tokens, lines) {\n        let ranges = [];\n\n        // The disables that haven't been enabled again.\n        let open = [];\n\n        // Returns the range of the 1-based [line].\n        let lineRange = (rules, line) => ({\n            rules: rules,\n            except: [],\n            start: lines.offsetAt(line, 1),\n            end: line < lines.lineCount ? lines.lineStarts[line] : Infinity\n        });\n\n        for (let token of tokens) {\n            if (token.type != 'TOKEN_COMMENT') continue;\n            let match = directivePattern.exec(token.text);\n            if (match == null) continue;\n\n            let rules = directiveRules(match[2]);\n            switch (match[1]) {\n            case 'disable-next-line':\n                ranges.push(lineRange(rules, token.endLine + 1));\n                break;\n            case 'disable-line':\n                ranges.push(lineRange(rules, token.line));\n                break;\n            case 'disable':\n                open.push({ rules: rules, except: [], start: token.end, end: Infinity });\n                break;\n            case 'enable': {\n                // End each disable that the enable touches, and start another\n                // one for the rules it leaves off.\n                let stillOpen = [];\n                for (let range of open) {\n                    if (rules != null && range.rules != null &&\n                        !range.rules.some((name) => rules.includes(name))) {\n                        stillOpen.push(range);\n                        continue;\n                    }\n\n                    ranges.push(Object.assign(range, { end: token.start }));\n                    if (rules == null) continue;\n\n                    let rest = {\n                        rules: range.rules && range.rules.filter((name) => !rules.includes(name)),\n                        except: range.rules ? [] : range.except.concat(rules),\n                        start: token.end,\n                        end: Infinity\n                    };\n                    if (rest.rules == null || rest.rules.length > 0) stillOpen.push(rest);\n                }\n                open = stillOpen;\n                break;\n            }\n            }\n        }\n\n        return ranges.concat(open);\n    }\n\n    // Applies the fixes for what the rules find in [source] until there are\n    // none left, up to [maxPasses] times, since a fix can make room for\n    // another. Returns an object with the fixed [output], the number of\n    // fixes [applied] and the [diagnostics] that are left.\n    fix(source, maxPasses = 10) {\n        let output = String(source);\n        let applied = 0;\n        let diagnostics = this.lint(output);\n\n        for (let pass = 0; pass < maxPasses; pass++) {\n            let result = applyFixes(output, diagnostics);\n            if (result.applied == 0) break;\n\n            output = result.output;\n            applied += result.applied;\n            diagnostics = this.lint(output);\n        }\n\n        return { output: output, applied: applied, diagnostics: diagnostics };\n    }\n}\n\n\n//# sourceURL=webpack://Wrent/./src/linter.js?");
+
+/***/ }),
+
 /***/ "./src/main.js":
 /*!*********************!*\
   !*** ./src/main.js ***!
   \*********************/
-/***/ ((__unused_webpack_module, __webpack_exports__, __webpack_require__) => {
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"MAX_INTERPOLATION_NESTING\": () => /* binding */ MAX_INTERPOLATION_NESTING,\n/* harmony export */   \"languageVersions\": () => /* binding */ languageVersions,\n/* harmony export */   \"DEFAULT_LANGUAGE_VERSION\": () => /* binding */ DEFAULT_LANGUAGE_VERSION,\n/* harmony export */   \"isKeywordType\": () => /* binding */ isKeywordType,\n/* harmony export */   \"LineIndex\": () => /* reexport safe */ _lines_js__WEBPACK_IMPORTED_MODULE_0__.LineIndex,\n/* harmony export */   \"TokenBuffer\": () => /* reexport safe */ _buffer_js__WEBPACK_IMPORTED_MODULE_1__.TokenBuffer,\n/* harmony export */   \"tokenTypes\": () => /* reexport safe */ _buffer_js__WEBPACK_IMPORTED_MODULE_1__.tokenTypes,\n/* harmony export */   \"SourceDocument\": () => /* reexport safe */ _document_js__WEBPACK_IMPORTED_MODULE_2__.SourceDocument,\n/* harmony export */   \"parse\": () => /* reexport safe */ _ast_js__WEBPACK_IMPORTED_MODULE_3__.parse,\n/* harmony export */   \"parseTokens\": () => /* reexport safe */ _ast_js__WEBPACK_IMPORTED_MODULE_3__.parseTokens,\n/* harmony export */   \"ParseErrorCode\": () => /* reexport safe */ _ast_js__WEBPACK_IMPORTED_MODULE_3__.ParseErrorCode,\n/* harmony export */   \"transpile\": () => /* reexport safe */ _transpiler_js__WEBPACK_IMPORTED_MODULE_4__.transpile,\n/* harmony export */   \"run\": () => /* reexport safe */ _transpiler_js__WEBPACK_IMPORTED_MODULE_4__.run,\n/* harmony export */   \"TranspileErrorCode\": () => /* reexport safe */ _transpiler_js__WEBPACK_IMPORTED_MODULE_4__.TranspileErrorCode,\n/* harmony export */   \"WrenRuntimeError\": () => /* reexport safe */ _runtime_js__WEBPACK_IMPORTED_MODULE_5__.WrenRuntimeError,\n/* harmony export */   \"highlight\": () => /* reexport safe */ _highlight_js__WEBPACK_IMPORTED_MODULE_6__.highlight,\n/* harmony export */   \"tokenClass\": () => /* reexport safe */ _highlight_js__WEBPACK_IMPORTED_MODULE_6__.tokenClass,\n/* harmony export */   \"ansiTheme\": () => /* reexport safe */ _highlight_js__WEBPACK_IMPORTED_MODULE_6__.ansiTheme,\n/* harmony export */   \"format\": () => /* reexport safe */ _formatter_js__WEBPACK_IMPORTED_MODULE_7__.format,\n/* harmony export */   \"findImports\": () => /* reexport safe */ _imports_js__WEBPACK_IMPORTED_MODULE_8__.findImports,\n/* harmony export */   \"outline\": () => /* reexport safe */ _outline_js__WEBPACK_IMPORTED_MODULE_9__.outline,\n/* harmony export */   \"ctags\": () => /* reexport safe */ _outline_js__WEBPACK_IMPORTED_MODULE_9__.ctags,\n/* harmony export */   \"Linter\": () => /* reexport safe */ _linter_js__WEBPACK_IMPORTED_MODULE_10__.Linter,\n/* harmony export */   \"applyFixes\": () => /* reexport safe */ _linter_js__WEBPACK_IMPORTED_MODULE_10__.applyFixes,\n/* harmony export */   \"builtinRules\": () => /* reexport safe */ _linter_js__WEBPACK_IMPORTED_MODULE_10__.builtinRules,\n/* harmony export */   \"extractWren\": () => /* reexport safe */ _embedded_js__WEBPACK_IMPORTED_MODULE_11__.extractWren,\n/* harmony export */   \"tokenizeEmbedded\": () => /* reexport safe */ _embedded_js__WEBPACK_IMPORTED_MODULE_11__.tokenizeEmbedded,\n/* harmony export */   \"lintEmbedded\": () => /* reexport safe */ _embedded_js__WEBPACK_IMPORTED_MODULE_11__.lintEmbedded,\n/* harmony export */   \"fixEmbedded\": () => /* reexport safe */ _embedded_js__WEBPACK_IMPORTED_MODULE_11__.fixEmbedded,\n/* harmony export */   \"LexErrorCode\": () => /* binding */ LexErrorCode,\n/* harmony export */   \"LexError\": () => /* binding */ LexError,\n/* harmony export */   \"Parser\": () => /* binding */ Parser,\n/* harmony export */   \"tokenize\": () => /* binding */ tokenize,\n/* harmony export */   \"iterateTokens\": () => /* binding */ iterateTokens\n/* harmony export */ });\n/* harmony import */ var _lines_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./lines.js */ \"./src/lines.js\");\n/* harmony import */ var _buffer_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./buffer.js */ \"./src/buffer.js\");\n/* harmony import */ var _document_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./document.js */ \"./src/document.js\");\n/* harmony import */ var _ast_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./ast.js */ \"./src/ast.js\");\n/* harmony import */ var _transpiler_js__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./transpiler.js */ \"./src/transpiler.js\");\n/* harmony import */ var _runtime_js__WEBPACK_IMPORTED_MODULE_5__ = __webpack_require__(/*! ./runtime.js */ \"./src/runtime.js\");\n/* harmony import */ var _highlight_js__WEBPACK_IMPORTED_MODULE_6__ = __webpack_require__(/*! ./highlight.js */ \"./src/highlight.js\");\n/* harmony import */ var _formatter_js__WEBPACK_IMPORTED_MODULE_7__ = __webpack_require__(/*! ./formatter.js */ \"./src/formatter.js\");\n/* harmony import */ var _imports_js__WEBPACK_IMPORTED_MODULE_8__ = __webpack_require__(/*! ./imports.js */ \"./src/imports.js\");\n/* harmony import */ var _outline_js__WEBPACK_IMPORTED_MODULE_9__ = __webpack_require__(/*! ./outline.js */ \"./src/outline.js\");\n/* harmony import */ var _linter_js__WEBPACK_IMPORTED_MODULE_10__ = __webpack_require__(/*! ./linter.js */ \"./src/linter.js\");\n/* harmony import */ var _embedded_js__WEBPACK_IMPORTED_MODULE_11__ = __webpack_require__(/*! ./embedded.js */ \"./src/embedded.js\");\n\n\n\n\n// The maximum depth that interpolation can nest by default, the same as the\n// Wren VM. For example, this string has three levels:\n//\n//      \"outside %(one + \"%(two + \"%(three)\")\")\"\nconst MAX_INTERPOLATION_NESTING = 8;\n\n// The largest hex literal Wren accepts, which is what fits in a signed 64-bit\n// integer for strtoll().\nconst MAX_HEX_LITERAL = 0x7fffffffffffffffn;\n\n\n// The reserved words of Wren 0.3.\nconst keywords03 = [\n    'break', 'class', 'construct', 'else', 'false', 'for', 'foreign', 'if',\n    'import', 'in', 'is', 'null', 'return', 'static', 'super', 'this', 'true',\n    'var', 'while'\n];\n\n// What the lexer accepts in each version of Wren it supports, keyed by the\n// version's number:\n//\n// * `keywords`: The reserved words. A keyword's token type is its name in\n//   upper case, like TOKEN_CONTINUE for `continue`.\n// * `rawStrings`: Whether `\"\"\"` begins a raw string. Without them, `\"\"\"` is an\n//   empty string followed by the start of another one.\n// * `exponentPlus`: Whether an exponent can have a `+` sign, as in `1e+3`.\n// * `escapeE`: Whether `\\e` is an escape for the escape character.\n// * `attributes`: Whether `#` begins an attribute, as in `#key = value` or\n//   `#!runtime`, and is lexed as TOKEN_HASH. Without them, `#` is only\n//   allowed in a shebang.\nconst languageVersions = Object.freeze({\n    '0.3': Object.freeze({\n        keywords: Object.freeze(keywords03),\n        rawStrings: false,\n        exponentPlus: false,\n        escapeE: false,\n        attributes: false\n    }),\n    '0.4': Object.freeze({\n        keywords: Object.freeze(keywords03.concat(['as', 'continue']).sort()),\n        rawStrings: true,\n        exponentPlus: true,\n        escapeE: true,\n        attributes: true\n    })\n});\n\n// The version [Parser] lexes when it isn't given a `languageVersion`.\nconst DEFAULT_LANGUAGE_VERSION = '0.4';\n\n// Returns the token type of the keyword [name].\nfunction keywordType(name) {\n    return 'TOKEN_' + name.toUpperCase();\n}\n\n// The token types of the keywords in any version.\nconst keywordTypes = new Set(Object.values(languageVersions)\n    .flatMap((version) => version.keywords.map(keywordType)));\n\n// The keyword lookup table for each version, built on first use. Maps each\n// keyword to its token type.\nconst keywordTables = new Map();\n\n// Returns the keyword lookup table for [version].\nfunction keywordTable(version) {\n    if (!keywordTables.has(version)) {\n        keywordTables.set(version, new Map(languageVersions[version].keywords\n            .map((name) => [name, keywordType(name)])));\n    }\n    return keywordTables.get(version);\n}\n\n// The token types of comments, whitespace and shebangs.\nconst triviaTypes = new Set(['TOKEN_COMMENT', 'TOKEN_WHITESPACE', 'TOKEN_SHEBANG']);\n\n// The token types that the compiler ignores a newline before. See\n// [Parser.skipNewline()].\nconst newlineIgnoringBeforeTypes = new Set([\n    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_DOT'\n]);\n\n// The token types that the compiler ignores a newline after. Not `{`, since\n// the newline after it is what makes a block of statements.\nconst newlineIgnoringTypes = new Set([\n    'TOKEN_COMMA', 'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH',\n    'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT',\n    'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP',\n    'TOKEN_BANG', 'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_COLON', 'TOKEN_EQ',\n    'TOKEN_LT', 'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ',\n    'TOKEN_BANGEQ', 'TOKEN_IS', 'TOKEN_INTERPOLATION'\n]);\n\n// The token types that a `{` begins a map literal after, rather than a block,\n// since an expression comes next. See [Parser.skipNewline()].\nconst mapPrecedingTypes = new Set([\n    'TOKEN_COMMA', 'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_LEFT_BRACE',\n    'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT',\n    'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE',\n    'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_BANG',\n    'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_COLON', 'TOKEN_EQ', 'TOKEN_LT',\n    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ',\n    'TOKEN_IS', 'TOKEN_INTERPOLATION', 'TOKEN_RETURN', 'TOKEN_IN'\n]);\n\n// The token types of the operators a class can define a getter for, like\n// `- { ... }`.\nconst prefixOperatorTypes = new Set(['TOKEN_MINUS', 'TOKEN_BANG', 'TOKEN_TILDE']);\n\n// Returns true if [type] is the token type of a reserved word in any version\n// of Wren.\nfunction isKeywordType(type) {\n    return keywordTypes.has(type);\n}\n\n\n\n\n\n\n\n\n\n\n\n\n\n\n// Stable codes for every lexical error, so tools can match on the kind of error\n// without parsing its message.\nconst LexErrorCode = Object.freeze({\n    UNTERMINATED_BLOCK_COMMENT: 'LEX_UNTERMINATED_BLOCK_COMMENT',\n    UNTERMINATED_SCIENTIFIC_NOTATION: 'LEX_UNTERMINATED_SCIENTIFIC_NOTATION',\n    INCOMPLETE_ESCAPE: 'LEX_INCOMPLETE_ESCAPE',\n    INVALID_ESCAPE: 'LEX_INVALID_ESCAPE',\n    INVALID_ESCAPE_CHARACTER: 'LEX_INVALID_ESCAPE_CHARACTER',\n    UNTERMINATED_STRING: 'LEX_UNTERMINATED_STRING',\n    UNTERMINATED_RAW_STRING: 'LEX_UNTERMINATED_RAW_STRING',\n    EXPECTED_INTERPOLATION: 'LEX_EXPECTED_INTERPOLATION',\n    INTERPOLATION_TOO_DEEP: 'LEX_INTERPOLATION_TOO_DEEP',\n    INVALID_CHARACTER: 'LEX_INVALID_CHARACTER',\n    INVALID_BYTE: 'LEX_INVALID_BYTE',\n    MISSING_HEX_DIGITS: 'LEX_MISSING_HEX_DIGITS',\n    NUMBER_OUT_OF_RANGE: 'LEX_NUMBER_OUT_OF_RANGE'\n});\n\n// Thrown by [Parser] for the first lexical error when it is created with\n// `throwOnError`. The error's [diagnostic] holds the details.\nclass LexError extends Error {\n    constructor(diagnostic) {\n        super(diagnostic.line + ':' + diagnostic.column + ': ' + diagnostic.message);\n        this.name = 'LexError';\n        this.diagnostic = diagnostic;\n    }\n}\n\n// Returns the UTF-8 bytes in [bytes] as a byte string, with one character per\n// byte.\nfunction toByteString(bytes) {\n    let chunks = [];\n    for (let i = 0; i < bytes.length; i += 0x8000) {\n        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));\n    }\n    return chunks.join('');\n}\n\n// Decodes the UTF-8 in the byte string [string]. Malformed bytes become U+FFFD.\nfunction fromByteString(string) {\n    // ASCII is the same either way.\n    if (!/[\\x80-\\xff]/.test(string)) return string;\n\n    let bytes = new Uint8Array(string.length);\n    for (let i = 0; i < string.length; i++) bytes[i] = string.charCodeAt(i);\n    return new TextDecoder().decode(bytes);\n}\n\n// Returns true if the character code [c] can begin a name. Digits can continue\n// one too.\nfunction isName(c) {\n    return (c >= 97 /* a */ && c <= 122 /* z */) ||\n        (c >= 65 /* A */ && c <= 90 /* Z */) || c == 95 /* _ */;\n}\n\n// Returns true if the character code [c] is a digit.\nfunction isDigit(c) {\n    return c >= 48 /* 0 */ && c <= 57 /* 9 */;\n}\n\nclass Parser {\n    // Tokenizes [source], either a string or the UTF-8 bytes of one in a\n    // `Uint8Array` (or a Node `Buffer`). [options] may contain:\n    //\n    // * `printErrors`: Whether lexical errors are written to the console as they\n    //   are found, as well as kept in [diagnostics]. Defaults to `false`.\n    // * `throwOnError`: If `true`, the first lexical error throws a [LexError]\n    //   instead of being recorded and skipped.\n    // * `offsetUnit`: What token and error offsets count, either 'utf16' for\n    //   UTF-16 code units or 'byte' for UTF-8 bytes. Defaults to 'byte' for\n    //   bytes and 'utf16' for a string. With 'byte', the source is lexed byte\n    //   by byte exactly like the C lexer does, so offsets and errors match\n    //   what the Wren VM reports.\n    // * `columnUnit`: How token and error columns are counted: 'utf16' for\n    //   UTF-16 code units, 'codepoint' for code points or 'byte' for UTF-8\n    //   bytes. Defaults to the same as [offsetUnit].\n    // * `trivia`: If `true`, comments, whitespace and a leading shebang are kept\n    //   as TOKEN_COMMENT, TOKEN_WHITESPACE and TOKEN_SHEBANG tokens, so joining\n    //   the text of every token gives back [source] exactly.\n    // * `lazy`: If `true`, nothing is lexed up front. Instead, iterating the\n    //   parser lexes and yields one token at a time without keeping them\n    //   around, so a lazy parser can only be iterated once.\n    // * `maxInterpolationNesting`: How deep interpolation can nest before it's\n    //   an error. Defaults to [MAX_INTERPOLATION_NESTING].\n    // * `skipNewlines`: If `true`, newlines are only kept where they end a\n    //   statement or begin a block, so the tokens can be parsed without most of\n    //   Wren's newline rules. See [skipNewline()].\n    // * `compact`: If `true`, [tokens] is a [TokenBuffer] that keeps them in\n    //   typed arrays instead of as objects, which saves a lot of memory when\n    //   lexing a lot of source. A compact parser can't be [lazy].\n    // * `languageVersion`: Which version of Wren to lex, one of the keys of\n    //   [languageVersions]. Defaults to [DEFAULT_LANGUAGE_VERSION].\n    // * `extraKeywords`: Names to lex as keywords on top of the version's, for\n    //   embedders that reserve words of their own. Each gets a token type from\n    //   its name, like TOKEN_AWAIT for `await`.\n    // * `excludedKeywords`: Keywords of the version to lex as plain names\n    //   instead.\n    constructor(source, options = {}) {\n        let bytes = source instanceof Uint8Array ? source : null;\n\n        // Either 'utf16' or 'byte'. See [isBytes].\n        this.offsetUnit = options.offsetUnit || (bytes ? 'byte' : 'utf16');\n\n        // Whether [source] is a byte string of UTF-8 bytes, one per character,\n        // rather than text. Like the C lexer, everything outside of string\n        // literals is ASCII, so lexing bytes only changes what happens to\n        // non-ASCII characters outside of them.\n        this.isBytes = this.offsetUnit == 'byte';\n        if (this.isBytes) {\n            source = toByteString(bytes || new TextEncoder().encode(source));\n        } else if (bytes) {\n            source = new TextDecoder().decode(bytes);\n        }\n\n        // The source code being parsed.\n        this.source = source;\n\n        // The beginning of the currently-being-lexed token in [source].\n        this.tokenStart = 0;\n\n        // The current character being lexed in [source].\n        this.currentChar = 0;\n\n        // The 1-based line number of [currentChar].\n        this.currentLine = 1;\n\n        // The offset in [source] where [currentLine] begins.\n        this.lineStart = 0;\n\n        // The line of [tokenStart] and the offset where that line begins.\n        this.tokenLine = 1;\n        this.tokenLineStart = 0;\n\n        // Either 'utf16', 'codepoint' or 'byte'. See [columnAt()].\n        this.columnUnit = options.columnUnit || this.offsetUnit;\n\n        // The version of Wren being lexed, and what it accepts.\n        this.languageVersion = options.languageVersion || DEFAULT_LANGUAGE_VERSION;\n        if (!Object.prototype.hasOwnProperty.call(languageVersions, this.languageVersion)) {\n            throw new RangeError('Unknown Wren language version \\'' +\n                this.languageVersion + '\\'. Expected ' +\n                Object.keys(languageVersions).join(', ') + '.');\n        }\n        this.language = languageVersions[this.languageVersion];\n\n        // Maps each reserved word to its token type.\n        this.keywords = keywordTable(this.languageVersion);\n        if (options.extraKeywords || options.excludedKeywords) {\n            this.keywords = new Map(this.keywords);\n            for (let name of options.extraKeywords || []) {\n                this.keywords.set(name, keywordType(name));\n            }\n            for (let name of options.excludedKeywords || []) {\n                this.keywords.delete(name);\n            }\n        }\n\n        // The length of the longest keyword, and which characters they start\n        // with. Other names aren't looked up.\n        this.maxKeywordLength = 0;\n        this.keywordInitials = new Uint8Array(128);\n        for (let name of this.keywords.keys()) {\n            this.maxKeywordLength = Math.max(this.maxKeywordLength, name.length);\n            this.keywordInitials[name.charCodeAt(0)] = 1;\n        }\n\n        // Maps offsets to lines and columns for diagnostics. Built on demand by\n        // [locate()].\n        this.lineIndex = null;\n\n        // The most recently lexed token.\n        this.current = {\n            type: undefined,\n            length: 0,\n            line: 0,\n            value: undefined\n        };\n\n        // The most recently consumed/advanced token.\n        this.previous = {\n            type: undefined,\n            length: 0,\n            line: 0,\n            value: undefined\n        };\n\n        // Tracks the lexing state when tokenizing interpolated strings.\n        //\n        // Interpolated strings make the lexer not strictly regular: we don't know\n        // whether a \")\" should be treated as a RIGHT_PAREN token or as ending an\n        // interpolated expression unless we know whether we are inside a string\n        // interpolation and how many unmatched \"(\" there are. This is particularly\n        // complex because interpolation can nest:\n        //\n        //     \" %( \" %( inner ) \" ) \"\n        //\n        // This tracks that state. The parser maintains a stack of ints, one for each\n        // level of current interpolation nesting. Each value is the number of\n        // unmatched \"(\" that are waiting to be closed.\n        this.maxInterpolationNesting = options.maxInterpolationNesting == null\n            ? MAX_INTERPOLATION_NESTING\n            : options.maxInterpolationNesting;\n        this.parens = Array(this.maxInterpolationNesting);\n        this.numParens = 0;\n\n        // Whether newlines that the compiler would ignore are left out. See\n        // [skipNewline()].\n        this.skipNewlines = options.skipNewlines === true;\n\n        // The type of the last token added that wasn't trivia or a newline, or\n        // `null` if there hasn't been one.\n        this.lastType = null;\n\n        // Whether the tokens since the last `{` are the start of a block's\n        // parameter list, and whether the last token added ended one. See\n        // [skipNewline()].\n        this.inParameters = false;\n        this.endedParameters = false;\n\n        // Whether each `{` that hasn't been closed yet began a map literal,\n        // innermost last, and whether the last token added began a line. See\n        // [skipNewline()].\n        this.braces = [];\n        this.beganLine = false;\n\n        // The index in [tokens] of a newline that may still be left out when\n        // [skipNewlines] is on, or -1. See [skipNewline()].\n        this.pendingLine = -1;\n\n        // Whether compile errors should be printed to stderr as well as kept.\n        this.printErrors = options.printErrors === true;\n\n        // Whether the first error should be thrown instead of recovered from.\n        this.throwOnError = options.throwOnError === true;\n\n        // If a syntax or compile error has occurred.\n        this.hasError = false;\n\n        // Every lexical error found so far, in source order. See [lexError()] for\n        // the shape of each entry.\n        this.diagnostics = [];\n\n        // Whether comments, whitespace and shebangs are kept as tokens.\n        this.trivia = options.trivia === true;\n\n        // Whether tokens are kept in a [TokenBuffer] instead of as objects.\n        this.compact = options.compact === true;\n\n        // Whether tokens are lexed on demand while iterating.\n        this.lazy = options.lazy === true && !this.compact;\n\n        // The lexed tokens. When [lazy], only the ones that haven't been yielded\n        // by the iterator yet.\n        this.tokens = this.compact ? new _buffer_js__WEBPACK_IMPORTED_MODULE_1__.TokenBuffer(this, this.source.length >> 2) : [];\n\n        if (!this.lazy) {\n            do {\n                this.nextToken();\n            } while (this.current.type != 'TOKEN_EOF');\n        }\n    }\n\n    // Yields each token in turn, ending with TOKEN_EOF. Stopping early means the\n    // rest of the source is never lexed when the parser is [lazy].\n    *[Symbol.iterator]() {\n        let i = 0;\n        for (;;) {\n            // A newline that may still be left out isn't ready to hand out.\n            let ready = this.pendingLine == -1 ? this.tokens.length : this.pendingLine;\n            if (i < ready) {\n                yield this.compact ? this.tokens.token(i++) : this.tokens[i++];\n                continue;\n            }\n\n            if (this.current.type == 'TOKEN_EOF') return;\n\n            // Let go of the tokens that have already been handed out.\n            if (this.lazy) {\n                this.tokens.splice(0, i);\n                if (this.pendingLine != -1) this.pendingLine -= i;\n                i = 0;\n            }\n\n            this.nextToken();\n        }\n    }\n\n    // Returns a copy of the interpolation state: the number of unmatched \"(\" at\n    // each level of nesting.\n    saveInterpolation() {\n        return this.parens.slice(0, this.numParens);\n    }\n\n    // Moves the lexer to [offset], the start of [line], with [parens] from\n    // [saveInterpolation()] as the interpolation state. This lets lexing pick up\n    // in the middle of [source] as long as [offset] isn't inside a token.\n    resumeAt(offset, line, parens) {\n        this.currentChar = offset;\n        this.currentLine = line;\n        this.lineStart = offset;\n        this.startToken();\n\n        for (let i = 0; i < parens.length; i++) this.parens[i] = parens[i];\n        this.numParens = parens.length;\n\n        this.lastType = null;\n        this.inParameters = false;\n        this.endedParameters = false;\n        this.braces = [];\n        this.beganLine = false;\n        this.pendingLine = -1;\n\n        this.current = {\n            type: undefined,\n            length: 0,\n            line: 0,\n            value: undefined\n        };\n    }\n\n    // Returns true if the whole source has been consumed.\n    isAtEnd() {\n        return this.currentChar >= this.source.length;\n    }\n\n    // Returns the code of the current character the parser is sitting on, or 0\n    // (a NUL character) past the end of the source. Don't use that to detect\n    // the end, since the source may contain a NUL character. Use [isAtEnd()]\n    // instead.\n    peekChar() {\n        if (this.isAtEnd()) return 0;\n        return this.source.charCodeAt(this.currentChar);\n    }\n\n    // Returns the code of the character after the current character.\n    peekNextChar() {\n        if (this.currentChar + 1 >= this.source.length) return 0;\n        return this.source.charCodeAt(this.currentChar + 1);\n    }\n\n    // Advances the parser forward one character and returns its code. Does\n    // nothing at the end of the source.\n    nextChar() {\n        if (this.isAtEnd()) return 0;\n\n        let c = this.source.charCodeAt(this.currentChar++);\n        if (c == 10 /* \\n */) {\n            this.currentLine++;\n            this.lineStart = this.currentChar;\n        }\n        return c;\n    }\n\n    // If the current character's code is [c], consumes it and returns `true`.\n    matchChar(c) {\n        if (this.peekChar() != c) return false;\n        this.nextChar();\n        return true;\n    }\n\n    // Marks the current character as the beginning of the next token.\n    startToken() {\n        this.tokenStart = this.currentChar;\n        this.tokenLine = this.currentLine;\n        this.tokenLineStart = this.lineStart;\n    }\n\n    // Returns the 1-based column of [offset], which is on the line beginning at\n    // [lineStart], counted in [columnUnit].\n    columnAt(offset, lineStart) {\n        return (0,_lines_js__WEBPACK_IMPORTED_MODULE_0__.countUnits)(this.source, lineStart, offset, this.columnUnit,\n            this.isBytes) + 1;\n    }\n\n    // Returns the text of the source between [start] and [end]. Text is always\n    // text, even when the source is bytes.\n    textAt(start, end) {\n        let text = this.source.slice(start, end);\n        return this.isBytes ? fromByteString(text) : text;\n    }\n\n    // Sets the parser's current token to the given [type] and current character\n    // range. Literals whose decoded [value] differs from their source text (like\n    // strings with escapes) pass it in, otherwise the value is the text itself.\n    makeToken(type, value) {\n        this.current.type = type;\n        this.current.start = this.tokenStart;\n        this.current.length = this.currentChar - this.tokenStart;\n        // Tokens are on the line they start on, so line tokens appear on the line\n        // containing the \"\\n\".\n        this.current.line = this.tokenLine;\n\n        if (value !== undefined) this.current.value = value;\n\n        if (this.skipNewlines) {\n            type = this.skipNewline(type);\n            if (type == null) return;\n        }\n\n        if (this.compact) {\n            this.tokens.push(type, this.tokenStart, this.currentChar, this.tokenLine,\n                value);\n            return;\n        }\n\n        let text = this.textAt(this.tokenStart, this.currentChar);\n\n        // The end position is just past the last character of the token.\n        this.tokens.push({\n            type: type,\n            text: text,\n            value: value !== undefined ? value : text,\n            line: this.tokenLine,\n            column: this.columnAt(this.tokenStart, this.tokenLineStart),\n            endLine: this.currentLine,\n            endColumn: this.columnAt(this.currentChar, this.lineStart),\n            start: this.tokenStart,\n            end: this.currentChar\n        });\n    }\n\n    // Applies [skipNewlines] to a token of [type] that's about to be added, and\n    // returns the type to add it as, or `null` to leave it out.\n    //\n    // A newline is left out when it follows another newline, begins the source,\n    // or comes where the compiler ignores newlines: after an operator or one of\n    // `,` `(` `[` `.`, or before one of `)` `]` `.`, so a chain of method calls\n    // can go on over several lines. With [trivia], the left out newlines are\n    // kept as TOKEN_WHITESPACE so the text still adds up to the source.\n    //\n    // A newline that may still be left out is added, and [pendingLine]\n    // remembers where, until the next token shows whether it's needed.\n    //\n    // The newline after a `{`, or after the `|` that ends a block's\n    // parameters, is kept, since it's what tells a block of statements from a\n    // single-expression body like `{ x + 1 }`. A `{` where an expression goes,\n    // like after `=` or `(`, begins a map literal instead, and the newlines\n    // after it and before its `}` are left out, the way the compiler ignores\n    // them. An operator getter like `- {` at the start of a line is taken for a\n    // block.\n    skipNewline(type) {\n        if (triviaTypes.has(type)) return type;\n\n        let inMap = this.braces.length > 0 && this.braces[this.braces.length - 1];\n        if (type == 'TOKEN_LINE') {\n            if (this.pendingLine == -1 && this.lastType != null &&\n                (!newlineIgnoringTypes.has(this.lastType) || this.endedParameters) &&\n                !(this.lastType == 'TOKEN_LEFT_BRACE' && inMap)) {\n                this.pendingLine = this.tokens.length;\n                return type;\n            }\n            return this.trivia ? 'TOKEN_WHITESPACE' : null;\n        }\n\n        if (this.pendingLine != -1 && (newlineIgnoringBeforeTypes.has(type) ||\n            type == 'TOKEN_RIGHT_BRACE' && inMap)) {\n            // Without trivia, nothing comes after the newline.\n            if (!this.trivia) {\n                this.tokens.pop();\n            } else if (this.compact) {\n                this.tokens.setType(this.pendingLine, 'TOKEN_WHITESPACE');\n            } else {\n                this.tokens[this.pendingLine].type = 'TOKEN_WHITESPACE';\n            }\n        }\n\n        // A `|` right after a `{` begins a block's parameters, which are names\n        // and commas up to the `|` that ends them.\n        this.endedParameters = type == 'TOKEN_PIPE' && this.inParameters;\n        this.inParameters = type == 'TOKEN_PIPE'\n            ? this.lastType == 'TOKEN_LEFT_BRACE'\n            : this.inParameters && (type == 'TOKEN_NAME' || type == 'TOKEN_COMMA');\n\n        if (type == 'TOKEN_LEFT_BRACE') {\n            this.braces.push(mapPrecedingTypes.has(this.lastType) &&\n                !(prefixOperatorTypes.has(this.lastType) && this.beganLine));\n        } else if (type == 'TOKEN_RIGHT_BRACE') {\n            this.braces.pop();\n        }\n\n        this.beganLine = this.pendingLine != -1;\n        this.pendingLine = -1;\n        this.lastType = type;\n        return type;\n    }\n\n    // If the current character's code is [c], then consumes it and makes a token\n    // of type [two]. Otherwise makes a token of type [one].\n    twoCharToken(c, two, one) {\n        this.makeToken(this.matchChar(c) ? two : one);\n    }\n\n    // Skips the rest of the current line.\n    skipLineComment() {\n        let end = this.source.indexOf('\\n', this.currentChar);\n        this.currentChar = end == -1 ? this.source.length : end;\n    }\n\n    // Skips the rest of a block comment.\n    skipBlockComment() {\n        let nesting = 1;\n        while (nesting > 0) {\n            if (this.isAtEnd()) {\n                this.lexError(LexErrorCode.UNTERMINATED_BLOCK_COMMENT,\n                    'Unterminated block comment.');\n                return;\n            }\n\n            let c = this.peekChar();\n            if (c == 47 /* / */ && this.peekNextChar() == 42 /* * */) {\n                this.nextChar();\n                this.nextChar();\n                nesting++;\n                continue;\n            }\n\n            if (c == 42 /* * */ && this.peekNextChar() == 47 /* / */) {\n                this.nextChar();\n                this.nextChar();\n                nesting--;\n                continue;\n            }\n\n            // Regular comment character.\n            this.nextChar();\n        }\n    }\n\n    // Reads the next character, which should be a hex digit (0-9, a-f, or A-F) and\n    // returns its numeric value. If the character isn't a hex digit, returns -1.\n    readHexDigit() {\n        let c = this.peekChar();\n        let digit = -1;\n        if (c >= 48 /* 0 */ && c <= 57 /* 9 */) digit = c - 48;\n        else if (c >= 97 /* a */ && c <= 102 /* f */) digit = c - 97 + 10;\n        else if (c >= 65 /* A */ && c <= 70 /* F */) digit = c - 65 + 10;\n\n        // Don't consume it if it isn't expected. Keeps us from reading past the end\n        // of an unterminated string.\n        if (digit != -1) this.nextChar();\n        return digit;\n    }\n\n    // Parses the numeric value of the current token. Like Wren, a literal that\n    // is out of range is an error and gets the value 0.\n    makeNumber(isHex) {\n        let text = this.source.slice(this.tokenStart, this.currentChar);\n        let value;\n\n        if (isHex) {\n            if (text.length == 2) {\n                this.lexError(LexErrorCode.MISSING_HEX_DIGITS,\n                    'Expect hex digits after \\'0x\\'.');\n                value = 0;\n            } else if (text.length >= 18 && BigInt(text) > MAX_HEX_LITERAL) {\n                // Anything with fewer than 16 digits fits.\n                this.lexError(LexErrorCode.NUMBER_OUT_OF_RANGE,\n                    'Number literal was too large.');\n                value = 0;\n            } else {\n                value = text.length > 15 ? Number(BigInt(text)) : parseInt(text, 16);\n            }\n        } else {\n            // parseFloat() stops at an unterminated exponent, the way strtod()\n            // does, so \"1e\" is still 1.\n            //\n            // strtod() sets ERANGE when a number underflows to 0 as well as when\n            // it overflows, and the C lexer calls both too large.\n            value = parseFloat(text);\n            let isUnderflow = value == 0 && /[1-9]/.test(text.split(/[eE]/)[0]);\n            if (value == Infinity || isUnderflow) {\n                this.lexError(LexErrorCode.NUMBER_OUT_OF_RANGE,\n                    'Number literal was too large.');\n                value = 0;\n            }\n        }\n\n        this.makeToken('TOKEN_NUMBER', value);\n    }\n\n    // Finishes lexing a hexadecimal number literal.\n    readHexNumber() {\n        // Skip past the `x` used to denote a hexadecimal literal.\n        this.nextChar();\n\n        // Iterate over all the valid hexadecimal digits found.\n        while (this.readHexDigit() != -1) continue;\n\n        this.makeNumber(true);\n    }\n\n    // Finishes lexing a number literal.\n    readNumber() {\n        while (isDigit(this.peekChar())) this.nextChar();\n\n        // See if it has a floating point. Make sure there is a digit after the \".\"\n        // so we don't get confused by method calls on number literals.\n        if (this.peekChar() == 46 /* . */ && isDigit(this.peekNextChar())) {\n            this.nextChar();\n            while (isDigit(this.peekChar())) this.nextChar();\n        }\n\n        // See if the number is in scientific notation.\n        if (this.matchChar(101 /* e */) || this.matchChar(69 /* E */)) {\n            // Allow a single negative exponent sign, or a positive one since\n            // Wren 0.4.\n            if (!this.language.exponentPlus || !this.matchChar(43 /* + */)) {\n                this.matchChar(45 /* - */);\n            }\n\n            if (!isDigit(this.peekChar())) {\n                this.lexError(LexErrorCode.UNTERMINATED_SCIENTIFIC_NOTATION,\n                    'Unterminated scientific notation.');\n            }\n\n            while (isDigit(this.peekChar())) this.nextChar();\n        }\n\n        this.makeNumber(false);\n    }\n\n    // Finishes lexing an identifier. Handles reserved words.\n    readName(type) {\n        let c = this.peekChar();\n        while (isName(c) || isDigit(c)) {\n            this.nextChar();\n            c = this.peekChar();\n        }\n\n        // Update the type if it's a keyword. Most names can't be one, so only\n        // look them up if they could be.\n        if (this.currentChar - this.tokenStart <= this.maxKeywordLength &&\n            this.keywordInitials[this.source.charCodeAt(this.tokenStart)] == 1) {\n            let keyword = this.keywords.get(\n                this.source.slice(this.tokenStart, this.currentChar));\n            if (keyword !== undefined) type = keyword;\n        }\n\n        this.makeToken(type);\n    }\n\n    // Reads [digits] hex digits in a string literal and returns their number value.\n    readHexEscape(digits, description) {\n        // Where the escape's \"\\\" is, to point errors at the whole sequence.\n        let escapeStart = this.currentChar - 2;\n        let value = 0;\n        for (let i = 0; i < digits; i++) {\n            if (this.peekChar() == 34 /* \" */ || this.isAtEnd()) {\n                this.lexError(LexErrorCode.INCOMPLETE_ESCAPE,\n                    'Incomplete ' + description + ' escape sequence.', escapeStart);\n\n                // Don't consume it if it isn't expected. Keeps us from reading past the\n                // end of an unterminated string.\n                this.currentChar--;\n                break;\n            }\n\n            let digit = this.readHexDigit();\n            if (digit == -1) {\n                this.lexError(LexErrorCode.INVALID_ESCAPE,\n                    'Invalid ' + description + ' escape sequence.', escapeStart);\n                break;\n            }\n\n            value = (value * 16) | digit;\n        }\n\n        return value;\n    }\n\n    // Reads a hex digit Unicode escape sequence in a string literal and appends\n    // the encoded code point to [string].\n    readUnicodeEscape(string, length) {\n        let value = this.readHexEscape(length, 'Unicode');\n\n        // Like wrenUtf8EncodeNumBytes(), silently drop values that are outside of\n        // the Unicode range. String.fromCodePoint() takes care of splitting\n        // astral code points into a surrogate pair.\n        if (value < 0 || value > 0x10ffff) return string;\n\n        return string + String.fromCodePoint(value);\n    }\n\n    // Reports the escape sequence just read as having an unknown character.\n    invalidEscape() {\n        this.lexError(LexErrorCode.INVALID_ESCAPE_CHARACTER,\n            'Invalid escape character \\'' +\n            this.source[this.currentChar - 1] + '\\'.', this.currentChar - 2);\n    }\n\n    // Finishes lexing a string literal.\n    readString() {\n        let string = '';\n        let type = 'TOKEN_STRING';\n\n        // Where the run of ordinary characters that haven't been added to\n        // [string] yet begins. They're added all at once when it ends.\n        let run = this.currentChar;\n\n        for (;;) {\n            if (this.isAtEnd()) {\n                string += this.textAt(run, this.currentChar);\n                this.lexError(LexErrorCode.UNTERMINATED_STRING,\n                    'Unterminated string.');\n                break;\n            }\n\n            let c = this.nextChar();\n            if (c == 34 /* \" */) {\n                string += this.textAt(run, this.currentChar - 1);\n                break;\n            }\n\n            if (c == 37 /* % */) {\n                if (this.numParens < this.maxInterpolationNesting) {\n                    string += this.textAt(run, this.currentChar - 1);\n\n                    // TODO: Allow format string.\n                    if (this.nextChar() != 40 /* ( */) {\n                        this.lexError(LexErrorCode.EXPECTED_INTERPOLATION,\n                            'Expect \\'(\\' after \\'%\\'.', this.currentChar - 2);\n                    }\n\n                    this.parens[this.numParens++] = 1;\n                    type = 'TOKEN_INTERPOLATION';\n                    break;\n                }\n\n                // Otherwise, the \"%\" is an ordinary character.\n                this.lexError(LexErrorCode.INTERPOLATION_TOO_DEEP,\n                    'Interpolation may only nest ' + this.maxInterpolationNesting +\n                    ' levels deep.', this.currentChar - 1);\n            }\n\n            if (c != 92 /* \\ */) continue;\n\n            string += this.textAt(run, this.currentChar - 1);\n\n            switch (this.nextChar()) {\n            case 34 /* \" */:  string += '\"'; break;\n            case 92 /* \\ */:  string += '\\\\'; break;\n            case 37 /* % */:  string += '%'; break;\n            case 48 /* 0 */:  string += '\\0'; break;\n            case 97 /* a */:  string += '\\x07'; break;\n            case 98 /* b */:  string += '\\b'; break;\n            case 101 /* e */:\n                if (this.language.escapeE) {\n                    string += '\\x1b';\n                    break;\n                }\n                this.invalidEscape();\n                break;\n            case 102 /* f */: string += '\\f'; break;\n            case 110 /* n */: string += '\\n'; break;\n            case 114 /* r */: string += '\\r'; break;\n            case 116 /* t */: string += '\\t'; break;\n            case 117 /* u */: string = this.readUnicodeEscape(string, 4); break;\n            case 85 /* U */:  string = this.readUnicodeEscape(string, 8); break;\n            case 118 /* v */: string += '\\v'; break;\n            case 120 /* x */:\n                // A byte escape writes a single raw byte, so map it onto the\n                // matching Latin-1 code unit. That's the same in either offset\n                // unit, since the escape is decoded, not the bytes around it.\n                string += String.fromCharCode(this.readHexEscape(2, 'byte'));\n                break;\n\n            default:\n                this.invalidEscape();\n                break;\n            }\n\n            run = this.currentChar;\n        }\n\n        this.makeToken(type, string);\n    }\n\n    // Finishes lexing a raw string literal. Raw strings are delimited by `\"\"\"`\n    // and take their contents verbatim, without escapes or interpolation.\n    readRawString() {\n        let string = '';\n        let type = 'TOKEN_STRING';\n\n        // Consume the second and third \".\n        this.nextChar();\n        this.nextChar();\n\n        let skipStart = 0;\n        let firstNewline = -1;\n\n        let skipEnd = -1;\n        let lastNewline = -1;\n\n        let isTerminated = true;\n\n        for (;;) {\n            let c = this.nextChar();\n            let c1 = this.peekChar();\n            let c2 = this.peekNextChar();\n\n            if (c == 13 /* \\r */) continue;\n\n            if (c == 10 /* \\n */) {\n                lastNewline = string.length;\n                skipEnd = lastNewline;\n                firstNewline = firstNewline == -1 ? string.length : firstNewline;\n            }\n\n            if (c == 34 /* \" */ && c1 == 34 && c2 == 34) break;\n\n            let isWhitespace = c == 32 /* space */ || c == 9 /* \\t */;\n            skipEnd = c == 10 /* \\n */ || isWhitespace ? skipEnd : -1;\n\n            // If we haven't seen a newline or other character yet, and are still\n            // seeing whitespace, count the characters as skippable until we know\n            // otherwise.\n            let skippable = skipStart != -1 && isWhitespace && firstNewline == -1;\n            skipStart = skippable ? string.length + 1 : skipStart;\n\n            // We've counted leading whitespace until we hit something else, but\n            // it's not a newline, so reset skipStart since we need these\n            // characters.\n            if (firstNewline == -1 && !isWhitespace && c != 10 /* \\n */) skipStart = -1;\n\n            // Stop if [c], [c1] or [c2] is past the end of the source.\n            if (this.currentChar + 1 >= this.source.length) {\n                this.lexError(LexErrorCode.UNTERMINATED_RAW_STRING,\n                    'Unterminated raw string.');\n\n                // The C lexer steps back over [c] and consumes it again as if it\n                // were the closing quotes, which would count a newline twice.\n                // Take what's left of the source instead.\n                while (!this.isAtEnd()) this.nextChar();\n                isTerminated = false;\n                break;\n            }\n\n            string += String.fromCharCode(c);\n        }\n\n        // Consume the second and third \".\n        if (isTerminated) {\n            this.nextChar();\n            this.nextChar();\n        }\n\n        // A raw string that starts or ends with a line containing only whitespace\n        // has that line trimmed off, so the delimiters can sit on their own lines.\n        let offset = 0;\n        let count = string.length;\n\n        if (firstNewline != -1 && skipStart == firstNewline) offset = firstNewline + 1;\n        if (lastNewline != -1 && skipEnd == lastNewline) count = lastNewline;\n\n        count -= (offset > count) ? count : offset;\n\n        // The contents were gathered a byte at a time, so decode them all at once.\n        string = string.substr(offset, count);\n        this.makeToken(type, this.isBytes ? fromByteString(string) : string);\n    }\n\n    // Called after skipping over a comment, whitespace or a shebang. If the parser\n    // keeps [trivia], makes a token of [type] for the skipped text and returns\n    // `true`.\n    keepTrivia(type) {\n        if (!this.trivia) return false;\n\n        this.makeToken(type);\n        return true;\n    }\n\n    // Lex the next token and store it in [parser.current].\n    nextToken() {\n        this.previous = this.current;\n\n        // If we are out of tokens, don't try to tokenize any more. We *do* still\n        // copy the TOKEN_EOF to previous so that code that expects it to be consumed\n        // will still work.\n        if (this.current.type == 'TOKEN_EOF') return;\n\n        while (!this.isAtEnd())\n        {\n            this.startToken();\n\n            let c = this.nextChar();\n            switch (c) {\n            case 40: // (\n                // If we are inside an interpolated expression, count the unmatched \"(\".\n                if (this.numParens > 0) this.parens[this.numParens - 1]++;\n                this.makeToken('TOKEN_LEFT_PAREN');\n                return;\n\n            case 41: // )\n            // If we are inside an interpolated expression, count the \")\".\n                if (this.numParens > 0 &&\n                --this.parens[this.numParens - 1] == 0)\n                {\n                    // This is the final \")\", so the interpolation expression has ended.\n                    // This \")\" now begins the next section of the template string.\n                    this.numParens--;\n                    this.readString();\n                    return;\n                }\n\n                this.makeToken('TOKEN_RIGHT_PAREN');\n                return;\n\n            case 91: /* [ */ this.makeToken('TOKEN_LEFT_BRACKET'); return;\n            case 93: /* ] */ this.makeToken('TOKEN_RIGHT_BRACKET'); return;\n            case 123: /* { */ this.makeToken('TOKEN_LEFT_BRACE'); return;\n            case 125: /* } */ this.makeToken('TOKEN_RIGHT_BRACE'); return;\n            case 58: /* : */ this.makeToken('TOKEN_COLON'); return;\n            case 44: /* , */ this.makeToken('TOKEN_COMMA'); return;\n            case 42: /* * */ this.makeToken('TOKEN_STAR'); return;\n            case 37: /* % */ this.makeToken('TOKEN_PERCENT'); return;\n            case 94: /* ^ */ this.makeToken('TOKEN_CARET'); return;\n            case 43: /* + */ this.makeToken('TOKEN_PLUS'); return;\n            case 45: /* - */ this.makeToken('TOKEN_MINUS'); return;\n            case 126: /* ~ */ this.makeToken('TOKEN_TILDE'); return;\n            case 63: /* ? */ this.makeToken('TOKEN_QUESTION'); return;\n\n            case 124: /* | */ this.twoCharToken(124, 'TOKEN_PIPEPIPE', 'TOKEN_PIPE'); return;\n            case 38: /* & */ this.twoCharToken(38, 'TOKEN_AMPAMP', 'TOKEN_AMP'); return;\n            case 61: /* = */ this.twoCharToken(61, 'TOKEN_EQEQ', 'TOKEN_EQ'); return;\n            case 33: /* ! */ this.twoCharToken(61, 'TOKEN_BANGEQ', 'TOKEN_BANG'); return;\n\n            case 46: // .\n                if (this.matchChar(46))\n                {\n                    this.twoCharToken(46, 'TOKEN_DOTDOTDOT', 'TOKEN_DOTDOT');\n                    return;\n                }\n\n                this.makeToken('TOKEN_DOT');\n                return;\n\n            case 47: // /\n                if (this.matchChar(47 /* / */))\n                {\n                    this.skipLineComment();\n                    if (this.keepTrivia('TOKEN_COMMENT')) return;\n                    break;\n                }\n\n                if (this.matchChar(42 /* * */))\n                {\n                    this.skipBlockComment();\n                    if (this.keepTrivia('TOKEN_COMMENT')) return;\n                    break;\n                }\n\n                this.makeToken('TOKEN_SLASH');\n                return;\n\n            case 60: // <\n                if (this.matchChar(60))\n                {\n                    this.makeToken('TOKEN_LTLT');\n                }\n                else\n                {\n                    this.twoCharToken(61 /* = */, 'TOKEN_LTEQ', 'TOKEN_LT');\n                }\n                return;\n\n            case 62: // >\n                if (this.matchChar(62))\n                {\n                    this.makeToken('TOKEN_GTGT');\n                }\n                else\n                {\n                    this.twoCharToken(61 /* = */, 'TOKEN_GTEQ', 'TOKEN_GT');\n                }\n                return;\n\n            case 10: // \\n\n                this.makeToken('TOKEN_LINE');\n                return;\n\n            case 32: // space\n            case 13: // \\r\n            case 9: // \\t\n            {\n                // Skip forward until we run out of whitespace.\n                let next = this.peekChar();\n                while (next == 32 || next == 13 || next == 9)\n                {\n                    this.nextChar();\n                    next = this.peekChar();\n                }\n                if (this.keepTrivia('TOKEN_WHITESPACE')) return;\n                break;\n            }\n\n            case 34: // \"\n                if (this.language.rawStrings &&\n                    this.peekChar() == 34 && this.peekNextChar() == 34)\n                {\n                    this.readRawString();\n                    return;\n                }\n\n                this.readString();\n                return;\n\n            case 95: // _\n                this.readName(\n                    this.peekChar() == 95 ? 'TOKEN_STATIC_FIELD' : 'TOKEN_FIELD');\n                return;\n\n            case 48: // 0\n                if (this.peekChar() == 120 /* x */)\n                {\n                    this.readHexNumber();\n                    return;\n                }\n\n                this.readNumber();\n                return;\n\n            case 35: // #\n                // Ignore shebang on the first line. With attributes, it has to\n                // start like a path, since `#!name` is a runtime attribute.\n                if (this.currentLine == 1 && this.peekChar() == 33 /* ! */ &&\n                    (!this.language.attributes || this.peekNextChar() == 47 /* / */))\n                {\n                    this.skipLineComment();\n                    if (this.keepTrivia('TOKEN_SHEBANG')) return;\n                    break;\n                }\n\n                if (this.language.attributes)\n                {\n                    this.makeToken('TOKEN_HASH');\n                    return;\n                }\n\n                // Otherwise it's an invalid character.\n                // falls through\n            default:\n                if (isName(c))\n                {\n                    this.readName('TOKEN_NAME');\n                }\n                else if (isDigit(c))\n                {\n                    this.readNumber();\n                }\n                else\n                {\n                    if (c >= 32 && c <= 126)\n                    {\n                        this.lexError(LexErrorCode.INVALID_CHARACTER,\n                            'Invalid character \\'' + String.fromCharCode(c) + '\\'.');\n                    }\n                    else if (c < 0x80)\n                    {\n                        // Don't show non-ASCII values since we didn't UTF-8 decode the\n                        // bytes. Since there are no non-ASCII byte values that are\n                        // meaningful code units in Wren, the lexer works on raw bytes,\n                        // even though the source code and console output are UTF-8.\n                        this.lexError(LexErrorCode.INVALID_BYTE,\n                            'Invalid byte 0x' + c.toString(16) + '.');\n                    }\n                    else if (this.isBytes)\n                    {\n                        // Take the rest of the UTF-8 sequence [c] begins, so the\n                        // error token's text is the whole character, as it is\n                        // when the source is text. Then report each of its bytes,\n                        // the way the C lexer would.\n                        let length = 1;\n                        if (c >= 0xc0 && c < 0xf8) length = c >= 0xf0 ? 4 : c >= 0xe0 ? 3 : 2;\n                        while (--length > 0 && (this.peekChar() & 0xc0) == 0x80) this.nextChar();\n\n                        for (let i = this.tokenStart; i < this.currentChar; i++) {\n                            this.lexError(LexErrorCode.INVALID_BYTE,\n                                'Invalid byte 0x' + this.source.charCodeAt(i).toString(16) + '.');\n                        }\n                    }\n                    else\n                    {\n                        // Text can't be split into bytes, so take the whole\n                        // character and report each of its bytes, the way the C\n                        // lexer would.\n                        if (c >= 0xd800 && c <= 0xdbff) {\n                            let next = this.peekChar();\n                            if (next >= 0xdc00 && next <= 0xdfff) this.nextChar();\n                        }\n\n                        let character = this.source.slice(this.tokenStart, this.currentChar);\n                        for (let byte of new TextEncoder().encode(character)) {\n                            this.lexError(LexErrorCode.INVALID_BYTE,\n                                'Invalid byte 0x' + byte.toString(16) + '.');\n                        }\n                    }\n\n                    // Emit the bad character as an error token so that it isn't\n                    // lost and the tokens after it stay in place.\n                    this.makeToken('TOKEN_ERROR');\n                }\n                return;\n            }\n        }\n\n        // If we get here, we're out of source, so just make EOF tokens.\n        this.startToken();\n        this.makeToken('TOKEN_EOF');\n    }\n\n    // Returns [tokens] with each interpolated string, which the lexer splits into\n    // a token for each piece of literal text and the tokens of the expressions\n    // between them, gathered into a single node:\n    //\n    //     { type: 'TOKEN_INTERPOLATED_STRING', text, parts, line, column,\n    //       endLine, endColumn, start, end }\n    //\n    // Where [text] is the whole string's source and [parts] alternate between\n    // literal text and interpolated expressions, in order:\n    //\n    //     { type: 'literal', value, line, column, endLine, endColumn, start, end }\n    //     { type: 'expression', tokens }\n    //\n    // A literal's [value] is its decoded text and its position covers just that\n    // text, without the quotes or the `%(` and `)` around it. An expression's\n    // [tokens] are nested the same way, so interpolations inside it are nodes\n    // too. Can't be used on a [lazy] parser, since it needs all the tokens.\n    nestedTokens() {\n        if (this.lazy) {\n            throw new Error('nestedTokens() needs every token, so it can\\'t be used ' +\n                'on a lazy Parser.');\n        }\n\n        let tokens = this.compact ? Array.from(this.tokens) : this.tokens;\n        let i = 0;\n\n        // Whether [token] is the literal text after an interpolated expression,\n        // which starts with the \")\" that ends the expression.\n        let isContinuation = (token) =>\n            (token.type == 'TOKEN_STRING' || token.type == 'TOKEN_INTERPOLATION') &&\n            token.text[0] == ')';\n\n        // Returns the literal part for the string [token].\n        let literal = (token) => {\n            let start = token.start + 1;\n            let end = token.end;\n            if (token.type == 'TOKEN_INTERPOLATION') {\n                end -= 2;\n            } else if (token.text.length > 1 && token.text.endsWith('\"')) {\n                end--;\n            }\n\n            let location = this.locate(start);\n            let endLocation = this.locate(end);\n            return {\n                type: 'literal',\n                value: token.value,\n                line: location.line,\n                column: location.column,\n                endLine: endLocation.line,\n                endColumn: endLocation.column,\n                start: start,\n                end: end\n            };\n        };\n\n        // Nests the tokens from [i] on, stopping before the end of the enclosing\n        // interpolated expression if [inExpression].\n        let nest = (inExpression) => {\n            let nested = [];\n            while (i < tokens.length) {\n                let token = tokens[i];\n                if (inExpression &&\n                    (isContinuation(token) || token.type == 'TOKEN_EOF')) break;\n\n                if (token.type == 'TOKEN_INTERPOLATION' && !isContinuation(token)) {\n                    nested.push(interpolation());\n                } else {\n                    nested.push(token);\n                    i++;\n                }\n            }\n            return nested;\n        };\n\n        // Nests the interpolated string that starts at [i].\n        let interpolation = () => {\n            let first = tokens[i++];\n            let parts = [literal(first)];\n\n            for (;;) {\n                parts.push({ type: 'expression', tokens: nest(true) });\n\n                // An unterminated string ends without its last piece of text.\n                if (i == tokens.length || !isContinuation(tokens[i])) break;\n\n                let token = tokens[i++];\n                parts.push(literal(token));\n                if (token.type == 'TOKEN_STRING') break;\n            }\n\n            let last = tokens[i - 1];\n            let text = this.source.slice(first.start, last.end);\n            return {\n                type: 'TOKEN_INTERPOLATED_STRING',\n                text: this.isBytes ? fromByteString(text) : text,\n                parts: parts,\n                line: first.line,\n                column: first.column,\n                endLine: last.endLine,\n                endColumn: last.endColumn,\n                start: first.start,\n                end: last.end\n            };\n        };\n\n        return nest(false);\n    }\n\n    // Returns the 1-based line and column of the character at [offset], with the\n    // column counted in [columnUnit].\n    locate(offset) {\n        if (this.lineIndex == null) {\n            this.lineIndex = new _lines_js__WEBPACK_IMPORTED_MODULE_0__.LineIndex(this.source, this.columnUnit, this.isBytes);\n        }\n        return this.lineIndex.locate(offset);\n    }\n\n    // Records a lexical error with the given stable [code] and [message]. The\n    // error covers the source from [start] (defaulting to the beginning of the\n    // current token) up to the current character.\n    //\n    // Each diagnostic looks like:\n    //\n    //     { code, message, severity, line, column, endLine, endColumn, start, end }\n    //\n    // Where the lines and columns are 1-based and [start] and [end] are offsets\n    // into [source].\n    lexError(code, message, start = this.tokenStart) {\n        // Always cover at least one character, unless the error is at the very\n        // end of the source.\n        let end = Math.min(Math.max(this.currentChar, start + 1), this.source.length);\n        end = Math.max(end, start);\n        let location = this.locate(start);\n        let endLocation = this.locate(end);\n\n        let diagnostic = {\n            code: code,\n            message: message,\n            severity: 'error',\n            line: location.line,\n            column: location.column,\n            endLine: endLocation.line,\n            endColumn: endLocation.column,\n            start: start,\n            end: end\n        };\n\n        this.hasError = true;\n        this.diagnostics.push(diagnostic);\n\n        if (this.throwOnError) throw new LexError(diagnostic);\n        if (this.printErrors) {\n            console.warn('[line ' + diagnostic.line + ':' + diagnostic.column +\n                '] Error: ' + message);\n        }\n    }\n\n}\n\n// Tokenizes all of [source] and returns its tokens, ending with TOKEN_EOF.\n// Takes the same [options] as [Parser].\nfunction tokenize(source, options = {}) {\n    return new Parser(source, Object.assign({}, options, { lazy: false })).tokens;\n}\n\n// Lazily yields the tokens of [source] one at a time, ending with TOKEN_EOF.\n// Nothing past the last token asked for is lexed, so breaking out of the loop\n// early skips the rest of the source. Takes the same [options] as [Parser].\nfunction* iterateTokens(source, options = {}) {\n    yield* new Parser(source, Object.assign({}, options, { lazy: true }));\n}\n\n\n//# sourceURL=webpack://Wrent/./src/main.js?");
+
+/***/ }),
+
+/***/ "./src/outline.js":
+/*!************************!*\
+  !*** ./src/outline.js ***!
+  \************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"tagKinds\": () => /* binding */ tagKinds,\n/* harmony export */   \"outline\": () => /* binding */ outline,\n/* harmony export */   \"ctags\": () => /* binding */ ctags\n/* harmony export */ });\n/* harmony import */ var _main_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main.js */ \"./src/main.js\");\n/* harmony import */ var _ast_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./ast.js */ \"./src/ast.js\");\n\n\n\n// Lists the classes in Wren source with their methods and the fields they use,\n// for editors to show an outline and for tags files to jump to a method by its\n// signature.\n\n// The single-letter kinds of the tags in a tags file, and what they're for.\nconst tagKinds = Object.freeze({\n    class: { letter: 'c', description: 'classes' },\n    constructor: { letter: 'r', description: 'constructors' },\n    method: { letter: 'm', description: 'methods' },\n    getter: { letter: 'g', description: 'getters' },\n    setter: { letter: 's', description: 'setters' },\n    operator: { letter: 'o', description: 'operators and subscripts' },\n    field: { letter: 'f', description: 'fields' }\n});\n\n// Returns the span of [token], in the same form as a syntax tree node's.\nfunction spanOf(token) {\n    return {\n        start: token.start,\n        end: token.end,\n        line: token.line,\n        column: token.column,\n        endLine: token.endLine,\n        endColumn: token.endColumn\n    };\n}\n\n// Returns true if [span] contains the offset [offset].\nfunction contains(span, offset) {\n    return span.start <= offset && offset < span.end;\n}\n\n// Calls [callback] with every Class node in the syntax tree [node], in source\n// order, outer classes before the ones inside their methods.\nfunction eachClass(node, callback) {\n    if (Array.isArray(node)) {\n        for (let child of node) eachClass(child, callback);\n        return;\n    }\n    if (node == null || typeof node != 'object') return;\n\n    if (node.type == 'Class') callback(node);\n    for (let key in node) {\n        if (key != 'span') eachClass(node[key], callback);\n    }\n}\n\n// Returns the outline of [source], a string of Wren. [options] are passed on to\n// [Parser], the same as for [parse()].\n//\n// Returns an object with the [classes], in source order, and every lexical and\n// syntax error in [diagnostics]. Each class is:\n//\n//     { name, superclass, isForeign, span, nameSpan,\n//       methods: [{ kind, name, signature, isStatic, isForeign, isOperator,\n//                   span, nameSpan }],\n//       fields: [{ name, span }], staticFields: [{ name, span }] }\n//\n// Where [superclass] is the source of the expression after `is`, or `null`, and\n// the methods are the same as in the syntax tree, without their parameters and\n// bodies. A method that couldn't be parsed is left out. [nameSpan] is the span\n// of the class's or method's name, or of the operator or `[` a method is named\n// by. The fields are the ones used anywhere in the class, in the order they're\n// first used, each with the span of that first use.\nfunction outline(source, options = {}) {\n    let lexer = new _main_js__WEBPACK_IMPORTED_MODULE_0__.Parser(source, Object.assign({}, options,\n        { lazy: false, throwOnError: false, skipNewlines: false, compact: false }));\n    let tokens = lexer.tokens;\n    let result = (0,_ast_js__WEBPACK_IMPORTED_MODULE_1__.parseTokens)(tokens);\n\n    // Returns the index of the first token that starts at or after [offset].\n    let tokenAt = (offset) => {\n        let low = 0;\n        let high = tokens.length;\n        while (low < high) {\n            let middle = (low + high) >> 1;\n            if (tokens[middle].start < offset) {\n                low = middle + 1;\n            } else {\n                high = middle;\n            }\n        }\n        return low;\n    };\n\n    // Returns the index of the first token from the index [i] that isn't one of\n    // [skipped].\n    let indexFrom = (i, skipped) => {\n        while (i < tokens.length - 1 && skipped.includes(tokens[i].type)) i++;\n        return i;\n    };\n\n    // Returns the token that names the class or method [node], after its\n    // attributes and keywords.\n    let nameOf = (node) => {\n        let attributes = node.attributes;\n        let start = attributes.length > 0\n            ? attributes[attributes.length - 1].span.end\n            : node.span.start;\n        let i = tokenAt(start);\n        if (node.type == 'Class') {\n            return tokens[indexFrom(i, ['TOKEN_LINE', 'TOKEN_FOREIGN', 'TOKEN_CLASS'])];\n        }\n\n        i = indexFrom(i, ['TOKEN_LINE', 'TOKEN_FOREIGN', 'TOKEN_STATIC']);\n        if (tokens[i].type == 'TOKEN_CONSTRUCT') i = indexFrom(i + 1, []);\n        return tokens[i];\n    };\n\n    // Returns the source of the expression [node], from its tokens.\n    let textOf = (node) => {\n        let text = '';\n        for (let i = tokenAt(node.span.start); i < tokens.length &&\n            tokens[i].end <= node.span.end; i++) {\n            if (tokens[i].type != 'TOKEN_LINE') text += tokens[i].text;\n        }\n        return text;\n    };\n\n    let classes = [];\n    eachClass(result.ast, (node) => {\n        classes.push({\n            name: node.name,\n            superclass: node.superclass == null ? null\n                : node.superclass.type == 'Identifier' ? node.superclass.name\n                    : textOf(node.superclass),\n            isForeign: node.isForeign,\n            span: node.span,\n            nameSpan: spanOf(nameOf(node)),\n            methods: node.methods\n                .filter((method) => method.type == 'Method')\n                .map((method) => ({\n                    kind: method.kind,\n                    name: method.name,\n                    signature: method.signature,\n                    isStatic: method.isStatic,\n                    isForeign: method.isForeign,\n                    isOperator: method.isOperator,\n                    span: method.span,\n                    nameSpan: spanOf(nameOf(method))\n                })),\n            fields: [],\n            staticFields: []\n        });\n    });\n\n    // Give each field to the innermost class it's used in. Since the classes\n    // are in source order, outer ones first, the classes that contain a token\n    // are a stack that the walk over the tokens pushes and pops.\n    let open = [];\n    let next = 0;\n\n    // Returns true if the innermost open class contains [offset].\n    let isInside = (offset) =>\n        open.length > 0 && contains(open[open.length - 1].span, offset);\n\n    for (let token of tokens) {\n        if (token.type != 'TOKEN_FIELD' && token.type != 'TOKEN_STATIC_FIELD') continue;\n\n        while (next < classes.length && classes[next].span.start <= token.start) {\n            let node = classes[next++];\n            while (open.length > 0 && !isInside(node.span.start)) open.pop();\n            open.push(node);\n        }\n        while (open.length > 0 && !isInside(token.start)) open.pop();\n        if (open.length == 0) continue;\n\n        let owner = open[open.length - 1];\n\n        let fields = token.type == 'TOKEN_FIELD' ? owner.fields : owner.staticFields;\n        if (!fields.some((field) => field.name == token.text)) {\n            fields.push({ name: token.text, span: spanOf(token) });\n        }\n    }\n\n    let diagnostics = lexer.diagnostics.concat(result.diagnostics)\n        .sort((a, b) => a.start - b.start);\n    return { classes: classes, diagnostics: diagnostics };\n}\n\n// Returns the kind of tag for [method] from an outline.\nfunction methodKind(method) {\n    if (method.kind == 'constructor') return tagKinds.constructor;\n    if (method.isOperator) return tagKinds.operator;\n    if (method.kind == 'getter') return tagKinds.getter;\n    if (method.kind == 'setter') return tagKinds.setter;\n    return tagKinds.method;\n}\n\n// Returns a tags file in Universal Ctags' extended format for [files], an array\n// of `{ file, outline }` where [outline] is the result of [outline()] for the\n// source of [file].\n//\n// There's a tag for each class, named by its name, for each method, named by its\n// signature so that `foo(_)` and `foo(_,_)` are told apart, and for each field,\n// named with its underscores. A tag's address is its line number, and the\n// methods and fields name their class in a `class:` field. Static and foreign\n// ones are marked in a `properties:` field. The tags are sorted, so programs can\n// binary search them.\nfunction ctags(files) {\n    let lines = [];\n\n    // Adds a tag named [name] in [file] of [kind] at [span], with the extension\n    // [fields].\n    let add = (name, file, kind, span, fields) => {\n        let columns = [name, file, span.line + ';\"', kind.letter, 'line:' + span.line];\n        for (let key in fields) {\n            if (fields[key]) columns.push(key + ':' + fields[key]);\n        }\n        lines.push(columns.join('\\t'));\n    };\n\n    for (let { file, outline } of files) {\n        for (let node of outline.classes) {\n            add(node.name, file, tagKinds.class, node.nameSpan, {\n                inherits: node.superclass,\n                properties: node.isForeign ? 'foreign' : null\n            });\n\n            for (let method of node.methods) {\n                let properties = [];\n                if (method.isForeign) properties.push('foreign');\n                if (method.isStatic) properties.push('static');\n\n                add(method.signature, file, methodKind(method), method.nameSpan, {\n                    class: node.name,\n                    properties: properties.join(',')\n                });\n            }\n\n            for (let field of node.fields) {\n                add(field.name, file, tagKinds.field, field.span, { class: node.name });\n            }\n            for (let field of node.staticFields) {\n                add(field.name, file, tagKinds.field, field.span, {\n                    class: node.name,\n                    properties: 'static'\n                });\n            }\n        }\n    }\n\n    // Compare by UTF-16 code unit, which is byte order for the ASCII names.\n    lines.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);\n\n    let header = [\n        '!_TAG_FILE_FORMAT\\t2\\t/extended format; --format=1 will not append ;\" to lines/',\n        '!_TAG_FILE_SORTED\\t1\\t/0=unsorted, 1=sorted, 2=foldcase/',\n        '!_TAG_PROGRAM_NAME\\twrent\\t//'\n    ];\n    for (let name in tagKinds) {\n        let kind = tagKinds[name];\n        header.push('!_TAG_KIND_DESCRIPTION!Wren\\t' + kind.letter + ',' + name +\n            '\\t/' + kind.description + '/');\n    }\n\n    return header.concat(lines).map((line) => line + '\\n').join('');\n}\n\n\n//# sourceURL=webpack://Wrent/./src/outline.js?");
+
+/***/ }),
+
+/***/ "./src/rules.js":
+/*!**********************!*\
+  !*** ./src/rules.js ***!
+  \**********************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"builtinRules\": () => /* binding */ builtinRules\n/* harmony export */ });\n/* harmony import */ var _lines_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./lines.js */ \"./src/lines.js\");\n\n\n// The rules that come with [Linter]. Each one looks at the tokens of a module,\n// comments and whitespace included, and reports what it finds through the\n// context it's given. See [Linter] for what a rule and its context are.\n\n// The longest a line can be by default, the same as [format()] breaks lines at.\n// It's not imported from there, since that would import the formatter, and so\n// this, in a cycle.\nconst DEFAULT_MAX_LINE_LENGTH = 80;\n\n// The token types that aren't code.\nconst triviaTypes = new Set(['TOKEN_WHITESPACE', 'TOKEN_COMMENT', 'TOKEN_SHEBANG']);\n\n// The keywords whose parenthesized condition is followed by a body.\nconst conditionTypes = new Set(['TOKEN_IF', 'TOKEN_WHILE', 'TOKEN_FOR']);\n\n// The keywords that leave the rest of their block behind.\nconst jumpTypes = new Set(['TOKEN_RETURN', 'TOKEN_BREAK', 'TOKEN_CONTINUE']);\n\n// Returns true if [token] is a newline, the end of the file or a newline that\n// the lexer kept as whitespace because it doesn't end a statement.\nfunction endsLine(token) {\n    return token.type == 'TOKEN_LINE' || token.type == 'TOKEN_EOF' ||\n        (token.type == 'TOKEN_WHITESPACE' && /^[\\r\\n]/.test(token.text));\n}\n\n// Returns the index of the first token from [i] in [tokens] that isn't trivia\n// or, if [skipLines], a newline.\nfunction nextCode(tokens, i, skipLines = false) {\n    while (i < tokens.length - 1 && (triviaTypes.has(tokens[i].type) ||\n        (skipLines && tokens[i].type == 'TOKEN_LINE'))) {\n        i++;\n    }\n    return i;\n}\n\n// Returns the index of the last token before [i] in [tokens] that isn't trivia,\n// or -1.\nfunction previousCode(tokens, i) {\n    i--;\n    while (i >= 0 && triviaTypes.has(tokens[i].type)) i--;\n    return i;\n}\n\n// Spaces or tabs at the end of a line, outside of strings and block comments.\nconst trailingWhitespace = {\n    description: 'Disallow spaces and tabs at the end of a line.',\n    severity: 'warning',\n    options: {},\n    check(context) {\n        let tokens = context.tokens;\n        for (let i = 0; i < tokens.length - 1; i++) {\n            let token = tokens[i];\n            let isLineComment = token.type == 'TOKEN_COMMENT' && token.text.startsWith('//');\n            if (token.type != 'TOKEN_WHITESPACE' && !isLineComment) continue;\n            if (!endsLine(tokens[i + 1])) continue;\n\n            let match = /[ \\t]+(?=\\r?$)/.exec(token.text);\n            if (match == null) continue;\n\n            let start = token.start + match.index;\n            let end = start + match[0].length;\n            context.report({\n                message: 'Trailing whitespace.',\n                start: start,\n                end: end,\n                fix: { start: start, end: end, text: '' }\n            });\n        }\n    }\n};\n\n// Indentation that uses both tabs and spaces on the same line.\nconst mixedIndentation = {\n    description: 'Disallow indenting a line with both tabs and spaces.',\n    severity: 'warning',\n    options: { tabWidth: 4 },\n    check(context) {\n        let tokens = context.tokens;\n        for (let i = 0; i < tokens.length; i++) {\n            let token = tokens[i];\n            if (token.type != 'TOKEN_WHITESPACE') continue;\n            if (i > 0 && !endsLine(tokens[i - 1]) &&\n                !/\\n$/.test(tokens[i - 1].text)) {\n                continue;\n            }\n\n            let indent = /^[ \\t]*/.exec(token.text)[0];\n            if (!indent.includes(' ') || !indent.includes('\\t')) continue;\n\n            // Expand each tab to the next tab stop.\n            let width = 0;\n            for (let char of indent) {\n                width = char == '\\t'\n                    ? width + context.options.tabWidth - width % context.options.tabWidth\n                    : width + 1;\n            }\n\n            context.report({\n                message: 'Indentation mixes tabs and spaces.',\n                start: token.start,\n                end: token.start + indent.length,\n                fix: {\n                    start: token.start,\n                    end: token.start + indent.length,\n                    text: ' '.repeat(width)\n                }\n            });\n        }\n    }\n};\n\n// Lines longer than a maximum, counted in code points.\nconst maxLineLength = {\n    description: 'Disallow lines longer than a maximum.',\n    severity: 'warning',\n    options: { max: DEFAULT_MAX_LINE_LENGTH },\n    check(context) {\n        let source = context.source;\n        let lineStarts = context.lines.lineStarts;\n        let max = context.options.max;\n\n        for (let line = 0; line < lineStarts.length; line++) {\n            let start = lineStarts[line];\n            let end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : source.length;\n            if (end > start && source[end - 1] == '\\r') end--;\n\n            let length = (0,_lines_js__WEBPACK_IMPORTED_MODULE_0__.countCodePoints)(source, start, end);\n            if (length <= max) continue;\n\n            // Point at the part past the maximum.\n            let over = start;\n            for (let count = 0; count < max; count++) {\n                over += source.codePointAt(over) > 0xffff ? 2 : 1;\n            }\n            context.report({\n                message: 'Line is ' + length + ' characters long. The maximum is ' + max + '.',\n                start: over,\n                end: end\n            });\n        }\n    }\n};\n\n// Static fields used where there's no class for them to belong to, which the\n// compiler rejects.\nconst staticFieldOutsideClass = {\n    description: 'Disallow static fields outside of a class.',\n    severity: 'error',\n    options: {},\n    check(context) {\n        // Whether each open \"{\" is a class body.\n        let braces = [];\n        let classBodies = 0;\n        let isClassNext = false;\n\n        for (let token of context.tokens) {\n            switch (token.type) {\n            case 'TOKEN_CLASS':\n                isClassNext = true;\n                break;\n            case 'TOKEN_LEFT_BRACE':\n                braces.push(isClassNext);\n                if (isClassNext) classBodies++;\n                isClassNext = false;\n                break;\n            case 'TOKEN_RIGHT_BRACE':\n                if (braces.pop()) classBodies--;\n                break;\n            case 'TOKEN_STATIC_FIELD':\n                if (classBodies == 0) {\n                    context.report({\n                        message: 'Static field \\'' + token.text +\n                            '\\' is used outside of a class.',\n                        start: token.start,\n                        end: token.end\n                    });\n                }\n                break;\n            }\n        }\n    }\n};\n\n// A `var` with the same name as a variable declared before it in the same\n// block or, with the `enclosingBlocks` option, in one around it.\nconst noShadow = {\n    description: 'Disallow a variable with the same name as one in the same block.',\n    severity: 'warning',\n    options: { enclosingBlocks: false },\n    check(context) {\n        let tokens = context.tokens;\n\n        // The names declared in each open block, the module's first, mapped to\n        // the token that declared them.\n        let scopes = [new Map()];\n\n        let declare = (token) => {\n            let outermost = context.options.enclosingBlocks ? 0 : scopes.length - 1;\n            for (let i = scopes.length - 1; i >= outermost; i--) {\n                let earlier = scopes[i].get(token.text);\n                if (earlier == null) continue;\n\n                context.report({\n                    message: (i == scopes.length - 1\n                        ? '\\'' + token.text + '\\' is already declared'\n                        : '\\'' + token.text + '\\' shadows the variable declared') +\n                        ' on line ' + earlier.line + '.',\n                    start: token.start,\n                    end: token.end\n                });\n                break;\n            }\n            scopes[scopes.length - 1].set(token.text, token);\n        };\n\n        for (let i = 0; i < tokens.length; i++) {\n            let token = tokens[i];\n            switch (token.type) {\n            case 'TOKEN_LEFT_BRACE': {\n                scopes.push(new Map());\n\n                // A block argument's parameters belong to its block.\n                let next = nextCode(tokens, i + 1, true);\n                if (tokens[next].type != 'TOKEN_PIPE') break;\n                for (i = next + 1; i < tokens.length - 1; i++) {\n                    let type = tokens[i].type;\n                    if (type == 'TOKEN_PIPE') break;\n                    if (type == 'TOKEN_NAME') declare(tokens[i]);\n                }\n                break;\n            }\n            case 'TOKEN_RIGHT_BRACE':\n                if (scopes.length > 1) scopes.pop();\n                break;\n            case 'TOKEN_VAR':\n            case 'TOKEN_CLASS': {\n                let name = tokens[nextCode(tokens, i + 1)];\n                if (name.type == 'TOKEN_NAME') declare(name);\n                break;\n            }\n            }\n        }\n    }\n};\n\n// The body of an `if`, `else`, `while` or `for` with nothing in it, not even a\n// comment.\nconst emptyBlock = {\n    description: 'Disallow empty if, else, while and for bodies.',\n    severity: 'warning',\n    options: {},\n    check(context) {\n        let tokens = context.tokens;\n\n        // For each open \"(\", the keyword before it if it's a condition's.\n        let parens = [];\n\n        // The keyword whose body comes next, if any.\n        let owner = null;\n\n        for (let i = 0; i < tokens.length; i++) {\n            let token = tokens[i];\n            if (triviaTypes.has(token.type) || token.type == 'TOKEN_LINE') continue;\n\n            let keyword = owner;\n            owner = null;\n\n            switch (token.type) {\n            case 'TOKEN_LEFT_PAREN': {\n                let previous = tokens[previousCode(tokens, i)];\n                parens.push(previous && conditionTypes.has(previous.type) ? previous : null);\n                break;\n            }\n            case 'TOKEN_RIGHT_PAREN':\n                owner = parens.pop() || null;\n                break;\n            case 'TOKEN_ELSE':\n                owner = token;\n                break;\n            case 'TOKEN_LEFT_BRACE': {\n                if (keyword == null) break;\n\n                let close = i + 1;\n                while (tokens[close].type == 'TOKEN_LINE' ||\n                    tokens[close].type == 'TOKEN_WHITESPACE') {\n                    close++;\n                }\n                if (tokens[close].type != 'TOKEN_RIGHT_BRACE') break;\n\n                context.report({\n                    message: 'Empty block after \\'' + keyword.text + '\\'.',\n                    start: token.start,\n                    end: tokens[close].end\n                });\n                break;\n            }\n            }\n        }\n    }\n};\n\n// Code after a `return`, `break` or `continue` in the same block, which can\n// never run.\nconst unreachableCode = {\n    description: 'Disallow code after a return, break or continue in the same block.',\n    severity: 'warning',\n    options: {},\n    check(context) {\n        let tokens = context.tokens;\n        for (let i = 0; i < tokens.length; i++) {\n            let token = tokens[i];\n            if (!jumpTypes.has(token.type)) continue;\n\n            // Only a jump that starts a statement of its own in the block is\n            // always taken. One after `if (...)` or `else` may not be. Even the\n            // first statement of a block has the newline after its `{` before it.\n            let previous = previousCode(tokens, i);\n            if (previous != -1 && tokens[previous].type != 'TOKEN_LINE') continue;\n\n            // Find the end of the statement. The lexer has left out the\n            // newlines that don't end one.\n            let depth = 0;\n            let end = i + 1;\n            for (; end < tokens.length - 1; end++) {\n                let type = tokens[end].type;\n                if (type == 'TOKEN_LEFT_PAREN' || type == 'TOKEN_LEFT_BRACKET' ||\n                    type == 'TOKEN_LEFT_BRACE') {\n                    depth++;\n                } else if (type == 'TOKEN_RIGHT_PAREN' || type == 'TOKEN_RIGHT_BRACKET' ||\n                    type == 'TOKEN_RIGHT_BRACE') {\n                    if (depth == 0) break;\n                    depth--;\n                } else if (type == 'TOKEN_LINE' && depth == 0) {\n                    break;\n                }\n            }\n\n            let first = nextCode(tokens, end, true);\n            let type = tokens[first].type;\n            if (type == 'TOKEN_RIGHT_BRACE' || type == 'TOKEN_EOF') continue;\n\n            // Everything up to the end of the block is dead.\n            depth = 0;\n            let last = first;\n            for (let j = first; j < tokens.length - 1; j++) {\n                let type = tokens[j].type;\n                if (type == 'TOKEN_RIGHT_BRACE' && depth == 0) break;\n                if (type == 'TOKEN_LEFT_BRACE') depth++;\n                if (type == 'TOKEN_RIGHT_BRACE') depth--;\n                if (!triviaTypes.has(type) && type != 'TOKEN_LINE') last = j;\n            }\n\n            context.report({\n                message: 'Unreachable code after \\'' + token.text + '\\'.',\n                start: tokens[first].start,\n                end: tokens[last].end\n            });\n\n            // Don't report jumps in the dead code too.\n            i = last;\n        }\n    }\n};\n\n// The built-in rules, by name.\nconst builtinRules = Object.freeze({\n    'trailing-whitespace': trailingWhitespace,\n    'mixed-indentation': mixedIndentation,\n    'max-line-length': maxLineLength,\n    'static-field-outside-class': staticFieldOutsideClass,\n    'no-shadow': noShadow,\n    'empty-block': emptyBlock,\n    'unreachable-code': unreachableCode\n});\n\n\n//# sourceURL=webpack://Wrent/./src/rules.js?");
+
+/***/ }),
+
+/***/ "./src/runtime.js":
+/*!************************!*\
+  !*** ./src/runtime.js ***!
+  \************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
+
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"setWriter\": () => /* binding */ setWriter,\n/* harmony export */   \"WrenRuntimeError\": () => /* binding */ WrenRuntimeError,\n/* harmony export */   \"WrenClass\": () => /* binding */ WrenClass,\n/* harmony export */   \"WrenObject\": () => /* binding */ WrenObject,\n/* harmony export */   \"WrenRange\": () => /* binding */ WrenRange,\n/* harmony export */   \"WrenFn\": () => /* binding */ WrenFn,\n/* harmony export */   \"WrenFiber\": () => /* binding */ WrenFiber,\n/* harmony export */   \"classOf\": () => /* binding */ classOf,\n/* harmony export */   \"truthy\": () => /* binding */ truthy,\n/* harmony export */   \"call\": () => /* binding */ call,\n/* harmony export */   \"callSuper\": () => /* binding */ callSuper,\n/* harmony export */   \"toString\": () => /* binding */ toString,\n/* harmony export */   \"core\": () => /* binding */ core,\n/* harmony export */   \"defineClass\": () => /* binding */ defineClass,\n/* harmony export */   \"method\": () => /* binding */ method,\n/* harmony export */   \"staticMethod\": () => /* binding */ staticMethod,\n/* harmony export */   \"constructor\": () => /* binding */ constructor,\n/* harmony export */   \"bindForeignMethod\": () => /* binding */ bindForeignMethod,\n/* harmony export */   \"foreignMethod\": () => /* binding */ foreignMethod,\n/* harmony export */   \"fn\": () => /* binding */ fn,\n/* harmony export */   \"map\": () => /* binding */ map,\n/* harmony export */   \"range\": () => /* binding */ range,\n/* harmony export */   \"runModule\": () => /* binding */ runModule\n/* harmony export */ });\n// The runtime that JavaScript transpiled from Wren runs on. It provides Wren's\n// object model and the core classes: Object, Class, Bool, Null, Num, String,\n// List, Map, Range, Sequence, Fn, Fiber and System.\n//\n// Wren values map onto JavaScript ones where they can: Num is a number, String\n// is a string, Bool is a boolean, null is `null`, List is an array and Map is\n// a `Map`. Everything else is an instance of one of the classes below.\n//\n// Transpiled methods are generator functions, and so are the native methods\n// that call back into Wren. The rest of the native methods are plain functions.\n// A call is `yield* call(receiver, signature, ...args)`, which runs either\n// kind, and `Fiber.yield()` is the only thing that actually yields. That lets a\n// fiber suspend from any depth of calls and pick up again later, the way Wren's\n// fibers do.\n//\n// Strings are JavaScript strings, so they're indexed by UTF-16 code unit where\n// Wren uses UTF-8 bytes.\n\n// Where System.print() and friends write to. Nothing is written anywhere until\n// it's replaced with [setWriter()].\nlet writer = () => {};\n\n// Sends everything the program writes to [write], a function that takes a\n// string. Returns the previous writer.\nfunction setWriter(write) {\n    let previous = writer;\n    writer = write;\n    return previous;\n}\n\n// A runtime error raised by the Wren program, like calling a method that\n// doesn't exist or `Fiber.abort()`. [value] is the Wren value it was aborted\n// with, usually a string.\nclass WrenRuntimeError extends Error {\n    constructor(value) {\n        super(typeof value == 'string' ? value : String(value));\n        this.name = 'WrenRuntimeError';\n        this.value = value;\n    }\n}\n\n// Aborts the current fiber with [message].\nfunction abort(message) {\n    throw new WrenRuntimeError(message);\n}\n\nclass WrenClass {\n    constructor(name, superclass, metaclass) {\n        this.name = name;\n        this.superclass = superclass;\n\n        // The class of this class, which holds its static methods.\n        this.metaclass = metaclass;\n\n        // Every method the class responds to, including inherited ones, keyed\n        // by signature.\n        this.methods = new Map(superclass ? superclass.methods : []);\n    }\n}\n\n// An instance of a class defined in Wren.\nclass WrenObject {\n    constructor(cls) {\n        this.cls = cls;\n\n        // The values of the object's fields, keyed by class and field name.\n        this.fields = Object.create(null);\n    }\n}\n\nclass WrenRange {\n    constructor(from, to, isInclusive) {\n        this.from = from;\n        this.to = to;\n        this.isInclusive = isInclusive;\n    }\n}\n\nclass WrenFn {\n    constructor(arity, body) {\n        this.arity = arity;\n\n        // The generator function that runs the function's code.\n        this.body = body;\n    }\n}\n\nclass WrenFiber {\n    constructor(fn) {\n        this.fn = fn;\n        this.generator = null;\n        this.isDone = false;\n        this.error = null;\n\n        // The fiber that ran this one, while it's running.\n        this.caller = null;\n    }\n\n    // Runs the fiber until it yields or finishes, passing [value] in as the\n    // result of the `Fiber.yield()` it's suspended at. Returns the value it\n    // yields or returns. If [isTry], a runtime error ends the fiber and is\n    // returned instead of passed on to the calling fiber.\n    resume(value, isTry) {\n        if (this.isDone) abort('Cannot call a finished fiber.');\n        if (this.caller != null || this == currentFiber) {\n            abort('Fiber has already been called.');\n        }\n\n        let first = this.generator == null;\n        if (first) {\n            this.generator = this.fn.body(...(this.fn.arity == 0 ? [] : [value]));\n        }\n\n        this.caller = currentFiber;\n        currentFiber = this;\n        try {\n            let result = this.generator.next(first ? undefined : value);\n            if (result.done) {\n                this.isDone = true;\n                return result.value === undefined ? null : result.value;\n            }\n            return result.value;\n        } catch (error) {\n            if (!(error instanceof WrenRuntimeError)) throw error;\n\n            this.isDone = true;\n            this.error = error.value;\n            if (isTry) return error.value;\n            throw error;\n        } finally {\n            currentFiber = this.caller;\n            this.caller = null;\n        }\n    }\n}\n\n// The fiber that is running right now.\nlet currentFiber = null;\n\n// Creates a class called [name] that inherits from [superclass], along with its\n// metaclass.\nfunction createClass(name, superclass) {\n    let metaclass = new WrenClass(name + ' metaclass', ClassClass, null);\n    return new WrenClass(name, superclass, metaclass);\n}\n\n// Adds the methods in [table], keyed by signature, to [cls]. Only the methods\n// that call back into Wren need to be generators. See [invoke()].\nfunction natives(cls, table) {\n    for (let signature of Object.keys(table)) {\n        cls.methods.set(signature, table[signature]);\n    }\n}\n\n// Calls [fn] with [self] as `this` and [args], and returns what it returns. If\n// it's a generator function, it's run to the end, yielding whatever it yields.\nfunction* invoke(fn, self, args) {\n    if (fn.constructor.name != 'GeneratorFunction') return fn.apply(self, args);\n    return yield* fn.apply(self, args);\n}\n\n// Adds static methods to [cls].\nfunction staticNatives(cls, table) {\n    natives(cls.metaclass, table);\n}\n\n// Returns the class of [value].\nfunction classOf(value) {\n    switch (typeof value) {\n    case 'number': return NumClass;\n    case 'string': return StringClass;\n    case 'boolean': return BoolClass;\n    }\n\n    if (value == null) return NullClass;\n    if (Array.isArray(value)) return ListClass;\n    if (value instanceof WrenObject) return value.cls;\n    if (value instanceof WrenClass) return value.metaclass || ClassClass;\n    if (value instanceof Map) return MapClass;\n    if (value instanceof WrenRange) return RangeClass;\n    if (value instanceof WrenFn) return FnClass;\n    if (value instanceof WrenFiber) return FiberClass;\n    if (value instanceof MapEntry) return MapEntryClass;\n    if (value instanceof LazySequence) return value.cls;\n    return ObjectClass;\n}\n\n// Returns true if [value] counts as true in a condition. Only `false` and\n// `null` don't.\nfunction truthy(value) {\n    return value !== false && value != null;\n}\n\n// Calls the method with [signature] on [receiver].\nfunction* call(receiver, signature, ...args) {\n    let cls = classOf(receiver);\n    let method = cls.methods.get(signature);\n    if (method == null) abort(cls.name + ' does not implement \\'' + signature + '\\'.');\n    return yield* invoke(method, receiver, args);\n}\n\n// Calls the method with [signature] that [cls] inherits on [receiver], for\n// `super` calls. [cls] is the metaclass for static methods.\nfunction* callSuper(cls, receiver, signature, ...args) {\n    let method = cls.superclass ? cls.superclass.methods.get(signature) : null;\n    if (method == null) {\n        abort(cls.superclass.name + ' does not implement \\'' + signature + '\\'.');\n    }\n    return yield* invoke(method, receiver, args);\n}\n\n// Converts [value] to a string by calling its `toString`.\nfunction* toString(value) {\n    if (typeof value == 'string') return value;\n\n    let string = yield* call(value, 'toString');\n    if (typeof string != 'string') abort('toString must return a string.');\n    return string;\n}\n\n// Formats a number the way Wren does, which is C's \"%.14g\".\nfunction numToString(value) {\n    if (Number.isNaN(value)) return 'nan';\n    if (value == Infinity) return 'infinity';\n    if (value == -Infinity) return '-infinity';\n    if (Object.is(value, -0)) return '-0';\n\n    let exponential = value.toExponential(13);\n    let exponent = Number(exponential.split('e')[1]);\n    if (exponent < -4 || exponent >= 14) {\n        let parts = exponential.split('e');\n        let mantissa = parts[0].replace(/\\.?0+$/, '');\n        let sign = exponent < 0 ? '-' : '+';\n        let digits = String(Math.abs(exponent)).padStart(2, '0');\n        return mantissa + 'e' + sign + digits;\n    }\n\n    let fixed = value.toFixed(Math.max(0, 13 - exponent));\n    if (fixed.indexOf('.') != -1) fixed = fixed.replace(/\\.?0+$/, '');\n    return fixed;\n}\n\n// Checks that [value] is a number, for the right-hand side of an operator.\nfunction checkNum(value, name = 'Right operand') {\n    if (typeof value != 'number') abort(name + ' must be a number.');\n    return value;\n}\n\n// Checks that [value] is an integer index into a sequence with [count] items,\n// allowing negative indexes from the end. Returns the positive index.\nfunction checkIndex(value, count, name = 'Subscript') {\n    if (typeof value != 'number') abort(name + ' must be a number.');\n    if (!Number.isInteger(value)) abort(name + ' must be an integer.');\n    if (value < 0) value += count;\n    if (value < 0 || value >= count) abort(name + ' out of bounds.');\n    return value;\n}\n\n// Returns the [start] and [count] of the items in [range] in a sequence with\n// [length] items, and whether they go backwards.\nfunction rangeIndexes(range, length) {\n    let from = range.from;\n    let to = range.to;\n    if (from == length && ((range.isInclusive && to == -1) ||\n        (!range.isInclusive && to == length))) {\n        return { start: from, count: 0, step: 1 };\n    }\n\n    from = checkIndex(from, length, 'Range start');\n    if (to < 0) to += length;\n    if (!range.isInclusive) {\n        if (to == from) return { start: from, count: 0, step: 1 };\n        to += to >= from ? -1 : 1;\n    }\n    to = checkIndex(to, length, 'Range end');\n\n    let step = to >= from ? 1 : -1;\n    return { start: from, count: Math.abs(to - from) + 1, step: step };\n}\n\n// The iterators of the lazy sequences that `map()`, `where()`, `skip()` and\n// `take()` return.\nclass LazySequence {\n    constructor(cls, sequence, argument) {\n        this.cls = cls;\n        this.sequence = sequence;\n        this.argument = argument;\n    }\n}\n\nclass MapEntry {\n    constructor(key, value) {\n        this.key = key;\n        this.value = value;\n    }\n}\n\n// Checks that [value] can be a map key.\nfunction checkKey(value) {\n    if (value == null || typeof value == 'number' || typeof value == 'string' ||\n        typeof value == 'boolean' || value instanceof WrenClass ||\n        value instanceof WrenRange) {\n        return value;\n    }\n    abort('Key must be a value type.');\n}\n\n// The core classes.\n\nlet ObjectClass = new WrenClass('Object', null, null);\nnatives(ObjectClass, {\n    '!': () => false,\n    '==(_)': function (other) { return this === other; },\n    '!=(_)': function* (other) {\n        return !truthy(yield* call(this, '==(_)', other));\n    },\n    'is(_)': function (cls) {\n        if (!(cls instanceof WrenClass)) abort('Right operand must be a class.');\n        for (let c = classOf(this); c != null; c = c.superclass) {\n            if (c == cls) return true;\n        }\n        return false;\n    },\n    'toString': function () { return 'instance of ' + classOf(this).name; },\n    'type': function () { return classOf(this); }\n});\n\nlet ClassClass = new WrenClass('Class', ObjectClass, null);\nnatives(ClassClass, {\n    'name': function () { return this.name; },\n    'supertype': function () { return this.superclass; },\n    'toString': function () { return this.name; },\n    'attributes': () => null\n});\n\nObjectClass.metaclass = new WrenClass('Object metaclass', ClassClass, null);\nClassClass.metaclass = new WrenClass('Class metaclass', ClassClass, null);\nstaticNatives(ObjectClass, {\n    'same(_,_)': (a, b) => a === b ||\n        (a instanceof WrenRange && b instanceof WrenRange && rangeEquals(a, b))\n});\n\nlet BoolClass = createClass('Bool', ObjectClass);\nnatives(BoolClass, {\n    '!': function () { return !this; },\n    'toString': function () { return String(this); }\n});\n\nlet NullClass = createClass('Null', ObjectClass);\nnatives(NullClass, {\n    '!': () => true,\n    'toString': () => 'null'\n});\n\nlet NumClass = createClass('Num', ObjectClass);\nstaticNatives(NumClass, {\n    'fromString(_)': (string) => {\n        if (typeof string != 'string') abort('Argument must be a string.');\n        let trimmed = string.trim();\n        if (trimmed == '') return null;\n        let value = Number(trimmed);\n        return Number.isNaN(value) ? null : value;\n    },\n    'infinity': () => Infinity,\n    'nan': () => NaN,\n    'pi': () => Math.PI,\n    'tau': () => Math.PI * 2,\n    'largest': () => Number.MAX_VALUE,\n    'smallest': () => Number.MIN_VALUE,\n    'maxSafeInteger': () => Number.MAX_SAFE_INTEGER,\n    'minSafeInteger': () => Number.MIN_SAFE_INTEGER,\n    'epsilon': () => Number.EPSILON\n});\nnatives(NumClass, {\n    '-': function () { return -this; },\n    '+(_)': function (b) { return this + checkNum(b); },\n    '-(_)': function (b) { return this - checkNum(b); },\n    '*(_)': function (b) { return this * checkNum(b); },\n    '/(_)': function (b) { return this / checkNum(b); },\n    '%(_)': function (b) { return this % checkNum(b); },\n    '<(_)': function (b) { return this < checkNum(b); },\n    '>(_)': function (b) { return this > checkNum(b); },\n    '<=(_)': function (b) { return this <= checkNum(b); },\n    '>=(_)': function (b) { return this >= checkNum(b); },\n    '==(_)': function (b) { return this === b; },\n    '!=(_)': function (b) { return this !== b; },\n    '&(_)': function (b) { return ((this >>> 0) & (checkNum(b) >>> 0)) >>> 0; },\n    '|(_)': function (b) { return ((this >>> 0) | (checkNum(b) >>> 0)) >>> 0; },\n    '^(_)': function (b) { return ((this >>> 0) ^ (checkNum(b) >>> 0)) >>> 0; },\n    '<<(_)': function (b) { return ((this >>> 0) << (checkNum(b) >>> 0)) >>> 0; },\n    '>>(_)': function (b) { return (this >>> 0) >>> (checkNum(b) >>> 0); },\n    '~': function () { return (~(this >>> 0)) >>> 0; },\n    '..(_)': function (b) { return new WrenRange(this, checkNum(b), true); },\n    '...(_)': function (b) { return new WrenRange(this, checkNum(b), false); },\n    'abs': function () { return Math.abs(this); },\n    'acos': function () { return Math.acos(this); },\n    'asin': function () { return Math.asin(this); },\n    'atan': function () { return Math.atan(this); },\n    'atan(_)': function (x) { return Math.atan2(this, checkNum(x, 'x value')); },\n    'cbrt': function () { return Math.cbrt(this); },\n    'ceil': function () { return Math.ceil(this); },\n    'cos': function () { return Math.cos(this); },\n    'exp': function () { return Math.exp(this); },\n    'floor': function () { return Math.floor(this); },\n    'fraction': function () { return this - Math.trunc(this); },\n    'isInfinity': function () { return this == Infinity || this == -Infinity; },\n    'isInteger': function () { return Number.isInteger(this); },\n    'isNan': function () { return Number.isNaN(this); },\n    'log': function () { return Math.log(this); },\n    'log2': function () { return Math.log2(this); },\n    'max(_)': function (b) { return Math.max(this, checkNum(b, 'Other value')); },\n    'min(_)': function (b) { return Math.min(this, checkNum(b, 'Other value')); },\n    'clamp(_,_)': function (min, max) {\n        return Math.min(Math.max(this, checkNum(min, 'Min value')),\n            checkNum(max, 'Max value'));\n    },\n    'pow(_)': function (b) { return Math.pow(this, checkNum(b, 'Power value')); },\n    'round': function () { return Math.sign(this) * Math.round(Math.abs(this)); },\n    'sign': function () { return Math.sign(this); },\n    'sin': function () { return Math.sin(this); },\n    'sqrt': function () { return Math.sqrt(this); },\n    'tan': function () { return Math.tan(this); },\n    'toString': function () { return numToString(+this); },\n    'truncate': function () { return Math.trunc(this); }\n});\n\nlet SequenceClass = createClass('Sequence', ObjectClass);\n\n// Calls [fn], a plain or generator function, with each item in [sequence],\n// stopping early if it returns `false`.\nfunction* forEach(sequence, fn) {\n    let iterator = null;\n    while (truthy(iterator = yield* call(sequence, 'iterate(_)', iterator))) {\n        let value = yield* call(sequence, 'iteratorValue(_)', iterator);\n        if ((yield* invoke(fn, null, [value])) === false) return;\n    }\n}\n\n// Calls the Wren function [fn] with [args].\nfunction* callFn(fn, ...args) {\n    if (!(fn instanceof WrenFn)) return yield* call(fn, 'call(_)', ...args);\n    return yield* fn.body(...args);\n}\n\nnatives(SequenceClass, {\n    'all(_)': function* (fn) {\n        let result = true;\n        yield* forEach(this, function* (value) {\n            result = yield* callFn(fn, value);\n            if (!truthy(result)) return false;\n        });\n        return result;\n    },\n    'any(_)': function* (fn) {\n        let result = false;\n        yield* forEach(this, function* (value) {\n            result = yield* callFn(fn, value);\n            if (truthy(result)) return false;\n        });\n        return result;\n    },\n    'contains(_)': function* (element) {\n        let found = false;\n        yield* forEach(this, function* (value) {\n            if (truthy(yield* call(element, '==(_)', value))) {\n                found = true;\n                return false;\n            }\n        });\n        return found;\n    },\n    'count': function* () {\n        let count = 0;\n        yield* forEach(this, () => { count++; });\n        return count;\n    },\n    'count(_)': function* (fn) {\n        let count = 0;\n        yield* forEach(this, function* (value) {\n            if (truthy(yield* callFn(fn, value))) count++;\n        });\n        return count;\n    },\n    'each(_)': function* (fn) {\n        yield* forEach(this, function* (value) { yield* callFn(fn, value); });\n        return null;\n    },\n    'isEmpty': function* () {\n        return !truthy(yield* call(this, 'iterate(_)', null));\n    },\n    'map(_)': function (fn) { return new LazySequence(MapSequenceClass, this, fn); },\n    'where(_)': function (fn) { return new LazySequence(WhereSequenceClass, this, fn); },\n    'skip(_)': function (count) {\n        checkIndex(count, Infinity, 'Count');\n        return new LazySequence(SkipSequenceClass, this, count);\n    },\n    'take(_)': function (count) {\n        checkIndex(count, Infinity, 'Count');\n        return new LazySequence(TakeSequenceClass, this, count);\n    },\n    'reduce(_)': function* (fn) {\n        let iterator = yield* call(this, 'iterate(_)', null);\n        if (!truthy(iterator)) abort('Can\\'t reduce an empty sequence.');\n\n        let result = yield* call(this, 'iteratorValue(_)', iterator);\n        while (truthy(iterator = yield* call(this, 'iterate(_)', iterator))) {\n            result = yield* callFn(fn, result,\n                yield* call(this, 'iteratorValue(_)', iterator));\n        }\n        return result;\n    },\n    'reduce(_,_)': function* (acc, fn) {\n        yield* forEach(this, function* (value) {\n            acc = yield* callFn(fn, acc, value);\n        });\n        return acc;\n    },\n    'join()': function* () { return yield* call(this, 'join(_)', ''); },\n    'join': function* () { return yield* call(this, 'join(_)', ''); },\n    'join(_)': function* (separator) {\n        if (typeof separator != 'string') abort('Separator must be a string.');\n        let parts = [];\n        yield* forEach(this, function* (value) { parts.push(yield* toString(value)); });\n        return parts.join(separator);\n    },\n    'toList': function* () {\n        let list = [];\n        yield* forEach(this, (value) => { list.push(value); });\n        return list;\n    }\n});\n\nlet MapSequenceClass = createClass('MapSequence', SequenceClass);\nnatives(MapSequenceClass, {\n    'iterate(_)': function* (iterator) {\n        return yield* call(this.sequence, 'iterate(_)', iterator);\n    },\n    'iteratorValue(_)': function* (iterator) {\n        return yield* callFn(this.argument,\n            yield* call(this.sequence, 'iteratorValue(_)', iterator));\n    }\n});\n\nlet WhereSequenceClass = createClass('WhereSequence', SequenceClass);\nnatives(WhereSequenceClass, {\n    'iterate(_)': function* (iterator) {\n        while (truthy(iterator = yield* call(this.sequence, 'iterate(_)', iterator))) {\n            let value = yield* call(this.sequence, 'iteratorValue(_)', iterator);\n            if (truthy(yield* callFn(this.argument, value))) break;\n        }\n        return iterator;\n    },\n    'iteratorValue(_)': function* (iterator) {\n        return yield* call(this.sequence, 'iteratorValue(_)', iterator);\n    }\n});\n\n// Skipping and taking need to count alongside the inner iterator, so their\n// iterators are `[count, inner]` pairs.\nlet SkipSequenceClass = createClass('SkipSequence', SequenceClass);\nnatives(SkipSequenceClass, {\n    'iterate(_)': function* (iterator) {\n        let inner = iterator == null ? null : iterator[1];\n        let skip = iterator == null ? this.argument : 0;\n        do {\n            inner = yield* call(this.sequence, 'iterate(_)', inner);\n            if (!truthy(inner)) return false;\n        } while (skip-- > 0);\n        return [0, inner];\n    },\n    'iteratorValue(_)': function* (iterator) {\n        return yield* call(this.sequence, 'iteratorValue(_)', iterator[1]);\n    }\n});\n\nlet TakeSequenceClass = createClass('TakeSequence', SequenceClass);\nnatives(TakeSequenceClass, {\n    'iterate(_)': function* (iterator) {\n        let taken = iterator == null ? 0 : iterator[0];\n        if (taken >= this.argument) return false;\n\n        let inner = yield* call(this.sequence, 'iterate(_)',\n            iterator == null ? null : iterator[1]);\n        return truthy(inner) ? [taken + 1, inner] : false;\n    },\n    'iteratorValue(_)': function* (iterator) {\n        return yield* call(this.sequence, 'iteratorValue(_)', iterator[1]);\n    }\n});\n\nlet StringClass = createClass('String', SequenceClass);\nstaticNatives(StringClass, {\n    'fromCodePoint(_)': (codePoint) => {\n        checkIndex(codePoint, 0x110000, 'Code point');\n        return String.fromCodePoint(codePoint);\n    },\n    'fromByte(_)': (byte) => {\n        checkIndex(byte, 0x100, 'Byte');\n        return String.fromCharCode(byte);\n    }\n});\nnatives(StringClass, {\n    '+(_)': function (other) {\n        if (typeof other != 'string') abort('Right operand must be a string.');\n        return this + other;\n    },\n    '*(_)': function (count) {\n        if (typeof count != 'number' || !Number.isInteger(count) || count < 0) {\n            abort('Count must be a non-negative integer.');\n        }\n        return this.repeat(count);\n    },\n    '==(_)': function (other) { return this === other; },\n    '!=(_)': function (other) { return this !== other; },\n    '[_]': function (index) {\n        if (index instanceof WrenRange) {\n            let range = rangeIndexes(index, this.length);\n            let result = '';\n            for (let i = 0; i < range.count; i++) {\n                result += this[range.start + i * range.step];\n            }\n            return result;\n        }\n        index = checkIndex(index, this.length);\n        return String.fromCodePoint(this.codePointAt(index));\n    },\n    'byteCount': function () { return new TextEncoder().encode(this).length; },\n    'count': function () { return Array.from(this).length; },\n    'contains(_)': function (other) { return this.includes(other); },\n    'endsWith(_)': function (other) { return this.endsWith(other); },\n    'startsWith(_)': function (other) { return this.startsWith(other); },\n    'indexOf(_)': function (other) { return this.indexOf(other); },\n    'indexOf(_,_)': function (other, start) {\n        return this.indexOf(other, checkIndex(start, this.length + 1, 'Start'));\n    },\n    'iterate(_)': function (iterator) {\n        if (iterator == null) return this.length == 0 ? false : 0;\n\n        checkIndex(iterator, this.length, 'Iterator');\n        let next = iterator + (this.codePointAt(iterator) > 0xffff ? 2 : 1);\n        return next < this.length ? next : false;\n    },\n    'iteratorValue(_)': function (iterator) {\n        iterator = checkIndex(iterator, this.length, 'Iterator');\n        return String.fromCodePoint(this.codePointAt(iterator));\n    },\n    'replace(_,_)': function (from, to) {\n        if (typeof from != 'string' || from == '') abort('From must be a non-empty string.');\n        if (typeof to != 'string') abort('To must be a string.');\n        return this.split(from).join(to);\n    },\n    'split(_)': function (separator) {\n        if (typeof separator != 'string' || separator == '') {\n            abort('Separator must be a non-empty string.');\n        }\n        return this.split(separator);\n    },\n    'trim()': function () { return this.trim(); },\n    'trimStart()': function () { return this.trimStart(); },\n    'trimEnd()': function () { return this.trimEnd(); },\n    'toString': function () { return String(this); }\n});\n\nlet ListClass = createClass('List', SequenceClass);\nstaticNatives(ListClass, {\n    'new()': () => [],\n    'filled(_,_)': (size, element) => {\n        checkIndex(size, Infinity, 'Size');\n        return Array(size).fill(element);\n    }\n});\n\n// Sorts [list] in place with [lessThan], a generator that compares two items.\n// A merge sort, since the comparison can call back into Wren.\nfunction* mergeSort(list, lessThan) {\n    if (list.length < 2) return list;\n\n    let middle = list.length >> 1;\n    let left = yield* mergeSort(list.slice(0, middle), lessThan);\n    let right = yield* mergeSort(list.slice(middle), lessThan);\n\n    let i = 0;\n    let j = 0;\n    let k = 0;\n    while (i < left.length && j < right.length) {\n        if (truthy(yield* lessThan(right[j], left[i]))) {\n            list[k++] = right[j++];\n        } else {\n            list[k++] = left[i++];\n        }\n    }\n    while (i < left.length) list[k++] = left[i++];\n    while (j < right.length) list[k++] = right[j++];\n    return list;\n}\n\nnatives(ListClass, {\n    '[_]': function (index) {\n        if (index instanceof WrenRange) {\n            let range = rangeIndexes(index, this.length);\n            let result = [];\n            for (let i = 0; i < range.count; i++) {\n                result.push(this[range.start + i * range.step]);\n            }\n            return result;\n        }\n        return this[checkIndex(index, this.length)];\n    },\n    '[_]=(_)': function (index, value) {\n        this[checkIndex(index, this.length)] = value;\n        return value;\n    },\n    '+(_)': function* (other) {\n        let result = this.slice();\n        yield* forEach(other, (value) => { result.push(value); });\n        return result;\n    },\n    '*(_)': function (count) {\n        checkIndex(count, Infinity, 'Count');\n        let result = [];\n        for (let i = 0; i < count; i++) result.push(...this);\n        return result;\n    },\n    'add(_)': function (value) {\n        this.push(value);\n        return value;\n    },\n    'addAll(_)': function* (other) {\n        let list = this;\n        yield* forEach(other, (value) => { list.push(value); });\n        return other;\n    },\n    'clear()': function () {\n        this.length = 0;\n        return null;\n    },\n    'count': function () { return this.length; },\n    'insert(_,_)': function (index, value) {\n        this.splice(checkIndex(index, this.length + 1, 'Index'), 0, value);\n        return value;\n    },\n    'indexOf(_)': function* (value) {\n        for (let i = 0; i < this.length; i++) {\n            if (truthy(yield* call(this[i], '==(_)', value))) return i;\n        }\n        return -1;\n    },\n    'remove(_)': function* (value) {\n        for (let i = 0; i < this.length; i++) {\n            if (truthy(yield* call(this[i], '==(_)', value))) {\n                return this.splice(i, 1)[0];\n            }\n        }\n        return null;\n    },\n    'removeAt(_)': function (index) {\n        return this.splice(checkIndex(index, this.length, 'Index'), 1)[0];\n    },\n    'swap(_,_)': function (a, b) {\n        a = checkIndex(a, this.length, 'Index 0');\n        b = checkIndex(b, this.length, 'Index 1');\n        let temp = this[a];\n        this[a] = this[b];\n        this[b] = temp;\n        return null;\n    },\n    'sort()': function* () {\n        return yield* mergeSort(this, function* (a, b) {\n            return yield* call(a, '<(_)', b);\n        });\n    },\n    'sort(_)': function* (fn) {\n        return yield* mergeSort(this, function* (a, b) {\n            return yield* callFn(fn, a, b);\n        });\n    },\n    'iterate(_)': function (iterator) {\n        if (iterator == null) return this.length == 0 ? false : 0;\n        checkIndex(iterator, Infinity, 'Iterator');\n        return iterator + 1 < this.length ? iterator + 1 : false;\n    },\n    'iteratorValue(_)': function (iterator) {\n        return this[checkIndex(iterator, this.length, 'Iterator')];\n    },\n    'toString': function* () {\n        let parts = [];\n        for (let value of this) parts.push(yield* toString(value));\n        return '[' + parts.join(', ') + ']';\n    }\n});\n\nlet MapEntryClass = createClass('MapEntry', ObjectClass);\nnatives(MapEntryClass, {\n    'key': function () { return this.key; },\n    'value': function () { return this.value; },\n    'toString': function* () {\n        return (yield* toString(this.key)) + ':' + (yield* toString(this.value));\n    }\n});\n\nlet MapClass = createClass('Map', SequenceClass);\nstaticNatives(MapClass, {\n    'new()': () => new Map()\n});\nnatives(MapClass, {\n    '[_]': function (key) {\n        let value = this.get(checkKey(key));\n        return value === undefined ? null : value;\n    },\n    '[_]=(_)': function (key, value) {\n        this.set(checkKey(key), value);\n        return value;\n    },\n    'clear()': function () {\n        this.clear();\n        return null;\n    },\n    'containsKey(_)': function (key) { return this.has(checkKey(key)); },\n    'count': function () { return this.size; },\n    'keys': function () { return Array.from(this.keys()); },\n    'values': function () { return Array.from(this.values()); },\n    'remove(_)': function (key) {\n        let value = this.get(checkKey(key));\n        this.delete(key);\n        return value === undefined ? null : value;\n    },\n    'iterate(_)': function (iterator) {\n        if (iterator == null) return this.size == 0 ? false : 0;\n        return iterator + 1 < this.size ? iterator + 1 : false;\n    },\n    'iteratorValue(_)': function (iterator) {\n        let entry = Array.from(this.entries())[iterator];\n        return new MapEntry(entry[0], entry[1]);\n    },\n    'toString': function* () {\n        let parts = [];\n        for (let entry of this) {\n            parts.push((yield* toString(entry[0])) + ': ' + (yield* toString(entry[1])));\n        }\n        return '{' + parts.join(', ') + '}';\n    }\n});\n\nfunction rangeEquals(a, b) {\n    return a.from == b.from && a.to == b.to && a.isInclusive == b.isInclusive;\n}\n\nlet RangeClass = createClass('Range', SequenceClass);\nnatives(RangeClass, {\n    'from': function () { return this.from; },\n    'to': function () { return this.to; },\n    'min': function () { return Math.min(this.from, this.to); },\n    'max': function () { return Math.max(this.from, this.to); },\n    'isInclusive': function () { return this.isInclusive; },\n    '==(_)': function (other) {\n        return other instanceof WrenRange && rangeEquals(this, other);\n    },\n    '!=(_)': function (other) {\n        return !(other instanceof WrenRange && rangeEquals(this, other));\n    },\n    'iterate(_)': function (iterator) {\n        let step = this.from <= this.to ? 1 : -1;\n        let next = iterator == null ? this.from : iterator + step;\n        let last = this.isInclusive ? this.to : this.to - step;\n\n        if (this.from == this.to && !this.isInclusive) return false;\n        if (step > 0 ? next > last : next < last) return false;\n        return next;\n    },\n    'iteratorValue(_)': function (iterator) { return iterator; },\n    'toString': function () {\n        return numToString(this.from) + (this.isInclusive ? '..' : '...') +\n            numToString(this.to);\n    }\n});\n\nlet FnClass = createClass('Fn', ObjectClass);\nstaticNatives(FnClass, {\n    'new(_)': (fn) => {\n        if (!(fn instanceof WrenFn)) abort('Argument must be a function.');\n        return fn;\n    }\n});\nnatives(FnClass, {\n    'arity': function () { return this.arity; },\n    'toString': () => '<fn>'\n});\n\n// Fn.call() takes up to 16 arguments.\nfor (let arity = 0; arity <= 16; arity++) {\n    let signature = 'call(' + Array(arity).fill('_').join(',') + ')';\n    FnClass.methods.set(signature, function* (...args) {\n        if (args.length < this.arity) abort('Function expects more arguments.');\n        return yield* this.body(...args.slice(0, this.arity));\n    });\n}\n\nlet FiberClass = createClass('Fiber', ObjectClass);\nstaticNatives(FiberClass, {\n    'new(_)': (fn) => {\n        if (!(fn instanceof WrenFn)) abort('Argument must be a function.');\n        if (fn.arity > 1) abort('Function cannot take more than one parameter.');\n        return new WrenFiber(fn);\n    },\n    'current': () => currentFiber,\n    'abort(_)': (message) => {\n        if (message != null) abort(message);\n        return null;\n    },\n    'yield()': function* () {\n        let value = yield null;\n        return value === undefined ? null : value;\n    },\n    'yield(_)': function* (value) {\n        let result = yield value;\n        return result === undefined ? null : result;\n    }\n});\nnatives(FiberClass, {\n    'call()': function () { return this.resume(null, false); },\n    'call(_)': function (value) { return this.resume(value, false); },\n    'try()': function () { return this.resume(null, true); },\n    'try(_)': function (value) { return this.resume(value, true); },\n    'isDone': function () { return this.isDone; },\n    'error': function () { return this.error; }\n});\n\nlet SystemClass = createClass('System', ObjectClass);\nstaticNatives(SystemClass, {\n    'clock': () => Date.now() / 1000,\n    'gc()': () => null,\n    'print()': () => {\n        writer('\\n');\n        return null;\n    },\n    'print(_)': function* (value) {\n        writer((yield* toString(value)) + '\\n');\n        return value;\n    },\n    'printAll(_)': function* (sequence) {\n        let parts = [];\n        yield* forEach(sequence, function* (value) { parts.push(yield* toString(value)); });\n        writer(parts.join('') + '\\n');\n        return null;\n    },\n    'write(_)': function* (value) {\n        writer(yield* toString(value));\n        return value;\n    },\n    'writeAll(_)': function* (sequence) {\n        let parts = [];\n        yield* forEach(sequence, function* (value) { parts.push(yield* toString(value)); });\n        writer(parts.join(''));\n        return null;\n    }\n});\n\n// The classes that Wren programs can't inherit from.\nconst sealedClasses = new Set([ClassClass, BoolClass, NullClass, NumClass,\n    StringClass, ListClass, MapClass, RangeClass, FnClass, FiberClass]);\n\n// The variables every module can see, keyed by name.\nconst core = Object.freeze({\n    Object: ObjectClass,\n    Class: ClassClass,\n    Bool: BoolClass,\n    Null: NullClass,\n    Num: NumClass,\n    Sequence: SequenceClass,\n    MapSequence: MapSequenceClass,\n    WhereSequence: WhereSequenceClass,\n    SkipSequence: SkipSequenceClass,\n    TakeSequence: TakeSequenceClass,\n    String: StringClass,\n    List: ListClass,\n    Map: MapClass,\n    MapEntry: MapEntryClass,\n    Range: RangeClass,\n    Fn: FnClass,\n    Fiber: FiberClass,\n    System: SystemClass\n});\n\n// The functions below are what transpiled code calls.\n\n// Defines a class called [name] that inherits from [superclass].\nfunction defineClass(name, superclass) {\n    if (!(superclass instanceof WrenClass)) {\n        abort('Class \\'' + name + '\\' cannot inherit from a non-class object.');\n    }\n    if (sealedClasses.has(superclass)) {\n        abort('Class \\'' + name + '\\' cannot inherit from built-in class \\'' +\n            superclass.name + '\\'.');\n    }\n    return createClass(name, superclass);\n}\n\n// Defines the instance method [signature] on [cls].\nfunction method(cls, signature, body) {\n    cls.methods.set(signature, body);\n}\n\n// Defines the static method [signature] on [cls].\nfunction staticMethod(cls, signature, body) {\n    cls.metaclass.methods.set(signature, body);\n}\n\n// Defines the constructor [signature] on [cls]. That's a static method that\n// creates an instance and an instance method, \"init \" plus the signature, that\n// runs [body] on it, which is what `super(...)` calls in a subclass.\nfunction constructor(cls, signature, body) {\n    let initializer = 'init ' + signature;\n    cls.methods.set(initializer, body);\n    cls.metaclass.methods.set(signature, function* (...args) {\n        let instance = new WrenObject(this);\n        yield* invoke(this.methods.get(initializer), instance, args);\n        return instance;\n    });\n}\n\n// The implementations of foreign methods, keyed by class name, \"static \" for\n// static methods, and signature.\nconst foreignMethods = new Map();\n\n// Provides the JavaScript implementation of a foreign method. [fn] is called\n// with the receiver as `this` and the arguments.\nfunction bindForeignMethod(className, isStatic, signature, fn) {\n    foreignMethods.set(className + (isStatic ? ' static ' : ' ') + signature, fn);\n}\n\n// Declares the foreign method [signature] on [cls]. Calling it runs whatever\n// was bound with [bindForeignMethod()].\nfunction foreignMethod(cls, signature, isStatic) {\n    let key = cls.name + (isStatic ? ' static ' : ' ') + signature;\n    (isStatic ? cls.metaclass : cls).methods.set(signature, function (...args) {\n        let fn = foreignMethods.get(key);\n        if (fn == null) abort('Could not find foreign method \\'' + signature +\n            '\\' for class ' + cls.name + '.');\n        return fn.apply(this, args);\n    });\n}\n\n// Creates a function with [arity] parameters from the generator [body].\nfunction fn(arity, body) {\n    return new WrenFn(arity, body);\n}\n\n// Creates a map from a list of `[key, value]` pairs.\nfunction map(entries) {\n    let result = new Map();\n    for (let entry of entries) result.set(checkKey(entry[0]), entry[1]);\n    return result;\n}\n\n// Creates a range.\nfunction range(from, to, isInclusive) {\n    return new WrenRange(from, to, isInclusive);\n}\n\n// Runs the top-level code of a module, [body], in a new fiber. A runtime error\n// is thrown as a [WrenRuntimeError].\nfunction runModule(body) {\n    let fiber = new WrenFiber(new WrenFn(0, body));\n    fiber.resume(null, false);\n}\n\n\n//# sourceURL=webpack://Wrent/./src/runtime.js?");
+
+/***/ }),
+
+/***/ "./src/transpiler.js":
+/*!***************************!*\
+  !*** ./src/transpiler.js ***!
+  \***************************/
+/***/ ((__unused_webpack___webpack_module__, __webpack_exports__, __webpack_require__) => {
 
-eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"Parser\": () => /* binding */ Parser\n/* harmony export */ });\n\n// The maximum depth that interpolation can nest. For example, this string has\n// three levels:\n//\n//      \"outside %(one + \"%(two + \"%(three)\")\")\"\nlet MAX_INTERPOLATION_NESTING = 8;\n\n\nclass Keyword {\n    constructor(identifier, length, tokenType) {\n        this.identifier = identifier;\n        this.length = length;\n        this.tokenType = tokenType;\n    }\n}\n\n// The table of reserved words and their associated token types.\nlet keywords = [\n    new Keyword('break',     5, 'TOKEN_BREAK'),\n    new Keyword('class',     5, 'TOKEN_CLASS'),\n    new Keyword('construct', 9, 'TOKEN_CONSTRUCT'),\n    new Keyword('else',      4, 'TOKEN_ELSE'),\n    new Keyword('false',     5, 'TOKEN_FALSE'),\n    new Keyword('for',       3, 'TOKEN_FOR'),\n    new Keyword('foreign',   7, 'TOKEN_FOREIGN'),\n    new Keyword('if',        2, 'TOKEN_IF'),\n    new Keyword('import',    6, 'TOKEN_IMPORT'),\n    new Keyword('in',        2, 'TOKEN_IN'),\n    new Keyword('is',        2, 'TOKEN_IS'),\n    new Keyword('null',      4, 'TOKEN_NULL'),\n    new Keyword('return',    6, 'TOKEN_RETURN'),\n    new Keyword('static',    6, 'TOKEN_STATIC'),\n    new Keyword('super',     5, 'TOKEN_SUPER'),\n    new Keyword('this',      4, 'TOKEN_THIS'),\n    new Keyword('true',      4, 'TOKEN_TRUE'),\n    new Keyword('var',       3, 'TOKEN_VAR'),\n    new Keyword('while',     5, 'TOKEN_WHILE'),\n    new Keyword(null,        0, 'TOKEN_EOF') // Sentinel to mark the end of the array.\n];\n\nclass Parser {\n    constructor(source) {\n        // The source code being parsed.\n        this.source = source;\n\n        // The beginning of the currently-being-lexed token in [source].\n        this.tokenStart = 0;\n\n        // The current character being lexed in [source].\n        this.currentChar = 0;\n\n        // The 1-based line number of [currentChar].\n        this.currentLine = 0;\n\n        // The most recently lexed token.\n        this.current = {\n            type: undefined,\n            length: 0,\n            line: 0,\n            value: undefined\n        };\n\n        // The most recently consumed/advanced token.\n        this.previous = {\n            type: undefined,\n            length: 0,\n            line: 0,\n            value: undefined\n        };\n\n        // Tracks the lexing state when tokenizing interpolated strings.\n        //\n        // Interpolated strings make the lexer not strictly regular: we don't know\n        // whether a \")\" should be treated as a RIGHT_PAREN token or as ending an\n        // interpolated expression unless we know whether we are inside a string\n        // interpolation and how many unmatched \"(\" there are. This is particularly\n        // complex because interpolation can nest:\n        //\n        //     \" %( \" %( inner ) \" ) \"\n        //\n        // This tracks that state. The parser maintains a stack of ints, one for each\n        // level of current interpolation nesting. Each value is the number of\n        // unmatched \"(\" that are waiting to be closed.\n        this.parens = Array(MAX_INTERPOLATION_NESTING);\n        this.numParens = 0;\n\n        // If subsequent newline tokens should be discarded.\n        this.skipNewlines;\n\n        // Whether compile errors should be printed to stderr or discarded.\n        this.printErrors;\n\n        // If a syntax or compile error has occurred.\n        this.hasError;\n\n\n        this.tokens = [];\n\n        for (let i = 0; i < 85; i++) {\n            this.nextToken();\n        }\n\n    }\n\n    // Returns true if [c] is a valid (non-initial) identifier character.\n    isName(c) {\n        return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c == '_';\n    }\n\n    // Returns true if [c] is a digit.\n    isDigit(c) {\n        return c >= '0' && c <= '9';\n    }\n\n    // Returns the current character the parser is sitting on.\n    peekChar() {\n        return this.source[this.currentChar];\n    }\n\n    // Returns the character after the current character.\n    peekNextChar() {\n        return this.source[this.currentChar + 1];\n    }\n\n    // Advances the parser forward one character.\n    nextChar() {\n        let c = this.peekChar();\n        this.currentChar++;\n        if (c == '\\n') this.currentLine++;\n        return c;\n    }\n\n    // If the current character is [c], consumes it and returns `true`.\n    matchChar(c) {\n        if (this.peekChar() != c) return false;\n        this.nextChar();\n        return true;\n    }\n\n    // Sets the parser's current token to the given [type] and current character\n    // range.\n    makeToken(type) {\n        this.current.type = type;\n        this.current.start = this.tokenStart;\n        this.current.length = this.currentChar - this.tokenStart;\n        this.current.line = this.currentLine;\n\n        // Make line tokens appear on the line containing the \"\\n\".\n        if (type == 'TOKEN_LINE') this.current.line--;\n\n        this.tokens.push({\n            type: type,\n            value: this.source.substr(this.current.start, this.current.length),\n            line: this.current.line\n\n        });\n    }\n\n    // If the current character is [c], then consumes it and makes a token of type\n    // [two]. Otherwise makes a token of type [one].\n    twoCharToken(c, two, one) {\n        this.makeToken(this.matchChar(c) ? two : one);\n    }\n\n    // Skips the rest of the current line.\n    skipLineComment() {\n        while (this.peekChar() != '\\n' && this.peekChar() != '\\0') {\n            this.nextChar();\n        }\n    }\n\n    // Skips the rest of a block comment.\n    skipBlockComment() {\n        let nesting = 1;\n        while (nesting > 0) {\n            if (this.peekChar() == '\\0') {\n                this.lexError('Unterminated block comment.');\n                return;\n            }\n\n            if (this.peekChar() == '/' && this.peekNextChar() == '*') {\n                this.nextChar();\n                this.nextChar();\n                nesting++;\n                continue;\n            }\n\n            if (this.peekChar() == '*' && this.peekNextChar() == '/') {\n                this.nextChar();\n                this.nextChar();\n                nesting--;\n                continue;\n            }\n\n            // Regular comment character.\n            this.nextChar();\n        }\n    }\n\n    // Reads the next character, which should be a hex digit (0-9, a-f, or A-F) and\n    // returns its numeric value. If the character isn't a hex digit, returns -1.\n    readHexDigit() {\n        let c = this.nextChar();\n        if (c >= '0' && c <= '9') return c - '0';\n        if (c >= 'a' && c <= 'f') return c - 'a' + 10;\n        if (c >= 'A' && c <= 'F') return c - 'A' + 10;\n\n        // Don't consume it if it isn't expected. Keeps us from reading past the end\n        // of an unterminated string.\n        this.currentChar--;\n        return -1;\n    }\n\n    // Parses the numeric value of the current token.\n    makeNumber(isHex) {\n\n        if (isHex) {\n            this.current.value = parseInt(this.tokenStart, 16);\n        } else {\n            this.current.value = parseFloat(this.tokenStart);\n        }\n\n        this.makeToken('TOKEN_NUMBER');\n    }\n\n    // Finishes lexing a hexadecimal number literal.\n    readHexNumber() {\n        // Skip past the `x` used to denote a hexadecimal literal.\n        this.nextChar();\n\n        // Iterate over all the valid hexadecimal digits found.\n        while (this.readHexDigit() != -1) continue;\n\n        this.makeNumber(true);\n    }\n\n    // Finishes lexing a number literal.\n    readNumber() {\n        while (this.isDigit(this.peekChar())) this.nextChar();\n\n        // See if it has a floating point. Make sure there is a digit after the \".\"\n        // so we don't get confused by method calls on number literals.\n        if (this.peekChar() == '.' && this.isDigit(this.peekNextChar())) {\n            this.nextChar();\n            while (this.isDigit(this.peekChar())) this.nextChar();\n        }\n\n        // See if the number is in scientific notation.\n        if (this.matchChar('e') || this.matchChar('E')) {\n        // Allow a negative exponent.\n            this.matchChar('-');\n\n            if (!this.isDigit(this.peekChar())) {\n                this.lexError('Unterminated scientific notation.');\n            }\n\n            while (this.isDigit(this.peekChar())) this.nextChar();\n        }\n\n        this.makeNumber(false);\n    }\n\n    // Finishes lexing an identifier. Handles reserved words.\n    readName(type) {\n        while (this.isName(this.peekChar()) || this.isDigit(this.peekChar())) {\n            this.nextChar();\n        }\n\n        // Update the type if it's a keyword.\n        let length = this.currentChar - this.tokenStart;\n        for (let i = 0; i < keywords.length; i++) {\n            let name = this.source.substr(this.tokenStart, length);\n            if (name.length == keywords[i].length &&\n                name == keywords[i].identifier) {\n                type = keywords[i].tokenType;\n                break;\n            }\n        }\n\n        this.makeToken(type);\n    }\n\n    // Reads [digits] hex digits in a string literal and returns their number value.\n    readHexEscape(digits, description) {\n        let value = 0;\n        for (let i = 0; i < digits; i++) {\n            if (this.peekChar() == '\"' || this.peekChar() == '\\0') {\n                this.lexError('Incomplete ' + description + ' escape sequence.');\n\n                // Don't consume it if it isn't expected. Keeps us from reading past the\n                // end of an unterminated string.\n                this.currentChar--;\n                break;\n            }\n\n            let digit = this.readHexDigit();\n            if (digit == -1) {\n                this.lexError('Invalid ' + description + ' escape sequence.');\n                break;\n            }\n\n            value = (value * 16) | digit;\n        }\n\n        return value;\n    }\n\n    /* TODO\n    // Reads a hex digit Unicode escape sequence in a string literal.\n    readUnicodeEscape(string, length) {\n        let value = this.readHexEscape(length, 'Unicode');\n\n        // Grow the buffer enough for the encoded result.\n        let numBytes = wrenUtf8EncodeNumBytes(value);\n        if (numBytes != 0) {\n            wrenByteBufferFill(this.vm, string, 0, numBytes);\n            wrenUtf8Encode(value, string.data + string.count - numBytes);\n        }\n    }\n    */\n\n    // TODO\n    // Finishes lexing a string literal.\n    readString() {\n        //let string = '';\n        let type = 'TOKEN_STRING';\n\n        for (;;) {\n            let c = this.nextChar();\n            if (c == '\"') break;\n\n            if (c == '\\0') {\n                this.lexError('Unterminated string.');\n\n                // Don't consume it if it isn't expected. Keeps us from reading past the\n                // end of an unterminated string.\n                this.currentChar--;\n                break;\n            }\n\n            if (c == '%') {\n                if (this.numParens < MAX_INTERPOLATION_NESTING) {\n                    // TODO: Allow format string.\n                    if (this.nextChar() != '(') this.lexError('Expect \\'(\\' after \\'%%\\'.');\n\n                    this.parens[this.numParens++] = 1;\n                    type = 'TOKEN_INTERPOLATION';\n                    break;\n                }\n\n                this.lexError('Interpolation may only nest ' +\n            MAX_INTERPOLATION_NESTING + ' levels deep.');\n            }\n\n            if (c == '\\\\') {\n                console.log(123);\n                switch (this.nextChar()) {\n                //case '\"':  wrenByteBufferWrite(this.vm, string, '\"'); break;\n                //case '\\\\': wrenByteBufferWrite(this.vm, string, '\\\\'); break;\n                //case '%':  wrenByteBufferWrite(this.vm, string, '%'); break;\n                //case '0':  wrenByteBufferWrite(this.vm, string, '\\0'); break;\n                //case 'a':  wrenByteBufferWrite(this.vm, string, '\\a'); break;\n                //case 'b':  wrenByteBufferWrite(this.vm, string, '\\b'); break;\n                //case 'f':  wrenByteBufferWrite(this.vm, string, '\\f'); break;\n                //case 'n':  wrenByteBufferWrite(this.vm, string, '\\n'); break;\n                //case 'r':  wrenByteBufferWrite(this.vm, string, '\\r'); break;\n                case 't':  this.current.value =  '\\t'; break;\n                //case 'u':  this.readUnicodeEscape(string, 4); break;\n                //case 'U':  this.readUnicodeEscape(string, 8); break;\n                case 'v':  this.current.value = '\\v'; break;\n                case 'x':\n                    this.current.value = this.readHexEscape(2, 'byte');\n                    break;\n\n                default:\n                    this.lexError('Invalid escape character \\'' +\n                (this.currentChar - 1) + '\\'.');\n                    break;\n                }\n            }\n            //else\n            //{\n            //    string += c;\n            //}\n        }\n\n        this.makeToken(type);\n    }\n\n    // Lex the next token and store it in [parser.current].\n    nextToken() {\n        this.previous = this.current;\n\n        // If we are out of tokens, don't try to tokenize any more. We *do* still\n        // copy the TOKEN_EOF to previous so that code that expects it to be consumed\n        // will still work.\n        if (this.current.type == 'TOKEN_EOF') return;\n\n        while (this.peekChar() != '\\0')\n        {\n            this.tokenStart = this.currentChar;\n\n            let c = this.nextChar();\n            switch (c) {\n            case '(':\n                // If we are inside an interpolated expression, count the unmatched \"(\".\n                if (this.numParens > 0) this.parens[this.numParens - 1]++;\n                this.makeToken('TOKEN_LEFT_PAREN');\n                return;\n\n            case ')':\n            // If we are inside an interpolated expression, count the \")\".\n                if (this.numParens > 0 &&\n                --this.parens[this.numParens - 1] == 0)\n                {\n                    // This is the final \")\", so the interpolation expression has ended.\n                    // This \")\" now begins the next section of the template string.\n                    this.numParens--;\n                    this.readString();\n                    return;\n                }\n\n                this.makeToken('TOKEN_RIGHT_PAREN');\n                return;\n\n            case '[': this.makeToken('TOKEN_LEFT_BRACKET'); return;\n            case ']': this.makeToken('TOKEN_RIGHT_BRACKET'); return;\n            case '{': this.makeToken('TOKEN_LEFT_BRACE'); return;\n            case '}': this.makeToken('TOKEN_RIGHT_BRACE'); return;\n            case ':': this.makeToken('TOKEN_COLON'); return;\n            case ',': this.makeToken('TOKEN_COMMA'); return;\n            case '*': this.makeToken('TOKEN_STAR'); return;\n            case '%': this.makeToken('TOKEN_PERCENT'); return;\n            case '^': this.makeToken('TOKEN_CARET'); return;\n            case '+': this.makeToken('TOKEN_PLUS'); return;\n            case '-': this.makeToken('TOKEN_MINUS'); return;\n            case '~': this.makeToken('TOKEN_TILDE'); return;\n            case '?': this.makeToken('TOKEN_QUESTION'); return;\n\n            case '|': this.twoCharToken('|', 'TOKEN_PIPEPIPE', 'TOKEN_PIPE'); return;\n            case '&': this.twoCharToken('&', 'TOKEN_AMPAMP', 'TOKEN_AMP'); return;\n            case '=': this.twoCharToken('=', 'TOKEN_EQEQ', 'TOKEN_EQ'); return;\n            case '!': this.twoCharToken('=', 'TOKEN_BANGEQ', 'TOKEN_BANG'); return;\n\n            case '.':\n                if (this.matchChar('.'))\n                {\n                    this.twoCharToken('.', 'TOKEN_DOTDOTDOT', 'TOKEN_DOTDOT');\n                    return;\n                }\n\n                this.makeToken('TOKEN_DOT');\n                return;\n\n            case '/':\n                if (this.matchChar('/'))\n                {\n                    this.skipLineComment();\n                    break;\n                }\n\n                if (this.matchChar('*'))\n                {\n                    this.skipBlockComment();\n                    break;\n                }\n\n                this.makeToken('TOKEN_SLASH');\n                return;\n\n            case '<':\n                if (this.matchChar('<'))\n                {\n                    this.makeToken('TOKEN_LTLT');\n                }\n                else\n                {\n                    this.twoCharToken('=', 'TOKEN_LTEQ', 'TOKEN_LT');\n                }\n                return;\n\n            case '>':\n                if (this.matchChar('>'))\n                {\n                    this.makeToken('TOKEN_GTGT');\n                }\n                else\n                {\n                    this.twoCharToken('=', 'TOKEN_GTEQ', 'TOKEN_GT');\n                }\n                return;\n\n            case '\\n':\n                this.makeToken('TOKEN_LINE');\n                return;\n\n            case ' ':\n            case '\\r':\n            case '\\t':\n            // Skip forward until we run out of whitespace.\n                while (this.peekChar() == ' ' ||\n                   this.peekChar() == '\\r' ||\n                   this.peekChar() == '\\t')\n                {\n                    this.nextChar();\n                }\n                break;\n\n            case '\"': this.readString(); return;\n            case '_':\n                this.readName(\n                    this.peekChar() == '_' ? 'TOKEN_STATIC_FIELD' : 'TOKEN_FIELD');\n                return;\n\n            case '0':\n                if (this.peekChar() == 'x')\n                {\n                    this.readHexNumber();\n                    return;\n                }\n\n                this.readNumber();\n                return;\n\n            default:\n                if (this.currentLine == 1 && c == '#' && this.peekChar() == '!')\n                {\n                    // Ignore shebang on the first line.\n                    this.skipLineComment();\n                    break;\n                }\n                if (this.isName(c))\n                {\n                    this.readName('TOKEN_NAME');\n                }\n                else if (this.isDigit(c))\n                {\n                    this.readNumber();\n                }\n                else\n                {\n                    if (c >= 32 && c <= 126)\n                    {\n                        this.lexError('Invalid character \\'' + c + '\\'.');\n                    }\n                    else\n                    {\n                        // Don't show non-ASCII values since we didn't UTF-8 decode the\n                        // bytes. Since there are no non-ASCII byte values that are\n                        // meaningful code units in Wren, the lexer works on raw bytes,\n                        // even though the source code and console output are UTF-8.\n                        this.lexError('Invalid byte 0x' + c + '.');\n                    }\n                    this.current.type = 'TOKEN_ERROR';\n                    this.current.length = 0;\n                }\n                return;\n            }\n        }\n\n        // If we get here, we're out of source, so just make EOF tokens.\n        this.tokenStart = this.currentChar;\n        this.makeToken('TOKEN_EOF');\n    }\n\n\n    // Outputs a lexical error.\n    lexError(format) {\n        console.warn([this.currentLine, 'Error', format]);\n    }\n\n}\n\n\n//# sourceURL=webpack://Wrent/./src/main.js?");
+eval("__webpack_require__.r(__webpack_exports__);\n/* harmony export */ __webpack_require__.d(__webpack_exports__, {\n/* harmony export */   \"TranspileErrorCode\": () => /* binding */ TranspileErrorCode,\n/* harmony export */   \"transpile\": () => /* binding */ transpile,\n/* harmony export */   \"run\": () => /* binding */ run\n/* harmony export */ });\n/* harmony import */ var _ast_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ast.js */ \"./src/ast.js\");\n/* harmony import */ var _runtime_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./runtime.js */ \"./src/runtime.js\");\n\n\n\n// Compiles the syntax tree from [parse()] into JavaScript that runs on the\n// runtime in runtime.js.\n//\n// The output keeps Wren's structure: a Wren class becomes a runtime class with\n// its methods keyed by signature, a variable becomes a `let`, and every method\n// call, operators included, goes through `$.call()`. Methods and functions\n// compile to generator functions, so a fiber can yield from anywhere.\n//\n// Wren variables get a `v_` prefix and static fields an `s_` one, so they can't\n// clash with JavaScript keywords or the generated code's own `$` names.\n\n// Stable codes for the errors the transpiler reports on top of the parser's.\nconst TranspileErrorCode = Object.freeze({\n    // A variable is used but never defined.\n    UNDEFINED_VARIABLE: 'TRANSPILE_UNDEFINED_VARIABLE'\n});\n\n// Returns [value] as a JavaScript string literal.\nfunction quote(value) {\n    return JSON.stringify(value);\n}\n\n// Indents every line of [code] by one level.\nfunction indent(code) {\n    return code.replace(/^(?=.)/gm, '    ');\n}\n\n// Returns the signature of a subscript with [arity] arguments.\nfunction subscriptSignature(arity) {\n    return '[' + Array(arity).fill('_').join(',') + ']';\n}\n\nclass Generator {\n    constructor() {\n        this.diagnostics = [];\n\n        // The modules the code imports from, in order, as `{module, variables}`\n        // where [variables] is a list of `{name, alias}`.\n        this.imports = [];\n\n        // The core classes the code uses.\n        this.usedCore = new Set();\n\n        // The variables in scope, innermost last. The first is the module's.\n        this.scopes = [];\n\n        // The class whose methods are being compiled, if any.\n        this.enclosingClass = null;\n\n        // The state of the function being compiled: whether it used a\n        // temporary for `&&` and `||`.\n        this.function = null;\n\n        // The state of the method being compiled: whether it, or a function\n        // inside it, used `this`.\n        this.methodFunction = null;\n\n        // Numbers the temporaries that `for` loops need.\n        this.loopCount = 0;\n    }\n\n    // Compiles [ast], a Module node. Returns the pieces a wrapper needs: the\n    // [moduleVariables] to declare and export, and the [body] that runs the\n    // module's top-level code.\n    module(ast) {\n        let moduleScope = new Set();\n        this.scopes = [moduleScope];\n\n        // Module variables can be used before they are defined, as long as\n        // that's inside a method or function, so they are all declared up\n        // front.\n        let moduleVariables = [];\n        for (let statement of ast.body) {\n            if (statement.type == 'Var' || statement.type == 'Class') {\n                if (!moduleScope.has(statement.name)) moduleVariables.push(statement.name);\n                moduleScope.add(statement.name);\n            } else if (statement.type == 'Import' && statement.variables) {\n                for (let variable of statement.variables) {\n                    moduleScope.add(variable.alias || variable.name);\n                }\n            }\n        }\n\n        this.function = { usesTemp: false, usesThis: false };\n        let body = this.statements(ast.body);\n        body = this.functionPrologue() + body;\n\n        let exported = Array.from(moduleScope);\n        return {\n            moduleVariables: moduleVariables,\n            exported: exported,\n            body: body\n        };\n    }\n\n    // Reports an error at [node].\n    report(code, message, node) {\n        this.diagnostics.push(Object.assign({\n            code: code,\n            message: message,\n            severity: 'error'\n        }, node.span));\n    }\n\n    pushScope() {\n        this.scopes.push(new Set());\n    }\n\n    popScope() {\n        this.scopes.pop();\n    }\n\n    declare(name) {\n        this.scopes[this.scopes.length - 1].add(name);\n    }\n\n    // Returns true if the code being compiled is at the top level of the module.\n    get isTopLevel() {\n        return this.scopes.length == 1;\n    }\n\n    // Returns the JavaScript name for the variable [name] used at [node].\n    variable(name, node) {\n        for (let i = this.scopes.length - 1; i >= 0; i--) {\n            if (this.scopes[i].has(name)) return 'v_' + name;\n        }\n\n        if (Object.prototype.hasOwnProperty.call(_runtime_js__WEBPACK_IMPORTED_MODULE_1__.core, name)) {\n            this.usedCore.add(name);\n            return 'v_' + name;\n        }\n\n        this.report(TranspileErrorCode.UNDEFINED_VARIABLE,\n            'Variable \\'' + name + '\\' is used but not defined.', node);\n        return 'v_' + name;\n    }\n\n    // Returns the name of the receiver of the method being compiled.\n    receiver() {\n        this.methodFunction.usesThis = true;\n        return '$this';\n    }\n\n    // Returns the declarations a function body starts with.\n    functionPrologue() {\n        let code = '';\n        if (this.function.usesThis) code += 'const $this = this;\\n';\n        if (this.function.usesTemp) code += 'let $t;\\n';\n        return code;\n    }\n\n    // Compiles a generator function with [parameters] and [body], a Block. If\n    // [bindsThis], it's a method. Unless [discardsValue], a single-expression\n    // body returns its value.\n    functionBody(parameters, body, bindsThis, discardsValue) {\n        let enclosingFunction = this.function;\n        let enclosingMethod = this.methodFunction;\n        this.function = { usesTemp: false, usesThis: false };\n        if (bindsThis) this.methodFunction = this.function;\n        this.pushScope();\n\n        let names = parameters.map((parameter) => {\n            this.declare(parameter.name);\n            return 'v_' + parameter.name;\n        });\n\n        let code;\n        if (body.isExpression && !discardsValue) {\n            code = 'return ' + this.expression(body.statements[0].expression) + ';\\n';\n        } else {\n            code = this.statements(body.statements);\n            let last = body.statements[body.statements.length - 1];\n            if (last == null || last.type != 'Return') code += 'return null;\\n';\n        }\n        code = this.functionPrologue() + code;\n\n        this.popScope();\n        this.function = enclosingFunction;\n        this.methodFunction = enclosingMethod;\n        return 'function* (' + names.join(', ') + ') {\\n' + indent(code) + '}';\n    }\n\n    statements(statements) {\n        return statements.map((statement) => this.statement(statement)).join('');\n    }\n\n    // Compiles [node] as the body of a loop or `if`.\n    body(node) {\n        if (node.type == 'Block') return this.block(node);\n\n        this.pushScope();\n        let code = '{\\n' + indent(this.statement(node)) + '}';\n        this.popScope();\n        return code;\n    }\n\n    block(node) {\n        this.pushScope();\n        let code = '{\\n' + indent(this.statements(node.statements)) + '}';\n        this.popScope();\n        return code;\n    }\n\n    statement(node) {\n        switch (node.type) {\n        case 'Class': return this.classDefinition(node);\n        case 'Import': return this.importStatement(node);\n\n        case 'Var': {\n            let value = node.initializer ? this.expression(node.initializer) : 'null';\n            let isModuleVariable = this.isTopLevel;\n            this.declare(node.name);\n            return (isModuleVariable ? '' : 'let ') + 'v_' + node.name + ' = ' +\n                value + ';\\n';\n        }\n\n        case 'Block': return this.block(node) + '\\n';\n\n        case 'If': {\n            let code = 'if ($.truthy(' + this.expression(node.condition) + ')) ' +\n                this.body(node.thenBranch);\n            if (node.elseBranch) code += ' else ' + this.body(node.elseBranch);\n            return code + '\\n';\n        }\n\n        case 'While':\n            return 'while ($.truthy(' + this.expression(node.condition) + ')) ' +\n                this.body(node.body) + '\\n';\n\n        case 'For': return this.forStatement(node);\n        case 'Break': return 'break;\\n';\n        case 'Continue': return 'continue;\\n';\n\n        case 'Return':\n            return 'return ' + (node.value ? this.expression(node.value) : 'null') + ';\\n';\n\n        case 'ExpressionStatement':\n            return this.expression(node.expression) + ';\\n';\n        }\n\n        throw new Error('Cannot compile a ' + node.type + ' statement.');\n    }\n\n    // A `for` loop runs Wren's iterator protocol: call `iterate()` until it\n    // returns a false value and `iteratorValue()` for each item.\n    forStatement(node) {\n        let id = ++this.loopCount;\n        let sequence = '$seq' + id;\n        let iterator = '$iter' + id;\n\n        let code = 'const ' + sequence + ' = ' + this.expression(node.sequence) + ';\\n' +\n            'let ' + iterator + ' = null;\\n';\n\n        this.pushScope();\n        this.declare(node.variable.name);\n        let loopBody = 'let v_' + node.variable.name + ' = yield* $.call(' + sequence +\n            ', \"iteratorValue(_)\", ' + iterator + ');\\n';\n        loopBody += node.body.type == 'Block'\n            ? this.statements(node.body.statements)\n            : this.statement(node.body);\n        this.popScope();\n\n        code += 'while ($.truthy(' + iterator + ' = yield* $.call(' + sequence +\n            ', \"iterate(_)\", ' + iterator + '))) {\\n' + indent(loopBody) + '}\\n';\n        return '{\\n' + indent(code) + '}\\n';\n    }\n\n    // Imports become imports of the compiled module, hoisted to the top.\n    importStatement(node) {\n        let variables = (node.variables || []).map((variable) => {\n            let name = variable.alias || variable.name;\n            this.declare(name);\n            return { name: variable.name, alias: name };\n        });\n        this.imports.push({ module: node.module.value, variables: variables });\n        return '';\n    }\n\n    classDefinition(node) {\n        let name = 'v_' + node.name;\n        let superclass = node.superclass\n            ? this.expression(node.superclass)\n            : this.variable('Object', node);\n\n        let isModuleVariable = this.isTopLevel;\n        this.declare(node.name);\n\n        let code = '';\n\n        // Static fields are variables in the scope around the class.\n        let staticFields = new Set();\n        collectStaticFields(node.methods, staticFields);\n        for (let field of staticFields) {\n            code += 'let ' + staticFieldName(node.name, field) + ' = null;\\n';\n        }\n\n        code += (isModuleVariable ? '' : 'let ') + name + ' = $.defineClass(' +\n            quote(node.name) + ', ' + superclass + ');\\n';\n\n        let enclosingClass = this.enclosingClass;\n        this.enclosingClass = { node: node, name: name, method: null };\n        for (let method of node.methods) code += this.method(method);\n        this.enclosingClass = enclosingClass;\n\n        return code;\n    }\n\n    method(node) {\n        let cls = this.enclosingClass;\n        cls.method = node;\n\n        let signature = quote(node.signature);\n        if (node.isForeign) {\n            return '$.foreignMethod(' + cls.name + ', ' + signature + ', ' +\n                node.isStatic + ');\\n';\n        }\n\n        let define = node.kind == 'constructor' ? 'constructor'\n            : node.isStatic ? 'staticMethod' : 'method';\n        let fn = this.functionBody(node.parameters, node.body, true,\n            node.kind == 'constructor');\n\n        cls.method = null;\n        return '$.' + define + '(' + cls.name + ', ' + signature + ', ' + fn + ');\\n';\n    }\n\n    expression(node) {\n        switch (node.type) {\n        case 'NullLiteral': return 'null';\n        case 'BooleanLiteral': return String(node.value);\n        case 'NumberLiteral': return String(node.value);\n        case 'StringLiteral': return quote(node.value);\n\n        // `toString` always returns a string, so the empty literal parts can\n        // go.\n        case 'Interpolation':\n            return '(' + node.parts\n                .filter((part) => part.type != 'StringLiteral' || part.value != '')\n                .map((part) => part.type == 'StringLiteral'\n                    ? quote(part.value)\n                    : '(yield* $.toString(' + this.expression(part) + '))')\n                .join(' + ') + ')';\n\n        case 'List':\n            return '[' + node.elements.map((element) => this.expression(element))\n                .join(', ') + ']';\n\n        case 'Map':\n            return '$.map([' + node.entries.map((entry) => '[' +\n                this.expression(entry.key) + ', ' + this.expression(entry.value) + ']')\n                .join(', ') + '])';\n\n        case 'Identifier': return this.variable(node.name, node);\n        case 'Field':\n            return '(' + this.receiver() + '.fields[' + this.fieldKey(node) + '] ?? null)';\n        case 'StaticField': return this.staticField(node);\n        case 'This': return this.receiver();\n        case 'Call': return this.call(node);\n\n        case 'Subscript':\n            return this.dispatch(this.expression(node.receiver),\n                subscriptSignature(node.arguments.length),\n                node.arguments.map((argument) => this.expression(argument)));\n\n        case 'Function':\n            return '$.fn(' + node.parameters.length + ', ' +\n                this.functionBody(node.parameters, node.body, false, false) + ')';\n\n        case 'Unary':\n            return this.dispatch(this.expression(node.operand), node.operator, []);\n\n        case 'Binary':\n            return this.dispatch(this.expression(node.left), node.operator + '(_)',\n                [this.expression(node.right)]);\n\n        // Only false and null are false, and the value is whichever operand\n        // decided it.\n        case 'Logical': {\n            this.function.usesTemp = true;\n            let left = '$.truthy($t = ' + this.expression(node.left) + ')';\n            let right = this.expression(node.right);\n            return '(' + left + (node.operator == '&&'\n                ? ' ? ' + right + ' : $t)'\n                : ' ? $t : ' + right + ')');\n        }\n\n        case 'Conditional':\n            return '($.truthy(' + this.expression(node.condition) + ') ? ' +\n                this.expression(node.thenBranch) + ' : ' +\n                this.expression(node.elseBranch) + ')';\n\n        case 'Assignment': return this.assignment(node);\n        }\n\n        throw new Error('Cannot compile a ' + node.type + ' expression.');\n    }\n\n    // Returns the code that calls [signature] on [receiver] with [args].\n    dispatch(receiver, signature, args) {\n        return '(yield* $.call(' + [receiver, quote(signature)].concat(args).join(', ') +\n            '))';\n    }\n\n    // Fields are kept per class, like Wren does, so a subclass can have a field\n    // with the same name.\n    fieldKey(node) {\n        return quote(this.enclosingClass.node.name + '.' + node.name);\n    }\n\n    staticField(node) {\n        return staticFieldName(this.enclosingClass.node.name, node.name);\n    }\n\n    // Compiles a Call. [extra] are arguments to pass after the call's own, like\n    // the value for a setter.\n    call(node, extra = []) {\n        let args = (node.arguments || []).map((argument) => this.expression(argument));\n        if (node.blockArgument) args.push(this.expression(node.blockArgument));\n        args = args.concat(extra);\n\n        if (node.receiver == null) {\n            return this.dispatch(this.receiver(), node.signature, args);\n        }\n        if (node.receiver.type != 'Super') {\n            return this.dispatch(this.expression(node.receiver), node.signature, args);\n        }\n\n        // `super` looks the method up in the superclass of the class it's\n        // written in, not the class of `this`.\n        let cls = this.enclosingClass;\n        let method = cls.method;\n        let target = method.isStatic ? cls.name + '.metaclass' : cls.name;\n        let signature = node.signature;\n        if (node.name == null && method.kind == 'constructor') {\n            signature = 'init ' + signature;\n        }\n        return '(yield* $.callSuper(' + [target, this.receiver(), quote(signature)]\n            .concat(args).join(', ') + '))';\n    }\n\n    assignment(node) {\n        let target = node.target;\n\n        switch (target.type) {\n        case 'Identifier':\n            return '(' + this.variable(target.name, target) + ' = ' +\n                this.expression(node.value) + ')';\n        case 'Field':\n            return '(' + this.receiver() + '.fields[' + this.fieldKey(target) + '] = ' +\n                this.expression(node.value) + ')';\n        case 'StaticField':\n            return '(' + this.staticField(target) + ' = ' +\n                this.expression(node.value) + ')';\n\n        case 'Subscript': {\n            let receiver = this.expression(target.receiver);\n            let args = target.arguments.map((argument) => this.expression(argument));\n            return this.dispatch(receiver, subscriptSignature(args.length) + '=(_)',\n                args.concat([this.expression(node.value)]));\n        }\n\n        case 'Call': {\n            let setter = Object.assign({}, target, {\n                arguments: null,\n                signature: target.name + '=(_)'\n            });\n            let value = this.expression(node.value);\n            return this.call(setter, [value]);\n        }\n        }\n\n        throw new Error('Cannot assign to a ' + target.type + '.');\n    }\n}\n\n// Returns the variable that holds the static field [name] of [className].\nfunction staticFieldName(className, name) {\n    return 's_' + className + name;\n}\n\n// Adds the names of the static fields used anywhere in [node] to [fields],\n// except inside nested classes, which have their own.\nfunction collectStaticFields(node, fields) {\n    if (Array.isArray(node)) {\n        for (let item of node) collectStaticFields(item, fields);\n        return;\n    }\n    if (node == null || typeof node != 'object') return;\n\n    if (node.type == 'StaticField') fields.add(node.name);\n    for (let key of Object.keys(node)) {\n        if (key == 'span') continue;\n        let value = node[key];\n        if (value && typeof value == 'object' && value.type != 'Class') {\n            collectStaticFields(value, fields);\n        }\n    }\n}\n\n// Returns the declarations that make the core classes in [names] visible.\nfunction coreDeclarations(names) {\n    if (names.size == 0) return '';\n    return 'const { ' + Array.from(names).map((name) => name + ': v_' + name)\n        .join(', ') + ' } = $.core;\\n';\n}\n\n// Parses and compiles [source]. Returns the diagnostics and, if there weren't\n// any, the compiled pieces.\nfunction compile(source, options) {\n    let result = (0,_ast_js__WEBPACK_IMPORTED_MODULE_0__.parse)(source, options);\n    if (result.diagnostics.length > 0) return { diagnostics: result.diagnostics };\n\n    let generator = new Generator();\n    let compiled = generator.module(result.ast);\n    compiled.diagnostics = generator.diagnostics;\n    compiled.imports = generator.imports;\n    compiled.usedCore = generator.usedCore;\n    return compiled;\n}\n\n// Returns the module-level code shared by [transpile()] and [run()], after the\n// imports.\nfunction moduleCode(compiled) {\n    let code = coreDeclarations(compiled.usedCore);\n    if (compiled.moduleVariables.length > 0) {\n        code += 'let ' + compiled.moduleVariables.map((name) => 'v_' + name + ' = null')\n            .join(', ') + ';\\n';\n    }\n    return code + '\\n$.runModule(function* () {\\n' + indent(compiled.body) + '});\\n';\n}\n\n// Transpiles the Wren module in [source] to the source of an ES module.\n//\n// [options] are passed on to [Parser], along with:\n//\n// * `runtime`: The specifier the module imports the runtime from. Defaults to\n//   'js-wren-tokenizer/src/runtime.js'.\n// * `resolveImport`: A function that returns the specifier to import the Wren\n//   module with the given name from. Defaults to `./<name>.js`.\n//\n// Returns `{ code, diagnostics }`. If there are any diagnostics, [code] is\n// `null`.\nfunction transpile(source, options = {}) {\n    let compiled = compile(source, options);\n    if (compiled.diagnostics.length > 0) {\n        return { code: null, diagnostics: compiled.diagnostics };\n    }\n\n    let runtimePath = options.runtime || 'js-wren-tokenizer/src/runtime.js';\n    let resolveImport = options.resolveImport || ((name) => './' + name + '.js');\n\n    let code = 'import * as $ from ' + quote(runtimePath) + ';\\n';\n    for (let module of compiled.imports) {\n        let specifier = quote(resolveImport(module.module));\n        if (module.variables.length == 0) {\n            code += 'import ' + specifier + ';\\n';\n        } else {\n            code += 'import { ' + module.variables.map((variable) =>\n                variable.name + ' as v_' + variable.alias).join(', ') +\n                ' } from ' + specifier + ';\\n';\n        }\n    }\n\n    code += moduleCode(compiled);\n    if (compiled.exported.length > 0) {\n        code += '\\nexport { ' + compiled.exported.map((name) => 'v_' + name + ' as ' + name)\n            .join(', ') + ' };\\n';\n    }\n\n    return { code: code, diagnostics: [] };\n}\n\n// Transpiles the Wren module in [source] and runs it right away.\n//\n// [options] are passed on to [Parser], along with:\n//\n// * `write`: A function that gets everything the program prints. Without one,\n//   what it prints goes wherever [setWriter()] in the runtime last sent it,\n//   which is nowhere to begin with.\n// * `importModule`: A function that returns the module variables of the Wren\n//   module with the given name, as an object. The result of [run()] works.\n//\n// Returns `{ exports, diagnostics }`. [exports] has the module's variables, or\n// is `null` if there were diagnostics and it didn't run. A runtime error is\n// thrown as a [WrenRuntimeError].\nfunction run(source, options = {}) {\n    let compiled = compile(source, options);\n    if (compiled.diagnostics.length > 0) {\n        return { exports: null, diagnostics: compiled.diagnostics };\n    }\n\n    let importModule = options.importModule || ((name) => {\n        throw new _runtime_js__WEBPACK_IMPORTED_MODULE_1__.WrenRuntimeError('Could not load module \\'' + name + '\\'.');\n    });\n\n    let code = '\\'use strict\\';\\n';\n    for (let module of compiled.imports) {\n        let call = '$import(' + quote(module.module) + ')';\n        if (module.variables.length == 0) {\n            code += call + ';\\n';\n        } else {\n            code += 'const { ' + module.variables.map((variable) =>\n                variable.name + ': v_' + variable.alias).join(', ') + ' } = ' + call + ';\\n';\n        }\n    }\n    code += moduleCode(compiled);\n    code += 'return { ' + compiled.exported.map((name) => name + ': v_' + name)\n        .join(', ') + ' };\\n';\n\n    let previousWriter = options.write ? _runtime_js__WEBPACK_IMPORTED_MODULE_1__.setWriter(options.write) : null;\n    try {\n        let exports = new Function('$', '$import', code)(_runtime_js__WEBPACK_IMPORTED_MODULE_1__, importModule);\n        return { exports: exports, diagnostics: [] };\n    } finally {\n        if (previousWriter) _runtime_js__WEBPACK_IMPORTED_MODULE_1__.setWriter(previousWriter);\n    }\n}\n\n\n//# sourceURL=webpack://Wrent/./src/transpiler.js?");
 
 /***/ })
 
@@ -0,0 +1,115 @@
+// Measures how fast the lexer tokenizes Wren source.
+//
+//     node scripts/benchmark.mjs              Run the built-in sources.
+//     node scripts/benchmark.mjs a.wren ...   Also run these files.
+//
+// The built-in sources are a large synthetic module that uses every kind of
+// token, and the Wren programs in test/programs, repeated to make them big
+// enough to time. Each one is lexed in several modes: tokens as objects,
+// with trivia, as compact token storage, and from UTF-8 bytes.
+//
+// Set BENCHMARK_RUNS to change how many times each is lexed. The fastest run
+// is reported, since it's the one least disturbed by the rest of the machine.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Parser } from '../src/main.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const runs = Number(process.env.BENCHMARK_RUNS) || 10;
+
+// Returns a synthetic module of about [size] characters, with classes, methods,
+// strings with escapes and interpolation, numbers, comments and operators.
+function synthetic(size) {
+    let chunks = [];
+    let length = 0;
+    for (let i = 0; length < size; i++) {
+        let chunk = `// Class number ${i}.
+class Entity${i} is Base {
+  construct new(name, x, y) {
+    _name = name
+    _position = Vector.new(x, y)
+    __count = (__count || 0) + 1
+  }
+
+  /* The name, for /* nested */ debugging. */
+  name { _name }
+  position=(value) { _position = value }
+  [index] { index == 0 ? _position.x : _position.y }
+  +(other) { Entity${i}.new(_name, _position.x + other.x, _position.y * 0.5) }
+
+  update(dt) {
+    var speed = 1.5e3 * dt - 0x${(i * 31 % 4096).toString(16)}
+    for (step in 0...10) {
+      if (step % 2 == 0 && !isDead || speed >= 10) {
+        System.print("\\"%(_name)\\" moved %(speed * step) units\\n")
+      } else {
+        return speed << 2 | 1
+      }
+    }
+    return [1, 2, 3].map {|n| n * ${i} }.where {|n| n > 2 }.toList
+  }
+}
+
+`;
+        chunks.push(chunk);
+        length += chunk.length;
+    }
+    return chunks.join('');
+}
+
+// Returns the programs in test/programs and their modules, repeated up to
+// about [size] characters.
+function programs(size) {
+    let sources = [];
+    for (let directory of ['programs', path.join('programs', 'modules')]) {
+        directory = path.join(root, 'test', directory);
+        for (let file of fs.readdirSync(directory).sort()) {
+            if (!file.endsWith('.wren')) continue;
+            sources.push(fs.readFileSync(path.join(directory, file), 'utf8'));
+        }
+    }
+
+    let source = sources.join('\n');
+    return source.repeat(Math.max(1, Math.round(size / source.length)));
+}
+
+// The ways to lex a source, each a function that takes its [text] and its UTF-8
+// [bytes], lexes one of them and returns how many tokens it got.
+const modes = {
+    'objects': (text) => new Parser(text).tokens.length,
+    'trivia': (text) => new Parser(text, { trivia: true }).tokens.length,
+    'compact': (text) => new Parser(text, { compact: true }).tokens.length,
+    'bytes': (text, bytes) => new Parser(bytes).tokens.length
+};
+
+// Lexes [text] in each mode and prints how fast the fastest run was.
+function benchmark(name, text) {
+    let bytes = new TextEncoder().encode(text);
+    let megabytes = bytes.length / 1024 / 1024;
+    console.log(name + ': ' + megabytes.toFixed(2) + ' MB');
+
+    for (let [mode, lex] of Object.entries(modes)) {
+        // Warm up, so the timed runs use optimized code.
+        let count = 0;
+        for (let i = 0; i < 2; i++) count = lex(text, bytes);
+
+        let fastest = Infinity;
+        for (let i = 0; i < runs; i++) {
+            let start = process.hrtime.bigint();
+            lex(text, bytes);
+            fastest = Math.min(fastest, Number(process.hrtime.bigint() - start) / 1e6);
+        }
+
+        console.log('  ' + mode.padEnd(8) + fastest.toFixed(1).padStart(8) + ' ms' +
+            (megabytes / fastest * 1000).toFixed(1).padStart(8) + ' MB/s' +
+            (count / fastest / 1000).toFixed(2).padStart(6) + ' M tokens/s');
+    }
+}
+
+benchmark('synthetic', synthetic(4 * 1024 * 1024));
+benchmark('programs', programs(4 * 1024 * 1024));
+for (let file of process.argv.slice(2)) {
+    benchmark(file, fs.readFileSync(file, 'utf8'));
+}
@@ -12,16 +12,6 @@ module.exports = {
         filename: 'wrent.js',
         library: 'Wrent'
     },
-    module: {
-        rules: [
-            {
-                test: /\.ne$/,
-                use: [
-                    'nearley-loader',
-                ],
-            },
-        ]
-    },
     plugins: [new ESLintPlugin({
         'fix': true,
         'overrideConfig': {
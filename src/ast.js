@@ -0,0 +1,1445 @@
+import { Parser } from './main.js';
+
+// A recursive descent parser that turns the tokens from [Parser] into a syntax
+// tree. It follows the grammar in wren_compiler.c, including its handling of
+// newlines, but builds a tree instead of emitting bytecode.
+//
+// Every node is a plain object with a [type], the fields listed below and a
+// [span] that covers its source:
+//
+//     { start, end, line, column, endLine, endColumn }
+//
+// [start] and [end] are offsets, the lines and columns are 1-based and the end
+// is just past the last character, the same as on tokens. Nodes hold no other
+// references, so a tree can be passed through `JSON.stringify()` as is.
+//
+// Definitions and statements:
+//
+// * Module           { body: [statement] }
+// * Class            { name, superclass: expression?, isForeign,
+//                      attributes: [Attribute], methods: [Method] }
+// * Method           { kind, name, signature, isStatic, isForeign, isOperator,
+//                      parameters: [Parameter], body: Block?,
+//                      attributes: [Attribute] }
+//                    [kind] is one of 'method', 'getter', 'setter',
+//                    'subscript', 'subscriptSetter' or 'constructor'. [name] is
+//                    `[]` for subscripts. [signature] is Wren's signature for
+//                    the method, like `foo(_,_)`, `bar=(_)` or `[_]=(_)`.
+//                    [body] is `null` for foreign methods.
+// * Parameter        { name }
+// * Attribute        { name, value: literal?, entries: [AttributeEntry]?,
+//                      isRuntime }
+//                    [entries] is only set for a group, like `#group(a, b = 1)`.
+// * AttributeEntry   { name, value: literal? }
+// * Import           { module: StringLiteral, variables: [ImportVariable]? }
+// * ImportVariable   { name, alias? }
+// * Var              { name, initializer: expression? }
+// * Block            { statements: [statement], isExpression }
+//                    [isExpression] is true for a single-expression body, like
+//                    `{ x + 1 }`, whose value a method or function returns.
+// * If               { condition, thenBranch, elseBranch? }
+// * While            { condition, body }
+// * For              { variable, sequence, body }
+// * Break            {}
+// * Continue         {}
+// * Return           { value: expression? }
+// * ExpressionStatement { expression }
+// * Error            {}
+//                    Stands in for a definition or statement that couldn't be
+//                    parsed.
+//
+// Expressions:
+//
+// * NullLiteral      {}
+// * BooleanLiteral   { value }
+// * NumberLiteral    { value }
+// * StringLiteral    { value }
+// * Interpolation    { parts: [StringLiteral | expression] }
+//                    The parts alternate between literal text and interpolated
+//                    expressions, starting and ending with a StringLiteral.
+// * List             { elements: [expression] }
+// * Map              { entries: [MapEntry] }
+// * MapEntry         { key, value }
+// * Identifier       { name }
+//                    A local or module variable.
+// * Field            { name }
+// * StaticField      { name }
+// * This             {}
+// * Super            {}
+//                    Only appears as the receiver of a Call.
+// * Call             { receiver: expression?, name, arguments: [expression]?,
+//                      blockArgument: Function?, signature }
+//                    [receiver] is `null` for a call on implicit `this`. [name]
+//                    is `null` for a bare `super(...)` call, which calls the
+//                    enclosing method's name. [arguments] is `null` when there
+//                    is no argument list, as in a getter call.
+// * Subscript        { receiver, arguments: [expression] }
+// * Function         { parameters: [Parameter], body: Block }
+//                    A block argument, like `{ |a, b| a + b }`.
+// * Unary            { operator, operand }
+// * Binary           { operator, left, right }
+//                    Any infix operator that is a method call, including `is`.
+// * Logical          { operator, left, right }
+//                    `&&` and `||`.
+// * Conditional      { condition, thenBranch, elseBranch }
+// * Assignment       { target, value }
+//                    [target] is an Identifier, Field, StaticField, Call (a
+//                    setter) or Subscript.
+
+// Stable codes for the errors the parser reports. Lexical errors keep their own
+// codes from [LexErrorCode].
+export const ParseErrorCode = Object.freeze({
+    // The tokens don't match the grammar.
+    SYNTAX: 'PARSE_SYNTAX',
+
+    // Something valid used where it isn't allowed, like `this` outside of a
+    // method or `break` outside of a loop.
+    INVALID_CONTEXT: 'PARSE_INVALID_CONTEXT',
+
+    // A method or call has more than [MAX_PARAMETERS] parameters or arguments.
+    TOO_MANY_PARAMETERS: 'PARSE_TOO_MANY_PARAMETERS'
+});
+
+// The maximum number of parameters or arguments a method can have.
+const MAX_PARAMETERS = 16;
+
+const PREC_NONE = 0;
+const PREC_LOWEST = 1;
+const PREC_ASSIGNMENT = 2;    // =
+const PREC_CONDITIONAL = 3;   // ?:
+const PREC_LOGICAL_OR = 4;    // ||
+const PREC_LOGICAL_AND = 5;   // &&
+const PREC_EQUALITY = 6;      // == !=
+const PREC_IS = 7;            // is
+const PREC_COMPARISON = 8;    // < > <= >=
+const PREC_BITWISE_OR = 9;    // |
+const PREC_BITWISE_XOR = 10;  // ^
+const PREC_BITWISE_AND = 11;  // &
+const PREC_BITWISE_SHIFT = 12; // << >>
+const PREC_RANGE = 13;        // .. ...
+const PREC_TERM = 14;         // + -
+const PREC_FACTOR = 15;       // * / %
+const PREC_UNARY = 16;        // unary - ! ~
+const PREC_CALL = 17;         // . () []
+
+// The precedence of each token that can appear after the left-hand side of an
+// expression.
+const infixPrecedence = {
+    TOKEN_LEFT_BRACKET: PREC_CALL,
+    TOKEN_DOT: PREC_CALL,
+    TOKEN_DOTDOT: PREC_RANGE,
+    TOKEN_DOTDOTDOT: PREC_RANGE,
+    TOKEN_STAR: PREC_FACTOR,
+    TOKEN_SLASH: PREC_FACTOR,
+    TOKEN_PERCENT: PREC_FACTOR,
+    TOKEN_PLUS: PREC_TERM,
+    TOKEN_MINUS: PREC_TERM,
+    TOKEN_LTLT: PREC_BITWISE_SHIFT,
+    TOKEN_GTGT: PREC_BITWISE_SHIFT,
+    TOKEN_PIPE: PREC_BITWISE_OR,
+    TOKEN_PIPEPIPE: PREC_LOGICAL_OR,
+    TOKEN_AMP: PREC_BITWISE_AND,
+    TOKEN_AMPAMP: PREC_LOGICAL_AND,
+    TOKEN_CARET: PREC_BITWISE_XOR,
+    TOKEN_QUESTION: PREC_ASSIGNMENT,
+    TOKEN_LT: PREC_COMPARISON,
+    TOKEN_GT: PREC_COMPARISON,
+    TOKEN_LTEQ: PREC_COMPARISON,
+    TOKEN_GTEQ: PREC_COMPARISON,
+    TOKEN_EQEQ: PREC_EQUALITY,
+    TOKEN_BANGEQ: PREC_EQUALITY,
+    TOKEN_IS: PREC_IS
+};
+
+// Tokens that can be the name of an operator method, and the kind of signature
+// each one has.
+const operatorSignatures = {
+    TOKEN_BANG: 'unary',
+    TOKEN_TILDE: 'unary',
+    TOKEN_MINUS: 'mixed',
+    TOKEN_DOTDOT: 'infix',
+    TOKEN_DOTDOTDOT: 'infix',
+    TOKEN_STAR: 'infix',
+    TOKEN_SLASH: 'infix',
+    TOKEN_PERCENT: 'infix',
+    TOKEN_PLUS: 'infix',
+    TOKEN_LTLT: 'infix',
+    TOKEN_GTGT: 'infix',
+    TOKEN_PIPE: 'infix',
+    TOKEN_AMP: 'infix',
+    TOKEN_CARET: 'infix',
+    TOKEN_LT: 'infix',
+    TOKEN_GT: 'infix',
+    TOKEN_LTEQ: 'infix',
+    TOKEN_GTEQ: 'infix',
+    TOKEN_EQEQ: 'infix',
+    TOKEN_BANGEQ: 'infix',
+    TOKEN_IS: 'infix'
+};
+
+// Tokens the parser doesn't look at. Lexical errors were already reported by
+// the lexer.
+const ignoredTokens = new Set([
+    'TOKEN_COMMENT',
+    'TOKEN_WHITESPACE',
+    'TOKEN_SHEBANG',
+    'TOKEN_ERROR'
+]);
+
+// Thrown to unwind out of a definition that has a syntax error, so the parser
+// can skip ahead and carry on with the next one.
+const PANIC = { panic: true };
+
+// Returns true if [name] is a local name: one that starts with a lowercase
+// letter. Inside a class, those refer to methods on `this` unless a local
+// variable is in scope.
+function isLocalName(name) {
+    return name[0] >= 'a' && name[0] <= 'z';
+}
+
+// Returns the Wren signature string for a method or call.
+function signatureString(kind, name, arity) {
+    let parameters = '(' + Array(arity).fill('_').join(',') + ')';
+    switch (kind) {
+    case 'getter': return name;
+    case 'setter': return name + '=(_)';
+    case 'subscript': return '[' + Array(arity).fill('_').join(',') + ']';
+    case 'subscriptSetter':
+        return '[' + Array(arity - 1).fill('_').join(',') + ']=(_)';
+    default: return name + parameters;
+    }
+}
+
+class TreeParser {
+    constructor(tokens) {
+        this.tokens = tokens.filter((token) => !ignoredTokens.has(token.type));
+
+        // Make sure there's always an EOF to stop at.
+        let last = this.tokens[this.tokens.length - 1];
+        if (last == null || last.type != 'TOKEN_EOF') {
+            let end = last ? last.end : 0;
+            this.tokens.push({
+                type: 'TOKEN_EOF',
+                text: '',
+                value: '',
+                line: last ? last.endLine : 1,
+                column: last ? last.endColumn : 1,
+                endLine: last ? last.endLine : 1,
+                endColumn: last ? last.endColumn : 1,
+                start: end,
+                end: end
+            });
+        }
+
+        // The index of the current token in [tokens].
+        this.index = 0;
+
+        this.diagnostics = [];
+
+        // The function being parsed: the module, a method or a block argument.
+        // Tracks the local variables in scope and how deeply nested in loops
+        // the code is.
+        this.fn = null;
+
+        // The class being parsed, or `null` when not inside one. Holds whether
+        // the method being parsed is static.
+        this.enclosingClass = null;
+    }
+
+    // Returns the token the parser is sitting on.
+    get current() {
+        return this.tokens[this.index];
+    }
+
+    // Returns the most recently consumed token.
+    get previous() {
+        return this.tokens[Math.max(this.index - 1, 0)];
+    }
+
+    // Returns the type of the current token.
+    peek() {
+        return this.current.type;
+    }
+
+    // Returns the type of the token after the current one.
+    peekNext() {
+        let next = this.tokens[this.index + 1];
+        return next ? next.type : 'TOKEN_EOF';
+    }
+
+    // Consumes the current token and returns it. Never moves past the EOF.
+    advance() {
+        let token = this.current;
+        if (token.type != 'TOKEN_EOF') this.index++;
+        return token;
+    }
+
+    // Puts [token], which was just consumed by [advance()], back.
+    retreat(token) {
+        if (token.type != 'TOKEN_EOF') this.index--;
+    }
+
+    // If the current token is of [type], consumes it and returns `true`.
+    match(type) {
+        if (this.peek() != type) return false;
+        this.advance();
+        return true;
+    }
+
+    // Consumes the current token if it is of [type], and reports [message]
+    // otherwise.
+    consume(type, message) {
+        if (!this.match(type)) this.error(message);
+        return this.previous;
+    }
+
+    // Matches one or more newlines. Returns true if at least one was found.
+    matchLine() {
+        if (!this.match('TOKEN_LINE')) return false;
+        while (this.match('TOKEN_LINE'));
+        return true;
+    }
+
+    // Discards any newlines starting at the current token.
+    ignoreNewlines() {
+        this.matchLine();
+    }
+
+    // Consumes the current token, which must be a newline, and any that follow.
+    consumeLine(message) {
+        this.consume('TOKEN_LINE', message);
+        this.ignoreNewlines();
+    }
+
+    // Skips a newline if the line after it continues with a method call, as in:
+    //
+    //     list
+    //       .where { |x| x > 2 }
+    //       .map { |x| x * 2 }
+    allowLineBeforeDot() {
+        if (this.peek() == 'TOKEN_LINE' && this.peekNext() == 'TOKEN_DOT') {
+            this.advance();
+        }
+    }
+
+    // Records an error with [message] at [token] and keeps going.
+    report(message, token, code) {
+        this.diagnostics.push({
+            code: code,
+            message: message,
+            severity: 'error',
+            line: token.line,
+            column: token.column,
+            endLine: token.endLine,
+            endColumn: token.endColumn,
+            start: token.start,
+            end: token.end
+        });
+    }
+
+    // Records a syntax error with [message] at the current token and abandons
+    // the current definition.
+    error(message) {
+        let token = this.current;
+        let found = token.type == 'TOKEN_EOF' ? 'end of file'
+            : token.type == 'TOKEN_LINE' ? 'newline'
+                : '\'' + token.text + '\'';
+
+        this.report(message + ' Found ' + found + '.', token, ParseErrorCode.SYNTAX);
+        throw PANIC;
+    }
+
+    // Sets the span of [node] to run from [start], a token or span, to the end
+    // of the most recently consumed token. Returns [node].
+    finish(node, start) {
+        let end = this.previous;
+        if (end.end < start.start) end = start;
+
+        node.span = {
+            start: start.start,
+            end: end.end,
+            line: start.line,
+            column: start.column,
+            endLine: end.endLine,
+            endColumn: end.endColumn
+        };
+        return node;
+    }
+
+    // Skips tokens after a syntax error until the next newline, or the "}" that
+    // closes the block the error is in, so parsing can pick up from there.
+    // [open] is how many blocks and interpolated strings the definition had
+    // begun before the error, which are skipped to their ends first.
+    synchronize(open) {
+        let depth = 0;
+        for (;;) {
+            switch (this.peek()) {
+            case 'TOKEN_EOF':
+                return;
+
+            case 'TOKEN_LINE':
+                if (depth == 0 && open == 0) return;
+                break;
+
+            case 'TOKEN_LEFT_PAREN':
+            case 'TOKEN_LEFT_BRACKET':
+            case 'TOKEN_LEFT_BRACE':
+                depth++;
+                break;
+
+            case 'TOKEN_RIGHT_PAREN':
+            case 'TOKEN_RIGHT_BRACKET':
+                if (depth > 0) depth--;
+                break;
+
+            // An interpolated string opens a level of nesting with its first
+            // part and closes it with its last, which start with '"' and ')'.
+            case 'TOKEN_INTERPOLATION':
+                if (this.current.text[0] == '"') depth++;
+                break;
+
+            case 'TOKEN_STRING':
+                if (this.current.text[0] != ')') break;
+                if (depth > 0) {
+                    depth--;
+                } else if (open > 0) {
+                    open--;
+                }
+                break;
+
+            case 'TOKEN_RIGHT_BRACE':
+                if (depth > 0) {
+                    depth--;
+                } else if (open > 0) {
+                    open--;
+                } else {
+                    return;
+                }
+                break;
+            }
+
+            this.advance();
+        }
+    }
+
+    // Parses [parse] as one definition. If it has a syntax error, skips past it
+    // and returns an Error node instead.
+    recover(parse) {
+        let start = this.current;
+        let startIndex = this.index;
+        let fn = this.fn;
+        let scopes = fn.scopes.length;
+        let loopDepth = fn.loopDepth;
+        let enclosingClass = this.enclosingClass;
+        try {
+            return parse();
+        } catch (error) {
+            if (error !== PANIC) throw error;
+
+            // Leave the functions, scopes and class the definition was in the
+            // middle of.
+            this.fn = fn;
+            fn.scopes.length = scopes;
+            fn.loopDepth = loopDepth;
+            this.enclosingClass = enclosingClass;
+
+            this.synchronize(this.openedSince(startIndex));
+            return this.finish({ type: 'Error' }, start);
+        }
+    }
+
+    // Returns how many of the blocks and interpolated strings that begin in the
+    // tokens from [index] up to the current one are still open.
+    openedSince(index) {
+        let depth = 0;
+        for (let i = index; i < this.index; i++) {
+            let token = this.tokens[i];
+            switch (token.type) {
+            case 'TOKEN_LEFT_BRACE':
+                depth++;
+                break;
+            case 'TOKEN_RIGHT_BRACE':
+                if (depth > 0) depth--;
+                break;
+            case 'TOKEN_INTERPOLATION':
+                if (token.text[0] == '"') depth++;
+                break;
+            case 'TOKEN_STRING':
+                if (token.text[0] == ')' && depth > 0) depth--;
+                break;
+            }
+        }
+        return depth;
+    }
+
+    // Begins parsing a new function. [isMethod] is true for methods, whose
+    // bodies can't see the local variables around them.
+    pushFunction(isMethod) {
+        this.fn = {
+            parent: this.fn,
+            isMethod: isMethod,
+            scopes: [new Set()],
+            loopDepth: 0
+        };
+    }
+
+    popFunction() {
+        this.fn = this.fn.parent;
+    }
+
+    pushScope() {
+        this.fn.scopes.push(new Set());
+    }
+
+    popScope() {
+        this.fn.scopes.pop();
+    }
+
+    // Adds a local variable called [name] to the current scope. Variables at the
+    // top level of the module are module variables, not locals.
+    declareLocal(name) {
+        if (this.fn.parent == null && this.fn.scopes.length == 1) return;
+        this.fn.scopes[this.fn.scopes.length - 1].add(name);
+    }
+
+    // Returns true if [name] is a local variable visible from here. Like Wren,
+    // stops looking at the edge of the enclosing method.
+    isLocal(name) {
+        for (let fn = this.fn; fn != null; fn = fn.parent) {
+            for (let scope of fn.scopes) {
+                if (scope.has(name)) return true;
+            }
+            if (fn.isMethod) return false;
+        }
+        return false;
+    }
+
+    // Parses the whole token stream.
+    //
+    //     module: definition* EOF
+    module() {
+        let start = this.current;
+        let body = [];
+        this.pushFunction(false);
+
+        this.ignoreNewlines();
+        while (this.peek() != 'TOKEN_EOF') {
+            // There's no block for a stray "}" to close. Don't pile on if it's
+            // left over from a definition that had an error.
+            if (this.match('TOKEN_RIGHT_BRACE')) {
+                let last = body[body.length - 1];
+                if (last == null || last.type != 'Error') {
+                    this.report('Expect end of file.', this.previous,
+                        ParseErrorCode.SYNTAX);
+                }
+                this.ignoreNewlines();
+                continue;
+            }
+
+            body.push(this.recover(() => {
+                let definition = this.definition();
+
+                // If there is no newline, it must be the end of file on the same
+                // line.
+                if (!this.matchLine() && this.peek() != 'TOKEN_EOF') {
+                    this.error('Expect end of file.');
+                }
+                return definition;
+            }));
+
+            this.ignoreNewlines();
+        }
+
+        this.popFunction();
+        return this.finish({ type: 'Module', body: body }, start);
+    }
+
+    // Parses any attributes before a definition.
+    attributes() {
+        let attributes = [];
+        while (this.peek() == 'TOKEN_HASH') attributes.push(this.attribute());
+        return attributes;
+    }
+
+    //     attribute: "#" "!"? name ( "=" literal | "(" entries ")" )? newline
+    attribute() {
+        let start = this.advance();
+        let isRuntime = this.match('TOKEN_BANG');
+
+        let attribute = {
+            type: 'Attribute',
+            name: this.consume('TOKEN_NAME',
+                'Expect an attribute definition after #.').text,
+            value: null,
+            entries: null,
+            isRuntime: isRuntime
+        };
+
+        if (this.match('TOKEN_EQ')) {
+            attribute.value = this.attributeValue();
+        } else if (this.match('TOKEN_LEFT_PAREN')) {
+            attribute.entries = [];
+            this.ignoreNewlines();
+            if (this.peek() == 'TOKEN_RIGHT_PAREN') {
+                this.error('Expected attributes in group, group cannot be empty.');
+            }
+
+            do {
+                this.ignoreNewlines();
+                let entryStart = this.consume('TOKEN_NAME',
+                    'Expect name for attribute key.');
+                let entry = { type: 'AttributeEntry', name: entryStart.text, value: null };
+                if (this.match('TOKEN_EQ')) entry.value = this.attributeValue();
+                attribute.entries.push(this.finish(entry, entryStart));
+                this.ignoreNewlines();
+            } while (this.match('TOKEN_COMMA'));
+
+            this.consume('TOKEN_RIGHT_PAREN', 'Expected \')\' after grouped attributes.');
+        } else if (this.peek() != 'TOKEN_LINE') {
+            this.error('Expect an equal, newline or grouping after an attribute key.');
+        }
+
+        this.finish(attribute, start);
+        this.consumeLine('Expect a newline after attribute.');
+        return attribute;
+    }
+
+    // Parses the value of an attribute, which must be a simple literal or name.
+    attributeValue() {
+        let token = this.current;
+        switch (token.type) {
+        case 'TOKEN_FALSE':
+        case 'TOKEN_TRUE':
+        case 'TOKEN_NUMBER':
+        case 'TOKEN_STRING':
+            return this.prefix(this.advance(), false);
+
+        case 'TOKEN_NAME':
+            this.advance();
+            return this.finish({ type: 'Identifier', name: token.text }, token);
+        }
+
+        this.error('Expect a Bool, Num, String or Identifier literal for an attribute value.');
+    }
+
+    //     definition: attribute* ( class | import | var ) | statement
+    definition() {
+        if (this.peek() == 'TOKEN_HASH') {
+            let attributes = this.attributes();
+            if (this.peek() != 'TOKEN_CLASS' && this.peek() != 'TOKEN_FOREIGN') {
+                this.report('Attributes can only specified before a class or a method.',
+                    attributes[0].span, ParseErrorCode.INVALID_CONTEXT);
+                return this.definition();
+            }
+
+            let definition = this.definition();
+            definition.attributes = attributes.concat(definition.attributes);
+            definition.span.start = attributes[0].span.start;
+            definition.span.line = attributes[0].span.line;
+            definition.span.column = attributes[0].span.column;
+            return definition;
+        }
+
+        let start = this.current;
+        if (this.match('TOKEN_CLASS')) return this.classDefinition(start, false);
+
+        if (this.match('TOKEN_FOREIGN')) {
+            this.consume('TOKEN_CLASS', 'Expect \'class\' after \'foreign\'.');
+            return this.classDefinition(start, true);
+        }
+
+        if (this.match('TOKEN_IMPORT')) return this.importStatement(start);
+        if (this.match('TOKEN_VAR')) return this.variableDefinition(start);
+
+        return this.statement();
+    }
+
+    //     class: "foreign"? "class" name ( "is" expression )? "{" method* "}"
+    classDefinition(start, isForeign) {
+        let name = this.consume('TOKEN_NAME', 'Expect class name.').text;
+        this.declareLocal(name);
+
+        let superclass = null;
+        if (this.match('TOKEN_IS')) superclass = this.expressionAt(PREC_CALL);
+
+        let node = {
+            type: 'Class',
+            name: name,
+            superclass: superclass,
+            isForeign: isForeign,
+            attributes: [],
+            methods: []
+        };
+
+        let enclosingClass = this.enclosingClass;
+        this.enclosingClass = { name: name, inStatic: false, method: null };
+
+        this.consume('TOKEN_LEFT_BRACE', 'Expect \'{\' after class declaration.');
+        this.matchLine();
+
+        while (!this.match('TOKEN_RIGHT_BRACE')) {
+            if (this.peek() == 'TOKEN_EOF') {
+                this.error('Expect \'}\' after class body.');
+            }
+
+            let method = this.recover(() => {
+                let method = this.method();
+
+                // Don't require a newline after the last definition.
+                if (this.peek() != 'TOKEN_RIGHT_BRACE') {
+                    this.consumeLine('Expect newline after definition in class.');
+                }
+                return method;
+            });
+            node.methods.push(method);
+
+            // Skip past a bad definition that didn't end in a newline.
+            if (method.type == 'Error' && this.peek() != 'TOKEN_RIGHT_BRACE') {
+                this.ignoreNewlines();
+            }
+        }
+
+        this.enclosingClass = enclosingClass;
+        return this.finish(node, start);
+    }
+
+    //     method: attribute* "foreign"? "static"? signature body?
+    method() {
+        let start = this.current;
+        let attributes = this.attributes();
+
+        let isForeign = this.match('TOKEN_FOREIGN');
+        let isStatic = this.match('TOKEN_STATIC');
+        this.enclosingClass.inStatic = isStatic;
+
+        this.pushFunction(true);
+        let nameToken = this.current;
+        let node = this.signature();
+        this.enclosingClass.method = node;
+        node.isStatic = isStatic;
+        node.isForeign = isForeign;
+        node.attributes = attributes;
+
+        if (isStatic && node.kind == 'constructor') {
+            this.report('A constructor cannot be static.', nameToken,
+                ParseErrorCode.INVALID_CONTEXT);
+        }
+
+        if (isForeign) {
+            node.body = null;
+        } else {
+            this.consume('TOKEN_LEFT_BRACE', 'Expect \'{\' to begin method body.');
+            node.body = this.finishBlock(this.previous, false);
+        }
+
+        this.popFunction();
+        return this.finish(node, start);
+    }
+
+    // Parses the signature of a method: its name and parameters.
+    signature() {
+        let token = this.advance();
+        let node = {
+            type: 'Method',
+            kind: 'getter',
+            name: token.text,
+            signature: null,
+            isStatic: false,
+            isForeign: false,
+            isOperator: false,
+            parameters: [],
+            body: null,
+            attributes: []
+        };
+
+        switch (token.type) {
+        case 'TOKEN_NAME':
+            // A setter can't also have a parameter list.
+            if (!this.maybeSetter(node)) this.parameterList(node);
+            break;
+
+        case 'TOKEN_LEFT_BRACKET':
+            node.kind = 'subscript';
+            node.name = '[]';
+            node.isOperator = true;
+            this.finishParameterList(node);
+            this.consume('TOKEN_RIGHT_BRACKET', 'Expect \']\' after parameters.');
+            this.maybeSetter(node);
+            break;
+
+        case 'TOKEN_CONSTRUCT':
+            node.kind = 'constructor';
+            node.name = this.consume('TOKEN_NAME',
+                'Expect constructor name after \'construct\'.').text;
+
+            if (this.peek() == 'TOKEN_EQ') {
+                this.error('A constructor cannot be a setter.');
+            }
+            if (!this.match('TOKEN_LEFT_PAREN')) {
+                this.error('A constructor cannot be a getter.');
+            }
+
+            this.ignoreNewlines();
+            if (!this.match('TOKEN_RIGHT_PAREN')) {
+                this.finishParameterList(node);
+                this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after parameters.');
+            }
+            break;
+
+        default:
+            switch (operatorSignatures[token.type]) {
+            case 'unary':
+                node.isOperator = true;
+                break;
+
+            case 'mixed':
+                node.isOperator = true;
+                if (this.peek() == 'TOKEN_LEFT_PAREN') this.operatorParameter(node);
+                break;
+
+            case 'infix':
+                node.isOperator = true;
+                this.operatorParameter(node);
+                break;
+
+            default:
+                // Don't swallow the token, so the class body can end here.
+                this.retreat(token);
+                this.error('Expect method definition.');
+            }
+        }
+
+        node.signature = signatureString(node.kind, node.name, node.parameters.length);
+        return node;
+    }
+
+    // Parses the "(" param ")" of an operator that takes one operand.
+    operatorParameter(node) {
+        this.consume('TOKEN_LEFT_PAREN', 'Expect \'(\' after operator name.');
+        node.kind = 'method';
+        node.parameters.push(this.parameter());
+        this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after parameter name.');
+    }
+
+    // Parses a setter's "=" "(" param ")" if there is one.
+    maybeSetter(node) {
+        if (!this.match('TOKEN_EQ')) return false;
+
+        node.kind = node.kind == 'subscript' ? 'subscriptSetter' : 'setter';
+        this.consume('TOKEN_LEFT_PAREN', 'Expect \'(\' after \'=\'.');
+        node.parameters.push(this.parameter());
+        this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after parameter name.');
+        return true;
+    }
+
+    // Parses an optional parenthesized parameter list for a named method.
+    parameterList(node) {
+        if (!this.match('TOKEN_LEFT_PAREN')) return;
+
+        node.kind = 'method';
+        this.ignoreNewlines();
+        if (this.match('TOKEN_RIGHT_PAREN')) return;
+
+        this.finishParameterList(node);
+        this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after parameters.');
+    }
+
+    // Parses a comma-separated list of parameters into [node].
+    finishParameterList(node) {
+        do {
+            this.ignoreNewlines();
+            if (node.parameters.length == MAX_PARAMETERS) {
+                this.report('Methods cannot have more than ' + MAX_PARAMETERS +
+                    ' parameters.', this.current, ParseErrorCode.TOO_MANY_PARAMETERS);
+            }
+            node.parameters.push(this.parameter());
+        } while (this.match('TOKEN_COMMA'));
+    }
+
+    // Parses the name of a parameter and declares it.
+    parameter() {
+        let token = this.consume('TOKEN_NAME', 'Expect variable name.');
+        this.declareLocal(token.text);
+        return this.finish({ type: 'Parameter', name: token.text }, token);
+    }
+
+    //     import: "import" string ( "for" name ( "as" name )? ( "," ... )* )?
+    importStatement(start) {
+        this.ignoreNewlines();
+        let moduleToken = this.consume('TOKEN_STRING', 'Expect a string after \'import\'.');
+        let node = {
+            type: 'Import',
+            module: this.finish({ type: 'StringLiteral', value: moduleToken.value },
+                moduleToken),
+            variables: null
+        };
+
+        // The for clause is optional.
+        if (!this.match('TOKEN_FOR')) return this.finish(node, start);
+
+        node.variables = [];
+        do {
+            this.ignoreNewlines();
+            let nameToken = this.consume('TOKEN_NAME', 'Expect variable name.');
+            let variable = { type: 'ImportVariable', name: nameToken.text, alias: null };
+
+            // Older lexers don't know about `as`, so accept it as a name too.
+            if (this.match('TOKEN_AS') ||
+                (this.peek() == 'TOKEN_NAME' && this.current.text == 'as' &&
+                 this.advance())) {
+                variable.alias = this.consume('TOKEN_NAME',
+                    'Expect variable name after \'as\'.').text;
+            }
+
+            this.declareLocal(variable.alias || variable.name);
+            node.variables.push(this.finish(variable, nameToken));
+        } while (this.match('TOKEN_COMMA'));
+
+        return this.finish(node, start);
+    }
+
+    //     var: "var" name ( "=" expression )?
+    variableDefinition(start) {
+        let name = this.consume('TOKEN_NAME', 'Expect variable name.').text;
+
+        let initializer = null;
+        if (this.match('TOKEN_EQ')) {
+            this.ignoreNewlines();
+            initializer = this.expression();
+        }
+
+        // Declare the variable after its initializer, so the initializer can't
+        // refer to it.
+        this.declareLocal(name);
+        return this.finish({
+            type: 'Var',
+            name: name,
+            initializer: initializer
+        }, start);
+    }
+
+    //     statement: break | continue | for | if | return | while | block
+    //              | expression
+    statement() {
+        let start = this.current;
+
+        if (this.match('TOKEN_BREAK')) {
+            if (this.fn.loopDepth == 0) {
+                this.report('Cannot use \'break\' outside of a loop.', start,
+                    ParseErrorCode.INVALID_CONTEXT);
+            }
+            return this.finish({ type: 'Break' }, start);
+        }
+
+        if (this.match('TOKEN_CONTINUE')) {
+            if (this.fn.loopDepth == 0) {
+                this.report('Cannot use \'continue\' outside of a loop.', start,
+                    ParseErrorCode.INVALID_CONTEXT);
+            }
+            return this.finish({ type: 'Continue' }, start);
+        }
+
+        if (this.match('TOKEN_FOR')) {
+            this.consume('TOKEN_LEFT_PAREN', 'Expect \'(\' after \'for\'.');
+            let name = this.consume('TOKEN_NAME', 'Expect for loop variable name.');
+            let variable = this.finish({ type: 'Parameter', name: name.text }, name);
+            this.consume('TOKEN_IN', 'Expect \'in\' after loop variable.');
+            this.ignoreNewlines();
+            let sequence = this.expression();
+            this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after loop expression.');
+
+            this.pushScope();
+            this.declareLocal(variable.name);
+            let body = this.loopBody();
+            this.popScope();
+
+            return this.finish({
+                type: 'For',
+                variable: variable,
+                sequence: sequence,
+                body: body
+            }, start);
+        }
+
+        if (this.match('TOKEN_IF')) {
+            this.consume('TOKEN_LEFT_PAREN', 'Expect \'(\' after \'if\'.');
+            this.ignoreNewlines();
+            let condition = this.expression();
+            this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after if condition.');
+
+            let thenBranch = this.statement();
+            let elseBranch = null;
+            if (this.match('TOKEN_ELSE')) elseBranch = this.statement();
+
+            return this.finish({
+                type: 'If',
+                condition: condition,
+                thenBranch: thenBranch,
+                elseBranch: elseBranch
+            }, start);
+        }
+
+        if (this.match('TOKEN_RETURN')) {
+            let value = null;
+            let next = this.peek();
+            if (next != 'TOKEN_LINE' && next != 'TOKEN_RIGHT_BRACE' &&
+                next != 'TOKEN_EOF') {
+                value = this.expression();
+            }
+            return this.finish({ type: 'Return', value: value }, start);
+        }
+
+        if (this.match('TOKEN_WHILE')) {
+            this.consume('TOKEN_LEFT_PAREN', 'Expect \'(\' after \'while\'.');
+            this.ignoreNewlines();
+            let condition = this.expression();
+            this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after while condition.');
+
+            return this.finish({
+                type: 'While',
+                condition: condition,
+                body: this.loopBody()
+            }, start);
+        }
+
+        if (this.match('TOKEN_LEFT_BRACE')) {
+            this.pushScope();
+            let block = this.finishBlock(start, true);
+            this.popScope();
+            return block;
+        }
+
+        let expression = this.expression();
+        return this.finish({ type: 'ExpressionStatement', expression: expression },
+            start);
+    }
+
+    // Parses the body of a loop.
+    loopBody() {
+        this.fn.loopDepth++;
+        let body = this.statement();
+        this.fn.loopDepth--;
+        return body;
+    }
+
+    // Parses the rest of a block after its "{". [start] is the "{" token. The
+    // block may be a single expression on the same line as the "{" and "}",
+    // unless [statementsOnly] is true because it's just a block statement.
+    finishBlock(start, statementsOnly) {
+        let node = { type: 'Block', statements: [], isExpression: false };
+
+        // Empty blocks do nothing.
+        if (this.match('TOKEN_RIGHT_BRACE')) return this.finish(node, start);
+
+        // If there's no line after the "{", it's a single-expression body.
+        if (!this.matchLine()) {
+            let expressionStart = this.current;
+            let expression = this.expression();
+            node.statements.push(this.finish({
+                type: 'ExpressionStatement',
+                expression: expression
+            }, expressionStart));
+            node.isExpression = !statementsOnly;
+            this.consume('TOKEN_RIGHT_BRACE', 'Expect \'}\' at end of block.');
+            return this.finish(node, start);
+        }
+
+        // Empty blocks (with just a newline inside) do nothing.
+        if (this.match('TOKEN_RIGHT_BRACE')) return this.finish(node, start);
+
+        do {
+            node.statements.push(this.recover(() => {
+                let definition = this.definition();
+                if (this.peek() != 'TOKEN_RIGHT_BRACE') {
+                    this.consumeLine('Expect newline after statement.');
+                }
+                return definition;
+            }));
+            this.ignoreNewlines();
+        } while (this.peek() != 'TOKEN_RIGHT_BRACE' && this.peek() != 'TOKEN_EOF');
+
+        this.consume('TOKEN_RIGHT_BRACE', 'Expect \'}\' at end of block.');
+        return this.finish(node, start);
+    }
+
+    // Parses an expression at the lowest precedence.
+    expression() {
+        return this.expressionAt(PREC_LOWEST);
+    }
+
+    // Parses an expression whose operators bind at least as tightly as
+    // [precedence].
+    expressionAt(precedence) {
+        let token = this.advance();
+
+        // Only allow assignment at the top level of an expression, so that
+        // `a + b = c` is an error.
+        let canAssign = precedence <= PREC_CONDITIONAL;
+        let left = this.prefix(token, canAssign);
+
+        for (;;) {
+            if (precedence <= PREC_CALL) this.allowLineBeforeDot();
+            if (precedence > (infixPrecedence[this.peek()] || PREC_NONE)) break;
+
+            left = this.infix(this.advance(), left, canAssign);
+        }
+
+        return left;
+    }
+
+    // Parses the expression that begins with [token].
+    prefix(token, canAssign) {
+        switch (token.type) {
+        case 'TOKEN_LEFT_PAREN': {
+            let expression = this.expression();
+            this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after expression.');
+            return expression;
+        }
+
+        case 'TOKEN_LEFT_BRACKET': return this.list(token);
+        case 'TOKEN_LEFT_BRACE': return this.map(token);
+
+        case 'TOKEN_MINUS':
+        case 'TOKEN_BANG':
+        case 'TOKEN_TILDE': {
+            this.ignoreNewlines();
+            let operand = this.expressionAt(PREC_UNARY + 1);
+            return this.finish({
+                type: 'Unary',
+                operator: token.text,
+                operand: operand
+            }, token);
+        }
+
+        case 'TOKEN_NULL':
+            return this.finish({ type: 'NullLiteral' }, token);
+        case 'TOKEN_TRUE':
+        case 'TOKEN_FALSE':
+            return this.finish({
+                type: 'BooleanLiteral',
+                value: token.type == 'TOKEN_TRUE'
+            }, token);
+        case 'TOKEN_NUMBER':
+            return this.finish({ type: 'NumberLiteral', value: token.value }, token);
+        case 'TOKEN_STRING':
+            return this.finish({ type: 'StringLiteral', value: token.value }, token);
+        case 'TOKEN_INTERPOLATION':
+            return this.interpolation(token);
+
+        case 'TOKEN_FIELD':
+            if (this.enclosingClass == null) {
+                this.report('Cannot reference a field outside of a class definition.',
+                    token, ParseErrorCode.INVALID_CONTEXT);
+            } else if (this.enclosingClass.inStatic) {
+                this.report('Cannot use an instance field in a static method.',
+                    token, ParseErrorCode.INVALID_CONTEXT);
+            }
+            return this.assignment(
+                this.finish({ type: 'Field', name: token.text }, token), canAssign);
+
+        case 'TOKEN_STATIC_FIELD':
+            if (this.enclosingClass == null) {
+                this.report('Cannot use a static field outside of a class definition.',
+                    token, ParseErrorCode.INVALID_CONTEXT);
+            }
+            return this.assignment(
+                this.finish({ type: 'StaticField', name: token.text }, token), canAssign);
+
+        case 'TOKEN_NAME':
+            return this.name(token, canAssign);
+
+        case 'TOKEN_THIS':
+            if (this.enclosingClass == null) {
+                this.report('Cannot use \'this\' outside of a method.', token,
+                    ParseErrorCode.INVALID_CONTEXT);
+            }
+            return this.finish({ type: 'This' }, token);
+
+        case 'TOKEN_SUPER':
+            return this.superCall(token, canAssign);
+        }
+
+        // Don't swallow the token, so the statement can end here.
+        this.retreat(token);
+        this.error('Expected expression.');
+    }
+
+    // Parses the rest of the expression that has [left] before [token].
+    infix(token, left, canAssign) {
+        let start = left.span;
+        switch (token.type) {
+        case 'TOKEN_DOT': {
+            this.ignoreNewlines();
+            let name = this.consume('TOKEN_NAME', 'Expect method name after \'.\'.');
+            return this.namedCall(start, left, name, canAssign);
+        }
+
+        case 'TOKEN_LEFT_BRACKET': {
+            let node = { type: 'Subscript', receiver: left, arguments: [] };
+            this.finishArgumentList(node.arguments);
+            this.consume('TOKEN_RIGHT_BRACKET', 'Expect \']\' after arguments.');
+            return this.assignment(this.finish(node, start), canAssign);
+        }
+
+        case 'TOKEN_QUESTION': {
+            this.ignoreNewlines();
+            let thenBranch = this.expressionAt(PREC_CONDITIONAL);
+            this.consume('TOKEN_COLON',
+                'Expect \':\' after then branch of conditional operator.');
+            this.ignoreNewlines();
+            let elseBranch = this.expressionAt(PREC_ASSIGNMENT);
+            return this.finish({
+                type: 'Conditional',
+                condition: left,
+                thenBranch: thenBranch,
+                elseBranch: elseBranch
+            }, start);
+        }
+
+        case 'TOKEN_AMPAMP':
+        case 'TOKEN_PIPEPIPE': {
+            this.ignoreNewlines();
+            let right = this.expressionAt(infixPrecedence[token.type]);
+            return this.finish({
+                type: 'Logical',
+                operator: token.text,
+                left: left,
+                right: right
+            }, start);
+        }
+        }
+
+        // An infix operator cannot end an expression.
+        this.ignoreNewlines();
+        let right = this.expressionAt(infixPrecedence[token.type] + 1);
+        return this.finish({
+            type: 'Binary',
+            operator: token.text,
+            left: left,
+            right: right
+        }, start);
+    }
+
+    // If [canAssign] and the next token is "=", parses an assignment to
+    // [target]. Otherwise returns [target].
+    assignment(target, canAssign) {
+        if (!canAssign || !this.match('TOKEN_EQ')) return target;
+
+        this.ignoreNewlines();
+        let value = this.expression();
+        return this.finish({ type: 'Assignment', target: target, value: value },
+            target.span);
+    }
+
+    // Parses a name used as an expression. Depending on what's in scope, that's
+    // a variable or a call on implicit `this`.
+    name(token, canAssign) {
+        if (!this.isLocal(token.text) && isLocalName(token.text) &&
+            this.enclosingClass != null) {
+            return this.namedCall(token, null, token, canAssign);
+        }
+
+        return this.assignment(
+            this.finish({ type: 'Identifier', name: token.text }, token), canAssign);
+    }
+
+    // Parses a call to the method [name] on [receiver], which is `null` for
+    // implicit `this`. [start] is where the call expression begins.
+    namedCall(start, receiver, name, canAssign) {
+        let node = {
+            type: 'Call',
+            receiver: receiver,
+            name: name.text,
+            arguments: null,
+            blockArgument: null,
+            signature: null
+        };
+
+        if (canAssign && this.peek() == 'TOKEN_EQ') {
+            node.signature = signatureString('getter', node.name, 0);
+            return this.assignment(this.finish(node, start), canAssign);
+        }
+
+        this.methodCall(node);
+        return this.finish(node, start);
+    }
+
+    // Parses the argument list and block argument of a call, if there are any,
+    // into [node].
+    methodCall(node) {
+        let kind = 'getter';
+
+        if (this.match('TOKEN_LEFT_PAREN')) {
+            kind = 'method';
+            node.arguments = [];
+
+            // Allow a newline before an empty argument list.
+            this.ignoreNewlines();
+            if (this.peek() != 'TOKEN_RIGHT_PAREN') {
+                this.finishArgumentList(node.arguments);
+            }
+            this.consume('TOKEN_RIGHT_PAREN', 'Expect \')\' after arguments.');
+        }
+
+        if (this.peek() == 'TOKEN_LEFT_BRACE') {
+            kind = 'method';
+            node.blockArgument = this.blockArgument(this.advance());
+        }
+
+        let arity = (node.arguments ? node.arguments.length : 0) +
+            (node.blockArgument ? 1 : 0);
+        node.signature = signatureString(kind, node.name, arity);
+    }
+
+    //     blockArgument: "{" ( "|" params "|" )? body "}"
+    blockArgument(start) {
+        this.pushFunction(false);
+        let node = { type: 'Function', parameters: [], body: null };
+
+        if (this.match('TOKEN_PIPE')) {
+            this.finishParameterList(node);
+            this.consume('TOKEN_PIPE', 'Expect \'|\' after function parameters.');
+        }
+
+        node.body = this.finishBlock(start, false);
+        this.popFunction();
+        return this.finish(node, start);
+    }
+
+    // Parses a comma-separated list of arguments into [list].
+    finishArgumentList(list) {
+        do {
+            this.ignoreNewlines();
+            if (list.length == MAX_PARAMETERS) {
+                this.report('Methods cannot have more than ' + MAX_PARAMETERS +
+                    ' parameters.', this.current, ParseErrorCode.TOO_MANY_PARAMETERS);
+            }
+            list.push(this.expression());
+        } while (this.match('TOKEN_COMMA'));
+
+        // Allow a newline before the closing delimiter.
+        this.ignoreNewlines();
+    }
+
+    //     super: "super" ( "." name )? arguments?
+    superCall(token, canAssign) {
+        if (this.enclosingClass == null) {
+            this.report('Cannot use \'super\' outside of a method.', token,
+                ParseErrorCode.INVALID_CONTEXT);
+        }
+
+        let receiver = this.finish({ type: 'Super' }, token);
+        if (this.match('TOKEN_DOT')) {
+            let name = this.consume('TOKEN_NAME', 'Expect method name after \'super.\'.');
+            return this.namedCall(token, receiver, name, canAssign);
+        }
+
+        // No explicit name, so it calls the enclosing method's name.
+        let method = this.enclosingClass && this.enclosingClass.method;
+        let node = {
+            type: 'Call',
+            receiver: receiver,
+            name: method ? method.name : null,
+            arguments: null,
+            blockArgument: null,
+            signature: null
+        };
+        this.methodCall(node);
+        node.name = null;
+
+        if (method && method.kind == 'constructor' && node.arguments == null) {
+            this.report('A superclass constructor must have an argument list.',
+                this.previous, ParseErrorCode.INVALID_CONTEXT);
+        }
+        return this.finish(node, token);
+    }
+
+    //     list: "[" ( expression ( "," expression )* ","? )? "]"
+    list(start) {
+        let node = { type: 'List', elements: [] };
+        do {
+            this.ignoreNewlines();
+
+            // Stop if we hit the end of the list.
+            if (this.peek() == 'TOKEN_RIGHT_BRACKET') break;
+            node.elements.push(this.expression());
+        } while (this.match('TOKEN_COMMA'));
+
+        // Allow newlines before the closing "]".
+        this.ignoreNewlines();
+        this.consume('TOKEN_RIGHT_BRACKET', 'Expect \']\' after list elements.');
+        return this.finish(node, start);
+    }
+
+    //     map: "{" ( key ":" value ( "," key ":" value )* ","? )? "}"
+    map(start) {
+        let node = { type: 'Map', entries: [] };
+        do {
+            this.ignoreNewlines();
+
+            // Stop if we hit the end of the map.
+            if (this.peek() == 'TOKEN_RIGHT_BRACE') break;
+
+            let key = this.expressionAt(PREC_UNARY);
+            this.consume('TOKEN_COLON', 'Expect \':\' after map key.');
+            this.ignoreNewlines();
+            let value = this.expression();
+
+            node.entries.push(this.finish({
+                type: 'MapEntry',
+                key: key,
+                value: value
+            }, key.span));
+        } while (this.match('TOKEN_COMMA'));
+
+        // Allow newlines before the closing "}".
+        this.ignoreNewlines();
+        this.consume('TOKEN_RIGHT_BRACE', 'Expect \'}\' after map entries.');
+        return this.finish(node, start);
+    }
+
+    // Parses an interpolated string whose first part is [start].
+    interpolation(start) {
+        let node = { type: 'Interpolation', parts: [] };
+        let part = start;
+
+        do {
+            // The literal text before the expression.
+            node.parts.push(this.finish({ type: 'StringLiteral', value: part.value }, part));
+
+            // The interpolated expression.
+            this.ignoreNewlines();
+            node.parts.push(this.expression());
+            this.ignoreNewlines();
+            part = this.current;
+        } while (this.match('TOKEN_INTERPOLATION'));
+
+        // The trailing string part.
+        let end = this.consume('TOKEN_STRING', 'Expect end of string interpolation.');
+        node.parts.push(this.finish({ type: 'StringLiteral', value: end.value }, end));
+
+        return this.finish(node, start);
+    }
+}
+
+// Parses [tokens] from [Parser] into a syntax tree. Returns an object with the
+// Module node in [ast] and any syntax errors in [diagnostics].
+export function parseTokens(tokens) {
+    let parser = new TreeParser(tokens);
+    let ast = parser.module();
+    return { ast: ast, diagnostics: parser.diagnostics };
+}
+
+// Tokenizes and parses [source] into a syntax tree. [options] are passed on to
+// [Parser], except for `skipNewlines`, since the parser follows Wren's own rules
+// for newlines, and `compact`. Returns an object with the Module node in [ast] and every lexical
+// and syntax error, in source order, in [diagnostics].
+export function parse(source, options = {}) {
+    let lexer = new Parser(source, Object.assign({}, options,
+        { lazy: false, throwOnError: false, skipNewlines: false, compact: false }));
+
+    let result = parseTokens(lexer.tokens);
+    result.diagnostics = lexer.diagnostics.concat(result.diagnostics)
+        .sort((a, b) => a.start - b.start);
+    return result;
+}
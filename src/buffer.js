@@ -0,0 +1,171 @@
+// Compact storage for tokens, for tools that lex a lot of source and don't
+// want an object per token.
+
+// The token types the lexer makes, in the order of their ids in a
+// [TokenBuffer]. Extra keywords get ids after these, in the order they're
+// first seen.
+export const tokenTypes = Object.freeze([
+    'TOKEN_LEFT_PAREN', 'TOKEN_RIGHT_PAREN', 'TOKEN_LEFT_BRACKET',
+    'TOKEN_RIGHT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_RIGHT_BRACE',
+    'TOKEN_COLON', 'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT',
+    'TOKEN_COMMA', 'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT', 'TOKEN_HASH',
+    'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE',
+    'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_BANG',
+    'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT', 'TOKEN_GT',
+    'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ',
+
+    'TOKEN_AS', 'TOKEN_BREAK', 'TOKEN_CLASS', 'TOKEN_CONSTRUCT',
+    'TOKEN_CONTINUE', 'TOKEN_ELSE', 'TOKEN_FALSE', 'TOKEN_FOR',
+    'TOKEN_FOREIGN', 'TOKEN_IF', 'TOKEN_IMPORT', 'TOKEN_IN', 'TOKEN_IS',
+    'TOKEN_NULL', 'TOKEN_RETURN', 'TOKEN_STATIC', 'TOKEN_SUPER', 'TOKEN_THIS',
+    'TOKEN_TRUE', 'TOKEN_VAR', 'TOKEN_WHILE',
+
+    'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_NAME', 'TOKEN_NUMBER',
+    'TOKEN_STRING', 'TOKEN_INTERPOLATION',
+
+    'TOKEN_LINE', 'TOKEN_COMMENT', 'TOKEN_WHITESPACE', 'TOKEN_SHEBANG',
+    'TOKEN_ERROR', 'TOKEN_EOF'
+]);
+
+// How many tokens a new buffer has room for before it grows, at least.
+const MIN_CAPACITY = 1024;
+
+// Holds the tokens of a [Parser] created with `compact: true` in typed arrays,
+// with one entry per token for its type id, start offset, length and line.
+// Text is only sliced out of the source when asked for, and the only other
+// thing kept is the [value] of literals whose value isn't their text.
+//
+// It's array-like: [length] is the number of tokens, and iterating it or
+// calling [token()] gives the same token objects as a normal parser. The
+// other methods read one field of one token without making an object.
+export class TokenBuffer {
+    // Creates an empty buffer for the tokens of [parser], which it uses to get
+    // their text and positions. It starts with room for [capacity] tokens, so
+    // an estimate saves growing it over and over.
+    constructor(parser, capacity = MIN_CAPACITY) {
+        capacity = Math.max(capacity, MIN_CAPACITY);
+
+        this.parser = parser;
+
+        // The number of tokens.
+        this.length = 0;
+
+        this.types = new Uint16Array(capacity);
+        this.starts = new Uint32Array(capacity);
+        this.lengths = new Uint32Array(capacity);
+        this.lines = new Uint32Array(capacity);
+
+        // The values of the tokens that have one, by index.
+        this.values = new Map();
+
+        // The token type of each id, and the other way around.
+        this.typeNames = tokenTypes.slice();
+        this.typeIds = new Map(tokenTypes.map((type, id) => [type, id]));
+    }
+
+    // Returns the id of the token [type], giving it one if it doesn't have one
+    // yet.
+    typeId(type) {
+        let id = this.typeIds.get(type);
+        if (id === undefined) {
+            id = this.typeNames.length;
+            this.typeNames.push(type);
+            this.typeIds.set(type, id);
+        }
+        return id;
+    }
+
+    // Adds a token of [type] that runs from [start] to [end] and begins on
+    // [line]. [value] is `undefined` if it's the same as the text.
+    push(type, start, end, line, value) {
+        if (this.length == this.types.length) this.grow();
+
+        let index = this.length++;
+        this.types[index] = this.typeId(type);
+        this.starts[index] = start;
+        this.lengths[index] = end - start;
+        this.lines[index] = line;
+        if (value !== undefined) this.values.set(index, value);
+    }
+
+    // Removes the last token.
+    pop() {
+        this.values.delete(--this.length);
+    }
+
+    // Doubles the room for tokens.
+    grow() {
+        let grow = (array) => {
+            let grown = new array.constructor(array.length * 2);
+            grown.set(array);
+            return grown;
+        };
+
+        this.types = grow(this.types);
+        this.starts = grow(this.starts);
+        this.lengths = grow(this.lengths);
+        this.lines = grow(this.lines);
+    }
+
+    // Returns the type of the token at [index].
+    type(index) {
+        return this.typeNames[this.types[index]];
+    }
+
+    // Changes the type of the token at [index] to [type].
+    setType(index, type) {
+        this.types[index] = this.typeId(type);
+    }
+
+    // Returns the offset where the token at [index] starts.
+    start(index) {
+        return this.starts[index];
+    }
+
+    // Returns the offset just past the end of the token at [index].
+    end(index) {
+        return this.starts[index] + this.lengths[index];
+    }
+
+    // Returns the line the token at [index] begins on.
+    line(index) {
+        return this.lines[index];
+    }
+
+    // Returns the source text of the token at [index].
+    text(index) {
+        return this.parser.textAt(this.start(index), this.end(index));
+    }
+
+    // Returns the value of the token at [index].
+    value(index) {
+        return this.values.has(index) ? this.values.get(index) : this.text(index);
+    }
+
+    // Returns the token at [index] as an object, the same as a normal parser
+    // would have made.
+    token(index) {
+        let start = this.start(index);
+        let end = this.end(index);
+        let location = this.parser.locate(start);
+        let endLocation = this.parser.locate(end);
+        let text = this.text(index);
+
+        return {
+            type: this.type(index),
+            text: text,
+            value: this.values.has(index) ? this.values.get(index) : text,
+            line: this.lines[index],
+            column: location.column,
+            endLine: endLocation.line,
+            endColumn: endLocation.column,
+            start: start,
+            end: end
+        };
+    }
+
+    // Yields each token as an object.
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) yield this.token(i);
+    }
+}
@@ -0,0 +1,310 @@
+import { Parser, languageVersions, DEFAULT_LANGUAGE_VERSION } from './main.js';
+import { ImportGraph } from './graph.js';
+import { outline, ctags } from './outline.js';
+import { UsageError, readArgs, displayName, processIO, formatDiagnostic } from './command.js';
+
+// The `wrent` command. Tokenizes Wren files and prints their tokens, or just
+// their lexical errors, or the graph of the modules they import, or an outline
+// of their classes.
+
+const versions = Object.keys(languageVersions);
+
+const usage = `Usage: wrent [options] [file ...]
+
+Tokenizes Wren source files, or standard input if there are none or a file is
+"-".
+
+Options:
+  -f, --format <format>  Print tokens as a "table" (the default), "json" or
+                         "ndjson", one token per line. With --imports, print
+                         the graph as "json" (the default) or "dot". With
+                         --outline, print "json" (the default) or a "ctags"
+                         tags file.
+  -c, --check            Only print lexical errors, as file:line:column, and
+                         exit with status 1 if there are any.
+      --imports          Print the graph of the modules the files import,
+                         directly or not, and report missing modules and
+                         import cycles as errors.
+      --root <dir>       Look for imported modules in this directory. Can be
+                         given more than once. Defaults to the current one.
+      --outline          Print the classes in the files with their methods and
+                         the fields they use, and report syntax errors.
+      --trivia           Include comments, whitespace and shebangs.
+      --skip-newlines    Leave out newlines that don't end a statement.
+      --offsets <unit>   Count offsets in "utf16" code units (the default) or
+                         UTF-8 "byte"s.
+      --columns <unit>   Count columns in "utf16", "codepoint" or "byte" units.
+                         Defaults to the same unit as offsets.
+      --language-version <version>
+                         The version of Wren to lex: ${versions.join(' or ')}.
+                         Defaults to ${DEFAULT_LANGUAGE_VERSION}.
+  -h, --help             Show this help.
+
+Lexical errors go to standard error, and the exit status is 1 if there were any
+and 2 if the command itself failed.
+`;
+
+const formats = ['table', 'json', 'ndjson', 'dot', 'ctags'];
+
+// The formats of each mode, the first being its default.
+const modeFormats = {
+    tokens: ['table', 'json', 'ndjson'],
+    imports: ['json', 'dot'],
+    outline: ['json', 'ctags']
+};
+const offsetUnits = ['utf16', 'byte'];
+const columnUnits = ['utf16', 'codepoint', 'byte'];
+
+// Parses the command-line [args] into an options object.
+function parseArgs(args) {
+    let options = {
+        format: null,
+        check: false,
+        imports: false,
+        outline: false,
+        roots: [],
+        trivia: false,
+        skipNewlines: false,
+        offsetUnit: 'utf16',
+        columnUnit: null,
+        languageVersion: DEFAULT_LANGUAGE_VERSION,
+        help: false,
+        files: []
+    };
+
+    readArgs(args, options, (arg, valueOf) => {
+        switch (arg) {
+        case '-f':
+        case '--format':
+            options.format = valueOf(formats);
+            break;
+        case '-c':
+        case '--check':
+            options.check = true;
+            break;
+        case '--imports':
+            options.imports = true;
+            break;
+        case '--outline':
+            options.outline = true;
+            break;
+        case '--root':
+            options.roots.push(valueOf());
+            break;
+        case '--trivia':
+            options.trivia = true;
+            break;
+        case '--skip-newlines':
+            options.skipNewlines = true;
+            break;
+        case '--offsets':
+            options.offsetUnit = valueOf(offsetUnits);
+            break;
+        case '--columns':
+            options.columnUnit = valueOf(columnUnits);
+            break;
+        case '--language-version':
+            options.languageVersion = valueOf(versions);
+            break;
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        default:
+            return false;
+        }
+    });
+
+    if (options.imports && options.outline) {
+        throw new UsageError('--imports and --outline can\'t be used together.');
+    }
+
+    let mode = options.imports ? 'imports' : options.outline ? 'outline' : 'tokens';
+    let allowed = modeFormats[mode];
+    options.format = options.format || allowed[0];
+    if (!allowed.includes(options.format)) {
+        throw new UsageError(mode == 'tokens'
+            ? 'The "' + options.format + '" format is only for --' +
+                (modeFormats.imports.includes(options.format) ? 'imports' : 'outline') + '.'
+            : 'Unknown value \'' + options.format + '\' for --format with --' + mode +
+                '. Expected ' + allowed.join(', ') + '.');
+    }
+
+    if (options.imports && (options.files.length == 0 || options.files.includes('-'))) {
+        throw new UsageError('--imports needs files, not standard input.');
+    }
+
+    if (options.files.length == 0) options.files.push('-');
+    return options;
+}
+
+// Returns [tokens] as a table with a row per token: its position, type, text
+// and, if it's different from the text, its value.
+function formatTable(tokens) {
+    let rows = tokens.map((token) => {
+        let text = JSON.stringify(token.text);
+        let value = JSON.stringify(token.value);
+        return [
+            token.line + ':' + token.column,
+            token.type,
+            text,
+            value == text ? '' : value
+        ];
+    });
+
+    let widths = [0, 0, 0];
+    for (let row of rows) {
+        for (let i = 0; i < widths.length; i++) {
+            widths[i] = Math.max(widths[i], row[i].length);
+        }
+    }
+
+    return rows.map((row) => row.map((cell, i) =>
+        i < widths.length ? cell.padEnd(widths[i]) : cell).join('  ').trimEnd())
+        .join('\n') + '\n';
+}
+
+// Runs the command with the command-line [args], writing through [io], an
+// object with `stdout(text)`, `stderr(text)` and `readFile(path)` functions,
+// where a path of "-" means standard input. Returns the exit status.
+export function main(args, io = processIO) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr('wrent: ' + error.message + '\n\n' + usage);
+        return 2;
+    }
+
+    if (options.help) {
+        io.stdout(usage);
+        return 0;
+    }
+
+    if (options.imports) return printImports(options, io);
+    if (options.outline) return printOutline(options, io);
+
+    let status = 0;
+
+    // The files lexed so far, for JSON.
+    let results = [];
+
+    for (let [index, file] of options.files.entries()) {
+        let source;
+        try {
+            source = io.readFile(file);
+        } catch (error) {
+            io.stderr('wrent: Could not read ' + displayName(file) + ': ' +
+                error.message + '\n');
+            status = 2;
+            continue;
+        }
+
+        let parser = new Parser(source, {
+            trivia: options.trivia,
+            skipNewlines: options.skipNewlines,
+            offsetUnit: options.offsetUnit,
+            columnUnit: options.columnUnit || options.offsetUnit,
+            languageVersion: options.languageVersion
+        });
+
+        let name = displayName(file);
+        let errors = parser.diagnostics.map((diagnostic) =>
+            formatDiagnostic(name, diagnostic) + '\n').join('');
+        if (parser.diagnostics.length > 0 && status == 0) status = 1;
+
+        if (options.check) {
+            io.stdout(errors);
+            continue;
+        }
+
+        io.stderr(errors);
+        switch (options.format) {
+        case 'json':
+            results.push({ file: name, tokens: parser.tokens });
+            break;
+
+        case 'ndjson':
+            io.stdout(parser.tokens.map((token) =>
+                JSON.stringify(Object.assign({ file: name }, token)) + '\n').join(''));
+            break;
+
+        default:
+            if (options.files.length > 1) {
+                io.stdout((index > 0 ? '\n' : '') + '==> ' + name + ' <==\n');
+            }
+            io.stdout(formatTable(parser.tokens));
+        }
+    }
+
+    if (!options.check && options.format == 'json') {
+        io.stdout(JSON.stringify(results) + '\n');
+    }
+
+    return status;
+}
+
+// Runs the --imports mode of [main()] with the parsed [options].
+function printImports(options, io) {
+    let graph = new ImportGraph({
+        roots: options.roots.length > 0 ? options.roots : undefined,
+        readFile: (path) => String(io.readFile(path)),
+        languageVersion: options.languageVersion
+    });
+
+    let status = 0;
+    for (let file of options.files) {
+        try {
+            graph.addFile(file);
+        } catch (error) {
+            io.stderr('wrent: Could not read ' + file + ': ' + error.message + '\n');
+            status = 2;
+        }
+    }
+
+    let problems = graph.diagnostics();
+    io.stderr(problems.map(({ module, diagnostic }) =>
+        formatDiagnostic(module, diagnostic) + '\n').join(''));
+    if (problems.length > 0 && status == 0) status = 1;
+
+    io.stdout(options.format == 'dot'
+        ? graph.toDot()
+        : JSON.stringify(graph) + '\n');
+    return status;
+}
+
+// Runs the --outline mode of [main()] with the parsed [options].
+function printOutline(options, io) {
+    let status = 0;
+    let outlines = [];
+
+    for (let file of options.files) {
+        let name = displayName(file);
+        let source;
+        try {
+            source = io.readFile(file);
+        } catch (error) {
+            io.stderr('wrent: Could not read ' + name + ': ' + error.message + '\n');
+            status = 2;
+            continue;
+        }
+
+        let result = outline(source, {
+            offsetUnit: options.offsetUnit,
+            columnUnit: options.columnUnit || options.offsetUnit,
+            languageVersion: options.languageVersion
+        });
+        io.stderr(result.diagnostics.map((diagnostic) =>
+            formatDiagnostic(name, diagnostic) + '\n').join(''));
+        if (result.diagnostics.length > 0 && status == 0) status = 1;
+
+        outlines.push({ file: name, outline: result });
+    }
+
+    io.stdout(options.format == 'ctags'
+        ? ctags(outlines)
+        : JSON.stringify(outlines.map((entry) =>
+            ({ file: entry.file, classes: entry.outline.classes }))) + '\n');
+    return status;
+}
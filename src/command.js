@@ -0,0 +1,72 @@
+import fs from 'fs';
+
+// What the command-line tools share: reading their arguments and the files they
+// work on, writing their output and printing diagnostics. It's kept apart from
+// them so that one tool doesn't have to load another to use it.
+
+// Thrown for bad command-line arguments.
+export class UsageError extends Error {}
+
+// Reads the command-line [args], adding each file to `options.files`. Every
+// other argument is an option, which is passed to [readOption] along with a
+// function that returns the value after it, one of the `allowed` values if
+// it's given them. [readOption] returns `false` for an option it doesn't know.
+export function readArgs(args, options, readOption) {
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+
+        // Everything after "--" is a file.
+        if (arg == '--') {
+            options.files.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg == '-') {
+            options.files.push(arg);
+            continue;
+        }
+
+        let valueOf = (allowed) => {
+            if (++i >= args.length) throw new UsageError('Missing value for ' + arg + '.');
+            if (allowed && !allowed.includes(args[i])) {
+                throw new UsageError('Unknown value \'' + args[i] + '\' for ' + arg +
+                    '. Expected ' + allowed.join(', ') + '.');
+            }
+            return args[i];
+        };
+        if (readOption(arg, valueOf) === false) {
+            throw new UsageError('Unknown option \'' + arg + '\'.');
+        }
+    }
+}
+
+// Returns the display name of [file].
+export function displayName(file) {
+    return file == '-' ? '<stdin>' : file;
+}
+
+// The io for the tools' `main()` functions that uses the real process. Files
+// are read as bytes so that byte offsets are exact, and a path of "-" means
+// standard input.
+export const processIO = {
+    stdout: (text) => process.stdout.write(text),
+    stderr: (text) => process.stderr.write(text),
+    readFile: (path) => fs.readFileSync(path == '-' ? 0 : path),
+    writeFile: (path, text) => fs.writeFileSync(path, text)
+};
+
+// Makes the process stop quietly when standard output is piped into something
+// that exits early, like `head`, instead of throwing EPIPE.
+export function exitOnClosedOutput() {
+    process.stdout.on('error', (error) => {
+        if (error.code != 'EPIPE') throw error;
+        process.exit(process.exitCode || 0);
+    });
+}
+
+// Returns [diagnostic] in [file] formatted the way compilers print errors, so
+// editors and other tools can jump to it.
+export function formatDiagnostic(file, diagnostic) {
+    return file + ':' + diagnostic.line + ':' + diagnostic.column + ': ' +
+        diagnostic.severity + ': ' + diagnostic.message + ' [' + diagnostic.code + ']';
+}
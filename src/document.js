@@ -0,0 +1,218 @@
+import { Parser } from './main.js';
+import { LineIndex } from './lines.js';
+
+// Returns the index of the first item in [items] (tokens or diagnostics, sorted
+// by offset) that starts at or after [offset].
+function firstAt(items, offset) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+        let middle = (low + high) >> 1;
+        if (items[middle].start < offset) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Returns true if the interpolation states [a] and [b] are the same.
+function sameState(a, b) {
+    if (a == null || b == null || a.length != b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] != b[i]) return false;
+    }
+    return true;
+}
+
+// Moves a token or diagnostic that comes after an edit by [delta] characters
+// and [lines] lines. Edits only ever converge at the start of a line, so
+// everything after one keeps its column.
+function shift(item, delta, lines) {
+    item.start += delta;
+    item.end += delta;
+    item.line += lines;
+    item.endLine += lines;
+}
+
+// A piece of Wren source that is kept tokenized as it is edited, like the
+// buffer of an editor.
+//
+// Along with the tokens, the document remembers the lexer's interpolation state
+// at the start of every line. After an edit, it lexes again from the closest
+// line before the edit that it can restart at, and stops as soon as it reaches
+// a line after the edit whose state matches what it was before. Everything
+// past that point is reused, just moved over.
+export class SourceDocument {
+    // Tokenizes [source], a string. Takes the same [options] as [Parser], except
+    // that `lazy`, `throwOnError`, `skipNewlines`, `compact` and `offsetUnit` are
+    // ignored. Offsets are always in UTF-16 code units, like the edits.
+    constructor(source, options = {}) {
+        this.options = Object.assign({}, options, {
+            lazy: true,
+            throwOnError: false,
+            skipNewlines: false,
+            compact: false,
+            offsetUnit: 'utf16'
+        });
+
+        // The current text of the document.
+        this.source = '';
+
+        // The tokens of [source], ending with TOKEN_EOF.
+        this.tokens = [];
+
+        // The lexical errors in [source].
+        this.diagnostics = [];
+
+        // The interpolation state (see [Parser.saveInterpolation()]) at the start
+        // of each line, indexed by line - 1. A line that begins inside a token
+        // that spans lines, like a block comment or a string, has `null` since
+        // lexing can't restart there.
+        this.lineStates = [];
+
+        // Maps offsets in [source] to lines and columns.
+        this.lines = null;
+
+        this.setText(source);
+    }
+
+    // Replaces the whole text of the document and tokenizes it from scratch.
+    setText(source) {
+        this.source = source;
+        this.lines = new LineIndex(source, this.options.columnUnit);
+
+        let result = this.lex(0, 1, [], null);
+        this.tokens = result.tokens;
+        this.diagnostics = result.diagnostics;
+        this.lineStates = [[]];
+        for (let line = 2; line <= this.lines.lineCount; line++) {
+            this.lineStates.push(result.lineStates[line] || null);
+        }
+    }
+
+    // Returns the offset of [position], which is either an offset already or a
+    // `{line, column}` object with 1-based numbers.
+    offsetOf(position) {
+        if (typeof position == 'number') return position;
+        return this.lines.offsetAt(position.line, position.column);
+    }
+
+    // Replaces the text in [range], an object with a [start] and [end] position
+    // (see [offsetOf()]), with [text] and tokenizes the changed part again.
+    //
+    // Returns which tokens changed as `{index, removed, added}`: starting at
+    // [index], [removed] of the old tokens were replaced with [added] new ones.
+    edit(range, text) {
+        let start = this.offsetOf(range.start);
+        let end = this.offsetOf(range.end);
+
+        let oldSource = this.source;
+        let source = oldSource.slice(0, start) + text + oldSource.slice(end);
+        let delta = text.length - (end - start);
+
+        // Back up to the closest line that doesn't begin in the middle of a token.
+        let restartLine = this.lines.lineAt(start);
+        while (this.lineStates[restartLine - 1] == null) restartLine--;
+        let restartOffset = this.lines.lineStarts[restartLine - 1];
+
+        this.source = source;
+        this.lines = new LineIndex(source, this.options.columnUnit);
+
+        let result = this.lex(restartOffset, restartLine,
+            this.lineStates[restartLine - 1], {
+                start: start + text.length,
+                delta: delta
+            });
+
+        // Splice the new tokens in, and move the ones after them over.
+        let index = firstAt(this.tokens, restartOffset);
+        let oldEnd = result.converged ? result.oldTokenIndex : this.tokens.length;
+        let after = this.tokens.slice(oldEnd);
+        for (let token of after) shift(token, delta, result.lineDelta);
+        this.tokens = this.tokens.slice(0, index).concat(result.tokens, after);
+
+        // Same for the diagnostics.
+        let firstDiagnostic = firstAt(this.diagnostics, restartOffset);
+        let keptDiagnostics = result.converged
+            ? this.diagnostics.slice(firstAt(this.diagnostics, result.oldOffset))
+            : [];
+        for (let diagnostic of keptDiagnostics) {
+            shift(diagnostic, delta, result.lineDelta);
+        }
+        this.diagnostics = this.diagnostics.slice(0, firstDiagnostic).concat(
+            result.diagnostics, keptDiagnostics);
+
+        // And the line states.
+        let lastLine = result.converged
+            ? result.lastLine
+            : this.lines.lineCount;
+        let states = this.lineStates.slice(0, restartLine);
+        for (let line = restartLine + 1; line <= lastLine; line++) {
+            states.push(result.lineStates[line] || null);
+        }
+        if (result.converged) {
+            states = states.concat(this.lineStates.slice(lastLine - result.lineDelta));
+        }
+        this.lineStates = states;
+
+        return {
+            index: index,
+            removed: oldEnd - index,
+            added: result.tokens.length
+        };
+    }
+
+    // Lexes the document from [offset], the start of [line], with the
+    // interpolation state [parens].
+    //
+    // If [edit] is given, it's an object with the offset where the edited text
+    // [start]s to be unchanged and the [delta] in length. Lexing stops at the
+    // first line after that whose state matches the old tokens. Otherwise, lexes
+    // to the end.
+    lex(offset, line, parens, edit) {
+        let parser = new Parser(this.source, this.options);
+        parser.resumeAt(offset, line, parens);
+
+        let lineStates = [];
+        let result = {
+            tokens: parser.tokens,
+            diagnostics: parser.diagnostics,
+            lineStates: lineStates,
+            converged: false
+        };
+
+        for (;;) {
+            parser.nextToken();
+
+            let token = parser.tokens[parser.tokens.length - 1];
+            if (token.type == 'TOKEN_EOF') return result;
+            if (token.type != 'TOKEN_LINE') continue;
+
+            let state = parser.saveInterpolation();
+            lineStates[token.line + 1] = state;
+
+            if (edit == null || token.end < edit.start) continue;
+
+            // See if the old tokens had a clean line start at the same place, in
+            // the same state.
+            let oldOffset = token.end - edit.delta;
+            let oldIndex = firstAt(this.tokens, oldOffset);
+            let oldLine = oldIndex > 0 ? this.tokens[oldIndex - 1] : null;
+            if (oldLine == null || oldLine.type != 'TOKEN_LINE' ||
+                oldLine.end != oldOffset) {
+                continue;
+            }
+
+            if (!sameState(this.lineStates[oldLine.line], state)) continue;
+
+            result.converged = true;
+            result.oldTokenIndex = oldIndex;
+            result.oldOffset = oldOffset;
+            result.lastLine = token.line + 1;
+            result.lineDelta = token.line - oldLine.line;
+            return result;
+        }
+    }
+}
@@ -0,0 +1,405 @@
+import { Parser } from './main.js';
+import { LineIndex } from './lines.js';
+import { applyFixes } from './linter.js';
+
+// Finds Wren code embedded in other documents, Markdown and HTML, and tokenizes
+// it in place: the code is pulled out as plain Wren, with HTML entities
+// unescaped and indentation removed, and every token and diagnostic found in it
+// is mapped back to where it is in the document.
+
+// The formats of the documents Wren can be extracted from.
+export const embeddedFormats = Object.freeze(['markdown', 'html']);
+
+// The named character references that are unescaped. Others are left as they
+// are. A no-break space becomes a plain one, since Wren doesn't take it for
+// whitespace.
+const namedEntities = Object.freeze({
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+});
+
+// The words in a `class`, `id`, `lang` or `data-lang` attribute that mark a
+// `<pre>` or `<code>` as Wren.
+const wrenWords = new Set(['wren', 'language-wren', 'lang-wren']);
+
+// Returns true if the attributes of a tag, [attributes], mark it as Wren.
+function isWrenElement(attributes) {
+    let pattern = /\b(class|id|lang|data-lang)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let match;
+    while ((match = pattern.exec(attributes)) != null) {
+        let value = match[2] || match[3] || match[4] || '';
+        if (value.toLowerCase().split(/\s+/).some((word) => wrenWords.has(word))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Returns true if the attributes of a `<script>` tag, [attributes], give it
+// the type `text/wren`.
+function isWrenScript(attributes) {
+    let match = /\btype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+    if (match == null) return false;
+    return (match[1] || match[2] || match[3]).trim().toLowerCase() == 'text/wren';
+}
+
+// Returns [text] with `&`, `<` and `>` escaped, for the content of a `<pre>`.
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Builds the text of a block along with where each of its UTF-16 code units
+// came from in the document.
+class BlockText {
+    constructor() {
+        this.text = '';
+        this.starts = [];
+        this.ends = [];
+    }
+
+    // Adds [text], which came from the document between [start] and [end].
+    add(text, start, end) {
+        this.text += text;
+        for (let i = 0; i < text.length; i++) {
+            this.starts.push(start);
+            this.ends.push(end);
+        }
+    }
+
+    // Adds the document's [source] from [start] to [end] as it is.
+    addSource(source, start, end) {
+        for (let i = start; i < end; i++) this.add(source[i], i, i + 1);
+    }
+
+    // Adds the document's [source] from [start] to [end], leaving out tags and
+    // unescaping character references, the way a browser gets the text of an
+    // element.
+    addHtml(source, start, end) {
+        let pattern = /<[^>]*>|&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));/g;
+        pattern.lastIndex = start;
+        let at = start;
+        let match;
+        while ((match = pattern.exec(source)) != null && match.index < end) {
+            let matchEnd = match.index + match[0].length;
+            if (matchEnd > end) break;
+            this.addSource(source, at, match.index);
+            at = matchEnd;
+
+            if (match[0][0] == '<') continue;
+
+            let code = match[1] != null ? parseInt(match[1], 10)
+                : match[2] != null ? parseInt(match[2], 16)
+                    : null;
+            if (code != null) {
+                let isValid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+                this.add(String.fromCodePoint(isValid ? code : 0xfffd), match.index, matchEnd);
+            } else if (Object.prototype.hasOwnProperty.call(namedEntities, match[3])) {
+                this.add(namedEntities[match[3]], match.index, matchEnd);
+            } else {
+                this.addSource(source, match.index, matchEnd);
+            }
+        }
+        this.addSource(source, at, end);
+    }
+
+    // Removes the indentation that every line that isn't blank starts with.
+    dedent() {
+        let lines = this.text.split('\n');
+        let common = null;
+        for (let line of lines) {
+            if (line.trim() == '') continue;
+            let indent = /^[ \t]*/.exec(line)[0];
+            if (common == null) {
+                common = indent;
+                continue;
+            }
+
+            let length = 0;
+            while (length < common.length && common[length] == indent[length]) length++;
+            common = common.slice(0, length);
+        }
+        if (!common) return;
+
+        let text = '';
+        let starts = [];
+        let ends = [];
+        let at = 0;
+        for (let line of lines) {
+            let skip = line.startsWith(common) ? common.length : /^[ \t]*/.exec(line)[0].length;
+            text += line.slice(skip);
+            for (let i = at + skip; i < at + line.length + 1 && i < this.starts.length; i++) {
+                starts.push(this.starts[i]);
+                ends.push(this.ends[i]);
+            }
+            at += line.length + 1;
+            if (at <= this.text.length) text += '\n';
+        }
+
+        this.text = text;
+        this.starts = starts;
+        this.ends = ends;
+    }
+}
+
+// A piece of Wren found in a document.
+export class EmbeddedBlock {
+    // Creates a block of the [kind] 'fence', 'pre' or 'script', whose content
+    // runs from [start] to [end] in the document, with the text built by
+    // [BlockText] [text].
+    constructor(kind, start, end, text) {
+        // Where the block was found: a Markdown 'fence', or an HTML 'pre' or
+        // 'script'.
+        this.kind = kind;
+
+        // The Wren source of the block.
+        this.source = text.text;
+
+        // The offsets of the block's content in the document.
+        this.start = start;
+        this.end = end;
+
+        // Where each UTF-16 code unit of [source] starts and ends in the
+        // document.
+        this.starts = text.starts;
+        this.ends = text.ends;
+    }
+
+    // Returns the offset in the document of [offset] in [source], as the start
+    // of a range.
+    documentOffset(offset) {
+        if (offset < this.starts.length) return this.starts[offset];
+        return this.ends.length > 0 ? this.ends[this.ends.length - 1] : this.start;
+    }
+
+    // Returns the offset in the document of [offset] in [source], as the end of
+    // a range.
+    documentEnd(offset) {
+        if (offset <= 0 || this.ends.length == 0) return this.documentOffset(0);
+        return this.ends[Math.min(offset, this.ends.length) - 1];
+    }
+
+    // Returns a copy of [item], a token or diagnostic from [source], with its
+    // offsets, lines and columns in the document instead. [lines] is a
+    // [LineIndex] of the document. A diagnostic's [fix], if it has one, is
+    // mapped too, and escaped for HTML if the block is a `<pre>`.
+    map(item, lines) {
+        let start = this.documentOffset(item.start);
+        let end = Math.max(start, this.documentEnd(item.end));
+        let from = lines.locate(start);
+        let to = lines.locate(end);
+
+        let mapped = Object.assign({}, item, {
+            start: start,
+            end: end,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column
+        });
+
+        if (item.fix) {
+            let fixStart = this.documentOffset(item.fix.start);
+            mapped.fix = {
+                start: fixStart,
+                end: Math.max(fixStart, this.documentEnd(item.fix.end)),
+                text: this.kind == 'pre' ? escapeHtml(item.fix.text) : item.fix.text
+            };
+        }
+        return mapped;
+    }
+}
+
+// Returns the Wren code blocks in [markdown]: the fenced code blocks, with
+// backticks or tildes, whose info string starts with `wren`. The fence's
+// indentation is removed from each line, as Markdown does. Blocks inside
+// block quotes and list items aren't found.
+export function extractMarkdown(markdown) {
+    let blocks = [];
+    let linePattern = /[^\n]*(?:\n|$)/g;
+    let fence = null;
+    let match;
+
+    while (linePattern.lastIndex < markdown.length &&
+        (match = linePattern.exec(markdown)) != null) {
+        let line = match[0];
+        let lineStart = match.index;
+        let content = line.replace(/\r?\n$/, '');
+
+        if (fence == null) {
+            let open = /^( {0,3})(`{3,}|~{3,})(.*)$/.exec(content);
+            if (open == null) continue;
+
+            // A backtick fence's info string can't have backticks in it.
+            let info = open[3].trim();
+            if (open[2][0] == '`' && info.includes('`')) continue;
+
+            fence = {
+                marker: open[2],
+                indent: open[1].length,
+                isWren: info.split(/\s+/)[0].toLowerCase() == 'wren',
+                start: lineStart + line.length,
+                text: new BlockText()
+            };
+            continue;
+        }
+
+        let close = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(content);
+        if (close != null && close[1][0] == fence.marker[0] &&
+            close[1].length >= fence.marker.length) {
+            if (fence.isWren) {
+                blocks.push(new EmbeddedBlock('fence', fence.start, lineStart, fence.text));
+            }
+            fence = null;
+            continue;
+        }
+
+        if (fence.isWren) {
+            let skip = 0;
+            while (skip < fence.indent && line[skip] == ' ') skip++;
+            fence.text.addSource(markdown, lineStart + skip, lineStart + line.length);
+        }
+    }
+
+    // A fence that's never closed runs to the end of the document.
+    if (fence != null && fence.isWren) {
+        blocks.push(new EmbeddedBlock('fence', fence.start, markdown.length, fence.text));
+    }
+    return blocks;
+}
+
+// Returns the Wren code blocks in [html]: the `<script type="text/wren">`
+// elements, and the `<pre>` elements marked as Wren by a `class`, `id`, `lang`
+// or `data-lang` of `wren`, `language-wren` or `lang-wren`, on the `<pre>` or
+// on a `<code>` right inside it. With the option `allPre`, every `<pre>` is
+// taken to be Wren.
+//
+// The text of a `<pre>` has its tags left out and its character references
+// unescaped, and loses the newline right after the start tag the way it does
+// in a browser. A script is taken as it is. Both have the indentation common to
+// all their lines removed.
+export function extractHtml(html, options = {}) {
+    let blocks = [];
+    let pattern = /<!--[\s\S]*?(?:-->|$)|<(pre|script|style|textarea)(?=[\s/>])([^>]*)>/gi;
+    let match;
+
+    while ((match = pattern.exec(html)) != null) {
+        if (match[1] == null) continue;
+
+        let name = match[1].toLowerCase();
+        let start = match.index + match[0].length;
+        let closing = new RegExp('</' + name + '\\s*>', 'i');
+        let endMatch = closing.exec(html.slice(start));
+        let end = endMatch ? start + endMatch.index : html.length;
+        pattern.lastIndex = endMatch ? end + endMatch[0].length : html.length;
+
+        let text = new BlockText();
+        if (name == 'script' && isWrenScript(match[2])) {
+            text.addSource(html, start, end);
+            text.dedent();
+            blocks.push(new EmbeddedBlock('script', start, end, text));
+        } else if (name == 'pre') {
+            let code = /^\s*<code\b([^>]*)>/i.exec(html.slice(start, end));
+            if (!options.allPre && !isWrenElement(match[2]) &&
+                !(code && isWrenElement(code[1]))) {
+                continue;
+            }
+
+            let contentStart = start;
+            if (html.startsWith('\r\n', start)) {
+                contentStart += 2;
+            } else if (html[start] == '\n') {
+                contentStart++;
+            }
+            text.addHtml(html, contentStart, end);
+            text.dedent();
+            blocks.push(new EmbeddedBlock('pre', start, end, text));
+        }
+    }
+    return blocks;
+}
+
+// Returns the Wren code blocks in [text], a document in the [format] of the
+// option `format`, one of [embeddedFormats]. The other [options] are passed on
+// to [extractHtml()].
+export function extractWren(text, options = {}) {
+    let format = options.format || 'markdown';
+    if (!embeddedFormats.includes(format)) {
+        throw new RangeError('Unknown document format \'' + format + '\'. Expected ' +
+            embeddedFormats.join(', ') + '.');
+    }
+    text = String(text);
+    return format == 'html' ? extractHtml(text, options) : extractMarkdown(text);
+}
+
+// Finds the Wren code in [text], a document, and tokenizes each block. The
+// options `format` and `allPre` are for [extractWren()], and the rest are
+// passed on to [Parser], except for `lazy`, `compact` and `offsetUnit`.
+// Columns in the document are counted in the `columnUnit` of the options.
+//
+// Returns an object with the [blocks], each `{ block, tokens, diagnostics }`
+// with the [EmbeddedBlock], and its tokens and lexical errors with their
+// positions in the document, and every block's [diagnostics] together. A
+// token's [text] and [value] are still what they are in the Wren source.
+export function tokenizeEmbedded(text, options = {}) {
+    text = String(text);
+    let lines = new LineIndex(text, options.columnUnit || 'utf16');
+    let lexerOptions = Object.assign({}, options, {
+        lazy: false,
+        compact: false,
+        offsetUnit: 'utf16'
+    });
+
+    let blocks = extractWren(text, options).map((block) => {
+        let lexer = new Parser(block.source, lexerOptions);
+        return {
+            block: block,
+            tokens: lexer.tokens.map((token) => block.map(token, lines)),
+            diagnostics: lexer.diagnostics.map((diagnostic) => block.map(diagnostic, lines))
+        };
+    });
+
+    return {
+        blocks: blocks,
+        diagnostics: [].concat(...blocks.map((entry) => entry.diagnostics))
+    };
+}
+
+// Returns what [linter] finds in the Wren code in [text], a document, with
+// positions and fixes in the document, in order. [options] are for
+// [extractWren()].
+export function lintEmbedded(linter, text, options = {}) {
+    text = String(text);
+    let lines = new LineIndex(text, options.columnUnit || 'utf16');
+    let diagnostics = [];
+    for (let block of extractWren(text, options)) {
+        for (let diagnostic of linter.lint(block.source)) {
+            diagnostics.push(block.map(diagnostic, lines));
+        }
+    }
+    return diagnostics;
+}
+
+// Applies the fixes for what [linter] finds in the Wren code in [text], a
+// document, the same way as [Linter.fix()]. Returns an object with the fixed
+// document as [output], the number of fixes [applied] and the [diagnostics]
+// that are left.
+export function fixEmbedded(linter, text, options = {}, maxPasses = 10) {
+    let output = String(text);
+    let applied = 0;
+    let diagnostics = lintEmbedded(linter, output, options);
+
+    for (let pass = 0; pass < maxPasses; pass++) {
+        let result = applyFixes(output, diagnostics);
+        if (result.applied == 0) break;
+
+        output = result.output;
+        applied += result.applied;
+        diagnostics = lintEmbedded(linter, output, options);
+    }
+
+    return { output: output, applied: applied, diagnostics: diagnostics };
+}
@@ -0,0 +1,155 @@
+import { LexError, languageVersions, DEFAULT_LANGUAGE_VERSION } from './main.js';
+import { format, DEFAULT_INDENT_WIDTH, DEFAULT_LINE_LENGTH } from './formatter.js';
+import { UsageError, readArgs, displayName, processIO, formatDiagnostic } from './command.js';
+
+// The `wren-fmt` command. Formats Wren files, printing them or rewriting them
+// in place.
+
+const versions = Object.keys(languageVersions);
+
+const usage = `Usage: wren-fmt [options] [file ...]
+
+Formats Wren source files, or standard input if there are none or a file is
+"-", and prints the result.
+
+Options:
+  -w, --write            Rewrite the files in place instead of printing them.
+  -c, --check            Only print the names of the files that aren't
+                         formatted, and exit with status 1 if there are any.
+      --indent <width>   The number of spaces to indent by. Defaults to ${DEFAULT_INDENT_WIDTH}.
+      --line-length <length>
+                         Break lines longer than this after a comma. Defaults
+                         to ${DEFAULT_LINE_LENGTH}.
+      --language-version <version>
+                         The version of Wren to lex: ${versions.join(' or ')}.
+                         Defaults to ${DEFAULT_LANGUAGE_VERSION}.
+  -h, --help             Show this help.
+
+A file with a lexical error can't be formatted. Its first error goes to
+standard error, and the exit status is 1 if there were any and 2 if the
+command itself failed.
+`;
+
+// Parses the command-line [args] into an options object.
+function parseArgs(args) {
+    let options = {
+        write: false,
+        check: false,
+        indentWidth: DEFAULT_INDENT_WIDTH,
+        lineLength: DEFAULT_LINE_LENGTH,
+        languageVersion: DEFAULT_LANGUAGE_VERSION,
+        help: false,
+        files: []
+    };
+
+    // Returns [value], the value of the option [name], as a whole number of
+    // at least [min].
+    let countOf = (name, value, min) => {
+        if (!/^\d+$/.test(value) || Number(value) < min) {
+            throw new UsageError('Invalid value \'' + value + '\' for ' + name +
+                '. Expected a whole number of at least ' + min + '.');
+        }
+        return Number(value);
+    };
+
+    readArgs(args, options, (arg, valueOf) => {
+        switch (arg) {
+        case '-w':
+        case '--write':
+            options.write = true;
+            break;
+        case '-c':
+        case '--check':
+            options.check = true;
+            break;
+        case '--indent':
+            options.indentWidth = countOf(arg, valueOf(), 0);
+            break;
+        case '--line-length':
+            options.lineLength = countOf(arg, valueOf(), 1);
+            break;
+        case '--language-version':
+            options.languageVersion = valueOf(versions);
+            break;
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        default:
+            return false;
+        }
+    });
+
+    if (options.files.length == 0) options.files.push('-');
+    if (options.write && options.files.includes('-')) {
+        throw new UsageError('Standard input can\'t be rewritten with --write.');
+    }
+    return options;
+}
+
+// Runs the command with the command-line [args], writing through [io], an
+// object with `stdout(text)`, `stderr(text)`, `readFile(path)` and
+// `writeFile(path, text)` functions, where a path of "-" means standard input.
+// Returns the exit status.
+export function main(args, io = processIO) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr('wren-fmt: ' + error.message + '\n\n' + usage);
+        return 2;
+    }
+
+    if (options.help) {
+        io.stdout(usage);
+        return 0;
+    }
+
+    let status = 0;
+    for (let file of options.files) {
+        let name = displayName(file);
+
+        let source;
+        try {
+            source = String(io.readFile(file));
+        } catch (error) {
+            io.stderr('wren-fmt: Could not read ' + name + ': ' + error.message + '\n');
+            status = 2;
+            continue;
+        }
+
+        let formatted;
+        try {
+            formatted = format(source, {
+                indentWidth: options.indentWidth,
+                lineLength: options.lineLength,
+                languageVersion: options.languageVersion
+            });
+        } catch (error) {
+            if (!(error instanceof LexError)) throw error;
+            io.stderr(formatDiagnostic(name, error.diagnostic) + '\n');
+            if (status == 0) status = 1;
+            continue;
+        }
+
+        if (options.check) {
+            if (formatted != source) {
+                io.stdout(name + '\n');
+                if (status == 0) status = 1;
+            }
+        } else if (options.write) {
+            if (formatted == source) continue;
+            try {
+                io.writeFile(file, formatted);
+            } catch (error) {
+                io.stderr('wren-fmt: Could not write ' + name + ': ' + error.message + '\n');
+                status = 2;
+            }
+        } else {
+            io.stdout(formatted);
+        }
+    }
+
+    return status;
+}
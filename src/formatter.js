@@ -0,0 +1,437 @@
+import { Parser } from './main.js';
+
+// Formats Wren source in one consistent style. It works from the lexer's
+// tokens, comments included, and only ever changes the whitespace between
+// them: it indents blocks, puts one space (or none) between tokens, keeps at
+// most one blank line in a row and breaks lines that are too long after a
+// comma. Tokens themselves are printed exactly as written, so a nested block
+// comment or an interpolated string stays the same, and formatting code that's
+// already formatted doesn't change it.
+
+// The default number of spaces per level of indentation.
+export const DEFAULT_INDENT_WIDTH = 2;
+
+// The default length lines are broken at, when they can be.
+export const DEFAULT_LINE_LENGTH = 80;
+
+// The operators that get a space on either side.
+const binaryTypes = new Set([
+    'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS',
+    'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET',
+    'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT',
+    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ'
+]);
+
+// The operators that can only be prefixes, and the ones that can be either.
+const prefixTypes = new Set(['TOKEN_BANG', 'TOKEN_TILDE']);
+const maybePrefixTypes = new Set(['TOKEN_MINUS', 'TOKEN_BANG', 'TOKEN_TILDE']);
+
+// The operators that go right up against their operands, like `1..10`.
+const tightTypes = new Set(['TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT']);
+
+// The token types that can end an operand, so an operator after them is
+// binary.
+const operandEndTypes = new Set([
+    'TOKEN_NAME', 'TOKEN_NUMBER', 'TOKEN_STRING', 'TOKEN_INTERPOLATED_STRING',
+    'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_TRUE', 'TOKEN_FALSE',
+    'TOKEN_NULL', 'TOKEN_THIS', 'TOKEN_SUPER', 'TOKEN_RIGHT_PAREN',
+    'TOKEN_RIGHT_BRACKET', 'TOKEN_RIGHT_BRACE'
+]);
+
+// The token types that a "(" right after is a call, and a "[" a subscript.
+const callableTypes = new Set([
+    'TOKEN_NAME', 'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_SUPER',
+    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET'
+]);
+const subscriptableTypes = new Set([
+    'TOKEN_NAME', 'TOKEN_FIELD', 'TOKEN_STATIC_FIELD', 'TOKEN_SUPER',
+    'TOKEN_THIS', 'TOKEN_STRING', 'TOKEN_INTERPOLATED_STRING',
+    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET'
+]);
+
+// The token types that a "{" right after starts a block rather than a map.
+const blockOpenerTypes = new Set([
+    'TOKEN_NAME', 'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_ELSE'
+]);
+
+// The token types that a line can't end a statement with, so the next line
+// continues it and is indented one more level. Brackets and commas are left
+// out, since whatever they're in is already indented.
+const continuationTypes = new Set([
+    'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_BANG', 'TOKEN_TILDE',
+    'TOKEN_COLON', 'TOKEN_IS', ...binaryTypes
+]);
+
+// The token types that Wren ignores a newline after because they're still
+// waiting for what's inside them or what comes next.
+const openerTypes = new Set([
+    'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_COMMA'
+]);
+
+const closerTypes = new Set([
+    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_RIGHT_BRACE'
+]);
+
+// The pairs of characters that would lex as one token, or start a comment, if
+// the tokens they end and start were put together.
+const joiningPairs = new Set([
+    '..', '<<', '>>', '<=', '>=', '==', '!=', '||', '&&', '//', '/*'
+]);
+
+// Returns true if the texts [before] and [after] can't be put together without
+// a space between them, since they'd lex differently.
+function mustSeparate(before, after) {
+    let a = before[before.length - 1];
+    let b = after[0];
+    return joiningPairs.has(a + b) || /\w/.test(a) && /\w/.test(b);
+}
+
+// Returns [value], an option called [name], after checking that it's a whole
+// number of at least [min].
+function checkCount(name, value, min) {
+    if (!Number.isInteger(value) || value < min) {
+        throw new RangeError('Invalid ' + name + ' \'' + value +
+            '\'. Expected a whole number of at least ' + min + '.');
+    }
+    return value;
+}
+
+// Formats one source. Everything happens in the constructor; [output] is the
+// result.
+class Formatter {
+    constructor(source, options) {
+        this.indentWidth = checkCount('indentWidth', options.indentWidth == null
+            ? DEFAULT_INDENT_WIDTH
+            : options.indentWidth, 0);
+        this.lineLength = checkCount('lineLength', options.lineLength == null
+            ? DEFAULT_LINE_LENGTH
+            : options.lineLength, 1);
+
+        let lexer = new Parser(source, Object.assign({}, options, {
+            throwOnError: true,
+            trivia: true,
+            lazy: false,
+            compact: false,
+            skipNewlines: false
+        }));
+        this.keywordTypes = new Set(lexer.keywords.values());
+
+        // The formatted lines.
+        this.lines = [];
+
+        // The brackets that are open, innermost last, under one for the whole
+        // module. Each has the [kind] of thing it holds ('paren', 'bracket',
+        // 'block', 'class', 'map' or 'module'), the number of the output [line]
+        // it was opened on, how many `?` in it are still waiting for their `:`,
+        // and, for a block, whether it's in the middle of its `|parameters|`.
+        this.brackets = [{ kind: 'module', line: 0, ternaries: 0, parameters: false }];
+
+        // How many output lines have been started.
+        this.lineCount = 0;
+
+        // The last token that isn't a comment, and the token before the one
+        // being formatted on the current line, if any.
+        this.last = null;
+        this.previous = null;
+
+        // Whether the line being formatted continues the statement on the line
+        // before it.
+        this.continues = false;
+
+        // Whether the token being formatted is the first on its line.
+        this.atLineStart = true;
+
+        // Whether [previous] is a prefix operator, and whether it's the `|`
+        // that starts a block's parameters.
+        this.isPrefix = false;
+        this.isParameterStart = false;
+
+        // Whether a `class` is waiting for the "{" of its body.
+        this.inClassHeader = false;
+
+        // Whether the current line is a method's signature, which is written
+        // without spaces around its operators, like `[index]=(value)`.
+        this.inSignature = false;
+
+        // Each line of source, without its newline or whitespace, with each
+        // interpolated string as a single token.
+        let line = [];
+        let blankLines = 0;
+        for (let token of lexer.nestedTokens()) {
+            if (token.type == 'TOKEN_WHITESPACE' || token.type == 'TOKEN_EOF') continue;
+            if (token.type != 'TOKEN_LINE') {
+                line.push(token);
+                continue;
+            }
+
+            if (line.length == 0) {
+                blankLines++;
+                continue;
+            }
+
+            this.formatLine(line, blankLines);
+            line = [];
+            blankLines = 0;
+        }
+        if (line.length > 0) this.formatLine(line, blankLines);
+
+        this.output = this.lines.length == 0 ? '' : this.lines.join('\n') + '\n';
+    }
+
+    // The innermost open bracket.
+    get innermost() {
+        return this.brackets[this.brackets.length - 1];
+    }
+
+    // Formats the [tokens] of one line of source, which came after
+    // [blankLines] empty lines.
+    formatLine(tokens, blankLines) {
+        // Blank lines at the start or end of a block are dropped.
+        if (blankLines > 0 && this.previous != null &&
+            !openerTypes.has(this.previous.type) &&
+            !closerTypes.has(tokens[0].type)) {
+            this.lines.push('');
+        }
+
+        if (this.innermost.kind == 'class' && tokens[0].type != 'TOKEN_HASH') {
+            this.inSignature = true;
+        }
+
+        let start = 0;
+        while (start < tokens.length) start = this.formatPart(tokens, start);
+
+        // A signature without a body, like a foreign method's, ends with its line.
+        if (this.innermost.kind == 'class') this.inSignature = false;
+
+        // So does a `?` that wasn't closed, but only if the statement ended.
+        if (!this.continues) this.innermost.ternaries = 0;
+    }
+
+    // Formats [tokens] from [start] on as one output line, or as much of them
+    // as fits if it can be broken. Returns the index of the first token that
+    // didn't fit.
+    formatPart(tokens, start) {
+        // A line that starts with closing brackets is indented like the line
+        // that opened them.
+        let closers = 0;
+        while (start + closers < tokens.length &&
+            closerTypes.has(tokens[start + closers].type)) {
+            closers++;
+        }
+
+        let level = this.indentLevel(Math.max(1, this.brackets.length - closers));
+        if (this.continues || tokens[start].type == 'TOKEN_DOT') level++;
+
+        this.lineCount++;
+        this.previous = null;
+
+        let text = ' '.repeat(level * this.indentWidth);
+        let lineBreak = null;
+        for (let i = start; i < tokens.length; i++) {
+            let token = tokens[i];
+            this.atLineStart = i == start;
+            if (!this.atLineStart) {
+                let space = this.space(token);
+                if (space == '' && mustSeparate(this.previous.text, token.text)) {
+                    space = ' ';
+                }
+                text += space;
+            }
+            text += token.text;
+            this.advance(token);
+
+            let column = text.length - text.lastIndexOf('\n') - 1;
+            if (column > this.lineLength && lineBreak) {
+                Object.assign(this, lineBreak.state);
+                this.lines.push(lineBreak.text);
+                return lineBreak.index;
+            }
+
+            // A line can be broken after a comma between arguments or elements,
+            // where Wren ignores the newline.
+            let next = tokens[i + 1];
+            let kind = this.innermost.kind;
+            if (token.type == 'TOKEN_COMMA' && next && next.type != 'TOKEN_COMMENT' &&
+                !closerTypes.has(next.type) &&
+                (kind == 'paren' || kind == 'bracket' || kind == 'map')) {
+                lineBreak = { index: i + 1, text: text, state: this.save() };
+            }
+        }
+
+        this.lines.push(text);
+        return tokens.length;
+    }
+
+    // Returns the indentation level for a line inside the first [count] open
+    // brackets. Brackets opened on the same line only indent once, so
+    // `foo(Fn.new {` doesn't indent the block twice.
+    indentLevel(count) {
+        let level = 0;
+        for (let i = 1; i < count; i++) {
+            if (this.brackets[i].line != this.brackets[i - 1].line) level++;
+        }
+        return level;
+    }
+
+    // Returns the state that formatting a token changes, so a line can go back
+    // to where it's broken.
+    save() {
+        return {
+            brackets: this.brackets.map((bracket) => Object.assign({}, bracket)),
+            last: this.last,
+            continues: this.continues,
+            isPrefix: this.isPrefix,
+            isParameterStart: this.isParameterStart,
+            inClassHeader: this.inClassHeader,
+            inSignature: this.inSignature
+        };
+    }
+
+    // Returns the space to put between [previous] and [token].
+    space(token) {
+        let type = token.type;
+        let previous = this.previous.type;
+        let innermost = this.innermost;
+
+        if (type == 'TOKEN_COMMENT' || previous == 'TOKEN_COMMENT') return ' ';
+
+        if (type == 'TOKEN_COMMA') return '';
+        if (previous == 'TOKEN_COMMA') return closerTypes.has(type) ? '' : ' ';
+
+        if (type == 'TOKEN_RIGHT_PAREN' || type == 'TOKEN_RIGHT_BRACKET') return '';
+        if (previous == 'TOKEN_LEFT_PAREN' || previous == 'TOKEN_LEFT_BRACKET') return '';
+
+        if (tightTypes.has(type) || tightTypes.has(previous)) return '';
+        if (previous == 'TOKEN_HASH') return '';
+
+        // A block or class body gets spaces inside its braces, but not around
+        // its parameters: `{|a, b| a + b }`. A map is written `{"a": 1}`.
+        if (previous == 'TOKEN_LEFT_BRACE') {
+            if (type == 'TOKEN_RIGHT_BRACE' || innermost.kind == 'map') return '';
+            return type == 'TOKEN_PIPE' ? '' : ' ';
+        }
+        if (type == 'TOKEN_RIGHT_BRACE') return innermost.kind == 'map' ? '' : ' ';
+        if (type == 'TOKEN_PIPE' && innermost.parameters) return '';
+        if (this.isParameterStart) return '';
+
+        // A `:` is spaced like an operator in `a ? b : c`, and like a comma in a
+        // map.
+        if (type == 'TOKEN_COLON') return innermost.ternaries > 0 ? ' ' : '';
+        if (previous == 'TOKEN_COLON') return ' ';
+
+        if (this.inSignature) {
+            if (type == 'TOKEN_LEFT_BRACE' || this.keywordTypes.has(previous)) return ' ';
+            if (binaryTypes.has(type) || maybePrefixTypes.has(type) ||
+                type == 'TOKEN_LEFT_PAREN' || type == 'TOKEN_LEFT_BRACKET') {
+                return '';
+            }
+            if (binaryTypes.has(previous) || maybePrefixTypes.has(previous)) return '';
+            return ' ';
+        }
+
+        if (this.isPrefix) return '';
+        if (type == 'TOKEN_LEFT_PAREN') return callableTypes.has(previous) ? '' : ' ';
+        if (type == 'TOKEN_LEFT_BRACKET') return subscriptableTypes.has(previous) ? '' : ' ';
+        return ' ';
+    }
+
+    // Updates the state for having formatted [token].
+    advance(token) {
+        let type = token.type;
+        let innermost = this.innermost;
+        let last = this.last;
+        let isParameterEnd = false;
+
+        this.previous = token;
+        this.isPrefix = false;
+        this.isParameterStart = false;
+        if (type == 'TOKEN_COMMENT' || type == 'TOKEN_SHEBANG') return;
+
+        switch (type) {
+        case 'TOKEN_LEFT_PAREN':
+        case 'TOKEN_LEFT_BRACKET':
+            this.open(type == 'TOKEN_LEFT_PAREN' ? 'paren' : 'bracket');
+            break;
+
+        case 'TOKEN_LEFT_BRACE': {
+            let kind = 'map';
+            if (this.inClassHeader) {
+                kind = 'class';
+            } else if (this.inSignature || last == null ||
+                blockOpenerTypes.has(last.type) ||
+                this.atLineStart && !continuationTypes.has(last.type) &&
+                !openerTypes.has(last.type)) {
+                // A "{" that starts a statement is a block too.
+                kind = 'block';
+            }
+            this.inClassHeader = false;
+            this.inSignature = false;
+            this.open(kind);
+            break;
+        }
+
+        case 'TOKEN_RIGHT_PAREN':
+        case 'TOKEN_RIGHT_BRACKET':
+        case 'TOKEN_RIGHT_BRACE':
+            if (this.brackets.length > 1) this.brackets.pop();
+            if (innermost.kind == 'class') this.inSignature = false;
+            break;
+
+        case 'TOKEN_CLASS':
+            this.inClassHeader = true;
+            break;
+
+        case 'TOKEN_QUESTION':
+            innermost.ternaries++;
+            break;
+
+        case 'TOKEN_COLON':
+            if (innermost.ternaries > 0) innermost.ternaries--;
+            break;
+
+        case 'TOKEN_PIPE':
+            if (last && last.type == 'TOKEN_LEFT_BRACE' && innermost.kind == 'block') {
+                innermost.parameters = true;
+                this.isParameterStart = true;
+            } else if (innermost.parameters) {
+                innermost.parameters = false;
+                isParameterEnd = true;
+            }
+            break;
+        }
+
+        if (prefixTypes.has(type) ||
+            maybePrefixTypes.has(type) && !(last && operandEndTypes.has(last.type))) {
+            this.isPrefix = !this.inSignature;
+        }
+
+        this.last = token;
+        this.continues = !this.inSignature && !isParameterEnd &&
+            (continuationTypes.has(type) || this.isPrefix);
+    }
+
+    // Opens a bracket of [kind] on the current line.
+    open(kind) {
+        this.brackets.push({
+            kind: kind,
+            line: this.lineCount,
+            ternaries: 0,
+            parameters: false
+        });
+    }
+}
+
+// Returns [source], a string of Wren, formatted. [options] may contain:
+//
+// * `indentWidth`: How many spaces to indent each level by. Defaults to
+//   [DEFAULT_INDENT_WIDTH].
+// * `lineLength`: How long a line can be before it's broken after a comma.
+//   Lines without a comma to break at are left long. Defaults to
+//   [DEFAULT_LINE_LENGTH].
+//
+// Along with any of [Parser]'s options, like `languageVersion`. Source with a
+// lexical error can't be formatted safely, so the first one throws a
+// [LexError].
+export function format(source, options = {}) {
+    return new Formatter(source, options).output;
+}
@@ -0,0 +1,398 @@
+import fs from 'fs';
+import path from 'path';
+import { findImports } from './imports.js';
+
+// Builds the graph of which Wren modules import which, starting from a set of
+// files and following their imports through the file system, so they can be
+// bundled and loaded in order.
+
+// The modules the VM itself provides, which aren't files.
+export const DEFAULT_BUILTIN_MODULES = Object.freeze(['meta', 'random']);
+
+// Stable codes for the problems the graph reports.
+export const ImportErrorCode = Object.freeze({
+    // An import names a module that isn't built in or in any search root.
+    MISSING_MODULE: 'IMPORT_MISSING_MODULE',
+
+    // Modules import each other in a loop.
+    CYCLE: 'IMPORT_CYCLE'
+});
+
+// Returns true if the module [name] is relative to the module that imports it.
+function isRelative(name) {
+    return name.startsWith('./') || name.startsWith('../');
+}
+
+// Returns a diagnostic with [code] and [message] at [span].
+function diagnosticAt(span, code, message) {
+    return {
+        code: code,
+        message: message,
+        severity: 'error',
+        line: span.line,
+        column: span.column,
+        endLine: span.endLine,
+        endColumn: span.endColumn,
+        start: span.start,
+        end: span.end
+    };
+}
+
+// The modules reachable from a set of files, and their imports.
+//
+// Each module has an [id]: the path of its file relative to [base], with
+// forward slashes, or the name of a built-in module. A module that couldn't be
+// found gets the path it would have had if its name is relative, and its name
+// otherwise. Modules are plain objects:
+//
+//     { id, kind, imports: [{ module, target, variables, span }],
+//       diagnostics }
+//
+// Where [kind] is 'file', 'builtin' or 'missing', and each import's [target]
+// is the id of the module it resolved to. The rest is from [findImports()].
+export class ImportGraph {
+    // Creates an empty graph. [options] may contain:
+    //
+    // * `roots`: The directories to look for a module in, in order, when its
+    //   name isn't relative. A name that starts with `./` or `../` is relative
+    //   to the module that imports it. Defaults to [base].
+    // * `builtins`: The names of modules that are built in. Defaults to
+    //   [DEFAULT_BUILTIN_MODULES].
+    // * `base`: The directory ids are relative to, and roots are resolved
+    //   against. Defaults to the current directory.
+    // * `readFile`: A function that returns the text of the file at a path, or
+    //   throws if there isn't one. Defaults to reading the file system.
+    //
+    // Along with any of [Parser]'s options, which are used to lex every module.
+    constructor(options = {}) {
+        this.options = options;
+        this.base = path.resolve(options.base || '.');
+        this.roots = (options.roots || ['.']).map((root) => path.resolve(this.base, root));
+        this.builtins = new Set(options.builtins || DEFAULT_BUILTIN_MODULES);
+        this.readFile = options.readFile || ((file) => fs.readFileSync(file, 'utf8'));
+
+        // The modules, by id, in the order they were found.
+        this.modules = new Map();
+
+        // The text of each file that's been read, or `null` if it couldn't be,
+        // by absolute path.
+        this.files = new Map();
+
+        // The absolute path of each file module, by id.
+        this.paths = new Map();
+    }
+
+    // Returns the text of the file at the absolute path [file], or `null` if it
+    // can't be read.
+    load(file) {
+        if (!this.files.has(file)) {
+            let text = null;
+            try {
+                text = String(this.readFile(file));
+            } catch (error) {
+                // Not there.
+            }
+            this.files.set(file, text);
+        }
+        return this.files.get(file);
+    }
+
+    // Returns the id of the file at the absolute path [file].
+    idOf(file) {
+        return path.relative(this.base, file).split(path.sep).join('/');
+    }
+
+    // Returns the absolute path of the file a module named [name] would be in
+    // for each place it's looked for, when imported by the file [from].
+    candidates(name, from) {
+        if (isRelative(name)) {
+            return [path.resolve(path.dirname(from), name + '.wren')];
+        }
+        return this.roots.map((root) => path.resolve(root, name + '.wren'));
+    }
+
+    // Adds [file], a path relative to [base], and every module it imports,
+    // directly or not. Throws if [file] can't be read. Returns its module.
+    addFile(file) {
+        let absolute = path.resolve(this.base, file);
+        let id = this.idOf(absolute);
+        if (this.modules.has(id) && this.modules.get(id).kind == 'file') {
+            return this.modules.get(id);
+        }
+
+        // Read it directly, so a file that isn't there throws.
+        let text = String(this.readFile(absolute));
+        this.files.set(absolute, text);
+        let first = this.addModule(absolute, text);
+
+        // Follow the imports breadth first.
+        let queue = [first];
+        while (queue.length > 0) {
+            for (let entry of queue.shift().imports) {
+                if (this.modules.has(entry.target)) continue;
+
+                let resolved = this.paths.get(entry.target);
+                if (resolved) {
+                    queue.push(this.addModule(resolved, this.load(resolved)));
+                } else {
+                    this.modules.set(entry.target, {
+                        id: entry.target,
+                        kind: this.builtins.has(entry.module) ? 'builtin' : 'missing',
+                        imports: [],
+                        diagnostics: []
+                    });
+                }
+            }
+        }
+
+        return first;
+    }
+
+    // Adds the module in the file at the absolute path [file], with [text], and
+    // resolves its imports. Returns it.
+    addModule(file, text) {
+        let found = findImports(text, this.options);
+        let module = {
+            id: this.idOf(file),
+            kind: 'file',
+            imports: [],
+            diagnostics: found.diagnostics
+        };
+        this.modules.set(module.id, module);
+
+        for (let node of found.imports) {
+            let target = node.module;
+            if (!this.builtins.has(node.module)) {
+                let candidates = this.candidates(node.module, file);
+                let resolved = candidates.find((candidate) => this.load(candidate) != null);
+                if (resolved) {
+                    target = this.idOf(resolved);
+                    this.paths.set(target, resolved);
+                } else if (isRelative(node.module)) {
+                    target = this.idOf(candidates[0]);
+                }
+            }
+
+            module.imports.push({
+                module: node.module,
+                target: target,
+                variables: node.variables,
+                span: node.span
+            });
+        }
+
+        return module;
+    }
+
+    // Returns the modules that are files.
+    fileModules() {
+        return Array.from(this.modules.values()).filter((module) => module.kind == 'file');
+    }
+
+    // Returns every import of a module that couldn't be found, as
+    // `{ from, import }`, where [from] is the id of the module with the import.
+    missing() {
+        let missing = [];
+        for (let module of this.fileModules()) {
+            for (let entry of module.imports) {
+                if (this.modules.get(entry.target).kind == 'missing') {
+                    missing.push({ from: module.id, import: entry });
+                }
+            }
+        }
+        return missing;
+    }
+
+    // Returns the groups of modules that import each other in a loop, each as
+    // the ids of one loop through them that ends where it starts, like
+    // `['a.wren', 'b.wren', 'a.wren']`.
+    cycles() {
+        return this.components()
+            .filter((component) => component.length > 1 ||
+                this.modules.get(component[0]).imports.some((entry) =>
+                    entry.target == component[0]))
+            .map((component) => this.loopThrough(component));
+    }
+
+    // Returns the strongly connected components of the file modules, each as
+    // a list of ids, using Tarjan's algorithm.
+    components() {
+        let index = new Map();
+        let lowLink = new Map();
+        let stack = [];
+        let onStack = new Set();
+        let components = [];
+
+        let visit = (id) => {
+            index.set(id, index.size);
+            lowLink.set(id, index.get(id));
+            stack.push(id);
+            onStack.add(id);
+
+            for (let entry of this.modules.get(id).imports) {
+                let target = entry.target;
+                if (this.modules.get(target).kind != 'file') continue;
+
+                if (!index.has(target)) {
+                    visit(target);
+                    lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(target)));
+                } else if (onStack.has(target)) {
+                    lowLink.set(id, Math.min(lowLink.get(id), index.get(target)));
+                }
+            }
+
+            if (lowLink.get(id) == index.get(id)) {
+                let component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member != id);
+                components.push(component);
+            }
+        };
+
+        for (let module of this.fileModules()) {
+            if (!index.has(module.id)) visit(module.id);
+        }
+        return components;
+    }
+
+    // Returns the shortest loop from the first of [component]'s modules, in the
+    // order they were found, back to itself without leaving [component].
+    loopThrough(component) {
+        let members = new Set(component);
+        let start = Array.from(this.modules.keys()).find((id) => members.has(id));
+
+        // Breadth first, remembering how each module was reached.
+        let cameFrom = new Map();
+        let queue = [start];
+        while (queue.length > 0) {
+            let id = queue.shift();
+            for (let entry of this.modules.get(id).imports) {
+                let target = entry.target;
+                if (!members.has(target) || cameFrom.has(target)) continue;
+
+                cameFrom.set(target, id);
+                if (target == start) {
+                    let loop = [start];
+                    for (let at = id; at != start; at = cameFrom.get(at)) loop.unshift(at);
+                    loop.unshift(start);
+                    return loop;
+                }
+                queue.push(target);
+            }
+        }
+        return [start, start];
+    }
+
+    // Returns the ids of the file modules in an order they can be loaded in,
+    // with each module after the ones it imports. Modules in a loop come in the
+    // order the loop is first reached.
+    order() {
+        let order = [];
+        let visited = new Set();
+
+        let visit = (id) => {
+            visited.add(id);
+            for (let entry of this.modules.get(id).imports) {
+                let target = entry.target;
+                if (!visited.has(target) && this.modules.get(target).kind == 'file') {
+                    visit(target);
+                }
+            }
+            order.push(id);
+        };
+
+        for (let module of this.fileModules()) {
+            if (!visited.has(module.id)) visit(module.id);
+        }
+        return order;
+    }
+
+    // Returns every problem in the graph as `{ module, diagnostic }`, where
+    // [module] is the id of the module it's in: the lexical errors and
+    // malformed imports in each module, imports of missing modules and import
+    // loops, which are reported at the import that starts them.
+    diagnostics() {
+        let diagnostics = [];
+        for (let module of this.fileModules()) {
+            for (let diagnostic of module.diagnostics) {
+                diagnostics.push({ module: module.id, diagnostic: diagnostic });
+            }
+        }
+
+        for (let { from, import: entry } of this.missing()) {
+            diagnostics.push({
+                module: from,
+                diagnostic: diagnosticAt(entry.span, ImportErrorCode.MISSING_MODULE,
+                    'Could not find module \'' + entry.module + '\'.')
+            });
+        }
+
+        for (let loop of this.cycles()) {
+            let entry = this.modules.get(loop[0]).imports
+                .find((entry) => entry.target == loop[1]);
+            diagnostics.push({
+                module: loop[0],
+                diagnostic: diagnosticAt(entry.span, ImportErrorCode.CYCLE,
+                    'Import cycle: ' + loop.join(' -> ') + '.')
+            });
+        }
+
+        // In the order of the modules, then of the source.
+        let ids = Array.from(this.modules.keys());
+        return diagnostics.sort((a, b) =>
+            ids.indexOf(a.module) - ids.indexOf(b.module) ||
+            a.diagnostic.start - b.diagnostic.start);
+    }
+
+    // Returns the graph as a plain object for `JSON.stringify()`, with the
+    // [modules], their load [order], and the [cycles] and [missing] imports.
+    toJSON() {
+        return {
+            modules: Array.from(this.modules.values()),
+            order: this.order(),
+            cycles: this.cycles(),
+            missing: this.missing().map(({ from, import: entry }) => ({
+                from: from,
+                module: entry.module,
+                target: entry.target,
+                span: entry.span
+            }))
+        };
+    }
+
+    // Returns the graph in Graphviz's DOT language. Built-in modules are dashed,
+    // missing ones are red and so are the imports in a loop.
+    toDot() {
+        let inLoop = new Map();
+        for (let component of this.components()) {
+            for (let id of component) inLoop.set(id, component);
+        }
+
+        let lines = ['digraph imports {'];
+        for (let module of this.modules.values()) {
+            let attributes = {
+                file: '',
+                builtin: ' [style=dashed]',
+                missing: ' [color=red, fontcolor=red]'
+            }[module.kind];
+            lines.push('  ' + JSON.stringify(module.id) + attributes + ';');
+        }
+
+        for (let module of this.fileModules()) {
+            for (let entry of module.imports) {
+                let component = inLoop.get(module.id);
+                let isLoop = entry.target == module.id || component.length > 1 &&
+                    component.includes(entry.target);
+                lines.push('  ' + JSON.stringify(module.id) + ' -> ' +
+                    JSON.stringify(entry.target) + (isLoop ? ' [color=red]' : '') + ';');
+            }
+        }
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,216 @@
+import { Parser, isKeywordType } from './main.js';
+
+// Syntax highlighting for Wren source, as HTML or as text with ANSI color
+// codes. It works from the lexer's own tokens in trivia mode, so it agrees with
+// the lexer about what everything is and puts back the source text exactly.
+
+// The token types that are operators, as opposed to punctuation.
+const operatorTypes = new Set([
+    'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH',
+    'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT',
+    'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP',
+    'TOKEN_BANG', 'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_EQ', 'TOKEN_LT',
+    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ'
+]);
+
+const punctuationTypes = new Set([
+    'TOKEN_LEFT_PAREN', 'TOKEN_RIGHT_PAREN', 'TOKEN_LEFT_BRACKET',
+    'TOKEN_RIGHT_BRACKET', 'TOKEN_LEFT_BRACE', 'TOKEN_RIGHT_BRACE',
+    'TOKEN_COLON', 'TOKEN_DOT', 'TOKEN_COMMA', 'TOKEN_HASH'
+]);
+
+// Returns the highlighting class of a token of [type], without a prefix, or
+// `null` if it isn't highlighted.
+export function tokenClass(type) {
+    if (isKeywordType(type)) return 'keyword';
+    if (operatorTypes.has(type)) return 'operator';
+    if (punctuationTypes.has(type)) return 'punctuation';
+
+    switch (type) {
+    case 'TOKEN_FIELD': return 'field';
+    case 'TOKEN_STATIC_FIELD': return 'static-field';
+    case 'TOKEN_NUMBER': return 'number';
+    case 'TOKEN_STRING':
+    case 'TOKEN_INTERPOLATION': return 'string';
+    case 'TOKEN_COMMENT':
+    case 'TOKEN_SHEBANG': return 'comment';
+    case 'TOKEN_ERROR': return 'error';
+    }
+
+    return null;
+}
+
+// The ANSI SGR parameters for each class, for the 'ansi' format.
+export const ansiTheme = Object.freeze({
+    'keyword': '35',
+    'operator': '36',
+    'punctuation': null,
+    'field': '34',
+    'static-field': '94',
+    'number': '33',
+    'string': '32',
+    'delimiter': '36',
+    'comment': '90',
+    'error': '4;31'
+});
+
+// Returns the index in [text], the text of a TOKEN_INTERPOLATION without the
+// ")" it may start with, of the "%" that begins its interpolated expression.
+// What follows is usually "(", but it's whatever came after the "%" when the
+// "(" is missing.
+function delimiterIndex(text) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] == '\\') {
+            i++;
+        } else if (text[i] == '%') {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Writes highlighted text as HTML, where each class is a `<span>` with the
+// class name, and interpolations nest inside their string.
+class HtmlWriter {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.output = '';
+    }
+
+    text(text) {
+        this.output += escapeHtml(text);
+    }
+
+    open(name) {
+        this.output += '<span class="' + this.prefix + name + '">';
+    }
+
+    close() {
+        this.output += '</span>';
+    }
+
+    span(name, text) {
+        if (text == '') return;
+        if (name == null) return this.text(text);
+
+        this.open(name);
+        this.text(text);
+        this.close();
+    }
+
+    // Writes part of the text of the string span that's open.
+    stringPart(text) {
+        this.text(text);
+    }
+}
+
+// Writes highlighted text with ANSI escape codes. Nesting doesn't work in a
+// terminal, so each piece is colored on its own, and the color is reset at the
+// end of each line so pagers that work line by line show it right.
+class AnsiWriter {
+    constructor(theme) {
+        this.theme = theme;
+        this.output = '';
+    }
+
+    text(text) {
+        this.output += text;
+    }
+
+    open() {}
+    close() {}
+
+    stringPart(text) {
+        this.span('string', text);
+    }
+
+    span(name, text) {
+        let code = name == null ? null : this.theme[name];
+        if (code == null) return this.text(text);
+
+        this.output += text.split('\n').map((line) => line == ''
+            ? line
+            : '\x1b[' + code + 'm' + line + '\x1b[0m').join('\n');
+    }
+}
+
+// Highlights [source].
+//
+// [options] are passed on to [Parser], along with:
+//
+// * `format`: 'html' (the default) or 'ansi'.
+// * `classPrefix`: What goes before each class name in HTML. Defaults to
+//   'wren-', which is what highlight.css styles.
+// * `theme`: SGR parameters to use instead of the ones in [ansiTheme], keyed by
+//   class.
+//
+// HTML output wraps each token in `<span class="wren-keyword">` and so on (see
+// [tokenClass()]). A string with interpolation is one `wren-string` span, with
+// each interpolated expression inside it in a `wren-interpolation` span whose
+// `%(` and `)` are `wren-delimiter`s.
+export function highlight(source, options = {}) {
+    let lexer = new Parser(source, Object.assign({}, options, {
+        trivia: true,
+        lazy: false,
+        compact: false,
+        throwOnError: false
+    }));
+
+    let writer = options.format == 'ansi'
+        ? new AnsiWriter(Object.assign({}, ansiTheme, options.theme))
+        : new HtmlWriter(options.classPrefix == null ? 'wren-' : options.classPrefix);
+
+    // How many interpolations are open.
+    let depth = 0;
+
+    // The lexer's own keywords, which may include extra ones.
+    let keywordTypes = new Set(lexer.keywords.values());
+
+    for (let token of lexer.tokens) {
+        let text = token.text;
+        if (keywordTypes.has(token.type)) {
+            writer.span('keyword', text);
+            continue;
+        }
+
+        if (token.type != 'TOKEN_STRING' && token.type != 'TOKEN_INTERPOLATION') {
+            writer.span(tokenClass(token.type), text);
+            continue;
+        }
+
+        // The part of a string after an interpolated expression starts with the
+        // ")" that ends it.
+        if (depth > 0 && text[0] == ')') {
+            writer.span('delimiter', ')');
+            writer.close();
+            text = text.slice(1);
+            depth--;
+        } else {
+            writer.open('string');
+        }
+
+        if (token.type == 'TOKEN_INTERPOLATION') {
+            let delimiter = delimiterIndex(text);
+            writer.stringPart(text.slice(0, delimiter));
+            writer.open('interpolation');
+            writer.span('delimiter', text.slice(delimiter));
+            depth++;
+        } else {
+            writer.stringPart(text);
+            writer.close();
+        }
+    }
+
+    // Close whatever an unterminated string left open.
+    for (; depth > 0; depth--) {
+        writer.close();
+        writer.close();
+    }
+
+    return writer.output;
+}
@@ -0,0 +1,136 @@
+import { Parser } from './main.js';
+import { ParseErrorCode } from './ast.js';
+
+// Finds the `import` statements in Wren source straight from its tokens, without
+// parsing the rest of it, so a module's dependencies can be read even when some
+// other part of it doesn't compile.
+
+// Returns the span from the start of the token [first] to the end of [last], in
+// the same form as a syntax tree node's.
+function spanOf(first, last) {
+    return {
+        start: first.start,
+        end: last.end,
+        line: first.line,
+        column: first.column,
+        endLine: last.endLine,
+        endColumn: last.endColumn
+    };
+}
+
+// Returns the imports in [source], a string of Wren. [options] are passed on to
+// [Parser], except for `skipNewlines`, `lazy` and `compact`.
+//
+// Returns an object with an [imports] array, in source order, and every lexical
+// error and malformed import in [diagnostics]. Each import is:
+//
+//     { module, variables: [{ name, alias, span }]?, span }
+//
+// Where [module] is the module's name, the value of its string, and
+// [variables] is `null` when there's no `for` clause. An [alias] is `null`
+// unless the variable is imported `as` another name. The spans are the same as
+// a syntax tree's.
+export function findImports(source, options = {}) {
+    let lexer = new Parser(source, Object.assign({}, options, {
+        trivia: false,
+        lazy: false,
+        compact: false,
+        skipNewlines: true,
+        throwOnError: false
+    }));
+
+    let tokens = lexer.tokens;
+    let imports = [];
+    let diagnostics = lexer.diagnostics.slice();
+    let i = 0;
+
+    // Skips newlines, which Wren ignores in the places it's called.
+    let ignoreNewlines = () => {
+        while (tokens[i].type == 'TOKEN_LINE') i++;
+    };
+
+    // Consumes the current token if it's a [type]. Otherwise, reports [message]
+    // and returns `null`.
+    let consume = (type, message) => {
+        let token = tokens[i];
+        if (token.type == type) {
+            i++;
+            return token;
+        }
+
+        let found = token.type == 'TOKEN_EOF' ? 'end of file'
+            : token.type == 'TOKEN_LINE' ? 'newline'
+                : '\'' + token.text + '\'';
+        diagnostics.push({
+            code: ParseErrorCode.SYNTAX,
+            message: message + ' Found ' + found + '.',
+            severity: 'error',
+            line: token.line,
+            column: token.column,
+            endLine: token.endLine,
+            endColumn: token.endColumn,
+            start: token.start,
+            end: token.end
+        });
+        return null;
+    };
+
+    // Reads the import whose `import` keyword is at [i], the same way the
+    // compiler does. Returns `null` if it's malformed.
+    let importStatement = () => {
+        let first = tokens[i++];
+        ignoreNewlines();
+        let moduleToken = consume('TOKEN_STRING', 'Expect a string after \'import\'.');
+        if (!moduleToken) return null;
+
+        let node = { module: moduleToken.value, variables: null, span: null };
+        let last = moduleToken;
+
+        if (tokens[i].type == 'TOKEN_FOR') {
+            node.variables = [];
+            i++;
+            for (;;) {
+                ignoreNewlines();
+                let nameToken = consume('TOKEN_NAME', 'Expect variable name.');
+                if (!nameToken) return null;
+
+                let variable = { name: nameToken.text, alias: null, span: null };
+                last = nameToken;
+
+                // Older lexers don't know about `as`, so accept it as a name too.
+                let token = tokens[i];
+                if (token.type == 'TOKEN_AS' ||
+                    (token.type == 'TOKEN_NAME' && token.text == 'as')) {
+                    i++;
+                    let aliasToken = consume('TOKEN_NAME',
+                        'Expect variable name after \'as\'.');
+                    if (!aliasToken) return null;
+                    variable.alias = aliasToken.text;
+                    last = aliasToken;
+                }
+
+                variable.span = spanOf(nameToken, last);
+                node.variables.push(variable);
+
+                if (tokens[i].type != 'TOKEN_COMMA') break;
+                i++;
+            }
+        }
+
+        node.span = spanOf(first, last);
+        return node;
+    };
+
+    while (i < tokens.length) {
+        if (tokens[i].type != 'TOKEN_IMPORT') {
+            i++;
+            continue;
+        }
+
+        let node = importStatement();
+        if (node) imports.push(node);
+    }
+
+    diagnostics.sort((a, b) => a.start - b.start);
+    return { imports: imports, diagnostics: diagnostics };
+}
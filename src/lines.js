@@ -0,0 +1,164 @@
+// Maps offsets in a piece of source code to 1-based line and column numbers,
+// and back.
+//
+// Columns can be counted in UTF-16 code units (what JavaScript string indexes
+// and most editors use), in Unicode code points, where a character outside
+// the Basic Multilingual Plane counts once instead of twice, or in UTF-8 bytes,
+// which is what the C implementation of Wren counts.
+//
+// The source is either ordinary text or, for byte offsets, a "byte string" that
+// holds UTF-8 bytes, one per character, the way [Parser] keeps bytes it lexes.
+
+// Returns true if the UTF-16 code unit [code] is the first half of a surrogate
+// pair.
+function isHighSurrogate(code) {
+    return code >= 0xd800 && code <= 0xdbff;
+}
+
+// Returns true if the UTF-16 code unit [code] is the second half of a surrogate
+// pair.
+function isLowSurrogate(code) {
+    return code >= 0xdc00 && code <= 0xdfff;
+}
+
+// Returns the number of code points in [source] between the [start] and [end]
+// offsets.
+export function countCodePoints(source, start, end) {
+    let count = 0;
+    for (let i = start; i < end; i++) {
+        // Only count the first half of a surrogate pair.
+        if (isLowSurrogate(source.charCodeAt(i)) && i > start &&
+            isHighSurrogate(source.charCodeAt(i - 1))) {
+            continue;
+        }
+        count++;
+    }
+    return count;
+}
+
+// Returns true if [code] is a UTF-8 continuation byte.
+function isContinuationByte(code) {
+    return code >= 0x80 && code <= 0xbf;
+}
+
+// Returns the number of [unit]s, 'utf16', 'codepoint' or 'byte', in [source]
+// between the [start] and [end] offsets. If [isBytes], [source] is a byte
+// string.
+export function countUnits(source, start, end, unit, isBytes = false) {
+    if (unit == (isBytes ? 'byte' : 'utf16')) return end - start;
+    if (!isBytes && unit == 'codepoint') return countCodePoints(source, start, end);
+
+    let count = 0;
+    for (let i = start; i < end; i++) {
+        let code = source.charCodeAt(i);
+        if (isBytes) {
+            // Count each code point by its lead byte, and the ones that need a
+            // surrogate pair twice in UTF-16.
+            if (isContinuationByte(code)) continue;
+            count += unit == 'utf16' && code >= 0xf0 ? 2 : 1;
+        } else if (code < 0x80) {
+            count += 1;
+        } else if (code < 0x800) {
+            count += 2;
+        } else if (isHighSurrogate(code) && i + 1 < end &&
+            isLowSurrogate(source.charCodeAt(i + 1))) {
+            count += 4;
+            i++;
+        } else {
+            // Everything else, including a lone surrogate, which encodes as
+            // U+FFFD, takes three bytes.
+            count += 3;
+        }
+    }
+    return count;
+}
+
+// Returns the offset just past the character at [offset] in [source].
+function nextCharacter(source, offset, isBytes) {
+    if (isBytes) {
+        offset++;
+        while (offset < source.length && isContinuationByte(source.charCodeAt(offset))) {
+            offset++;
+        }
+        return offset;
+    }
+
+    let isPair = isHighSurrogate(source.charCodeAt(offset)) &&
+        isLowSurrogate(source.charCodeAt(offset + 1));
+    return offset + (isPair ? 2 : 1);
+}
+
+export class LineIndex {
+    // Indexes the lines of [source]. [unit] is the default column unit, either
+    // 'utf16', 'codepoint' or 'byte'. If [isBytes], [source] is a byte string
+    // and offsets into it are byte offsets.
+    constructor(source, unit = 'utf16', isBytes = false) {
+        this.source = source;
+        this.unit = unit;
+        this.isBytes = isBytes;
+
+        // The offset where each line starts. Line 1 always starts at 0.
+        this.lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] == '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    // The number of lines in the source.
+    get lineCount() {
+        return this.lineStarts.length;
+    }
+
+    // Returns the 1-based line that [offset] is on.
+    lineAt(offset) {
+        // Binary search for the last line that starts at or before [offset].
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            let middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low + 1;
+    }
+
+    // Returns the 1-based `{line, column}` of [offset], counting the column in
+    // [unit].
+    locate(offset, unit = this.unit) {
+        offset = Math.max(0, Math.min(offset, this.source.length));
+        let line = this.lineAt(offset);
+        let lineStart = this.lineStarts[line - 1];
+
+        let column = countUnits(this.source, lineStart, offset, unit, this.isBytes) + 1;
+        return { line: line, column: column };
+    }
+
+    // Returns the offset of the 1-based [line] and [column], counting the column
+    // in [unit]. Positions past the end of a line are clamped to its end.
+    offsetAt(line, column, unit = this.unit) {
+        if (line < 1) return 0;
+        if (line > this.lineStarts.length) return this.source.length;
+
+        let lineStart = this.lineStarts[line - 1];
+        let lineEnd = line < this.lineStarts.length
+            ? this.lineStarts[line] - 1
+            : this.source.length;
+
+        // Columns in the source's own unit map straight onto offsets.
+        if (unit == (this.isBytes ? 'byte' : 'utf16')) {
+            return Math.min(lineStart + Math.max(column, 1) - 1, lineEnd);
+        }
+
+        let offset = lineStart;
+        let count = 1;
+        while (count < column && offset < lineEnd) {
+            let next = nextCharacter(this.source, offset, this.isBytes);
+            count += countUnits(this.source, offset, next, unit, this.isBytes);
+            offset = next;
+        }
+        return offset;
+    }
+}
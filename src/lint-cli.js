@@ -0,0 +1,231 @@
+import { languageVersions } from './main.js';
+import { Linter } from './linter.js';
+import { embeddedFormats, lintEmbedded, fixEmbedded } from './embedded.js';
+import { UsageError, readArgs, displayName, processIO, formatDiagnostic } from './command.js';
+
+// The `wren-lint` command. Checks Wren files, and the Wren code in Markdown and
+// HTML files, with [Linter] and prints what it finds, or fixes what it can in
+// place.
+
+const versions = Object.keys(languageVersions);
+
+// The config file that's read when there's no --config.
+export const DEFAULT_CONFIG_FILE = '.wren-lint.json';
+
+const usage = `Usage: wren-lint [options] [file ...]
+
+Checks Wren source files, or standard input if there are none or a file is
+"-", and prints the problems found as file:line:column. In Markdown and HTML
+files (.md, .markdown, .html and .htm), the Wren code blocks are checked where
+they are.
+
+Options:
+      --config <file>    Read the rules to use from this JSON file. Defaults
+                         to ${DEFAULT_CONFIG_FILE} in the current directory, if
+                         there is one.
+      --fix              Fix what can be fixed and rewrite the files in place,
+                         then print the problems that are left.
+  -f, --format <format>  Print problems as "text" (the default) or "json".
+      --embedded <format>
+                         Check the Wren code in every file as if it were
+                         "markdown" or "html", whatever its extension.
+      --rules            List the rules and exit.
+      --language-version <version>
+                         The version of Wren to lex: ${versions.join(' or ')}.
+                         Overrides the config's.
+  -h, --help             Show this help.
+
+A config looks like:
+
+  {
+    "rules": {
+      "max-line-length": ["error", { "max": 100 }],
+      "no-shadow": "off"
+    }
+  }
+
+Each rule is "off", "warning" or "error", or an array of that and its options.
+The exit status is 1 if there were any errors, or lexical errors, and 2 if the
+command itself failed. Warnings alone don't fail.
+`;
+
+const formats = ['text', 'json'];
+
+// Parses the command-line [args] into an options object.
+function parseArgs(args) {
+    let options = {
+        config: null,
+        fix: false,
+        format: 'text',
+        embedded: null,
+        listRules: false,
+        languageVersion: null,
+        help: false,
+        files: []
+    };
+
+    readArgs(args, options, (arg, valueOf) => {
+        switch (arg) {
+        case '--config':
+            options.config = valueOf();
+            break;
+        case '--fix':
+            options.fix = true;
+            break;
+        case '-f':
+        case '--format':
+            options.format = valueOf(formats);
+            break;
+        case '--embedded':
+            options.embedded = valueOf(embeddedFormats);
+            break;
+        case '--rules':
+            options.listRules = true;
+            break;
+        case '--language-version':
+            options.languageVersion = valueOf(versions);
+            break;
+        case '-h':
+        case '--help':
+            options.help = true;
+            break;
+        default:
+            return false;
+        }
+    });
+
+    if (options.files.length == 0) options.files.push('-');
+    if (options.fix && options.files.includes('-')) {
+        throw new UsageError('Standard input can\'t be rewritten with --fix.');
+    }
+    return options;
+}
+
+// Returns the format of the document [file] is, from its extension, or `null`
+// if it's Wren.
+function documentFormatOf(file) {
+    if (/\.(md|markdown)$/i.test(file)) return 'markdown';
+    if (/\.html?$/i.test(file)) return 'html';
+    return null;
+}
+
+// Returns the config in the file at [path], or `null` if [path] is the default
+// config file and there isn't one. Throws if it can't be read or parsed.
+function readConfig(path, io) {
+    let text;
+    try {
+        text = String(io.readFile(path));
+    } catch (error) {
+        if (path == DEFAULT_CONFIG_FILE && error.code == 'ENOENT') return null;
+        throw new Error('Could not read ' + path + ': ' + error.message);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Could not parse ' + path + ': ' + error.message);
+    }
+    if (config == null || typeof config != 'object' || Array.isArray(config)) {
+        throw new Error('The config in ' + path + ' must be an object.');
+    }
+    return config;
+}
+
+// Runs the command with the command-line [args], writing through [io], an
+// object with `stdout(text)`, `stderr(text)`, `readFile(path)` and
+// `writeFile(path, text)` functions, where a path of "-" means standard input.
+// Returns the exit status.
+export function main(args, io = processIO) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.stderr('wren-lint: ' + error.message + '\n\n' + usage);
+        return 2;
+    }
+
+    if (options.help) {
+        io.stdout(usage);
+        return 0;
+    }
+
+    let linter;
+    try {
+        let config = readConfig(options.config || DEFAULT_CONFIG_FILE, io) || {};
+        if (options.languageVersion) {
+            config = Object.assign({}, config, { languageVersion: options.languageVersion });
+        }
+        linter = new Linter(config);
+    } catch (error) {
+        io.stderr('wren-lint: ' + error.message + '\n');
+        return 2;
+    }
+
+    if (options.listRules) {
+        let names = Object.keys(linter.rules);
+        let width = Math.max(...names.map((name) => name.length));
+        io.stdout(names.map((name) => {
+            let setting = linter.settings.get(name);
+            return name.padEnd(width) + '  ' +
+                (setting ? setting.severity : 'off').padEnd(7) + '  ' +
+                linter.rules[name].description + '\n';
+        }).join(''));
+        return 0;
+    }
+
+    let status = 0;
+
+    // The problems in each file so far, for JSON.
+    let results = [];
+
+    for (let file of options.files) {
+        let name = displayName(file);
+
+        let source;
+        try {
+            source = String(io.readFile(file));
+        } catch (error) {
+            io.stderr('wren-lint: Could not read ' + name + ': ' + error.message + '\n');
+            status = 2;
+            continue;
+        }
+
+        let embedded = options.embedded || documentFormatOf(file);
+        let diagnostics;
+        if (options.fix) {
+            let result = embedded
+                ? fixEmbedded(linter, source, { format: embedded })
+                : linter.fix(source);
+            diagnostics = result.diagnostics;
+            if (result.applied > 0) {
+                try {
+                    io.writeFile(file, result.output);
+                } catch (error) {
+                    io.stderr('wren-lint: Could not write ' + name + ': ' +
+                        error.message + '\n');
+                    status = 2;
+                }
+            }
+        } else {
+            diagnostics = embedded
+                ? lintEmbedded(linter, source, { format: embedded })
+                : linter.lint(source);
+        }
+
+        if (status == 0 && diagnostics.some((diagnostic) => diagnostic.severity == 'error')) {
+            status = 1;
+        }
+
+        if (options.format == 'json') {
+            results.push({ file: name, diagnostics: diagnostics });
+        } else {
+            io.stdout(diagnostics.map((diagnostic) =>
+                formatDiagnostic(name, diagnostic) + '\n').join(''));
+        }
+    }
+
+    if (options.format == 'json') io.stdout(JSON.stringify(results) + '\n');
+    return status;
+}
@@ -0,0 +1,273 @@
+import { Parser, LineIndex } from './main.js';
+import { builtinRules } from './rules.js';
+
+export { builtinRules };
+
+// Checks Wren source for problems of style and likely mistakes by running
+// rules over its tokens. Each rule can be turned off, made an error or given
+// options, and some of them can fix what they find.
+
+// The severities a rule can be set to, from a config.
+export const severities = Object.freeze(['off', 'warning', 'error']);
+
+// The prefix of the comments that turn rules off and on again.
+const directivePattern =
+    /^(?:\/\/|\/\*)\s*wren-lint-(disable-next-line|disable-line|disable|enable)(?=\s|\*\/|$)([\s\S]*)/;
+
+// Returns the names of the rules in the rest of a directive comment, [text],
+// or `null` for all of them. A description after "--" is ignored.
+function directiveRules(text) {
+    text = text.replace(/\*\/$/, '').split(/\s--\s/)[0];
+    let names = text.split(/[\s,]+/).filter((name) => name != '');
+    return names.length > 0 ? names : null;
+}
+
+// Returns the fixes of [diagnostics] applied to [source], a string. Fixes
+// that overlap one that comes earlier in the source are left out. Returns an
+// object with the fixed [output] and the number of fixes [applied].
+export function applyFixes(source, diagnostics) {
+    let fixes = diagnostics
+        .filter((diagnostic) => diagnostic.fix)
+        .map((diagnostic) => diagnostic.fix)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    let output = '';
+    let offset = 0;
+    let applied = 0;
+    for (let fix of fixes) {
+        if (fix.start < offset) continue;
+        output += source.slice(offset, fix.start) + fix.text;
+        offset = fix.end;
+        applied++;
+    }
+
+    return { output: output + source.slice(offset), applied: applied };
+}
+
+// Runs lint rules over Wren source.
+//
+// A rule is an object with:
+//
+// * `description`: What it disallows, in a sentence.
+// * `severity`: How bad what it finds is when the config doesn't say,
+//   'warning' or 'error'.
+// * `options`: The options it takes, with their defaults. A config can only
+//   give the options that are here, with values of the same type. A rule
+//   without options can leave it out.
+// * `check(context)`: Reports what's wrong with a module. The [context] has
+//   the module's [source], its [tokens] (with comments and whitespace, and
+//   without the newlines that don't end a statement, as whitespace), a
+//   [LineIndex] of its [lines], the rule's [options] and a `report(problem)`
+//   function. A problem is `{ message, start, end, fix? }` where [start] and
+//   [end] are offsets into [source] and the optional [fix] is an edit,
+//   `{ start, end, text }`, that replaces that part of [source] with [text].
+//
+// Comments in the source can turn rules off. Each takes the names of the rules
+// it applies to, separated by commas or spaces, or applies to all of them if
+// there are none:
+//
+//     // wren-lint-disable-next-line no-shadow
+//     var x = 1 // wren-lint-disable-line
+//     /* wren-lint-disable max-line-length */
+//     /* wren-lint-enable max-line-length */
+//
+// A disable lasts until an enable for its rules, or one without any, or the
+// end of the file. Enabling some of the rules a disable turned off leaves the
+// rest off.
+export class Linter {
+    // Creates a linter with [config], an object that may contain:
+    //
+    // * `rules`: The rules to change from their defaults, by name. Each is
+    //   either a severity from [severities] or an array of a severity and an
+    //   object of options for the rule.
+    // * `languageVersion`: The version of Wren to lex. See [Parser].
+    //
+    // [plugins] are more rules, by name, on top of [builtinRules]. They're
+    // configured the same way. Throws a RangeError if the config names a rule,
+    // severity or option that doesn't exist, or a TypeError if a value has the
+    // wrong type.
+    constructor(config = {}, plugins = {}) {
+        this.rules = Object.assign({}, builtinRules, plugins);
+        this.languageVersion = config.languageVersion;
+
+        // The severity and options of every rule that's on, by name.
+        this.settings = new Map();
+        for (let name in this.rules) {
+            let rule = this.rules[name];
+            this.settings.set(name, {
+                severity: rule.severity,
+                options: Object.assign({}, rule.options || {})
+            });
+        }
+
+        let rules = config.rules || {};
+        for (let name in rules) this.configure(name, rules[name]);
+        for (let [name, setting] of this.settings) {
+            if (setting.severity == 'off') this.settings.delete(name);
+        }
+    }
+
+    // Applies the config's [setting] for the rule [name].
+    configure(name, setting) {
+        let rule = this.rules[name];
+        if (rule == null) throw new RangeError('Unknown lint rule \'' + name + '\'.');
+
+        let [severity, options] = Array.isArray(setting) ? setting : [setting, {}];
+        if (!severities.includes(severity)) {
+            throw new RangeError('Unknown severity \'' + severity + '\' for lint rule \'' +
+                name + '\'. Expected ' + severities.join(', ') + '.');
+        }
+
+        let defaults = rule.options || {};
+        let merged = Object.assign({}, defaults);
+        for (let key in options || {}) {
+            if (!(key in defaults)) {
+                throw new RangeError('Unknown option \'' + key + '\' for lint rule \'' +
+                    name + '\'.');
+            }
+            if (typeof options[key] != typeof defaults[key]) {
+                throw new TypeError('Option \'' + key + '\' for lint rule \'' + name +
+                    '\' should be a ' + typeof defaults[key] + '.');
+            }
+            merged[key] = options[key];
+        }
+
+        this.settings.set(name, { severity: severity, options: merged });
+    }
+
+    // Returns every problem the rules that are on find in [source], a string of
+    // Wren, and its lexical errors, in source order. Each is a diagnostic with
+    // the rule's name as its [code], its severity and, if the rule can fix it,
+    // a [fix].
+    lint(source) {
+        source = String(source);
+        let lexer = new Parser(source, {
+            trivia: true,
+            skipNewlines: true,
+            languageVersion: this.languageVersion
+        });
+        let lines = new LineIndex(source);
+        let disabled = this.disabledRanges(lexer.tokens, lines);
+
+        let diagnostics = lexer.diagnostics.slice();
+        for (let [name, setting] of this.settings) {
+            let report = (problem) => {
+                let isDisabled = disabled.some((range) =>
+                    (range.rules == null ? !range.except.includes(name)
+                        : range.rules.includes(name)) &&
+                    range.start <= problem.start && problem.start < range.end);
+                if (isDisabled) return;
+
+                let start = lines.locate(problem.start);
+                let end = lines.locate(problem.end);
+                diagnostics.push({
+                    code: name,
+                    message: problem.message,
+                    severity: setting.severity,
+                    line: start.line,
+                    column: start.column,
+                    endLine: end.line,
+                    endColumn: end.column,
+                    start: problem.start,
+                    end: problem.end,
+                    fix: problem.fix || null
+                });
+            };
+
+            this.rules[name].check({
+                source: source,
+                tokens: lexer.tokens,
+                lines: lines,
+                options: setting.options,
+                report: report
+            });
+        }
+
+        return diagnostics.sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    // Returns the offset ranges of [source] that directive comments in [tokens]
+    // turn rules off in, as `{ rules, except, start, end }`, where [rules] is
+    // `null` for all of them but the ones in [except].
+    disabledRanges(tokens, lines) {
+        let ranges = [];
+
+        // The disables that haven't been enabled again.
+        let open = [];
+
+        // Returns the range of the 1-based [line].
+        let lineRange = (rules, line) => ({
+            rules: rules,
+            except: [],
+            start: lines.offsetAt(line, 1),
+            end: line < lines.lineCount ? lines.lineStarts[line] : Infinity
+        });
+
+        for (let token of tokens) {
+            if (token.type != 'TOKEN_COMMENT') continue;
+            let match = directivePattern.exec(token.text);
+            if (match == null) continue;
+
+            let rules = directiveRules(match[2]);
+            switch (match[1]) {
+            case 'disable-next-line':
+                ranges.push(lineRange(rules, token.endLine + 1));
+                break;
+            case 'disable-line':
+                ranges.push(lineRange(rules, token.line));
+                break;
+            case 'disable':
+                open.push({ rules: rules, except: [], start: token.end, end: Infinity });
+                break;
+            case 'enable': {
+                // End each disable that the enable touches, and start another
+                // one for the rules it leaves off.
+                let stillOpen = [];
+                for (let range of open) {
+                    if (rules != null && range.rules != null &&
+                        !range.rules.some((name) => rules.includes(name))) {
+                        stillOpen.push(range);
+                        continue;
+                    }
+
+                    ranges.push(Object.assign(range, { end: token.start }));
+                    if (rules == null) continue;
+
+                    let rest = {
+                        rules: range.rules && range.rules.filter((name) => !rules.includes(name)),
+                        except: range.rules ? [] : range.except.concat(rules),
+                        start: token.end,
+                        end: Infinity
+                    };
+                    if (rest.rules == null || rest.rules.length > 0) stillOpen.push(rest);
+                }
+                open = stillOpen;
+                break;
+            }
+            }
+        }
+
+        return ranges.concat(open);
+    }
+
+    // Applies the fixes for what the rules find in [source] until there are
+    // none left, up to [maxPasses] times, since a fix can make room for
+    // another. Returns an object with the fixed [output], the number of
+    // fixes [applied] and the [diagnostics] that are left.
+    fix(source, maxPasses = 10) {
+        let output = String(source);
+        let applied = 0;
+        let diagnostics = this.lint(output);
+
+        for (let pass = 0; pass < maxPasses; pass++) {
+            let result = applyFixes(output, diagnostics);
+            if (result.applied == 0) break;
+
+            output = result.output;
+            applied += result.applied;
+            diagnostics = this.lint(output);
+        }
+
+        return { output: output, applied: applied, diagnostics: diagnostics };
+    }
+}
@@ -0,0 +1,401 @@
+import { Parser } from './main.js';
+import { SourceDocument } from './document.js';
+import { tokenClass } from './highlight.js';
+
+// A Language Server Protocol server for Wren, over standard input and output.
+// It gives editors semantic tokens and lexical errors straight from the lexer,
+// so they color and check Wren the same way it does. Documents are kept in
+// [SourceDocument]s, so a change only lexes the lines it touched.
+//
+// Positions are in UTF-16 code units, which is what LSP uses unless a client
+// asks otherwise.
+
+// JSON-RPC and LSP error codes.
+export const ErrorCode = Object.freeze({
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    SERVER_NOT_INITIALIZED: -32002
+});
+
+// The semantic token types and modifiers the server uses, in the order of their
+// indexes in the encoded tokens.
+export const semanticTokensLegend = Object.freeze({
+    tokenTypes: Object.freeze(['keyword', 'property', 'number', 'string', 'comment',
+        'operator']),
+    tokenModifiers: Object.freeze(['static'])
+});
+
+// The semantic token type for each of the highlighter's classes that has one.
+const semanticTypes = {
+    'keyword': 'keyword',
+    'field': 'property',
+    'static-field': 'property',
+    'number': 'number',
+    'string': 'string',
+    'comment': 'comment',
+    'operator': 'operator'
+};
+
+const STATIC_MODIFIER = 1 << semanticTokensLegend.tokenModifiers.indexOf('static');
+
+// Returns true if [value] is a JSON object, not `null`, an array or a
+// primitive.
+function isObject(value) {
+    return value != null && typeof value == 'object' && !Array.isArray(value);
+}
+
+// Thrown by a request handler to answer with an error.
+class ResponseError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Handles LSP messages for a single client. Messages come in through
+// [handle()] and everything the server sends goes to the [send] function it was
+// created with, so it can be driven without a real connection.
+export class LanguageServer {
+    // Creates a server that sends messages with [send]. [options] are passed on
+    // to [Parser] for every document, and can be overridden by the client's
+    // `initializationOptions`, for example to pick a `languageVersion`.
+    constructor(send, options = {}) {
+        this.send = send;
+        this.options = options;
+
+        // The open documents, by URI.
+        this.documents = new Map();
+
+        // The token types that are keywords with the current options.
+        this.keywordTypes = null;
+
+        this.initialized = false;
+        this.isShutDown = false;
+
+        // The exit status, once the client has asked the server to exit.
+        this.exitCode = null;
+    }
+
+    // Handles the JSON-RPC [message], a request or a notification.
+    handle(message) {
+        // Without an object there's no id to answer to, so answer to none.
+        if (!isObject(message)) {
+            this.send({
+                jsonrpc: '2.0',
+                id: null,
+                error: {
+                    code: ErrorCode.INVALID_REQUEST,
+                    message: 'A message must be an object.'
+                }
+            });
+            return;
+        }
+
+        let isRequest = message.id !== undefined;
+
+        try {
+            if (typeof message.method != 'string') {
+                throw new ResponseError(ErrorCode.INVALID_REQUEST, 'Missing method.');
+            }
+
+            if (!this.initialized && message.method != 'initialize' &&
+                message.method != 'exit') {
+                throw new ResponseError(ErrorCode.SERVER_NOT_INITIALIZED,
+                    'The server has not been initialized.');
+            }
+
+            // After `shutdown`, the only thing left to do is exit.
+            if (this.isShutDown && message.method != 'exit') {
+                if (!isRequest) return;
+                throw new ResponseError(ErrorCode.INVALID_REQUEST,
+                    'The server has been shut down.');
+            }
+
+            // Only look at the table's own methods, not the ones every object
+            // inherits, like `toString`.
+            let handler = Object.prototype.hasOwnProperty.call(this.handlers, message.method)
+                ? this.handlers[message.method]
+                : null;
+            if (!handler) {
+                // Notifications that aren't understood, like `$/cancelRequest`,
+                // can be ignored.
+                if (!isRequest) return;
+                throw new ResponseError(ErrorCode.METHOD_NOT_FOUND,
+                    'Unknown method \'' + message.method + '\'.');
+            }
+
+            let result = handler.call(this, message.params || {});
+            if (isRequest) {
+                this.send({ jsonrpc: '2.0', id: message.id, result: result });
+            }
+        } catch (error) {
+            if (!isRequest) return;
+            this.send({
+                jsonrpc: '2.0',
+                id: message.id,
+                error: {
+                    code: error instanceof ResponseError
+                        ? error.code
+                        : ErrorCode.INTERNAL_ERROR,
+                    message: error.message
+                }
+            });
+        }
+    }
+
+    // Returns the open document at [uri].
+    document(uri) {
+        let document = this.documents.get(uri);
+        if (!document) {
+            throw new ResponseError(ErrorCode.INVALID_PARAMS,
+                'Unknown document \'' + uri + '\'.');
+        }
+        return document;
+    }
+
+    // Sends the lexical errors in the document at [uri] to the client.
+    publishDiagnostics(uri) {
+        let document = this.documents.get(uri);
+        this.send({
+            jsonrpc: '2.0',
+            method: 'textDocument/publishDiagnostics',
+            params: {
+                uri: uri,
+                diagnostics: document ? document.diagnostics.map(toLspDiagnostic) : []
+            }
+        });
+    }
+
+    // Returns the semantic tokens of [document] that overlap the offsets from
+    // [start] to [end], encoded the LSP way.
+    semanticTokens(document, start = 0, end = Infinity) {
+        let data = [];
+        let previousLine = 0;
+        let previousCharacter = 0;
+
+        for (let token of document.tokens) {
+            if (token.end <= start) continue;
+            if (token.start >= end) break;
+
+            let type = this.keywordTypes.has(token.type)
+                ? 'keyword'
+                : semanticTypes[tokenClass(token.type)];
+            if (type == null) continue;
+
+            let typeIndex = semanticTokensLegend.tokenTypes.indexOf(type);
+            let modifiers = token.type == 'TOKEN_STATIC_FIELD' ? STATIC_MODIFIER : 0;
+
+            // Tokens can't span lines, so a multiline string or comment gets one
+            // for each line.
+            let lines = document.lines;
+            for (let line = token.line; line <= token.endLine; line++) {
+                let lineStart = lines.lineStarts[line - 1];
+                let lineEnd = line < lines.lineCount
+                    ? lines.lineStarts[line] - 1
+                    : document.source.length;
+                if (document.source[lineEnd - 1] == '\r') lineEnd--;
+
+                let from = Math.max(token.start, lineStart);
+                let to = Math.min(token.end, lineEnd);
+                if (to <= from) continue;
+
+                let character = from - lineStart;
+                data.push(
+                    line - 1 - previousLine,
+                    line - 1 == previousLine ? character - previousCharacter : character,
+                    to - from,
+                    typeIndex,
+                    modifiers);
+                previousLine = line - 1;
+                previousCharacter = character;
+            }
+        }
+
+        return { data: data };
+    }
+}
+
+// Converts a 0-based LSP position to a 1-based one for [SourceDocument].
+function fromLspPosition(position) {
+    return { line: position.line + 1, column: position.character + 1 };
+}
+
+// Converts a lexer [diagnostic] to an LSP one.
+function toLspDiagnostic(diagnostic) {
+    return {
+        range: {
+            start: { line: diagnostic.line - 1, character: diagnostic.column - 1 },
+            end: { line: diagnostic.endLine - 1, character: diagnostic.endColumn - 1 }
+        },
+        severity: 1,
+        code: diagnostic.code,
+        source: 'wrent',
+        message: diagnostic.message
+    };
+}
+
+// The handlers for each method, called with the server as `this` and the
+// message's params. A request's handler returns its result.
+LanguageServer.prototype.handlers = {
+    'initialize'(params) {
+        this.options = Object.assign({}, this.options, params.initializationOptions);
+        this.keywordTypes = new Set(new Parser('', this.options).keywords.values());
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                // Incremental.
+                textDocumentSync: { openClose: true, change: 2 },
+                semanticTokensProvider: {
+                    legend: semanticTokensLegend,
+                    full: true,
+                    range: true
+                }
+            },
+            serverInfo: { name: 'wrent' }
+        };
+    },
+
+    'initialized'() {},
+
+    'shutdown'() {
+        this.isShutDown = true;
+        return null;
+    },
+
+    'exit'() {
+        this.exitCode = this.isShutDown ? 0 : 1;
+    },
+
+    'textDocument/didOpen'(params) {
+        let item = params.textDocument;
+        this.documents.set(item.uri, new SourceDocument(item.text,
+            Object.assign({}, this.options, {
+                trivia: true,
+                columnUnit: 'utf16'
+            })));
+        this.publishDiagnostics(item.uri);
+    },
+
+    'textDocument/didChange'(params) {
+        let uri = params.textDocument.uri;
+        let document = this.document(uri);
+
+        for (let change of params.contentChanges) {
+            if (change.range) {
+                document.edit({
+                    start: fromLspPosition(change.range.start),
+                    end: fromLspPosition(change.range.end)
+                }, change.text);
+            } else {
+                document.setText(change.text);
+            }
+        }
+
+        this.publishDiagnostics(uri);
+    },
+
+    'textDocument/didClose'(params) {
+        this.documents.delete(params.textDocument.uri);
+        this.publishDiagnostics(params.textDocument.uri);
+    },
+
+    'textDocument/semanticTokens/full'(params) {
+        return this.semanticTokens(this.document(params.textDocument.uri));
+    },
+
+    'textDocument/semanticTokens/range'(params) {
+        let document = this.document(params.textDocument.uri);
+        return this.semanticTokens(document,
+            document.offsetOf(fromLspPosition(params.range.start)),
+            document.offsetOf(fromLspPosition(params.range.end)));
+    }
+};
+
+// Reads JSON-RPC messages framed with `Content-Length` headers out of the
+// chunks of a stream, and calls [onMessage] with each one.
+export class MessageReader {
+    constructor(onMessage) {
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    // Adds the bytes in [chunk] and handles every message that's now complete.
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        for (;;) {
+            let headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd == -1) return;
+
+            let header = this.buffer.toString('ascii', 0, headerEnd);
+            let match = /^Content-Length: *(\d+)$/im.exec(header);
+            if (!match) {
+                // Skip a header we can't use rather than getting stuck on it.
+                this.buffer = this.buffer.subarray(headerEnd + 4);
+                continue;
+            }
+
+            let start = headerEnd + 4;
+            let end = start + Number(match[1]);
+            if (this.buffer.length < end) return;
+
+            let body = this.buffer.toString('utf8', start, end);
+            this.buffer = this.buffer.subarray(end);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                message = { parseError: error };
+            }
+            this.onMessage(message);
+        }
+    }
+}
+
+// Returns [message] framed for sending.
+export function frameMessage(message) {
+    let body = Buffer.from(JSON.stringify(message), 'utf8');
+    return Buffer.concat([
+        Buffer.from('Content-Length: ' + body.length + '\r\n\r\n', 'ascii'),
+        body
+    ]);
+}
+
+// Runs a server that reads messages from the stream [input] and writes them to
+// [output]. Returns a promise for the exit status, which settles when the
+// client asks the server to exit or [input] ends.
+export function serve(input, output, options = {}) {
+    return new Promise((resolve) => {
+        let server = new LanguageServer((message) => output.write(frameMessage(message)),
+            options);
+
+        let reader = new MessageReader((message) => {
+            if (isObject(message) && message.parseError instanceof Error) {
+                output.write(frameMessage({
+                    jsonrpc: '2.0',
+                    id: null,
+                    error: {
+                        code: ErrorCode.PARSE_ERROR,
+                        message: message.parseError.message
+                    }
+                }));
+                return;
+            }
+
+            server.handle(message);
+            if (server.exitCode != null) {
+                input.removeListener('data', onData);
+                resolve(server.exitCode);
+            }
+        });
+
+        let onData = (chunk) => reader.push(chunk);
+        input.on('data', onData);
+        input.on('end', () => resolve(server.isShutDown ? 0 : 1));
+    });
+}
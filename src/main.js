@@ -1,45 +1,248 @@
 
-// The maximum depth that interpolation can nest. For example, this string has
-// three levels:
+import { LineIndex, countUnits } from './lines.js';
+import { TokenBuffer } from './buffer.js';
+
+// The maximum depth that interpolation can nest by default, the same as the
+// Wren VM. For example, this string has three levels:
 //
 //      "outside %(one + "%(two + "%(three)")")"
-let MAX_INTERPOLATION_NESTING = 8;
+export const MAX_INTERPOLATION_NESTING = 8;
+
+// The largest hex literal Wren accepts, which is what fits in a signed 64-bit
+// integer for strtoll().
+const MAX_HEX_LITERAL = 0x7fffffffffffffffn;
+
+
+// The reserved words of Wren 0.3.
+const keywords03 = [
+    'break', 'class', 'construct', 'else', 'false', 'for', 'foreign', 'if',
+    'import', 'in', 'is', 'null', 'return', 'static', 'super', 'this', 'true',
+    'var', 'while'
+];
+
+// What the lexer accepts in each version of Wren it supports, keyed by the
+// version's number:
+//
+// * `keywords`: The reserved words. A keyword's token type is its name in
+//   upper case, like TOKEN_CONTINUE for `continue`.
+// * `rawStrings`: Whether `"""` begins a raw string. Without them, `"""` is an
+//   empty string followed by the start of another one.
+// * `exponentPlus`: Whether an exponent can have a `+` sign, as in `1e+3`.
+// * `escapeE`: Whether `\e` is an escape for the escape character.
+// * `attributes`: Whether `#` begins an attribute, as in `#key = value` or
+//   `#!runtime`, and is lexed as TOKEN_HASH. Without them, `#` is only
+//   allowed in a shebang.
+export const languageVersions = Object.freeze({
+    '0.3': Object.freeze({
+        keywords: Object.freeze(keywords03),
+        rawStrings: false,
+        exponentPlus: false,
+        escapeE: false,
+        attributes: false
+    }),
+    '0.4': Object.freeze({
+        keywords: Object.freeze(keywords03.concat(['as', 'continue']).sort()),
+        rawStrings: true,
+        exponentPlus: true,
+        escapeE: true,
+        attributes: true
+    })
+});
+
+// The version [Parser] lexes when it isn't given a `languageVersion`.
+export const DEFAULT_LANGUAGE_VERSION = '0.4';
+
+// Returns the token type of the keyword [name].
+function keywordType(name) {
+    return 'TOKEN_' + name.toUpperCase();
+}
+
+// The token types of the keywords in any version.
+const keywordTypes = new Set(Object.values(languageVersions)
+    .flatMap((version) => version.keywords.map(keywordType)));
 
+// The keyword lookup table for each version, built on first use. Maps each
+// keyword to its token type.
+const keywordTables = new Map();
 
-class Keyword {
-    constructor(identifier, length, tokenType) {
-        this.identifier = identifier;
-        this.length = length;
-        this.tokenType = tokenType;
+// Returns the keyword lookup table for [version].
+function keywordTable(version) {
+    if (!keywordTables.has(version)) {
+        keywordTables.set(version, new Map(languageVersions[version].keywords
+            .map((name) => [name, keywordType(name)])));
     }
+    return keywordTables.get(version);
 }
 
-// The table of reserved words and their associated token types.
-let keywords = [
-    new Keyword('break',     5, 'TOKEN_BREAK'),
-    new Keyword('class',     5, 'TOKEN_CLASS'),
-    new Keyword('construct', 9, 'TOKEN_CONSTRUCT'),
-    new Keyword('else',      4, 'TOKEN_ELSE'),
-    new Keyword('false',     5, 'TOKEN_FALSE'),
-    new Keyword('for',       3, 'TOKEN_FOR'),
-    new Keyword('foreign',   7, 'TOKEN_FOREIGN'),
-    new Keyword('if',        2, 'TOKEN_IF'),
-    new Keyword('import',    6, 'TOKEN_IMPORT'),
-    new Keyword('in',        2, 'TOKEN_IN'),
-    new Keyword('is',        2, 'TOKEN_IS'),
-    new Keyword('null',      4, 'TOKEN_NULL'),
-    new Keyword('return',    6, 'TOKEN_RETURN'),
-    new Keyword('static',    6, 'TOKEN_STATIC'),
-    new Keyword('super',     5, 'TOKEN_SUPER'),
-    new Keyword('this',      4, 'TOKEN_THIS'),
-    new Keyword('true',      4, 'TOKEN_TRUE'),
-    new Keyword('var',       3, 'TOKEN_VAR'),
-    new Keyword('while',     5, 'TOKEN_WHILE'),
-    new Keyword(null,        0, 'TOKEN_EOF') // Sentinel to mark the end of the array.
-];
+// The token types of comments, whitespace and shebangs.
+const triviaTypes = new Set(['TOKEN_COMMENT', 'TOKEN_WHITESPACE', 'TOKEN_SHEBANG']);
+
+// The token types that the compiler ignores a newline before. See
+// [Parser.skipNewline()].
+const newlineIgnoringBeforeTypes = new Set([
+    'TOKEN_RIGHT_PAREN', 'TOKEN_RIGHT_BRACKET', 'TOKEN_DOT'
+]);
+
+// The token types that the compiler ignores a newline after. Not `{`, since
+// the newline after it is what makes a block of statements.
+const newlineIgnoringTypes = new Set([
+    'TOKEN_COMMA', 'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_DOT', 'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH',
+    'TOKEN_PERCENT', 'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT',
+    'TOKEN_PIPE', 'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP',
+    'TOKEN_BANG', 'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_COLON', 'TOKEN_EQ',
+    'TOKEN_LT', 'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ',
+    'TOKEN_BANGEQ', 'TOKEN_IS', 'TOKEN_INTERPOLATION'
+]);
+
+// The token types that a `{` begins a map literal after, rather than a block,
+// since an expression comes next. See [Parser.skipNewline()].
+const mapPrecedingTypes = new Set([
+    'TOKEN_COMMA', 'TOKEN_LEFT_PAREN', 'TOKEN_LEFT_BRACKET', 'TOKEN_LEFT_BRACE',
+    'TOKEN_DOTDOT', 'TOKEN_DOTDOTDOT', 'TOKEN_STAR', 'TOKEN_SLASH', 'TOKEN_PERCENT',
+    'TOKEN_PLUS', 'TOKEN_MINUS', 'TOKEN_LTLT', 'TOKEN_GTGT', 'TOKEN_PIPE',
+    'TOKEN_PIPEPIPE', 'TOKEN_CARET', 'TOKEN_AMP', 'TOKEN_AMPAMP', 'TOKEN_BANG',
+    'TOKEN_TILDE', 'TOKEN_QUESTION', 'TOKEN_COLON', 'TOKEN_EQ', 'TOKEN_LT',
+    'TOKEN_GT', 'TOKEN_LTEQ', 'TOKEN_GTEQ', 'TOKEN_EQEQ', 'TOKEN_BANGEQ',
+    'TOKEN_IS', 'TOKEN_INTERPOLATION', 'TOKEN_RETURN', 'TOKEN_IN'
+]);
+
+// The token types of the operators a class can define a getter for, like
+// `- { ... }`.
+const prefixOperatorTypes = new Set(['TOKEN_MINUS', 'TOKEN_BANG', 'TOKEN_TILDE']);
+
+// Returns true if [type] is the token type of a reserved word in any version
+// of Wren.
+export function isKeywordType(type) {
+    return keywordTypes.has(type);
+}
+
+export { LineIndex } from './lines.js';
+export { TokenBuffer, tokenTypes } from './buffer.js';
+export { SourceDocument } from './document.js';
+export { parse, parseTokens, ParseErrorCode } from './ast.js';
+export { transpile, run, TranspileErrorCode } from './transpiler.js';
+export { WrenRuntimeError } from './runtime.js';
+export { highlight, tokenClass, ansiTheme } from './highlight.js';
+export { format } from './formatter.js';
+export { findImports } from './imports.js';
+export { outline, ctags } from './outline.js';
+export { Linter, applyFixes, builtinRules } from './linter.js';
+export { extractWren, tokenizeEmbedded, lintEmbedded, fixEmbedded } from './embedded.js';
+
+// Stable codes for every lexical error, so tools can match on the kind of error
+// without parsing its message.
+export const LexErrorCode = Object.freeze({
+    UNTERMINATED_BLOCK_COMMENT: 'LEX_UNTERMINATED_BLOCK_COMMENT',
+    UNTERMINATED_SCIENTIFIC_NOTATION: 'LEX_UNTERMINATED_SCIENTIFIC_NOTATION',
+    INCOMPLETE_ESCAPE: 'LEX_INCOMPLETE_ESCAPE',
+    INVALID_ESCAPE: 'LEX_INVALID_ESCAPE',
+    INVALID_ESCAPE_CHARACTER: 'LEX_INVALID_ESCAPE_CHARACTER',
+    UNTERMINATED_STRING: 'LEX_UNTERMINATED_STRING',
+    UNTERMINATED_RAW_STRING: 'LEX_UNTERMINATED_RAW_STRING',
+    EXPECTED_INTERPOLATION: 'LEX_EXPECTED_INTERPOLATION',
+    INTERPOLATION_TOO_DEEP: 'LEX_INTERPOLATION_TOO_DEEP',
+    INVALID_CHARACTER: 'LEX_INVALID_CHARACTER',
+    INVALID_BYTE: 'LEX_INVALID_BYTE',
+    MISSING_HEX_DIGITS: 'LEX_MISSING_HEX_DIGITS',
+    NUMBER_OUT_OF_RANGE: 'LEX_NUMBER_OUT_OF_RANGE'
+});
+
+// Thrown by [Parser] for the first lexical error when it is created with
+// `throwOnError`. The error's [diagnostic] holds the details.
+export class LexError extends Error {
+    constructor(diagnostic) {
+        super(diagnostic.line + ':' + diagnostic.column + ': ' + diagnostic.message);
+        this.name = 'LexError';
+        this.diagnostic = diagnostic;
+    }
+}
+
+// Returns the UTF-8 bytes in [bytes] as a byte string, with one character per
+// byte.
+function toByteString(bytes) {
+    let chunks = [];
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return chunks.join('');
+}
+
+// Decodes the UTF-8 in the byte string [string]. Malformed bytes become U+FFFD.
+function fromByteString(string) {
+    // ASCII is the same either way.
+    if (!/[\x80-\xff]/.test(string)) return string;
+
+    let bytes = new Uint8Array(string.length);
+    for (let i = 0; i < string.length; i++) bytes[i] = string.charCodeAt(i);
+    return new TextDecoder().decode(bytes);
+}
+
+// Returns true if the character code [c] can begin a name. Digits can continue
+// one too.
+function isName(c) {
+    return (c >= 97 /* a */ && c <= 122 /* z */) ||
+        (c >= 65 /* A */ && c <= 90 /* Z */) || c == 95 /* _ */;
+}
+
+// Returns true if the character code [c] is a digit.
+function isDigit(c) {
+    return c >= 48 /* 0 */ && c <= 57 /* 9 */;
+}
 
 export class Parser {
-    constructor(source) {
+    // Tokenizes [source], either a string or the UTF-8 bytes of one in a
+    // `Uint8Array` (or a Node `Buffer`). [options] may contain:
+    //
+    // * `printErrors`: Whether lexical errors are written to the console as they
+    //   are found, as well as kept in [diagnostics]. Defaults to `false`.
+    // * `throwOnError`: If `true`, the first lexical error throws a [LexError]
+    //   instead of being recorded and skipped.
+    // * `offsetUnit`: What token and error offsets count, either 'utf16' for
+    //   UTF-16 code units or 'byte' for UTF-8 bytes. Defaults to 'byte' for
+    //   bytes and 'utf16' for a string. With 'byte', the source is lexed byte
+    //   by byte exactly like the C lexer does, so offsets and errors match
+    //   what the Wren VM reports.
+    // * `columnUnit`: How token and error columns are counted: 'utf16' for
+    //   UTF-16 code units, 'codepoint' for code points or 'byte' for UTF-8
+    //   bytes. Defaults to the same as [offsetUnit].
+    // * `trivia`: If `true`, comments, whitespace and a leading shebang are kept
+    //   as TOKEN_COMMENT, TOKEN_WHITESPACE and TOKEN_SHEBANG tokens, so joining
+    //   the text of every token gives back [source] exactly.
+    // * `lazy`: If `true`, nothing is lexed up front. Instead, iterating the
+    //   parser lexes and yields one token at a time without keeping them
+    //   around, so a lazy parser can only be iterated once.
+    // * `maxInterpolationNesting`: How deep interpolation can nest before it's
+    //   an error. Defaults to [MAX_INTERPOLATION_NESTING].
+    // * `skipNewlines`: If `true`, newlines are only kept where they end a
+    //   statement or begin a block, so the tokens can be parsed without most of
+    //   Wren's newline rules. See [skipNewline()].
+    // * `compact`: If `true`, [tokens] is a [TokenBuffer] that keeps them in
+    //   typed arrays instead of as objects, which saves a lot of memory when
+    //   lexing a lot of source. A compact parser can't be [lazy].
+    // * `languageVersion`: Which version of Wren to lex, one of the keys of
+    //   [languageVersions]. Defaults to [DEFAULT_LANGUAGE_VERSION].
+    // * `extraKeywords`: Names to lex as keywords on top of the version's, for
+    //   embedders that reserve words of their own. Each gets a token type from
+    //   its name, like TOKEN_AWAIT for `await`.
+    // * `excludedKeywords`: Keywords of the version to lex as plain names
+    //   instead.
+    constructor(source, options = {}) {
+        let bytes = source instanceof Uint8Array ? source : null;
+
+        // Either 'utf16' or 'byte'. See [isBytes].
+        this.offsetUnit = options.offsetUnit || (bytes ? 'byte' : 'utf16');
+
+        // Whether [source] is a byte string of UTF-8 bytes, one per character,
+        // rather than text. Like the C lexer, everything outside of string
+        // literals is ASCII, so lexing bytes only changes what happens to
+        // non-ASCII characters outside of them.
+        this.isBytes = this.offsetUnit == 'byte';
+        if (this.isBytes) {
+            source = toByteString(bytes || new TextEncoder().encode(source));
+        } else if (bytes) {
+            source = new TextDecoder().decode(bytes);
+        }
+
         // The source code being parsed.
         this.source = source;
 
@@ -50,7 +253,51 @@ export class Parser {
         this.currentChar = 0;
 
         // The 1-based line number of [currentChar].
-        this.currentLine = 0;
+        this.currentLine = 1;
+
+        // The offset in [source] where [currentLine] begins.
+        this.lineStart = 0;
+
+        // The line of [tokenStart] and the offset where that line begins.
+        this.tokenLine = 1;
+        this.tokenLineStart = 0;
+
+        // Either 'utf16', 'codepoint' or 'byte'. See [columnAt()].
+        this.columnUnit = options.columnUnit || this.offsetUnit;
+
+        // The version of Wren being lexed, and what it accepts.
+        this.languageVersion = options.languageVersion || DEFAULT_LANGUAGE_VERSION;
+        if (!Object.prototype.hasOwnProperty.call(languageVersions, this.languageVersion)) {
+            throw new RangeError('Unknown Wren language version \'' +
+                this.languageVersion + '\'. Expected ' +
+                Object.keys(languageVersions).join(', ') + '.');
+        }
+        this.language = languageVersions[this.languageVersion];
+
+        // Maps each reserved word to its token type.
+        this.keywords = keywordTable(this.languageVersion);
+        if (options.extraKeywords || options.excludedKeywords) {
+            this.keywords = new Map(this.keywords);
+            for (let name of options.extraKeywords || []) {
+                this.keywords.set(name, keywordType(name));
+            }
+            for (let name of options.excludedKeywords || []) {
+                this.keywords.delete(name);
+            }
+        }
+
+        // The length of the longest keyword, and which characters they start
+        // with. Other names aren't looked up.
+        this.maxKeywordLength = 0;
+        this.keywordInitials = new Uint8Array(128);
+        for (let name of this.keywords.keys()) {
+            this.maxKeywordLength = Math.max(this.maxKeywordLength, name.length);
+            this.keywordInitials[name.charCodeAt(0)] = 1;
+        }
+
+        // Maps offsets to lines and columns for diagnostics. Built on demand by
+        // [locate()].
+        this.lineIndex = null;
 
         // The most recently lexed token.
         this.current = {
@@ -81,111 +328,324 @@ export class Parser {
         // This tracks that state. The parser maintains a stack of ints, one for each
         // level of current interpolation nesting. Each value is the number of
         // unmatched "(" that are waiting to be closed.
-        this.parens = Array(MAX_INTERPOLATION_NESTING);
+        this.maxInterpolationNesting = options.maxInterpolationNesting == null
+            ? MAX_INTERPOLATION_NESTING
+            : options.maxInterpolationNesting;
+        this.parens = Array(this.maxInterpolationNesting);
         this.numParens = 0;
 
-        // If subsequent newline tokens should be discarded.
-        this.skipNewlines;
+        // Whether newlines that the compiler would ignore are left out. See
+        // [skipNewline()].
+        this.skipNewlines = options.skipNewlines === true;
+
+        // The type of the last token added that wasn't trivia or a newline, or
+        // `null` if there hasn't been one.
+        this.lastType = null;
+
+        // Whether the tokens since the last `{` are the start of a block's
+        // parameter list, and whether the last token added ended one. See
+        // [skipNewline()].
+        this.inParameters = false;
+        this.endedParameters = false;
+
+        // Whether each `{` that hasn't been closed yet began a map literal,
+        // innermost last, and whether the last token added began a line. See
+        // [skipNewline()].
+        this.braces = [];
+        this.beganLine = false;
 
-        // Whether compile errors should be printed to stderr or discarded.
-        this.printErrors;
+        // The index in [tokens] of a newline that may still be left out when
+        // [skipNewlines] is on, or -1. See [skipNewline()].
+        this.pendingLine = -1;
+
+        // Whether compile errors should be printed to stderr as well as kept.
+        this.printErrors = options.printErrors === true;
+
+        // Whether the first error should be thrown instead of recovered from.
+        this.throwOnError = options.throwOnError === true;
 
         // If a syntax or compile error has occurred.
-        this.hasError;
+        this.hasError = false;
+
+        // Every lexical error found so far, in source order. See [lexError()] for
+        // the shape of each entry.
+        this.diagnostics = [];
+
+        // Whether comments, whitespace and shebangs are kept as tokens.
+        this.trivia = options.trivia === true;
+
+        // Whether tokens are kept in a [TokenBuffer] instead of as objects.
+        this.compact = options.compact === true;
+
+        // Whether tokens are lexed on demand while iterating.
+        this.lazy = options.lazy === true && !this.compact;
+
+        // The lexed tokens. When [lazy], only the ones that haven't been yielded
+        // by the iterator yet.
+        this.tokens = this.compact ? new TokenBuffer(this, this.source.length >> 2) : [];
 
+        if (!this.lazy) {
+            do {
+                this.nextToken();
+            } while (this.current.type != 'TOKEN_EOF');
+        }
+    }
+
+    // Yields each token in turn, ending with TOKEN_EOF. Stopping early means the
+    // rest of the source is never lexed when the parser is [lazy].
+    *[Symbol.iterator]() {
+        let i = 0;
+        for (;;) {
+            // A newline that may still be left out isn't ready to hand out.
+            let ready = this.pendingLine == -1 ? this.tokens.length : this.pendingLine;
+            if (i < ready) {
+                yield this.compact ? this.tokens.token(i++) : this.tokens[i++];
+                continue;
+            }
 
-        this.tokens = [];
+            if (this.current.type == 'TOKEN_EOF') return;
+
+            // Let go of the tokens that have already been handed out.
+            if (this.lazy) {
+                this.tokens.splice(0, i);
+                if (this.pendingLine != -1) this.pendingLine -= i;
+                i = 0;
+            }
 
-        for (let i = 0; i < 85; i++) {
             this.nextToken();
         }
+    }
 
+    // Returns a copy of the interpolation state: the number of unmatched "(" at
+    // each level of nesting.
+    saveInterpolation() {
+        return this.parens.slice(0, this.numParens);
     }
 
-    // Returns true if [c] is a valid (non-initial) identifier character.
-    isName(c) {
-        return (c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c == '_';
+    // Moves the lexer to [offset], the start of [line], with [parens] from
+    // [saveInterpolation()] as the interpolation state. This lets lexing pick up
+    // in the middle of [source] as long as [offset] isn't inside a token.
+    resumeAt(offset, line, parens) {
+        this.currentChar = offset;
+        this.currentLine = line;
+        this.lineStart = offset;
+        this.startToken();
+
+        for (let i = 0; i < parens.length; i++) this.parens[i] = parens[i];
+        this.numParens = parens.length;
+
+        this.lastType = null;
+        this.inParameters = false;
+        this.endedParameters = false;
+        this.braces = [];
+        this.beganLine = false;
+        this.pendingLine = -1;
+
+        this.current = {
+            type: undefined,
+            length: 0,
+            line: 0,
+            value: undefined
+        };
     }
 
-    // Returns true if [c] is a digit.
-    isDigit(c) {
-        return c >= '0' && c <= '9';
+    // Returns true if the whole source has been consumed.
+    isAtEnd() {
+        return this.currentChar >= this.source.length;
     }
 
-    // Returns the current character the parser is sitting on.
+    // Returns the code of the current character the parser is sitting on, or 0
+    // (a NUL character) past the end of the source. Don't use that to detect
+    // the end, since the source may contain a NUL character. Use [isAtEnd()]
+    // instead.
     peekChar() {
-        return this.source[this.currentChar];
+        if (this.isAtEnd()) return 0;
+        return this.source.charCodeAt(this.currentChar);
     }
 
-    // Returns the character after the current character.
+    // Returns the code of the character after the current character.
     peekNextChar() {
-        return this.source[this.currentChar + 1];
+        if (this.currentChar + 1 >= this.source.length) return 0;
+        return this.source.charCodeAt(this.currentChar + 1);
     }
 
-    // Advances the parser forward one character.
+    // Advances the parser forward one character and returns its code. Does
+    // nothing at the end of the source.
     nextChar() {
-        let c = this.peekChar();
-        this.currentChar++;
-        if (c == '\n') this.currentLine++;
+        if (this.isAtEnd()) return 0;
+
+        let c = this.source.charCodeAt(this.currentChar++);
+        if (c == 10 /* \n */) {
+            this.currentLine++;
+            this.lineStart = this.currentChar;
+        }
         return c;
     }
 
-    // If the current character is [c], consumes it and returns `true`.
+    // If the current character's code is [c], consumes it and returns `true`.
     matchChar(c) {
         if (this.peekChar() != c) return false;
         this.nextChar();
         return true;
     }
 
+    // Marks the current character as the beginning of the next token.
+    startToken() {
+        this.tokenStart = this.currentChar;
+        this.tokenLine = this.currentLine;
+        this.tokenLineStart = this.lineStart;
+    }
+
+    // Returns the 1-based column of [offset], which is on the line beginning at
+    // [lineStart], counted in [columnUnit].
+    columnAt(offset, lineStart) {
+        return countUnits(this.source, lineStart, offset, this.columnUnit,
+            this.isBytes) + 1;
+    }
+
+    // Returns the text of the source between [start] and [end]. Text is always
+    // text, even when the source is bytes.
+    textAt(start, end) {
+        let text = this.source.slice(start, end);
+        return this.isBytes ? fromByteString(text) : text;
+    }
+
     // Sets the parser's current token to the given [type] and current character
-    // range.
-    makeToken(type) {
+    // range. Literals whose decoded [value] differs from their source text (like
+    // strings with escapes) pass it in, otherwise the value is the text itself.
+    makeToken(type, value) {
         this.current.type = type;
         this.current.start = this.tokenStart;
         this.current.length = this.currentChar - this.tokenStart;
-        this.current.line = this.currentLine;
+        // Tokens are on the line they start on, so line tokens appear on the line
+        // containing the "\n".
+        this.current.line = this.tokenLine;
 
-        // Make line tokens appear on the line containing the "\n".
-        if (type == 'TOKEN_LINE') this.current.line--;
+        if (value !== undefined) this.current.value = value;
 
+        if (this.skipNewlines) {
+            type = this.skipNewline(type);
+            if (type == null) return;
+        }
+
+        if (this.compact) {
+            this.tokens.push(type, this.tokenStart, this.currentChar, this.tokenLine,
+                value);
+            return;
+        }
+
+        let text = this.textAt(this.tokenStart, this.currentChar);
+
+        // The end position is just past the last character of the token.
         this.tokens.push({
             type: type,
-            value: this.source.substr(this.current.start, this.current.length),
-            line: this.current.line
-
+            text: text,
+            value: value !== undefined ? value : text,
+            line: this.tokenLine,
+            column: this.columnAt(this.tokenStart, this.tokenLineStart),
+            endLine: this.currentLine,
+            endColumn: this.columnAt(this.currentChar, this.lineStart),
+            start: this.tokenStart,
+            end: this.currentChar
         });
     }
 
-    // If the current character is [c], then consumes it and makes a token of type
-    // [two]. Otherwise makes a token of type [one].
+    // Applies [skipNewlines] to a token of [type] that's about to be added, and
+    // returns the type to add it as, or `null` to leave it out.
+    //
+    // A newline is left out when it follows another newline, begins the source,
+    // or comes where the compiler ignores newlines: after an operator or one of
+    // `,` `(` `[` `.`, or before one of `)` `]` `.`, so a chain of method calls
+    // can go on over several lines. With [trivia], the left out newlines are
+    // kept as TOKEN_WHITESPACE so the text still adds up to the source.
+    //
+    // A newline that may still be left out is added, and [pendingLine]
+    // remembers where, until the next token shows whether it's needed.
+    //
+    // The newline after a `{`, or after the `|` that ends a block's
+    // parameters, is kept, since it's what tells a block of statements from a
+    // single-expression body like `{ x + 1 }`. A `{` where an expression goes,
+    // like after `=` or `(`, begins a map literal instead, and the newlines
+    // after it and before its `}` are left out, the way the compiler ignores
+    // them. An operator getter like `- {` at the start of a line is taken for a
+    // block.
+    skipNewline(type) {
+        if (triviaTypes.has(type)) return type;
+
+        let inMap = this.braces.length > 0 && this.braces[this.braces.length - 1];
+        if (type == 'TOKEN_LINE') {
+            if (this.pendingLine == -1 && this.lastType != null &&
+                (!newlineIgnoringTypes.has(this.lastType) || this.endedParameters) &&
+                !(this.lastType == 'TOKEN_LEFT_BRACE' && inMap)) {
+                this.pendingLine = this.tokens.length;
+                return type;
+            }
+            return this.trivia ? 'TOKEN_WHITESPACE' : null;
+        }
+
+        if (this.pendingLine != -1 && (newlineIgnoringBeforeTypes.has(type) ||
+            type == 'TOKEN_RIGHT_BRACE' && inMap)) {
+            // Without trivia, nothing comes after the newline.
+            if (!this.trivia) {
+                this.tokens.pop();
+            } else if (this.compact) {
+                this.tokens.setType(this.pendingLine, 'TOKEN_WHITESPACE');
+            } else {
+                this.tokens[this.pendingLine].type = 'TOKEN_WHITESPACE';
+            }
+        }
+
+        // A `|` right after a `{` begins a block's parameters, which are names
+        // and commas up to the `|` that ends them.
+        this.endedParameters = type == 'TOKEN_PIPE' && this.inParameters;
+        this.inParameters = type == 'TOKEN_PIPE'
+            ? this.lastType == 'TOKEN_LEFT_BRACE'
+            : this.inParameters && (type == 'TOKEN_NAME' || type == 'TOKEN_COMMA');
+
+        if (type == 'TOKEN_LEFT_BRACE') {
+            this.braces.push(mapPrecedingTypes.has(this.lastType) &&
+                !(prefixOperatorTypes.has(this.lastType) && this.beganLine));
+        } else if (type == 'TOKEN_RIGHT_BRACE') {
+            this.braces.pop();
+        }
+
+        this.beganLine = this.pendingLine != -1;
+        this.pendingLine = -1;
+        this.lastType = type;
+        return type;
+    }
+
+    // If the current character's code is [c], then consumes it and makes a token
+    // of type [two]. Otherwise makes a token of type [one].
     twoCharToken(c, two, one) {
         this.makeToken(this.matchChar(c) ? two : one);
     }
 
     // Skips the rest of the current line.
     skipLineComment() {
-        while (this.peekChar() != '\n' && this.peekChar() != '\0') {
-            this.nextChar();
-        }
+        let end = this.source.indexOf('\n', this.currentChar);
+        this.currentChar = end == -1 ? this.source.length : end;
     }
 
     // Skips the rest of a block comment.
     skipBlockComment() {
         let nesting = 1;
         while (nesting > 0) {
-            if (this.peekChar() == '\0') {
-                this.lexError('Unterminated block comment.');
+            if (this.isAtEnd()) {
+                this.lexError(LexErrorCode.UNTERMINATED_BLOCK_COMMENT,
+                    'Unterminated block comment.');
                 return;
             }
 
-            if (this.peekChar() == '/' && this.peekNextChar() == '*') {
+            let c = this.peekChar();
+            if (c == 47 /* / */ && this.peekNextChar() == 42 /* * */) {
                 this.nextChar();
                 this.nextChar();
                 nesting++;
                 continue;
             }
 
-            if (this.peekChar() == '*' && this.peekNextChar() == '/') {
+            if (c == 42 /* * */ && this.peekNextChar() == 47 /* / */) {
                 this.nextChar();
                 this.nextChar();
                 nesting--;
@@ -200,27 +660,53 @@ export class Parser {
     // Reads the next character, which should be a hex digit (0-9, a-f, or A-F) and
     // returns its numeric value. If the character isn't a hex digit, returns -1.
     readHexDigit() {
-        let c = this.nextChar();
-        if (c >= '0' && c <= '9') return c - '0';
-        if (c >= 'a' && c <= 'f') return c - 'a' + 10;
-        if (c >= 'A' && c <= 'F') return c - 'A' + 10;
+        let c = this.peekChar();
+        let digit = -1;
+        if (c >= 48 /* 0 */ && c <= 57 /* 9 */) digit = c - 48;
+        else if (c >= 97 /* a */ && c <= 102 /* f */) digit = c - 97 + 10;
+        else if (c >= 65 /* A */ && c <= 70 /* F */) digit = c - 65 + 10;
 
         // Don't consume it if it isn't expected. Keeps us from reading past the end
         // of an unterminated string.
-        this.currentChar--;
-        return -1;
+        if (digit != -1) this.nextChar();
+        return digit;
     }
 
-    // Parses the numeric value of the current token.
+    // Parses the numeric value of the current token. Like Wren, a literal that
+    // is out of range is an error and gets the value 0.
     makeNumber(isHex) {
+        let text = this.source.slice(this.tokenStart, this.currentChar);
+        let value;
 
         if (isHex) {
-            this.current.value = parseInt(this.tokenStart, 16);
+            if (text.length == 2) {
+                this.lexError(LexErrorCode.MISSING_HEX_DIGITS,
+                    'Expect hex digits after \'0x\'.');
+                value = 0;
+            } else if (text.length >= 18 && BigInt(text) > MAX_HEX_LITERAL) {
+                // Anything with fewer than 16 digits fits.
+                this.lexError(LexErrorCode.NUMBER_OUT_OF_RANGE,
+                    'Number literal was too large.');
+                value = 0;
+            } else {
+                value = text.length > 15 ? Number(BigInt(text)) : parseInt(text, 16);
+            }
         } else {
-            this.current.value = parseFloat(this.tokenStart);
+            // parseFloat() stops at an unterminated exponent, the way strtod()
+            // does, so "1e" is still 1.
+            //
+            // strtod() sets ERANGE when a number underflows to 0 as well as when
+            // it overflows, and the C lexer calls both too large.
+            value = parseFloat(text);
+            let isUnderflow = value == 0 && /[1-9]/.test(text.split(/[eE]/)[0]);
+            if (value == Infinity || isUnderflow) {
+                this.lexError(LexErrorCode.NUMBER_OUT_OF_RANGE,
+                    'Number literal was too large.');
+                value = 0;
+            }
         }
 
-        this.makeToken('TOKEN_NUMBER');
+        this.makeToken('TOKEN_NUMBER', value);
     }
 
     // Finishes lexing a hexadecimal number literal.
@@ -236,25 +722,29 @@ export class Parser {
 
     // Finishes lexing a number literal.
     readNumber() {
-        while (this.isDigit(this.peekChar())) this.nextChar();
+        while (isDigit(this.peekChar())) this.nextChar();
 
         // See if it has a floating point. Make sure there is a digit after the "."
         // so we don't get confused by method calls on number literals.
-        if (this.peekChar() == '.' && this.isDigit(this.peekNextChar())) {
+        if (this.peekChar() == 46 /* . */ && isDigit(this.peekNextChar())) {
             this.nextChar();
-            while (this.isDigit(this.peekChar())) this.nextChar();
+            while (isDigit(this.peekChar())) this.nextChar();
         }
 
         // See if the number is in scientific notation.
-        if (this.matchChar('e') || this.matchChar('E')) {
-        // Allow a negative exponent.
-            this.matchChar('-');
+        if (this.matchChar(101 /* e */) || this.matchChar(69 /* E */)) {
+            // Allow a single negative exponent sign, or a positive one since
+            // Wren 0.4.
+            if (!this.language.exponentPlus || !this.matchChar(43 /* + */)) {
+                this.matchChar(45 /* - */);
+            }
 
-            if (!this.isDigit(this.peekChar())) {
-                this.lexError('Unterminated scientific notation.');
+            if (!isDigit(this.peekChar())) {
+                this.lexError(LexErrorCode.UNTERMINATED_SCIENTIFIC_NOTATION,
+                    'Unterminated scientific notation.');
             }
 
-            while (this.isDigit(this.peekChar())) this.nextChar();
+            while (isDigit(this.peekChar())) this.nextChar();
         }
 
         this.makeNumber(false);
@@ -262,19 +752,19 @@ export class Parser {
 
     // Finishes lexing an identifier. Handles reserved words.
     readName(type) {
-        while (this.isName(this.peekChar()) || this.isDigit(this.peekChar())) {
+        let c = this.peekChar();
+        while (isName(c) || isDigit(c)) {
             this.nextChar();
+            c = this.peekChar();
         }
 
-        // Update the type if it's a keyword.
-        let length = this.currentChar - this.tokenStart;
-        for (let i = 0; i < keywords.length; i++) {
-            let name = this.source.substr(this.tokenStart, length);
-            if (name.length == keywords[i].length &&
-                name == keywords[i].identifier) {
-                type = keywords[i].tokenType;
-                break;
-            }
+        // Update the type if it's a keyword. Most names can't be one, so only
+        // look them up if they could be.
+        if (this.currentChar - this.tokenStart <= this.maxKeywordLength &&
+            this.keywordInitials[this.source.charCodeAt(this.tokenStart)] == 1) {
+            let keyword = this.keywords.get(
+                this.source.slice(this.tokenStart, this.currentChar));
+            if (keyword !== undefined) type = keyword;
         }
 
         this.makeToken(type);
@@ -282,10 +772,13 @@ export class Parser {
 
     // Reads [digits] hex digits in a string literal and returns their number value.
     readHexEscape(digits, description) {
+        // Where the escape's "\" is, to point errors at the whole sequence.
+        let escapeStart = this.currentChar - 2;
         let value = 0;
         for (let i = 0; i < digits; i++) {
-            if (this.peekChar() == '"' || this.peekChar() == '\0') {
-                this.lexError('Incomplete ' + description + ' escape sequence.');
+            if (this.peekChar() == 34 /* " */ || this.isAtEnd()) {
+                this.lexError(LexErrorCode.INCOMPLETE_ESCAPE,
+                    'Incomplete ' + description + ' escape sequence.', escapeStart);
 
                 // Don't consume it if it isn't expected. Keeps us from reading past the
                 // end of an unterminated string.
@@ -295,7 +788,8 @@ export class Parser {
 
             let digit = this.readHexDigit();
             if (digit == -1) {
-                this.lexError('Invalid ' + description + ' escape sequence.');
+                this.lexError(LexErrorCode.INVALID_ESCAPE,
+                    'Invalid ' + description + ' escape sequence.', escapeStart);
                 break;
             }
 
@@ -305,86 +799,205 @@ export class Parser {
         return value;
     }
 
-    /* TODO
-    // Reads a hex digit Unicode escape sequence in a string literal.
+    // Reads a hex digit Unicode escape sequence in a string literal and appends
+    // the encoded code point to [string].
     readUnicodeEscape(string, length) {
         let value = this.readHexEscape(length, 'Unicode');
 
-        // Grow the buffer enough for the encoded result.
-        let numBytes = wrenUtf8EncodeNumBytes(value);
-        if (numBytes != 0) {
-            wrenByteBufferFill(this.vm, string, 0, numBytes);
-            wrenUtf8Encode(value, string.data + string.count - numBytes);
-        }
+        // Like wrenUtf8EncodeNumBytes(), silently drop values that are outside of
+        // the Unicode range. String.fromCodePoint() takes care of splitting
+        // astral code points into a surrogate pair.
+        if (value < 0 || value > 0x10ffff) return string;
+
+        return string + String.fromCodePoint(value);
+    }
+
+    // Reports the escape sequence just read as having an unknown character.
+    invalidEscape() {
+        this.lexError(LexErrorCode.INVALID_ESCAPE_CHARACTER,
+            'Invalid escape character \'' +
+            this.source[this.currentChar - 1] + '\'.', this.currentChar - 2);
     }
-    */
 
-    // TODO
     // Finishes lexing a string literal.
     readString() {
-        //let string = '';
+        let string = '';
         let type = 'TOKEN_STRING';
 
-        for (;;) {
-            let c = this.nextChar();
-            if (c == '"') break;
+        // Where the run of ordinary characters that haven't been added to
+        // [string] yet begins. They're added all at once when it ends.
+        let run = this.currentChar;
 
-            if (c == '\0') {
-                this.lexError('Unterminated string.');
+        for (;;) {
+            if (this.isAtEnd()) {
+                string += this.textAt(run, this.currentChar);
+                this.lexError(LexErrorCode.UNTERMINATED_STRING,
+                    'Unterminated string.');
+                break;
+            }
 
-                // Don't consume it if it isn't expected. Keeps us from reading past the
-                // end of an unterminated string.
-                this.currentChar--;
+            let c = this.nextChar();
+            if (c == 34 /* " */) {
+                string += this.textAt(run, this.currentChar - 1);
                 break;
             }
 
-            if (c == '%') {
-                if (this.numParens < MAX_INTERPOLATION_NESTING) {
+            if (c == 37 /* % */) {
+                if (this.numParens < this.maxInterpolationNesting) {
+                    string += this.textAt(run, this.currentChar - 1);
+
                     // TODO: Allow format string.
-                    if (this.nextChar() != '(') this.lexError('Expect \'(\' after \'%%\'.');
+                    if (this.nextChar() != 40 /* ( */) {
+                        this.lexError(LexErrorCode.EXPECTED_INTERPOLATION,
+                            'Expect \'(\' after \'%\'.', this.currentChar - 2);
+                    }
 
                     this.parens[this.numParens++] = 1;
                     type = 'TOKEN_INTERPOLATION';
                     break;
                 }
 
-                this.lexError('Interpolation may only nest ' +
-            MAX_INTERPOLATION_NESTING + ' levels deep.');
+                // Otherwise, the "%" is an ordinary character.
+                this.lexError(LexErrorCode.INTERPOLATION_TOO_DEEP,
+                    'Interpolation may only nest ' + this.maxInterpolationNesting +
+                    ' levels deep.', this.currentChar - 1);
             }
 
-            if (c == '\\') {
-                console.log(123);
-                switch (this.nextChar()) {
-                //case '"':  wrenByteBufferWrite(this.vm, string, '"'); break;
-                //case '\\': wrenByteBufferWrite(this.vm, string, '\\'); break;
-                //case '%':  wrenByteBufferWrite(this.vm, string, '%'); break;
-                //case '0':  wrenByteBufferWrite(this.vm, string, '\0'); break;
-                //case 'a':  wrenByteBufferWrite(this.vm, string, '\a'); break;
-                //case 'b':  wrenByteBufferWrite(this.vm, string, '\b'); break;
-                //case 'f':  wrenByteBufferWrite(this.vm, string, '\f'); break;
-                //case 'n':  wrenByteBufferWrite(this.vm, string, '\n'); break;
-                //case 'r':  wrenByteBufferWrite(this.vm, string, '\r'); break;
-                case 't':  this.current.value =  '\t'; break;
-                //case 'u':  this.readUnicodeEscape(string, 4); break;
-                //case 'U':  this.readUnicodeEscape(string, 8); break;
-                case 'v':  this.current.value = '\v'; break;
-                case 'x':
-                    this.current.value = this.readHexEscape(2, 'byte');
-                    break;
+            if (c != 92 /* \ */) continue;
+
+            string += this.textAt(run, this.currentChar - 1);
 
-                default:
-                    this.lexError('Invalid escape character \'' +
-                (this.currentChar - 1) + '\'.');
+            switch (this.nextChar()) {
+            case 34 /* " */:  string += '"'; break;
+            case 92 /* \ */:  string += '\\'; break;
+            case 37 /* % */:  string += '%'; break;
+            case 48 /* 0 */:  string += '\0'; break;
+            case 97 /* a */:  string += '\x07'; break;
+            case 98 /* b */:  string += '\b'; break;
+            case 101 /* e */:
+                if (this.language.escapeE) {
+                    string += '\x1b';
                     break;
                 }
+                this.invalidEscape();
+                break;
+            case 102 /* f */: string += '\f'; break;
+            case 110 /* n */: string += '\n'; break;
+            case 114 /* r */: string += '\r'; break;
+            case 116 /* t */: string += '\t'; break;
+            case 117 /* u */: string = this.readUnicodeEscape(string, 4); break;
+            case 85 /* U */:  string = this.readUnicodeEscape(string, 8); break;
+            case 118 /* v */: string += '\v'; break;
+            case 120 /* x */:
+                // A byte escape writes a single raw byte, so map it onto the
+                // matching Latin-1 code unit. That's the same in either offset
+                // unit, since the escape is decoded, not the bytes around it.
+                string += String.fromCharCode(this.readHexEscape(2, 'byte'));
+                break;
+
+            default:
+                this.invalidEscape();
+                break;
+            }
+
+            run = this.currentChar;
+        }
+
+        this.makeToken(type, string);
+    }
+
+    // Finishes lexing a raw string literal. Raw strings are delimited by `"""`
+    // and take their contents verbatim, without escapes or interpolation.
+    readRawString() {
+        let string = '';
+        let type = 'TOKEN_STRING';
+
+        // Consume the second and third ".
+        this.nextChar();
+        this.nextChar();
+
+        let skipStart = 0;
+        let firstNewline = -1;
+
+        let skipEnd = -1;
+        let lastNewline = -1;
+
+        let isTerminated = true;
+
+        for (;;) {
+            let c = this.nextChar();
+            let c1 = this.peekChar();
+            let c2 = this.peekNextChar();
+
+            if (c == 13 /* \r */) continue;
+
+            if (c == 10 /* \n */) {
+                lastNewline = string.length;
+                skipEnd = lastNewline;
+                firstNewline = firstNewline == -1 ? string.length : firstNewline;
+            }
+
+            if (c == 34 /* " */ && c1 == 34 && c2 == 34) break;
+
+            let isWhitespace = c == 32 /* space */ || c == 9 /* \t */;
+            skipEnd = c == 10 /* \n */ || isWhitespace ? skipEnd : -1;
+
+            // If we haven't seen a newline or other character yet, and are still
+            // seeing whitespace, count the characters as skippable until we know
+            // otherwise.
+            let skippable = skipStart != -1 && isWhitespace && firstNewline == -1;
+            skipStart = skippable ? string.length + 1 : skipStart;
+
+            // We've counted leading whitespace until we hit something else, but
+            // it's not a newline, so reset skipStart since we need these
+            // characters.
+            if (firstNewline == -1 && !isWhitespace && c != 10 /* \n */) skipStart = -1;
+
+            // Stop if [c], [c1] or [c2] is past the end of the source.
+            if (this.currentChar + 1 >= this.source.length) {
+                this.lexError(LexErrorCode.UNTERMINATED_RAW_STRING,
+                    'Unterminated raw string.');
+
+                // The C lexer steps back over [c] and consumes it again as if it
+                // were the closing quotes, which would count a newline twice.
+                // Take what's left of the source instead.
+                while (!this.isAtEnd()) this.nextChar();
+                isTerminated = false;
+                break;
             }
-            //else
-            //{
-            //    string += c;
-            //}
+
+            string += String.fromCharCode(c);
+        }
+
+        // Consume the second and third ".
+        if (isTerminated) {
+            this.nextChar();
+            this.nextChar();
         }
 
+        // A raw string that starts or ends with a line containing only whitespace
+        // has that line trimmed off, so the delimiters can sit on their own lines.
+        let offset = 0;
+        let count = string.length;
+
+        if (firstNewline != -1 && skipStart == firstNewline) offset = firstNewline + 1;
+        if (lastNewline != -1 && skipEnd == lastNewline) count = lastNewline;
+
+        count -= (offset > count) ? count : offset;
+
+        // The contents were gathered a byte at a time, so decode them all at once.
+        string = string.substr(offset, count);
+        this.makeToken(type, this.isBytes ? fromByteString(string) : string);
+    }
+
+    // Called after skipping over a comment, whitespace or a shebang. If the parser
+    // keeps [trivia], makes a token of [type] for the skipped text and returns
+    // `true`.
+    keepTrivia(type) {
+        if (!this.trivia) return false;
+
         this.makeToken(type);
+        return true;
     }
 
     // Lex the next token and store it in [parser.current].
@@ -396,19 +1009,19 @@ export class Parser {
         // will still work.
         if (this.current.type == 'TOKEN_EOF') return;
 
-        while (this.peekChar() != '\0')
+        while (!this.isAtEnd())
         {
-            this.tokenStart = this.currentChar;
+            this.startToken();
 
             let c = this.nextChar();
             switch (c) {
-            case '(':
+            case 40: // (
                 // If we are inside an interpolated expression, count the unmatched "(".
                 if (this.numParens > 0) this.parens[this.numParens - 1]++;
                 this.makeToken('TOKEN_LEFT_PAREN');
                 return;
 
-            case ')':
+            case 41: // )
             // If we are inside an interpolated expression, count the ")".
                 if (this.numParens > 0 &&
                 --this.parens[this.numParens - 1] == 0)
@@ -423,97 +1036,112 @@ export class Parser {
                 this.makeToken('TOKEN_RIGHT_PAREN');
                 return;
 
-            case '[': this.makeToken('TOKEN_LEFT_BRACKET'); return;
-            case ']': this.makeToken('TOKEN_RIGHT_BRACKET'); return;
-            case '{': this.makeToken('TOKEN_LEFT_BRACE'); return;
-            case '}': this.makeToken('TOKEN_RIGHT_BRACE'); return;
-            case ':': this.makeToken('TOKEN_COLON'); return;
-            case ',': this.makeToken('TOKEN_COMMA'); return;
-            case '*': this.makeToken('TOKEN_STAR'); return;
-            case '%': this.makeToken('TOKEN_PERCENT'); return;
-            case '^': this.makeToken('TOKEN_CARET'); return;
-            case '+': this.makeToken('TOKEN_PLUS'); return;
-            case '-': this.makeToken('TOKEN_MINUS'); return;
-            case '~': this.makeToken('TOKEN_TILDE'); return;
-            case '?': this.makeToken('TOKEN_QUESTION'); return;
-
-            case '|': this.twoCharToken('|', 'TOKEN_PIPEPIPE', 'TOKEN_PIPE'); return;
-            case '&': this.twoCharToken('&', 'TOKEN_AMPAMP', 'TOKEN_AMP'); return;
-            case '=': this.twoCharToken('=', 'TOKEN_EQEQ', 'TOKEN_EQ'); return;
-            case '!': this.twoCharToken('=', 'TOKEN_BANGEQ', 'TOKEN_BANG'); return;
-
-            case '.':
-                if (this.matchChar('.'))
+            case 91: /* [ */ this.makeToken('TOKEN_LEFT_BRACKET'); return;
+            case 93: /* ] */ this.makeToken('TOKEN_RIGHT_BRACKET'); return;
+            case 123: /* { */ this.makeToken('TOKEN_LEFT_BRACE'); return;
+            case 125: /* } */ this.makeToken('TOKEN_RIGHT_BRACE'); return;
+            case 58: /* : */ this.makeToken('TOKEN_COLON'); return;
+            case 44: /* , */ this.makeToken('TOKEN_COMMA'); return;
+            case 42: /* * */ this.makeToken('TOKEN_STAR'); return;
+            case 37: /* % */ this.makeToken('TOKEN_PERCENT'); return;
+            case 94: /* ^ */ this.makeToken('TOKEN_CARET'); return;
+            case 43: /* + */ this.makeToken('TOKEN_PLUS'); return;
+            case 45: /* - */ this.makeToken('TOKEN_MINUS'); return;
+            case 126: /* ~ */ this.makeToken('TOKEN_TILDE'); return;
+            case 63: /* ? */ this.makeToken('TOKEN_QUESTION'); return;
+
+            case 124: /* | */ this.twoCharToken(124, 'TOKEN_PIPEPIPE', 'TOKEN_PIPE'); return;
+            case 38: /* & */ this.twoCharToken(38, 'TOKEN_AMPAMP', 'TOKEN_AMP'); return;
+            case 61: /* = */ this.twoCharToken(61, 'TOKEN_EQEQ', 'TOKEN_EQ'); return;
+            case 33: /* ! */ this.twoCharToken(61, 'TOKEN_BANGEQ', 'TOKEN_BANG'); return;
+
+            case 46: // .
+                if (this.matchChar(46))
                 {
-                    this.twoCharToken('.', 'TOKEN_DOTDOTDOT', 'TOKEN_DOTDOT');
+                    this.twoCharToken(46, 'TOKEN_DOTDOTDOT', 'TOKEN_DOTDOT');
                     return;
                 }
 
                 this.makeToken('TOKEN_DOT');
                 return;
 
-            case '/':
-                if (this.matchChar('/'))
+            case 47: // /
+                if (this.matchChar(47 /* / */))
                 {
                     this.skipLineComment();
+                    if (this.keepTrivia('TOKEN_COMMENT')) return;
                     break;
                 }
 
-                if (this.matchChar('*'))
+                if (this.matchChar(42 /* * */))
                 {
                     this.skipBlockComment();
+                    if (this.keepTrivia('TOKEN_COMMENT')) return;
                     break;
                 }
 
                 this.makeToken('TOKEN_SLASH');
                 return;
 
-            case '<':
-                if (this.matchChar('<'))
+            case 60: // <
+                if (this.matchChar(60))
                 {
                     this.makeToken('TOKEN_LTLT');
                 }
                 else
                 {
-                    this.twoCharToken('=', 'TOKEN_LTEQ', 'TOKEN_LT');
+                    this.twoCharToken(61 /* = */, 'TOKEN_LTEQ', 'TOKEN_LT');
                 }
                 return;
 
-            case '>':
-                if (this.matchChar('>'))
+            case 62: // >
+                if (this.matchChar(62))
                 {
                     this.makeToken('TOKEN_GTGT');
                 }
                 else
                 {
-                    this.twoCharToken('=', 'TOKEN_GTEQ', 'TOKEN_GT');
+                    this.twoCharToken(61 /* = */, 'TOKEN_GTEQ', 'TOKEN_GT');
                 }
                 return;
 
-            case '\n':
+            case 10: // \n
                 this.makeToken('TOKEN_LINE');
                 return;
 
-            case ' ':
-            case '\r':
-            case '\t':
-            // Skip forward until we run out of whitespace.
-                while (this.peekChar() == ' ' ||
-                   this.peekChar() == '\r' ||
-                   this.peekChar() == '\t')
+            case 32: // space
+            case 13: // \r
+            case 9: // \t
+            {
+                // Skip forward until we run out of whitespace.
+                let next = this.peekChar();
+                while (next == 32 || next == 13 || next == 9)
                 {
                     this.nextChar();
+                    next = this.peekChar();
                 }
+                if (this.keepTrivia('TOKEN_WHITESPACE')) return;
                 break;
+            }
 
-            case '"': this.readString(); return;
-            case '_':
+            case 34: // "
+                if (this.language.rawStrings &&
+                    this.peekChar() == 34 && this.peekNextChar() == 34)
+                {
+                    this.readRawString();
+                    return;
+                }
+
+                this.readString();
+                return;
+
+            case 95: // _
                 this.readName(
-                    this.peekChar() == '_' ? 'TOKEN_STATIC_FIELD' : 'TOKEN_FIELD');
+                    this.peekChar() == 95 ? 'TOKEN_STATIC_FIELD' : 'TOKEN_FIELD');
                 return;
 
-            case '0':
-                if (this.peekChar() == 'x')
+            case 48: // 0
+                if (this.peekChar() == 120 /* x */)
                 {
                     this.readHexNumber();
                     return;
@@ -522,18 +1150,31 @@ export class Parser {
                 this.readNumber();
                 return;
 
-            default:
-                if (this.currentLine == 1 && c == '#' && this.peekChar() == '!')
+            case 35: // #
+                // Ignore shebang on the first line. With attributes, it has to
+                // start like a path, since `#!name` is a runtime attribute.
+                if (this.currentLine == 1 && this.peekChar() == 33 /* ! */ &&
+                    (!this.language.attributes || this.peekNextChar() == 47 /* / */))
                 {
-                    // Ignore shebang on the first line.
                     this.skipLineComment();
+                    if (this.keepTrivia('TOKEN_SHEBANG')) return;
                     break;
                 }
-                if (this.isName(c))
+
+                if (this.language.attributes)
+                {
+                    this.makeToken('TOKEN_HASH');
+                    return;
+                }
+
+                // Otherwise it's an invalid character.
+                // falls through
+            default:
+                if (isName(c))
                 {
                     this.readName('TOKEN_NAME');
                 }
-                else if (this.isDigit(c))
+                else if (isDigit(c))
                 {
                     this.readNumber();
                 }
@@ -541,32 +1182,232 @@ export class Parser {
                 {
                     if (c >= 32 && c <= 126)
                     {
-                        this.lexError('Invalid character \'' + c + '\'.');
+                        this.lexError(LexErrorCode.INVALID_CHARACTER,
+                            'Invalid character \'' + String.fromCharCode(c) + '\'.');
                     }
-                    else
+                    else if (c < 0x80)
                     {
                         // Don't show non-ASCII values since we didn't UTF-8 decode the
                         // bytes. Since there are no non-ASCII byte values that are
                         // meaningful code units in Wren, the lexer works on raw bytes,
                         // even though the source code and console output are UTF-8.
-                        this.lexError('Invalid byte 0x' + c + '.');
+                        this.lexError(LexErrorCode.INVALID_BYTE,
+                            'Invalid byte 0x' + c.toString(16) + '.');
                     }
-                    this.current.type = 'TOKEN_ERROR';
-                    this.current.length = 0;
+                    else if (this.isBytes)
+                    {
+                        // Take the rest of the UTF-8 sequence [c] begins, so the
+                        // error token's text is the whole character, as it is
+                        // when the source is text. Then report each of its bytes,
+                        // the way the C lexer would.
+                        let length = 1;
+                        if (c >= 0xc0 && c < 0xf8) length = c >= 0xf0 ? 4 : c >= 0xe0 ? 3 : 2;
+                        while (--length > 0 && (this.peekChar() & 0xc0) == 0x80) this.nextChar();
+
+                        for (let i = this.tokenStart; i < this.currentChar; i++) {
+                            this.lexError(LexErrorCode.INVALID_BYTE,
+                                'Invalid byte 0x' + this.source.charCodeAt(i).toString(16) + '.');
+                        }
+                    }
+                    else
+                    {
+                        // Text can't be split into bytes, so take the whole
+                        // character and report each of its bytes, the way the C
+                        // lexer would.
+                        if (c >= 0xd800 && c <= 0xdbff) {
+                            let next = this.peekChar();
+                            if (next >= 0xdc00 && next <= 0xdfff) this.nextChar();
+                        }
+
+                        let character = this.source.slice(this.tokenStart, this.currentChar);
+                        for (let byte of new TextEncoder().encode(character)) {
+                            this.lexError(LexErrorCode.INVALID_BYTE,
+                                'Invalid byte 0x' + byte.toString(16) + '.');
+                        }
+                    }
+
+                    // Emit the bad character as an error token so that it isn't
+                    // lost and the tokens after it stay in place.
+                    this.makeToken('TOKEN_ERROR');
                 }
                 return;
             }
         }
 
         // If we get here, we're out of source, so just make EOF tokens.
-        this.tokenStart = this.currentChar;
+        this.startToken();
         this.makeToken('TOKEN_EOF');
     }
 
+    // Returns [tokens] with each interpolated string, which the lexer splits into
+    // a token for each piece of literal text and the tokens of the expressions
+    // between them, gathered into a single node:
+    //
+    //     { type: 'TOKEN_INTERPOLATED_STRING', text, parts, line, column,
+    //       endLine, endColumn, start, end }
+    //
+    // Where [text] is the whole string's source and [parts] alternate between
+    // literal text and interpolated expressions, in order:
+    //
+    //     { type: 'literal', value, line, column, endLine, endColumn, start, end }
+    //     { type: 'expression', tokens }
+    //
+    // A literal's [value] is its decoded text and its position covers just that
+    // text, without the quotes or the `%(` and `)` around it. An expression's
+    // [tokens] are nested the same way, so interpolations inside it are nodes
+    // too. Can't be used on a [lazy] parser, since it needs all the tokens.
+    nestedTokens() {
+        if (this.lazy) {
+            throw new Error('nestedTokens() needs every token, so it can\'t be used ' +
+                'on a lazy Parser.');
+        }
+
+        let tokens = this.compact ? Array.from(this.tokens) : this.tokens;
+        let i = 0;
+
+        // Whether [token] is the literal text after an interpolated expression,
+        // which starts with the ")" that ends the expression.
+        let isContinuation = (token) =>
+            (token.type == 'TOKEN_STRING' || token.type == 'TOKEN_INTERPOLATION') &&
+            token.text[0] == ')';
+
+        // Returns the literal part for the string [token].
+        let literal = (token) => {
+            let start = token.start + 1;
+            let end = token.end;
+            if (token.type == 'TOKEN_INTERPOLATION') {
+                end -= 2;
+            } else if (token.text.length > 1 && token.text.endsWith('"')) {
+                end--;
+            }
+
+            let location = this.locate(start);
+            let endLocation = this.locate(end);
+            return {
+                type: 'literal',
+                value: token.value,
+                line: location.line,
+                column: location.column,
+                endLine: endLocation.line,
+                endColumn: endLocation.column,
+                start: start,
+                end: end
+            };
+        };
+
+        // Nests the tokens from [i] on, stopping before the end of the enclosing
+        // interpolated expression if [inExpression].
+        let nest = (inExpression) => {
+            let nested = [];
+            while (i < tokens.length) {
+                let token = tokens[i];
+                if (inExpression &&
+                    (isContinuation(token) || token.type == 'TOKEN_EOF')) break;
+
+                if (token.type == 'TOKEN_INTERPOLATION' && !isContinuation(token)) {
+                    nested.push(interpolation());
+                } else {
+                    nested.push(token);
+                    i++;
+                }
+            }
+            return nested;
+        };
+
+        // Nests the interpolated string that starts at [i].
+        let interpolation = () => {
+            let first = tokens[i++];
+            let parts = [literal(first)];
+
+            for (;;) {
+                parts.push({ type: 'expression', tokens: nest(true) });
+
+                // An unterminated string ends without its last piece of text.
+                if (i == tokens.length || !isContinuation(tokens[i])) break;
+
+                let token = tokens[i++];
+                parts.push(literal(token));
+                if (token.type == 'TOKEN_STRING') break;
+            }
+
+            let last = tokens[i - 1];
+            let text = this.source.slice(first.start, last.end);
+            return {
+                type: 'TOKEN_INTERPOLATED_STRING',
+                text: this.isBytes ? fromByteString(text) : text,
+                parts: parts,
+                line: first.line,
+                column: first.column,
+                endLine: last.endLine,
+                endColumn: last.endColumn,
+                start: first.start,
+                end: last.end
+            };
+        };
+
+        return nest(false);
+    }
+
+    // Returns the 1-based line and column of the character at [offset], with the
+    // column counted in [columnUnit].
+    locate(offset) {
+        if (this.lineIndex == null) {
+            this.lineIndex = new LineIndex(this.source, this.columnUnit, this.isBytes);
+        }
+        return this.lineIndex.locate(offset);
+    }
+
+    // Records a lexical error with the given stable [code] and [message]. The
+    // error covers the source from [start] (defaulting to the beginning of the
+    // current token) up to the current character.
+    //
+    // Each diagnostic looks like:
+    //
+    //     { code, message, severity, line, column, endLine, endColumn, start, end }
+    //
+    // Where the lines and columns are 1-based and [start] and [end] are offsets
+    // into [source].
+    lexError(code, message, start = this.tokenStart) {
+        // Always cover at least one character, unless the error is at the very
+        // end of the source.
+        let end = Math.min(Math.max(this.currentChar, start + 1), this.source.length);
+        end = Math.max(end, start);
+        let location = this.locate(start);
+        let endLocation = this.locate(end);
+
+        let diagnostic = {
+            code: code,
+            message: message,
+            severity: 'error',
+            line: location.line,
+            column: location.column,
+            endLine: endLocation.line,
+            endColumn: endLocation.column,
+            start: start,
+            end: end
+        };
 
-    // Outputs a lexical error.
-    lexError(format) {
-        console.warn([this.currentLine, 'Error', format]);
+        this.hasError = true;
+        this.diagnostics.push(diagnostic);
+
+        if (this.throwOnError) throw new LexError(diagnostic);
+        if (this.printErrors) {
+            console.warn('[line ' + diagnostic.line + ':' + diagnostic.column +
+                '] Error: ' + message);
+        }
     }
 
 }
+
+// Tokenizes all of [source] and returns its tokens, ending with TOKEN_EOF.
+// Takes the same [options] as [Parser].
+export function tokenize(source, options = {}) {
+    return new Parser(source, Object.assign({}, options, { lazy: false })).tokens;
+}
+
+// Lazily yields the tokens of [source] one at a time, ending with TOKEN_EOF.
+// Nothing past the last token asked for is lexed, so breaking out of the loop
+// early skips the rest of the source. Takes the same [options] as [Parser].
+export function* iterateTokens(source, options = {}) {
+    yield* new Parser(source, Object.assign({}, options, { lazy: true }));
+}
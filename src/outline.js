@@ -0,0 +1,261 @@
+import { Parser } from './main.js';
+import { parseTokens } from './ast.js';
+
+// Lists the classes in Wren source with their methods and the fields they use,
+// for editors to show an outline and for tags files to jump to a method by its
+// signature.
+
+// The single-letter kinds of the tags in a tags file, and what they're for.
+export const tagKinds = Object.freeze({
+    class: { letter: 'c', description: 'classes' },
+    constructor: { letter: 'r', description: 'constructors' },
+    method: { letter: 'm', description: 'methods' },
+    getter: { letter: 'g', description: 'getters' },
+    setter: { letter: 's', description: 'setters' },
+    operator: { letter: 'o', description: 'operators and subscripts' },
+    field: { letter: 'f', description: 'fields' }
+});
+
+// Returns the span of [token], in the same form as a syntax tree node's.
+function spanOf(token) {
+    return {
+        start: token.start,
+        end: token.end,
+        line: token.line,
+        column: token.column,
+        endLine: token.endLine,
+        endColumn: token.endColumn
+    };
+}
+
+// Returns true if [span] contains the offset [offset].
+function contains(span, offset) {
+    return span.start <= offset && offset < span.end;
+}
+
+// Calls [callback] with every Class node in the syntax tree [node], in source
+// order, outer classes before the ones inside their methods.
+function eachClass(node, callback) {
+    if (Array.isArray(node)) {
+        for (let child of node) eachClass(child, callback);
+        return;
+    }
+    if (node == null || typeof node != 'object') return;
+
+    if (node.type == 'Class') callback(node);
+    for (let key in node) {
+        if (key != 'span') eachClass(node[key], callback);
+    }
+}
+
+// Returns the outline of [source], a string of Wren. [options] are passed on to
+// [Parser], the same as for [parse()].
+//
+// Returns an object with the [classes], in source order, and every lexical and
+// syntax error in [diagnostics]. Each class is:
+//
+//     { name, superclass, isForeign, span, nameSpan,
+//       methods: [{ kind, name, signature, isStatic, isForeign, isOperator,
+//                   span, nameSpan }],
+//       fields: [{ name, span }], staticFields: [{ name, span }] }
+//
+// Where [superclass] is the source of the expression after `is`, or `null`, and
+// the methods are the same as in the syntax tree, without their parameters and
+// bodies. A method that couldn't be parsed is left out. [nameSpan] is the span
+// of the class's or method's name, or of the operator or `[` a method is named
+// by. The fields are the ones used anywhere in the class, in the order they're
+// first used, each with the span of that first use.
+export function outline(source, options = {}) {
+    let lexer = new Parser(source, Object.assign({}, options,
+        { lazy: false, throwOnError: false, skipNewlines: false, compact: false }));
+    let tokens = lexer.tokens;
+    let result = parseTokens(tokens);
+
+    // Returns the index of the first token that starts at or after [offset].
+    let tokenAt = (offset) => {
+        let low = 0;
+        let high = tokens.length;
+        while (low < high) {
+            let middle = (low + high) >> 1;
+            if (tokens[middle].start < offset) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    };
+
+    // Returns the index of the first token from the index [i] that isn't one of
+    // [skipped].
+    let indexFrom = (i, skipped) => {
+        while (i < tokens.length - 1 && skipped.includes(tokens[i].type)) i++;
+        return i;
+    };
+
+    // Returns the token that names the class or method [node], after its
+    // attributes and keywords.
+    let nameOf = (node) => {
+        let attributes = node.attributes;
+        let start = attributes.length > 0
+            ? attributes[attributes.length - 1].span.end
+            : node.span.start;
+        let i = tokenAt(start);
+        if (node.type == 'Class') {
+            return tokens[indexFrom(i, ['TOKEN_LINE', 'TOKEN_FOREIGN', 'TOKEN_CLASS'])];
+        }
+
+        i = indexFrom(i, ['TOKEN_LINE', 'TOKEN_FOREIGN', 'TOKEN_STATIC']);
+        if (tokens[i].type == 'TOKEN_CONSTRUCT') i = indexFrom(i + 1, []);
+        return tokens[i];
+    };
+
+    // Returns the source of the expression [node], from its tokens.
+    let textOf = (node) => {
+        let text = '';
+        for (let i = tokenAt(node.span.start); i < tokens.length &&
+            tokens[i].end <= node.span.end; i++) {
+            if (tokens[i].type != 'TOKEN_LINE') text += tokens[i].text;
+        }
+        return text;
+    };
+
+    let classes = [];
+    eachClass(result.ast, (node) => {
+        classes.push({
+            name: node.name,
+            superclass: node.superclass == null ? null
+                : node.superclass.type == 'Identifier' ? node.superclass.name
+                    : textOf(node.superclass),
+            isForeign: node.isForeign,
+            span: node.span,
+            nameSpan: spanOf(nameOf(node)),
+            methods: node.methods
+                .filter((method) => method.type == 'Method')
+                .map((method) => ({
+                    kind: method.kind,
+                    name: method.name,
+                    signature: method.signature,
+                    isStatic: method.isStatic,
+                    isForeign: method.isForeign,
+                    isOperator: method.isOperator,
+                    span: method.span,
+                    nameSpan: spanOf(nameOf(method))
+                })),
+            fields: [],
+            staticFields: []
+        });
+    });
+
+    // Give each field to the innermost class it's used in. Since the classes
+    // are in source order, outer ones first, the classes that contain a token
+    // are a stack that the walk over the tokens pushes and pops.
+    let open = [];
+    let next = 0;
+
+    // Returns true if the innermost open class contains [offset].
+    let isInside = (offset) =>
+        open.length > 0 && contains(open[open.length - 1].span, offset);
+
+    for (let token of tokens) {
+        if (token.type != 'TOKEN_FIELD' && token.type != 'TOKEN_STATIC_FIELD') continue;
+
+        while (next < classes.length && classes[next].span.start <= token.start) {
+            let node = classes[next++];
+            while (open.length > 0 && !isInside(node.span.start)) open.pop();
+            open.push(node);
+        }
+        while (open.length > 0 && !isInside(token.start)) open.pop();
+        if (open.length == 0) continue;
+
+        let owner = open[open.length - 1];
+
+        let fields = token.type == 'TOKEN_FIELD' ? owner.fields : owner.staticFields;
+        if (!fields.some((field) => field.name == token.text)) {
+            fields.push({ name: token.text, span: spanOf(token) });
+        }
+    }
+
+    let diagnostics = lexer.diagnostics.concat(result.diagnostics)
+        .sort((a, b) => a.start - b.start);
+    return { classes: classes, diagnostics: diagnostics };
+}
+
+// Returns the kind of tag for [method] from an outline.
+function methodKind(method) {
+    if (method.kind == 'constructor') return tagKinds.constructor;
+    if (method.isOperator) return tagKinds.operator;
+    if (method.kind == 'getter') return tagKinds.getter;
+    if (method.kind == 'setter') return tagKinds.setter;
+    return tagKinds.method;
+}
+
+// Returns a tags file in Universal Ctags' extended format for [files], an array
+// of `{ file, outline }` where [outline] is the result of [outline()] for the
+// source of [file].
+//
+// There's a tag for each class, named by its name, for each method, named by its
+// signature so that `foo(_)` and `foo(_,_)` are told apart, and for each field,
+// named with its underscores. A tag's address is its line number, and the
+// methods and fields name their class in a `class:` field. Static and foreign
+// ones are marked in a `properties:` field. The tags are sorted, so programs can
+// binary search them.
+export function ctags(files) {
+    let lines = [];
+
+    // Adds a tag named [name] in [file] of [kind] at [span], with the extension
+    // [fields].
+    let add = (name, file, kind, span, fields) => {
+        let columns = [name, file, span.line + ';"', kind.letter, 'line:' + span.line];
+        for (let key in fields) {
+            if (fields[key]) columns.push(key + ':' + fields[key]);
+        }
+        lines.push(columns.join('\t'));
+    };
+
+    for (let { file, outline } of files) {
+        for (let node of outline.classes) {
+            add(node.name, file, tagKinds.class, node.nameSpan, {
+                inherits: node.superclass,
+                properties: node.isForeign ? 'foreign' : null
+            });
+
+            for (let method of node.methods) {
+                let properties = [];
+                if (method.isForeign) properties.push('foreign');
+                if (method.isStatic) properties.push('static');
+
+                add(method.signature, file, methodKind(method), method.nameSpan, {
+                    class: node.name,
+                    properties: properties.join(',')
+                });
+            }
+
+            for (let field of node.fields) {
+                add(field.name, file, tagKinds.field, field.span, { class: node.name });
+            }
+            for (let field of node.staticFields) {
+                add(field.name, file, tagKinds.field, field.span, {
+                    class: node.name,
+                    properties: 'static'
+                });
+            }
+        }
+    }
+
+    // Compare by UTF-16 code unit, which is byte order for the ASCII names.
+    lines.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+
+    let header = [
+        '!_TAG_FILE_FORMAT\t2\t/extended format; --format=1 will not append ;" to lines/',
+        '!_TAG_FILE_SORTED\t1\t/0=unsorted, 1=sorted, 2=foldcase/',
+        '!_TAG_PROGRAM_NAME\twrent\t//'
+    ];
+    for (let name in tagKinds) {
+        let kind = tagKinds[name];
+        header.push('!_TAG_KIND_DESCRIPTION!Wren\t' + kind.letter + ',' + name +
+            '\t/' + kind.description + '/');
+    }
+
+    return header.concat(lines).map((line) => line + '\n').join('');
+}
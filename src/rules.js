@@ -0,0 +1,376 @@
+import { countCodePoints } from './lines.js';
+
+// The rules that come with [Linter]. Each one looks at the tokens of a module,
+// comments and whitespace included, and reports what it finds through the
+// context it's given. See [Linter] for what a rule and its context are.
+
+// The longest a line can be by default, the same as [format()] breaks lines at.
+// It's not imported from there, since that would import the formatter, and so
+// this, in a cycle.
+const DEFAULT_MAX_LINE_LENGTH = 80;
+
+// The token types that aren't code.
+const triviaTypes = new Set(['TOKEN_WHITESPACE', 'TOKEN_COMMENT', 'TOKEN_SHEBANG']);
+
+// The keywords whose parenthesized condition is followed by a body.
+const conditionTypes = new Set(['TOKEN_IF', 'TOKEN_WHILE', 'TOKEN_FOR']);
+
+// The keywords that leave the rest of their block behind.
+const jumpTypes = new Set(['TOKEN_RETURN', 'TOKEN_BREAK', 'TOKEN_CONTINUE']);
+
+// Returns true if [token] is a newline, the end of the file or a newline that
+// the lexer kept as whitespace because it doesn't end a statement.
+function endsLine(token) {
+    return token.type == 'TOKEN_LINE' || token.type == 'TOKEN_EOF' ||
+        (token.type == 'TOKEN_WHITESPACE' && /^[\r\n]/.test(token.text));
+}
+
+// Returns the index of the first token from [i] in [tokens] that isn't trivia
+// or, if [skipLines], a newline.
+function nextCode(tokens, i, skipLines = false) {
+    while (i < tokens.length - 1 && (triviaTypes.has(tokens[i].type) ||
+        (skipLines && tokens[i].type == 'TOKEN_LINE'))) {
+        i++;
+    }
+    return i;
+}
+
+// Returns the index of the last token before [i] in [tokens] that isn't trivia,
+// or -1.
+function previousCode(tokens, i) {
+    i--;
+    while (i >= 0 && triviaTypes.has(tokens[i].type)) i--;
+    return i;
+}
+
+// Spaces or tabs at the end of a line, outside of strings and block comments.
+const trailingWhitespace = {
+    description: 'Disallow spaces and tabs at the end of a line.',
+    severity: 'warning',
+    options: {},
+    check(context) {
+        let tokens = context.tokens;
+        for (let i = 0; i < tokens.length - 1; i++) {
+            let token = tokens[i];
+            let isLineComment = token.type == 'TOKEN_COMMENT' && token.text.startsWith('//');
+            if (token.type != 'TOKEN_WHITESPACE' && !isLineComment) continue;
+            if (!endsLine(tokens[i + 1])) continue;
+
+            let match = /[ \t]+(?=\r?$)/.exec(token.text);
+            if (match == null) continue;
+
+            let start = token.start + match.index;
+            let end = start + match[0].length;
+            context.report({
+                message: 'Trailing whitespace.',
+                start: start,
+                end: end,
+                fix: { start: start, end: end, text: '' }
+            });
+        }
+    }
+};
+
+// Indentation that uses both tabs and spaces on the same line.
+const mixedIndentation = {
+    description: 'Disallow indenting a line with both tabs and spaces.',
+    severity: 'warning',
+    options: { tabWidth: 4 },
+    check(context) {
+        let tokens = context.tokens;
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            if (token.type != 'TOKEN_WHITESPACE') continue;
+            if (i > 0 && !endsLine(tokens[i - 1]) &&
+                !/\n$/.test(tokens[i - 1].text)) {
+                continue;
+            }
+
+            let indent = /^[ \t]*/.exec(token.text)[0];
+            if (!indent.includes(' ') || !indent.includes('\t')) continue;
+
+            // Expand each tab to the next tab stop.
+            let width = 0;
+            for (let char of indent) {
+                width = char == '\t'
+                    ? width + context.options.tabWidth - width % context.options.tabWidth
+                    : width + 1;
+            }
+
+            context.report({
+                message: 'Indentation mixes tabs and spaces.',
+                start: token.start,
+                end: token.start + indent.length,
+                fix: {
+                    start: token.start,
+                    end: token.start + indent.length,
+                    text: ' '.repeat(width)
+                }
+            });
+        }
+    }
+};
+
+// Lines longer than a maximum, counted in code points.
+const maxLineLength = {
+    description: 'Disallow lines longer than a maximum.',
+    severity: 'warning',
+    options: { max: DEFAULT_MAX_LINE_LENGTH },
+    check(context) {
+        let source = context.source;
+        let lineStarts = context.lines.lineStarts;
+        let max = context.options.max;
+
+        for (let line = 0; line < lineStarts.length; line++) {
+            let start = lineStarts[line];
+            let end = line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : source.length;
+            if (end > start && source[end - 1] == '\r') end--;
+
+            let length = countCodePoints(source, start, end);
+            if (length <= max) continue;
+
+            // Point at the part past the maximum.
+            let over = start;
+            for (let count = 0; count < max; count++) {
+                over += source.codePointAt(over) > 0xffff ? 2 : 1;
+            }
+            context.report({
+                message: 'Line is ' + length + ' characters long. The maximum is ' + max + '.',
+                start: over,
+                end: end
+            });
+        }
+    }
+};
+
+// Static fields used where there's no class for them to belong to, which the
+// compiler rejects.
+const staticFieldOutsideClass = {
+    description: 'Disallow static fields outside of a class.',
+    severity: 'error',
+    options: {},
+    check(context) {
+        // Whether each open "{" is a class body.
+        let braces = [];
+        let classBodies = 0;
+        let isClassNext = false;
+
+        for (let token of context.tokens) {
+            switch (token.type) {
+            case 'TOKEN_CLASS':
+                isClassNext = true;
+                break;
+            case 'TOKEN_LEFT_BRACE':
+                braces.push(isClassNext);
+                if (isClassNext) classBodies++;
+                isClassNext = false;
+                break;
+            case 'TOKEN_RIGHT_BRACE':
+                if (braces.pop()) classBodies--;
+                break;
+            case 'TOKEN_STATIC_FIELD':
+                if (classBodies == 0) {
+                    context.report({
+                        message: 'Static field \'' + token.text +
+                            '\' is used outside of a class.',
+                        start: token.start,
+                        end: token.end
+                    });
+                }
+                break;
+            }
+        }
+    }
+};
+
+// A `var` with the same name as a variable declared before it in the same
+// block or, with the `enclosingBlocks` option, in one around it.
+const noShadow = {
+    description: 'Disallow a variable with the same name as one in the same block.',
+    severity: 'warning',
+    options: { enclosingBlocks: false },
+    check(context) {
+        let tokens = context.tokens;
+
+        // The names declared in each open block, the module's first, mapped to
+        // the token that declared them.
+        let scopes = [new Map()];
+
+        let declare = (token) => {
+            let outermost = context.options.enclosingBlocks ? 0 : scopes.length - 1;
+            for (let i = scopes.length - 1; i >= outermost; i--) {
+                let earlier = scopes[i].get(token.text);
+                if (earlier == null) continue;
+
+                context.report({
+                    message: (i == scopes.length - 1
+                        ? '\'' + token.text + '\' is already declared'
+                        : '\'' + token.text + '\' shadows the variable declared') +
+                        ' on line ' + earlier.line + '.',
+                    start: token.start,
+                    end: token.end
+                });
+                break;
+            }
+            scopes[scopes.length - 1].set(token.text, token);
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            switch (token.type) {
+            case 'TOKEN_LEFT_BRACE': {
+                scopes.push(new Map());
+
+                // A block argument's parameters belong to its block.
+                let next = nextCode(tokens, i + 1, true);
+                if (tokens[next].type != 'TOKEN_PIPE') break;
+                for (i = next + 1; i < tokens.length - 1; i++) {
+                    let type = tokens[i].type;
+                    if (type == 'TOKEN_PIPE') break;
+                    if (type == 'TOKEN_NAME') declare(tokens[i]);
+                }
+                break;
+            }
+            case 'TOKEN_RIGHT_BRACE':
+                if (scopes.length > 1) scopes.pop();
+                break;
+            case 'TOKEN_VAR':
+            case 'TOKEN_CLASS': {
+                let name = tokens[nextCode(tokens, i + 1)];
+                if (name.type == 'TOKEN_NAME') declare(name);
+                break;
+            }
+            }
+        }
+    }
+};
+
+// The body of an `if`, `else`, `while` or `for` with nothing in it, not even a
+// comment.
+const emptyBlock = {
+    description: 'Disallow empty if, else, while and for bodies.',
+    severity: 'warning',
+    options: {},
+    check(context) {
+        let tokens = context.tokens;
+
+        // For each open "(", the keyword before it if it's a condition's.
+        let parens = [];
+
+        // The keyword whose body comes next, if any.
+        let owner = null;
+
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            if (triviaTypes.has(token.type) || token.type == 'TOKEN_LINE') continue;
+
+            let keyword = owner;
+            owner = null;
+
+            switch (token.type) {
+            case 'TOKEN_LEFT_PAREN': {
+                let previous = tokens[previousCode(tokens, i)];
+                parens.push(previous && conditionTypes.has(previous.type) ? previous : null);
+                break;
+            }
+            case 'TOKEN_RIGHT_PAREN':
+                owner = parens.pop() || null;
+                break;
+            case 'TOKEN_ELSE':
+                owner = token;
+                break;
+            case 'TOKEN_LEFT_BRACE': {
+                if (keyword == null) break;
+
+                let close = i + 1;
+                while (tokens[close].type == 'TOKEN_LINE' ||
+                    tokens[close].type == 'TOKEN_WHITESPACE') {
+                    close++;
+                }
+                if (tokens[close].type != 'TOKEN_RIGHT_BRACE') break;
+
+                context.report({
+                    message: 'Empty block after \'' + keyword.text + '\'.',
+                    start: token.start,
+                    end: tokens[close].end
+                });
+                break;
+            }
+            }
+        }
+    }
+};
+
+// Code after a `return`, `break` or `continue` in the same block, which can
+// never run.
+const unreachableCode = {
+    description: 'Disallow code after a return, break or continue in the same block.',
+    severity: 'warning',
+    options: {},
+    check(context) {
+        let tokens = context.tokens;
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            if (!jumpTypes.has(token.type)) continue;
+
+            // Only a jump that starts a statement of its own in the block is
+            // always taken. One after `if (...)` or `else` may not be. Even the
+            // first statement of a block has the newline after its `{` before it.
+            let previous = previousCode(tokens, i);
+            if (previous != -1 && tokens[previous].type != 'TOKEN_LINE') continue;
+
+            // Find the end of the statement. The lexer has left out the
+            // newlines that don't end one.
+            let depth = 0;
+            let end = i + 1;
+            for (; end < tokens.length - 1; end++) {
+                let type = tokens[end].type;
+                if (type == 'TOKEN_LEFT_PAREN' || type == 'TOKEN_LEFT_BRACKET' ||
+                    type == 'TOKEN_LEFT_BRACE') {
+                    depth++;
+                } else if (type == 'TOKEN_RIGHT_PAREN' || type == 'TOKEN_RIGHT_BRACKET' ||
+                    type == 'TOKEN_RIGHT_BRACE') {
+                    if (depth == 0) break;
+                    depth--;
+                } else if (type == 'TOKEN_LINE' && depth == 0) {
+                    break;
+                }
+            }
+
+            let first = nextCode(tokens, end, true);
+            let type = tokens[first].type;
+            if (type == 'TOKEN_RIGHT_BRACE' || type == 'TOKEN_EOF') continue;
+
+            // Everything up to the end of the block is dead.
+            depth = 0;
+            let last = first;
+            for (let j = first; j < tokens.length - 1; j++) {
+                let type = tokens[j].type;
+                if (type == 'TOKEN_RIGHT_BRACE' && depth == 0) break;
+                if (type == 'TOKEN_LEFT_BRACE') depth++;
+                if (type == 'TOKEN_RIGHT_BRACE') depth--;
+                if (!triviaTypes.has(type) && type != 'TOKEN_LINE') last = j;
+            }
+
+            context.report({
+                message: 'Unreachable code after \'' + token.text + '\'.',
+                start: tokens[first].start,
+                end: tokens[last].end
+            });
+
+            // Don't report jumps in the dead code too.
+            i = last;
+        }
+    }
+};
+
+// The built-in rules, by name.
+export const builtinRules = Object.freeze({
+    'trailing-whitespace': trailingWhitespace,
+    'mixed-indentation': mixedIndentation,
+    'max-line-length': maxLineLength,
+    'static-field-outside-class': staticFieldOutsideClass,
+    'no-shadow': noShadow,
+    'empty-block': emptyBlock,
+    'unreachable-code': unreachableCode
+});
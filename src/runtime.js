@@ -0,0 +1,1065 @@
+// The runtime that JavaScript transpiled from Wren runs on. It provides Wren's
+// object model and the core classes: Object, Class, Bool, Null, Num, String,
+// List, Map, Range, Sequence, Fn, Fiber and System.
+//
+// Wren values map onto JavaScript ones where they can: Num is a number, String
+// is a string, Bool is a boolean, null is `null`, List is an array and Map is
+// a `Map`. Everything else is an instance of one of the classes below.
+//
+// Transpiled methods are generator functions, and so are the native methods
+// that call back into Wren. The rest of the native methods are plain functions.
+// A call is `yield* call(receiver, signature, ...args)`, which runs either
+// kind, and `Fiber.yield()` is the only thing that actually yields. That lets a
+// fiber suspend from any depth of calls and pick up again later, the way Wren's
+// fibers do.
+//
+// Strings are JavaScript strings, so they're indexed by UTF-16 code unit where
+// Wren uses UTF-8 bytes.
+
+// Where System.print() and friends write to. Nothing is written anywhere until
+// it's replaced with [setWriter()].
+let writer = () => {};
+
+// Sends everything the program writes to [write], a function that takes a
+// string. Returns the previous writer.
+export function setWriter(write) {
+    let previous = writer;
+    writer = write;
+    return previous;
+}
+
+// A runtime error raised by the Wren program, like calling a method that
+// doesn't exist or `Fiber.abort()`. [value] is the Wren value it was aborted
+// with, usually a string.
+export class WrenRuntimeError extends Error {
+    constructor(value) {
+        super(typeof value == 'string' ? value : String(value));
+        this.name = 'WrenRuntimeError';
+        this.value = value;
+    }
+}
+
+// Aborts the current fiber with [message].
+function abort(message) {
+    throw new WrenRuntimeError(message);
+}
+
+export class WrenClass {
+    constructor(name, superclass, metaclass) {
+        this.name = name;
+        this.superclass = superclass;
+
+        // The class of this class, which holds its static methods.
+        this.metaclass = metaclass;
+
+        // Every method the class responds to, including inherited ones, keyed
+        // by signature.
+        this.methods = new Map(superclass ? superclass.methods : []);
+    }
+}
+
+// An instance of a class defined in Wren.
+export class WrenObject {
+    constructor(cls) {
+        this.cls = cls;
+
+        // The values of the object's fields, keyed by class and field name.
+        this.fields = Object.create(null);
+    }
+}
+
+export class WrenRange {
+    constructor(from, to, isInclusive) {
+        this.from = from;
+        this.to = to;
+        this.isInclusive = isInclusive;
+    }
+}
+
+export class WrenFn {
+    constructor(arity, body) {
+        this.arity = arity;
+
+        // The generator function that runs the function's code.
+        this.body = body;
+    }
+}
+
+export class WrenFiber {
+    constructor(fn) {
+        this.fn = fn;
+        this.generator = null;
+        this.isDone = false;
+        this.error = null;
+
+        // The fiber that ran this one, while it's running.
+        this.caller = null;
+    }
+
+    // Runs the fiber until it yields or finishes, passing [value] in as the
+    // result of the `Fiber.yield()` it's suspended at. Returns the value it
+    // yields or returns. If [isTry], a runtime error ends the fiber and is
+    // returned instead of passed on to the calling fiber.
+    resume(value, isTry) {
+        if (this.isDone) abort('Cannot call a finished fiber.');
+        if (this.caller != null || this == currentFiber) {
+            abort('Fiber has already been called.');
+        }
+
+        let first = this.generator == null;
+        if (first) {
+            this.generator = this.fn.body(...(this.fn.arity == 0 ? [] : [value]));
+        }
+
+        this.caller = currentFiber;
+        currentFiber = this;
+        try {
+            let result = this.generator.next(first ? undefined : value);
+            if (result.done) {
+                this.isDone = true;
+                return result.value === undefined ? null : result.value;
+            }
+            return result.value;
+        } catch (error) {
+            if (!(error instanceof WrenRuntimeError)) throw error;
+
+            this.isDone = true;
+            this.error = error.value;
+            if (isTry) return error.value;
+            throw error;
+        } finally {
+            currentFiber = this.caller;
+            this.caller = null;
+        }
+    }
+}
+
+// The fiber that is running right now.
+let currentFiber = null;
+
+// Creates a class called [name] that inherits from [superclass], along with its
+// metaclass.
+function createClass(name, superclass) {
+    let metaclass = new WrenClass(name + ' metaclass', ClassClass, null);
+    return new WrenClass(name, superclass, metaclass);
+}
+
+// Adds the methods in [table], keyed by signature, to [cls]. Only the methods
+// that call back into Wren need to be generators. See [invoke()].
+function natives(cls, table) {
+    for (let signature of Object.keys(table)) {
+        cls.methods.set(signature, table[signature]);
+    }
+}
+
+// Calls [fn] with [self] as `this` and [args], and returns what it returns. If
+// it's a generator function, it's run to the end, yielding whatever it yields.
+function* invoke(fn, self, args) {
+    if (fn.constructor.name != 'GeneratorFunction') return fn.apply(self, args);
+    return yield* fn.apply(self, args);
+}
+
+// Adds static methods to [cls].
+function staticNatives(cls, table) {
+    natives(cls.metaclass, table);
+}
+
+// Returns the class of [value].
+export function classOf(value) {
+    switch (typeof value) {
+    case 'number': return NumClass;
+    case 'string': return StringClass;
+    case 'boolean': return BoolClass;
+    }
+
+    if (value == null) return NullClass;
+    if (Array.isArray(value)) return ListClass;
+    if (value instanceof WrenObject) return value.cls;
+    if (value instanceof WrenClass) return value.metaclass || ClassClass;
+    if (value instanceof Map) return MapClass;
+    if (value instanceof WrenRange) return RangeClass;
+    if (value instanceof WrenFn) return FnClass;
+    if (value instanceof WrenFiber) return FiberClass;
+    if (value instanceof MapEntry) return MapEntryClass;
+    if (value instanceof LazySequence) return value.cls;
+    return ObjectClass;
+}
+
+// Returns true if [value] counts as true in a condition. Only `false` and
+// `null` don't.
+export function truthy(value) {
+    return value !== false && value != null;
+}
+
+// Calls the method with [signature] on [receiver].
+export function* call(receiver, signature, ...args) {
+    let cls = classOf(receiver);
+    let method = cls.methods.get(signature);
+    if (method == null) abort(cls.name + ' does not implement \'' + signature + '\'.');
+    return yield* invoke(method, receiver, args);
+}
+
+// Calls the method with [signature] that [cls] inherits on [receiver], for
+// `super` calls. [cls] is the metaclass for static methods.
+export function* callSuper(cls, receiver, signature, ...args) {
+    let method = cls.superclass ? cls.superclass.methods.get(signature) : null;
+    if (method == null) {
+        abort(cls.superclass.name + ' does not implement \'' + signature + '\'.');
+    }
+    return yield* invoke(method, receiver, args);
+}
+
+// Converts [value] to a string by calling its `toString`.
+export function* toString(value) {
+    if (typeof value == 'string') return value;
+
+    let string = yield* call(value, 'toString');
+    if (typeof string != 'string') abort('toString must return a string.');
+    return string;
+}
+
+// Formats a number the way Wren does, which is C's "%.14g".
+function numToString(value) {
+    if (Number.isNaN(value)) return 'nan';
+    if (value == Infinity) return 'infinity';
+    if (value == -Infinity) return '-infinity';
+    if (Object.is(value, -0)) return '-0';
+
+    let exponential = value.toExponential(13);
+    let exponent = Number(exponential.split('e')[1]);
+    if (exponent < -4 || exponent >= 14) {
+        let parts = exponential.split('e');
+        let mantissa = parts[0].replace(/\.?0+$/, '');
+        let sign = exponent < 0 ? '-' : '+';
+        let digits = String(Math.abs(exponent)).padStart(2, '0');
+        return mantissa + 'e' + sign + digits;
+    }
+
+    let fixed = value.toFixed(Math.max(0, 13 - exponent));
+    if (fixed.indexOf('.') != -1) fixed = fixed.replace(/\.?0+$/, '');
+    return fixed;
+}
+
+// Checks that [value] is a number, for the right-hand side of an operator.
+function checkNum(value, name = 'Right operand') {
+    if (typeof value != 'number') abort(name + ' must be a number.');
+    return value;
+}
+
+// Checks that [value] is an integer index into a sequence with [count] items,
+// allowing negative indexes from the end. Returns the positive index.
+function checkIndex(value, count, name = 'Subscript') {
+    if (typeof value != 'number') abort(name + ' must be a number.');
+    if (!Number.isInteger(value)) abort(name + ' must be an integer.');
+    if (value < 0) value += count;
+    if (value < 0 || value >= count) abort(name + ' out of bounds.');
+    return value;
+}
+
+// Returns the [start] and [count] of the items in [range] in a sequence with
+// [length] items, and whether they go backwards.
+function rangeIndexes(range, length) {
+    let from = range.from;
+    let to = range.to;
+    if (from == length && ((range.isInclusive && to == -1) ||
+        (!range.isInclusive && to == length))) {
+        return { start: from, count: 0, step: 1 };
+    }
+
+    from = checkIndex(from, length, 'Range start');
+    if (to < 0) to += length;
+    if (!range.isInclusive) {
+        if (to == from) return { start: from, count: 0, step: 1 };
+        to += to >= from ? -1 : 1;
+    }
+    to = checkIndex(to, length, 'Range end');
+
+    let step = to >= from ? 1 : -1;
+    return { start: from, count: Math.abs(to - from) + 1, step: step };
+}
+
+// The iterators of the lazy sequences that `map()`, `where()`, `skip()` and
+// `take()` return.
+class LazySequence {
+    constructor(cls, sequence, argument) {
+        this.cls = cls;
+        this.sequence = sequence;
+        this.argument = argument;
+    }
+}
+
+class MapEntry {
+    constructor(key, value) {
+        this.key = key;
+        this.value = value;
+    }
+}
+
+// Checks that [value] can be a map key.
+function checkKey(value) {
+    if (value == null || typeof value == 'number' || typeof value == 'string' ||
+        typeof value == 'boolean' || value instanceof WrenClass ||
+        value instanceof WrenRange) {
+        return value;
+    }
+    abort('Key must be a value type.');
+}
+
+// The core classes.
+
+let ObjectClass = new WrenClass('Object', null, null);
+natives(ObjectClass, {
+    '!': () => false,
+    '==(_)': function (other) { return this === other; },
+    '!=(_)': function* (other) {
+        return !truthy(yield* call(this, '==(_)', other));
+    },
+    'is(_)': function (cls) {
+        if (!(cls instanceof WrenClass)) abort('Right operand must be a class.');
+        for (let c = classOf(this); c != null; c = c.superclass) {
+            if (c == cls) return true;
+        }
+        return false;
+    },
+    'toString': function () { return 'instance of ' + classOf(this).name; },
+    'type': function () { return classOf(this); }
+});
+
+let ClassClass = new WrenClass('Class', ObjectClass, null);
+natives(ClassClass, {
+    'name': function () { return this.name; },
+    'supertype': function () { return this.superclass; },
+    'toString': function () { return this.name; },
+    'attributes': () => null
+});
+
+ObjectClass.metaclass = new WrenClass('Object metaclass', ClassClass, null);
+ClassClass.metaclass = new WrenClass('Class metaclass', ClassClass, null);
+staticNatives(ObjectClass, {
+    'same(_,_)': (a, b) => a === b ||
+        (a instanceof WrenRange && b instanceof WrenRange && rangeEquals(a, b))
+});
+
+let BoolClass = createClass('Bool', ObjectClass);
+natives(BoolClass, {
+    '!': function () { return !this; },
+    'toString': function () { return String(this); }
+});
+
+let NullClass = createClass('Null', ObjectClass);
+natives(NullClass, {
+    '!': () => true,
+    'toString': () => 'null'
+});
+
+let NumClass = createClass('Num', ObjectClass);
+staticNatives(NumClass, {
+    'fromString(_)': (string) => {
+        if (typeof string != 'string') abort('Argument must be a string.');
+        let trimmed = string.trim();
+        if (trimmed == '') return null;
+        let value = Number(trimmed);
+        return Number.isNaN(value) ? null : value;
+    },
+    'infinity': () => Infinity,
+    'nan': () => NaN,
+    'pi': () => Math.PI,
+    'tau': () => Math.PI * 2,
+    'largest': () => Number.MAX_VALUE,
+    'smallest': () => Number.MIN_VALUE,
+    'maxSafeInteger': () => Number.MAX_SAFE_INTEGER,
+    'minSafeInteger': () => Number.MIN_SAFE_INTEGER,
+    'epsilon': () => Number.EPSILON
+});
+natives(NumClass, {
+    '-': function () { return -this; },
+    '+(_)': function (b) { return this + checkNum(b); },
+    '-(_)': function (b) { return this - checkNum(b); },
+    '*(_)': function (b) { return this * checkNum(b); },
+    '/(_)': function (b) { return this / checkNum(b); },
+    '%(_)': function (b) { return this % checkNum(b); },
+    '<(_)': function (b) { return this < checkNum(b); },
+    '>(_)': function (b) { return this > checkNum(b); },
+    '<=(_)': function (b) { return this <= checkNum(b); },
+    '>=(_)': function (b) { return this >= checkNum(b); },
+    '==(_)': function (b) { return this === b; },
+    '!=(_)': function (b) { return this !== b; },
+    '&(_)': function (b) { return ((this >>> 0) & (checkNum(b) >>> 0)) >>> 0; },
+    '|(_)': function (b) { return ((this >>> 0) | (checkNum(b) >>> 0)) >>> 0; },
+    '^(_)': function (b) { return ((this >>> 0) ^ (checkNum(b) >>> 0)) >>> 0; },
+    '<<(_)': function (b) { return ((this >>> 0) << (checkNum(b) >>> 0)) >>> 0; },
+    '>>(_)': function (b) { return (this >>> 0) >>> (checkNum(b) >>> 0); },
+    '~': function () { return (~(this >>> 0)) >>> 0; },
+    '..(_)': function (b) { return new WrenRange(this, checkNum(b), true); },
+    '...(_)': function (b) { return new WrenRange(this, checkNum(b), false); },
+    'abs': function () { return Math.abs(this); },
+    'acos': function () { return Math.acos(this); },
+    'asin': function () { return Math.asin(this); },
+    'atan': function () { return Math.atan(this); },
+    'atan(_)': function (x) { return Math.atan2(this, checkNum(x, 'x value')); },
+    'cbrt': function () { return Math.cbrt(this); },
+    'ceil': function () { return Math.ceil(this); },
+    'cos': function () { return Math.cos(this); },
+    'exp': function () { return Math.exp(this); },
+    'floor': function () { return Math.floor(this); },
+    'fraction': function () { return this - Math.trunc(this); },
+    'isInfinity': function () { return this == Infinity || this == -Infinity; },
+    'isInteger': function () { return Number.isInteger(this); },
+    'isNan': function () { return Number.isNaN(this); },
+    'log': function () { return Math.log(this); },
+    'log2': function () { return Math.log2(this); },
+    'max(_)': function (b) { return Math.max(this, checkNum(b, 'Other value')); },
+    'min(_)': function (b) { return Math.min(this, checkNum(b, 'Other value')); },
+    'clamp(_,_)': function (min, max) {
+        return Math.min(Math.max(this, checkNum(min, 'Min value')),
+            checkNum(max, 'Max value'));
+    },
+    'pow(_)': function (b) { return Math.pow(this, checkNum(b, 'Power value')); },
+    'round': function () { return Math.sign(this) * Math.round(Math.abs(this)); },
+    'sign': function () { return Math.sign(this); },
+    'sin': function () { return Math.sin(this); },
+    'sqrt': function () { return Math.sqrt(this); },
+    'tan': function () { return Math.tan(this); },
+    'toString': function () { return numToString(+this); },
+    'truncate': function () { return Math.trunc(this); }
+});
+
+let SequenceClass = createClass('Sequence', ObjectClass);
+
+// Calls [fn], a plain or generator function, with each item in [sequence],
+// stopping early if it returns `false`.
+function* forEach(sequence, fn) {
+    let iterator = null;
+    while (truthy(iterator = yield* call(sequence, 'iterate(_)', iterator))) {
+        let value = yield* call(sequence, 'iteratorValue(_)', iterator);
+        if ((yield* invoke(fn, null, [value])) === false) return;
+    }
+}
+
+// Calls the Wren function [fn] with [args].
+function* callFn(fn, ...args) {
+    if (!(fn instanceof WrenFn)) return yield* call(fn, 'call(_)', ...args);
+    return yield* fn.body(...args);
+}
+
+natives(SequenceClass, {
+    'all(_)': function* (fn) {
+        let result = true;
+        yield* forEach(this, function* (value) {
+            result = yield* callFn(fn, value);
+            if (!truthy(result)) return false;
+        });
+        return result;
+    },
+    'any(_)': function* (fn) {
+        let result = false;
+        yield* forEach(this, function* (value) {
+            result = yield* callFn(fn, value);
+            if (truthy(result)) return false;
+        });
+        return result;
+    },
+    'contains(_)': function* (element) {
+        let found = false;
+        yield* forEach(this, function* (value) {
+            if (truthy(yield* call(element, '==(_)', value))) {
+                found = true;
+                return false;
+            }
+        });
+        return found;
+    },
+    'count': function* () {
+        let count = 0;
+        yield* forEach(this, () => { count++; });
+        return count;
+    },
+    'count(_)': function* (fn) {
+        let count = 0;
+        yield* forEach(this, function* (value) {
+            if (truthy(yield* callFn(fn, value))) count++;
+        });
+        return count;
+    },
+    'each(_)': function* (fn) {
+        yield* forEach(this, function* (value) { yield* callFn(fn, value); });
+        return null;
+    },
+    'isEmpty': function* () {
+        return !truthy(yield* call(this, 'iterate(_)', null));
+    },
+    'map(_)': function (fn) { return new LazySequence(MapSequenceClass, this, fn); },
+    'where(_)': function (fn) { return new LazySequence(WhereSequenceClass, this, fn); },
+    'skip(_)': function (count) {
+        checkIndex(count, Infinity, 'Count');
+        return new LazySequence(SkipSequenceClass, this, count);
+    },
+    'take(_)': function (count) {
+        checkIndex(count, Infinity, 'Count');
+        return new LazySequence(TakeSequenceClass, this, count);
+    },
+    'reduce(_)': function* (fn) {
+        let iterator = yield* call(this, 'iterate(_)', null);
+        if (!truthy(iterator)) abort('Can\'t reduce an empty sequence.');
+
+        let result = yield* call(this, 'iteratorValue(_)', iterator);
+        while (truthy(iterator = yield* call(this, 'iterate(_)', iterator))) {
+            result = yield* callFn(fn, result,
+                yield* call(this, 'iteratorValue(_)', iterator));
+        }
+        return result;
+    },
+    'reduce(_,_)': function* (acc, fn) {
+        yield* forEach(this, function* (value) {
+            acc = yield* callFn(fn, acc, value);
+        });
+        return acc;
+    },
+    'join()': function* () { return yield* call(this, 'join(_)', ''); },
+    'join': function* () { return yield* call(this, 'join(_)', ''); },
+    'join(_)': function* (separator) {
+        if (typeof separator != 'string') abort('Separator must be a string.');
+        let parts = [];
+        yield* forEach(this, function* (value) { parts.push(yield* toString(value)); });
+        return parts.join(separator);
+    },
+    'toList': function* () {
+        let list = [];
+        yield* forEach(this, (value) => { list.push(value); });
+        return list;
+    }
+});
+
+let MapSequenceClass = createClass('MapSequence', SequenceClass);
+natives(MapSequenceClass, {
+    'iterate(_)': function* (iterator) {
+        return yield* call(this.sequence, 'iterate(_)', iterator);
+    },
+    'iteratorValue(_)': function* (iterator) {
+        return yield* callFn(this.argument,
+            yield* call(this.sequence, 'iteratorValue(_)', iterator));
+    }
+});
+
+let WhereSequenceClass = createClass('WhereSequence', SequenceClass);
+natives(WhereSequenceClass, {
+    'iterate(_)': function* (iterator) {
+        while (truthy(iterator = yield* call(this.sequence, 'iterate(_)', iterator))) {
+            let value = yield* call(this.sequence, 'iteratorValue(_)', iterator);
+            if (truthy(yield* callFn(this.argument, value))) break;
+        }
+        return iterator;
+    },
+    'iteratorValue(_)': function* (iterator) {
+        return yield* call(this.sequence, 'iteratorValue(_)', iterator);
+    }
+});
+
+// Skipping and taking need to count alongside the inner iterator, so their
+// iterators are `[count, inner]` pairs.
+let SkipSequenceClass = createClass('SkipSequence', SequenceClass);
+natives(SkipSequenceClass, {
+    'iterate(_)': function* (iterator) {
+        let inner = iterator == null ? null : iterator[1];
+        let skip = iterator == null ? this.argument : 0;
+        do {
+            inner = yield* call(this.sequence, 'iterate(_)', inner);
+            if (!truthy(inner)) return false;
+        } while (skip-- > 0);
+        return [0, inner];
+    },
+    'iteratorValue(_)': function* (iterator) {
+        return yield* call(this.sequence, 'iteratorValue(_)', iterator[1]);
+    }
+});
+
+let TakeSequenceClass = createClass('TakeSequence', SequenceClass);
+natives(TakeSequenceClass, {
+    'iterate(_)': function* (iterator) {
+        let taken = iterator == null ? 0 : iterator[0];
+        if (taken >= this.argument) return false;
+
+        let inner = yield* call(this.sequence, 'iterate(_)',
+            iterator == null ? null : iterator[1]);
+        return truthy(inner) ? [taken + 1, inner] : false;
+    },
+    'iteratorValue(_)': function* (iterator) {
+        return yield* call(this.sequence, 'iteratorValue(_)', iterator[1]);
+    }
+});
+
+let StringClass = createClass('String', SequenceClass);
+staticNatives(StringClass, {
+    'fromCodePoint(_)': (codePoint) => {
+        checkIndex(codePoint, 0x110000, 'Code point');
+        return String.fromCodePoint(codePoint);
+    },
+    'fromByte(_)': (byte) => {
+        checkIndex(byte, 0x100, 'Byte');
+        return String.fromCharCode(byte);
+    }
+});
+natives(StringClass, {
+    '+(_)': function (other) {
+        if (typeof other != 'string') abort('Right operand must be a string.');
+        return this + other;
+    },
+    '*(_)': function (count) {
+        if (typeof count != 'number' || !Number.isInteger(count) || count < 0) {
+            abort('Count must be a non-negative integer.');
+        }
+        return this.repeat(count);
+    },
+    '==(_)': function (other) { return this === other; },
+    '!=(_)': function (other) { return this !== other; },
+    '[_]': function (index) {
+        if (index instanceof WrenRange) {
+            let range = rangeIndexes(index, this.length);
+            let result = '';
+            for (let i = 0; i < range.count; i++) {
+                result += this[range.start + i * range.step];
+            }
+            return result;
+        }
+        index = checkIndex(index, this.length);
+        return String.fromCodePoint(this.codePointAt(index));
+    },
+    'byteCount': function () { return new TextEncoder().encode(this).length; },
+    'count': function () { return Array.from(this).length; },
+    'contains(_)': function (other) { return this.includes(other); },
+    'endsWith(_)': function (other) { return this.endsWith(other); },
+    'startsWith(_)': function (other) { return this.startsWith(other); },
+    'indexOf(_)': function (other) { return this.indexOf(other); },
+    'indexOf(_,_)': function (other, start) {
+        return this.indexOf(other, checkIndex(start, this.length + 1, 'Start'));
+    },
+    'iterate(_)': function (iterator) {
+        if (iterator == null) return this.length == 0 ? false : 0;
+
+        checkIndex(iterator, this.length, 'Iterator');
+        let next = iterator + (this.codePointAt(iterator) > 0xffff ? 2 : 1);
+        return next < this.length ? next : false;
+    },
+    'iteratorValue(_)': function (iterator) {
+        iterator = checkIndex(iterator, this.length, 'Iterator');
+        return String.fromCodePoint(this.codePointAt(iterator));
+    },
+    'replace(_,_)': function (from, to) {
+        if (typeof from != 'string' || from == '') abort('From must be a non-empty string.');
+        if (typeof to != 'string') abort('To must be a string.');
+        return this.split(from).join(to);
+    },
+    'split(_)': function (separator) {
+        if (typeof separator != 'string' || separator == '') {
+            abort('Separator must be a non-empty string.');
+        }
+        return this.split(separator);
+    },
+    'trim()': function () { return this.trim(); },
+    'trimStart()': function () { return this.trimStart(); },
+    'trimEnd()': function () { return this.trimEnd(); },
+    'toString': function () { return String(this); }
+});
+
+let ListClass = createClass('List', SequenceClass);
+staticNatives(ListClass, {
+    'new()': () => [],
+    'filled(_,_)': (size, element) => {
+        checkIndex(size, Infinity, 'Size');
+        return Array(size).fill(element);
+    }
+});
+
+// Sorts [list] in place with [lessThan], a generator that compares two items.
+// A merge sort, since the comparison can call back into Wren.
+function* mergeSort(list, lessThan) {
+    if (list.length < 2) return list;
+
+    let middle = list.length >> 1;
+    let left = yield* mergeSort(list.slice(0, middle), lessThan);
+    let right = yield* mergeSort(list.slice(middle), lessThan);
+
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (i < left.length && j < right.length) {
+        if (truthy(yield* lessThan(right[j], left[i]))) {
+            list[k++] = right[j++];
+        } else {
+            list[k++] = left[i++];
+        }
+    }
+    while (i < left.length) list[k++] = left[i++];
+    while (j < right.length) list[k++] = right[j++];
+    return list;
+}
+
+natives(ListClass, {
+    '[_]': function (index) {
+        if (index instanceof WrenRange) {
+            let range = rangeIndexes(index, this.length);
+            let result = [];
+            for (let i = 0; i < range.count; i++) {
+                result.push(this[range.start + i * range.step]);
+            }
+            return result;
+        }
+        return this[checkIndex(index, this.length)];
+    },
+    '[_]=(_)': function (index, value) {
+        this[checkIndex(index, this.length)] = value;
+        return value;
+    },
+    '+(_)': function* (other) {
+        let result = this.slice();
+        yield* forEach(other, (value) => { result.push(value); });
+        return result;
+    },
+    '*(_)': function (count) {
+        checkIndex(count, Infinity, 'Count');
+        let result = [];
+        for (let i = 0; i < count; i++) result.push(...this);
+        return result;
+    },
+    'add(_)': function (value) {
+        this.push(value);
+        return value;
+    },
+    'addAll(_)': function* (other) {
+        let list = this;
+        yield* forEach(other, (value) => { list.push(value); });
+        return other;
+    },
+    'clear()': function () {
+        this.length = 0;
+        return null;
+    },
+    'count': function () { return this.length; },
+    'insert(_,_)': function (index, value) {
+        this.splice(checkIndex(index, this.length + 1, 'Index'), 0, value);
+        return value;
+    },
+    'indexOf(_)': function* (value) {
+        for (let i = 0; i < this.length; i++) {
+            if (truthy(yield* call(this[i], '==(_)', value))) return i;
+        }
+        return -1;
+    },
+    'remove(_)': function* (value) {
+        for (let i = 0; i < this.length; i++) {
+            if (truthy(yield* call(this[i], '==(_)', value))) {
+                return this.splice(i, 1)[0];
+            }
+        }
+        return null;
+    },
+    'removeAt(_)': function (index) {
+        return this.splice(checkIndex(index, this.length, 'Index'), 1)[0];
+    },
+    'swap(_,_)': function (a, b) {
+        a = checkIndex(a, this.length, 'Index 0');
+        b = checkIndex(b, this.length, 'Index 1');
+        let temp = this[a];
+        this[a] = this[b];
+        this[b] = temp;
+        return null;
+    },
+    'sort()': function* () {
+        return yield* mergeSort(this, function* (a, b) {
+            return yield* call(a, '<(_)', b);
+        });
+    },
+    'sort(_)': function* (fn) {
+        return yield* mergeSort(this, function* (a, b) {
+            return yield* callFn(fn, a, b);
+        });
+    },
+    'iterate(_)': function (iterator) {
+        if (iterator == null) return this.length == 0 ? false : 0;
+        checkIndex(iterator, Infinity, 'Iterator');
+        return iterator + 1 < this.length ? iterator + 1 : false;
+    },
+    'iteratorValue(_)': function (iterator) {
+        return this[checkIndex(iterator, this.length, 'Iterator')];
+    },
+    'toString': function* () {
+        let parts = [];
+        for (let value of this) parts.push(yield* toString(value));
+        return '[' + parts.join(', ') + ']';
+    }
+});
+
+let MapEntryClass = createClass('MapEntry', ObjectClass);
+natives(MapEntryClass, {
+    'key': function () { return this.key; },
+    'value': function () { return this.value; },
+    'toString': function* () {
+        return (yield* toString(this.key)) + ':' + (yield* toString(this.value));
+    }
+});
+
+let MapClass = createClass('Map', SequenceClass);
+staticNatives(MapClass, {
+    'new()': () => new Map()
+});
+natives(MapClass, {
+    '[_]': function (key) {
+        let value = this.get(checkKey(key));
+        return value === undefined ? null : value;
+    },
+    '[_]=(_)': function (key, value) {
+        this.set(checkKey(key), value);
+        return value;
+    },
+    'clear()': function () {
+        this.clear();
+        return null;
+    },
+    'containsKey(_)': function (key) { return this.has(checkKey(key)); },
+    'count': function () { return this.size; },
+    'keys': function () { return Array.from(this.keys()); },
+    'values': function () { return Array.from(this.values()); },
+    'remove(_)': function (key) {
+        let value = this.get(checkKey(key));
+        this.delete(key);
+        return value === undefined ? null : value;
+    },
+    'iterate(_)': function (iterator) {
+        if (iterator == null) return this.size == 0 ? false : 0;
+        return iterator + 1 < this.size ? iterator + 1 : false;
+    },
+    'iteratorValue(_)': function (iterator) {
+        let entry = Array.from(this.entries())[iterator];
+        return new MapEntry(entry[0], entry[1]);
+    },
+    'toString': function* () {
+        let parts = [];
+        for (let entry of this) {
+            parts.push((yield* toString(entry[0])) + ': ' + (yield* toString(entry[1])));
+        }
+        return '{' + parts.join(', ') + '}';
+    }
+});
+
+function rangeEquals(a, b) {
+    return a.from == b.from && a.to == b.to && a.isInclusive == b.isInclusive;
+}
+
+let RangeClass = createClass('Range', SequenceClass);
+natives(RangeClass, {
+    'from': function () { return this.from; },
+    'to': function () { return this.to; },
+    'min': function () { return Math.min(this.from, this.to); },
+    'max': function () { return Math.max(this.from, this.to); },
+    'isInclusive': function () { return this.isInclusive; },
+    '==(_)': function (other) {
+        return other instanceof WrenRange && rangeEquals(this, other);
+    },
+    '!=(_)': function (other) {
+        return !(other instanceof WrenRange && rangeEquals(this, other));
+    },
+    'iterate(_)': function (iterator) {
+        let step = this.from <= this.to ? 1 : -1;
+        let next = iterator == null ? this.from : iterator + step;
+        let last = this.isInclusive ? this.to : this.to - step;
+
+        if (this.from == this.to && !this.isInclusive) return false;
+        if (step > 0 ? next > last : next < last) return false;
+        return next;
+    },
+    'iteratorValue(_)': function (iterator) { return iterator; },
+    'toString': function () {
+        return numToString(this.from) + (this.isInclusive ? '..' : '...') +
+            numToString(this.to);
+    }
+});
+
+let FnClass = createClass('Fn', ObjectClass);
+staticNatives(FnClass, {
+    'new(_)': (fn) => {
+        if (!(fn instanceof WrenFn)) abort('Argument must be a function.');
+        return fn;
+    }
+});
+natives(FnClass, {
+    'arity': function () { return this.arity; },
+    'toString': () => '<fn>'
+});
+
+// Fn.call() takes up to 16 arguments.
+for (let arity = 0; arity <= 16; arity++) {
+    let signature = 'call(' + Array(arity).fill('_').join(',') + ')';
+    FnClass.methods.set(signature, function* (...args) {
+        if (args.length < this.arity) abort('Function expects more arguments.');
+        return yield* this.body(...args.slice(0, this.arity));
+    });
+}
+
+let FiberClass = createClass('Fiber', ObjectClass);
+staticNatives(FiberClass, {
+    'new(_)': (fn) => {
+        if (!(fn instanceof WrenFn)) abort('Argument must be a function.');
+        if (fn.arity > 1) abort('Function cannot take more than one parameter.');
+        return new WrenFiber(fn);
+    },
+    'current': () => currentFiber,
+    'abort(_)': (message) => {
+        if (message != null) abort(message);
+        return null;
+    },
+    'yield()': function* () {
+        let value = yield null;
+        return value === undefined ? null : value;
+    },
+    'yield(_)': function* (value) {
+        let result = yield value;
+        return result === undefined ? null : result;
+    }
+});
+natives(FiberClass, {
+    'call()': function () { return this.resume(null, false); },
+    'call(_)': function (value) { return this.resume(value, false); },
+    'try()': function () { return this.resume(null, true); },
+    'try(_)': function (value) { return this.resume(value, true); },
+    'isDone': function () { return this.isDone; },
+    'error': function () { return this.error; }
+});
+
+let SystemClass = createClass('System', ObjectClass);
+staticNatives(SystemClass, {
+    'clock': () => Date.now() / 1000,
+    'gc()': () => null,
+    'print()': () => {
+        writer('\n');
+        return null;
+    },
+    'print(_)': function* (value) {
+        writer((yield* toString(value)) + '\n');
+        return value;
+    },
+    'printAll(_)': function* (sequence) {
+        let parts = [];
+        yield* forEach(sequence, function* (value) { parts.push(yield* toString(value)); });
+        writer(parts.join('') + '\n');
+        return null;
+    },
+    'write(_)': function* (value) {
+        writer(yield* toString(value));
+        return value;
+    },
+    'writeAll(_)': function* (sequence) {
+        let parts = [];
+        yield* forEach(sequence, function* (value) { parts.push(yield* toString(value)); });
+        writer(parts.join(''));
+        return null;
+    }
+});
+
+// The classes that Wren programs can't inherit from.
+const sealedClasses = new Set([ClassClass, BoolClass, NullClass, NumClass,
+    StringClass, ListClass, MapClass, RangeClass, FnClass, FiberClass]);
+
+// The variables every module can see, keyed by name.
+export const core = Object.freeze({
+    Object: ObjectClass,
+    Class: ClassClass,
+    Bool: BoolClass,
+    Null: NullClass,
+    Num: NumClass,
+    Sequence: SequenceClass,
+    MapSequence: MapSequenceClass,
+    WhereSequence: WhereSequenceClass,
+    SkipSequence: SkipSequenceClass,
+    TakeSequence: TakeSequenceClass,
+    String: StringClass,
+    List: ListClass,
+    Map: MapClass,
+    MapEntry: MapEntryClass,
+    Range: RangeClass,
+    Fn: FnClass,
+    Fiber: FiberClass,
+    System: SystemClass
+});
+
+// The functions below are what transpiled code calls.
+
+// Defines a class called [name] that inherits from [superclass].
+export function defineClass(name, superclass) {
+    if (!(superclass instanceof WrenClass)) {
+        abort('Class \'' + name + '\' cannot inherit from a non-class object.');
+    }
+    if (sealedClasses.has(superclass)) {
+        abort('Class \'' + name + '\' cannot inherit from built-in class \'' +
+            superclass.name + '\'.');
+    }
+    return createClass(name, superclass);
+}
+
+// Defines the instance method [signature] on [cls].
+export function method(cls, signature, body) {
+    cls.methods.set(signature, body);
+}
+
+// Defines the static method [signature] on [cls].
+export function staticMethod(cls, signature, body) {
+    cls.metaclass.methods.set(signature, body);
+}
+
+// Defines the constructor [signature] on [cls]. That's a static method that
+// creates an instance and an instance method, "init " plus the signature, that
+// runs [body] on it, which is what `super(...)` calls in a subclass.
+export function constructor(cls, signature, body) {
+    let initializer = 'init ' + signature;
+    cls.methods.set(initializer, body);
+    cls.metaclass.methods.set(signature, function* (...args) {
+        let instance = new WrenObject(this);
+        yield* invoke(this.methods.get(initializer), instance, args);
+        return instance;
+    });
+}
+
+// The implementations of foreign methods, keyed by class name, "static " for
+// static methods, and signature.
+const foreignMethods = new Map();
+
+// Provides the JavaScript implementation of a foreign method. [fn] is called
+// with the receiver as `this` and the arguments.
+export function bindForeignMethod(className, isStatic, signature, fn) {
+    foreignMethods.set(className + (isStatic ? ' static ' : ' ') + signature, fn);
+}
+
+// Declares the foreign method [signature] on [cls]. Calling it runs whatever
+// was bound with [bindForeignMethod()].
+export function foreignMethod(cls, signature, isStatic) {
+    let key = cls.name + (isStatic ? ' static ' : ' ') + signature;
+    (isStatic ? cls.metaclass : cls).methods.set(signature, function (...args) {
+        let fn = foreignMethods.get(key);
+        if (fn == null) abort('Could not find foreign method \'' + signature +
+            '\' for class ' + cls.name + '.');
+        return fn.apply(this, args);
+    });
+}
+
+// Creates a function with [arity] parameters from the generator [body].
+export function fn(arity, body) {
+    return new WrenFn(arity, body);
+}
+
+// Creates a map from a list of `[key, value]` pairs.
+export function map(entries) {
+    let result = new Map();
+    for (let entry of entries) result.set(checkKey(entry[0]), entry[1]);
+    return result;
+}
+
+// Creates a range.
+export function range(from, to, isInclusive) {
+    return new WrenRange(from, to, isInclusive);
+}
+
+// Runs the top-level code of a module, [body], in a new fiber. A runtime error
+// is thrown as a [WrenRuntimeError].
+export function runModule(body) {
+    let fiber = new WrenFiber(new WrenFn(0, body));
+    fiber.resume(null, false);
+}
@@ -0,0 +1,620 @@
+import { parse } from './ast.js';
+import * as runtime from './runtime.js';
+
+// Compiles the syntax tree from [parse()] into JavaScript that runs on the
+// runtime in runtime.js.
+//
+// The output keeps Wren's structure: a Wren class becomes a runtime class with
+// its methods keyed by signature, a variable becomes a `let`, and every method
+// call, operators included, goes through `$.call()`. Methods and functions
+// compile to generator functions, so a fiber can yield from anywhere.
+//
+// Wren variables get a `v_` prefix and static fields an `s_` one, so they can't
+// clash with JavaScript keywords or the generated code's own `$` names.
+
+// Stable codes for the errors the transpiler reports on top of the parser's.
+export const TranspileErrorCode = Object.freeze({
+    // A variable is used but never defined.
+    UNDEFINED_VARIABLE: 'TRANSPILE_UNDEFINED_VARIABLE'
+});
+
+// Returns [value] as a JavaScript string literal.
+function quote(value) {
+    return JSON.stringify(value);
+}
+
+// Indents every line of [code] by one level.
+function indent(code) {
+    return code.replace(/^(?=.)/gm, '    ');
+}
+
+// Returns the signature of a subscript with [arity] arguments.
+function subscriptSignature(arity) {
+    return '[' + Array(arity).fill('_').join(',') + ']';
+}
+
+class Generator {
+    constructor() {
+        this.diagnostics = [];
+
+        // The modules the code imports from, in order, as `{module, variables}`
+        // where [variables] is a list of `{name, alias}`.
+        this.imports = [];
+
+        // The core classes the code uses.
+        this.usedCore = new Set();
+
+        // The variables in scope, innermost last. The first is the module's.
+        this.scopes = [];
+
+        // The class whose methods are being compiled, if any.
+        this.enclosingClass = null;
+
+        // The state of the function being compiled: whether it used a
+        // temporary for `&&` and `||`.
+        this.function = null;
+
+        // The state of the method being compiled: whether it, or a function
+        // inside it, used `this`.
+        this.methodFunction = null;
+
+        // Numbers the temporaries that `for` loops need.
+        this.loopCount = 0;
+    }
+
+    // Compiles [ast], a Module node. Returns the pieces a wrapper needs: the
+    // [moduleVariables] to declare and export, and the [body] that runs the
+    // module's top-level code.
+    module(ast) {
+        let moduleScope = new Set();
+        this.scopes = [moduleScope];
+
+        // Module variables can be used before they are defined, as long as
+        // that's inside a method or function, so they are all declared up
+        // front.
+        let moduleVariables = [];
+        for (let statement of ast.body) {
+            if (statement.type == 'Var' || statement.type == 'Class') {
+                if (!moduleScope.has(statement.name)) moduleVariables.push(statement.name);
+                moduleScope.add(statement.name);
+            } else if (statement.type == 'Import' && statement.variables) {
+                for (let variable of statement.variables) {
+                    moduleScope.add(variable.alias || variable.name);
+                }
+            }
+        }
+
+        this.function = { usesTemp: false, usesThis: false };
+        let body = this.statements(ast.body);
+        body = this.functionPrologue() + body;
+
+        let exported = Array.from(moduleScope);
+        return {
+            moduleVariables: moduleVariables,
+            exported: exported,
+            body: body
+        };
+    }
+
+    // Reports an error at [node].
+    report(code, message, node) {
+        this.diagnostics.push(Object.assign({
+            code: code,
+            message: message,
+            severity: 'error'
+        }, node.span));
+    }
+
+    pushScope() {
+        this.scopes.push(new Set());
+    }
+
+    popScope() {
+        this.scopes.pop();
+    }
+
+    declare(name) {
+        this.scopes[this.scopes.length - 1].add(name);
+    }
+
+    // Returns true if the code being compiled is at the top level of the module.
+    get isTopLevel() {
+        return this.scopes.length == 1;
+    }
+
+    // Returns the JavaScript name for the variable [name] used at [node].
+    variable(name, node) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return 'v_' + name;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(runtime.core, name)) {
+            this.usedCore.add(name);
+            return 'v_' + name;
+        }
+
+        this.report(TranspileErrorCode.UNDEFINED_VARIABLE,
+            'Variable \'' + name + '\' is used but not defined.', node);
+        return 'v_' + name;
+    }
+
+    // Returns the name of the receiver of the method being compiled.
+    receiver() {
+        this.methodFunction.usesThis = true;
+        return '$this';
+    }
+
+    // Returns the declarations a function body starts with.
+    functionPrologue() {
+        let code = '';
+        if (this.function.usesThis) code += 'const $this = this;\n';
+        if (this.function.usesTemp) code += 'let $t;\n';
+        return code;
+    }
+
+    // Compiles a generator function with [parameters] and [body], a Block. If
+    // [bindsThis], it's a method. Unless [discardsValue], a single-expression
+    // body returns its value.
+    functionBody(parameters, body, bindsThis, discardsValue) {
+        let enclosingFunction = this.function;
+        let enclosingMethod = this.methodFunction;
+        this.function = { usesTemp: false, usesThis: false };
+        if (bindsThis) this.methodFunction = this.function;
+        this.pushScope();
+
+        let names = parameters.map((parameter) => {
+            this.declare(parameter.name);
+            return 'v_' + parameter.name;
+        });
+
+        let code;
+        if (body.isExpression && !discardsValue) {
+            code = 'return ' + this.expression(body.statements[0].expression) + ';\n';
+        } else {
+            code = this.statements(body.statements);
+            let last = body.statements[body.statements.length - 1];
+            if (last == null || last.type != 'Return') code += 'return null;\n';
+        }
+        code = this.functionPrologue() + code;
+
+        this.popScope();
+        this.function = enclosingFunction;
+        this.methodFunction = enclosingMethod;
+        return 'function* (' + names.join(', ') + ') {\n' + indent(code) + '}';
+    }
+
+    statements(statements) {
+        return statements.map((statement) => this.statement(statement)).join('');
+    }
+
+    // Compiles [node] as the body of a loop or `if`.
+    body(node) {
+        if (node.type == 'Block') return this.block(node);
+
+        this.pushScope();
+        let code = '{\n' + indent(this.statement(node)) + '}';
+        this.popScope();
+        return code;
+    }
+
+    block(node) {
+        this.pushScope();
+        let code = '{\n' + indent(this.statements(node.statements)) + '}';
+        this.popScope();
+        return code;
+    }
+
+    statement(node) {
+        switch (node.type) {
+        case 'Class': return this.classDefinition(node);
+        case 'Import': return this.importStatement(node);
+
+        case 'Var': {
+            let value = node.initializer ? this.expression(node.initializer) : 'null';
+            let isModuleVariable = this.isTopLevel;
+            this.declare(node.name);
+            return (isModuleVariable ? '' : 'let ') + 'v_' + node.name + ' = ' +
+                value + ';\n';
+        }
+
+        case 'Block': return this.block(node) + '\n';
+
+        case 'If': {
+            let code = 'if ($.truthy(' + this.expression(node.condition) + ')) ' +
+                this.body(node.thenBranch);
+            if (node.elseBranch) code += ' else ' + this.body(node.elseBranch);
+            return code + '\n';
+        }
+
+        case 'While':
+            return 'while ($.truthy(' + this.expression(node.condition) + ')) ' +
+                this.body(node.body) + '\n';
+
+        case 'For': return this.forStatement(node);
+        case 'Break': return 'break;\n';
+        case 'Continue': return 'continue;\n';
+
+        case 'Return':
+            return 'return ' + (node.value ? this.expression(node.value) : 'null') + ';\n';
+
+        case 'ExpressionStatement':
+            return this.expression(node.expression) + ';\n';
+        }
+
+        throw new Error('Cannot compile a ' + node.type + ' statement.');
+    }
+
+    // A `for` loop runs Wren's iterator protocol: call `iterate()` until it
+    // returns a false value and `iteratorValue()` for each item.
+    forStatement(node) {
+        let id = ++this.loopCount;
+        let sequence = '$seq' + id;
+        let iterator = '$iter' + id;
+
+        let code = 'const ' + sequence + ' = ' + this.expression(node.sequence) + ';\n' +
+            'let ' + iterator + ' = null;\n';
+
+        this.pushScope();
+        this.declare(node.variable.name);
+        let loopBody = 'let v_' + node.variable.name + ' = yield* $.call(' + sequence +
+            ', "iteratorValue(_)", ' + iterator + ');\n';
+        loopBody += node.body.type == 'Block'
+            ? this.statements(node.body.statements)
+            : this.statement(node.body);
+        this.popScope();
+
+        code += 'while ($.truthy(' + iterator + ' = yield* $.call(' + sequence +
+            ', "iterate(_)", ' + iterator + '))) {\n' + indent(loopBody) + '}\n';
+        return '{\n' + indent(code) + '}\n';
+    }
+
+    // Imports become imports of the compiled module, hoisted to the top.
+    importStatement(node) {
+        let variables = (node.variables || []).map((variable) => {
+            let name = variable.alias || variable.name;
+            this.declare(name);
+            return { name: variable.name, alias: name };
+        });
+        this.imports.push({ module: node.module.value, variables: variables });
+        return '';
+    }
+
+    classDefinition(node) {
+        let name = 'v_' + node.name;
+        let superclass = node.superclass
+            ? this.expression(node.superclass)
+            : this.variable('Object', node);
+
+        let isModuleVariable = this.isTopLevel;
+        this.declare(node.name);
+
+        let code = '';
+
+        // Static fields are variables in the scope around the class.
+        let staticFields = new Set();
+        collectStaticFields(node.methods, staticFields);
+        for (let field of staticFields) {
+            code += 'let ' + staticFieldName(node.name, field) + ' = null;\n';
+        }
+
+        code += (isModuleVariable ? '' : 'let ') + name + ' = $.defineClass(' +
+            quote(node.name) + ', ' + superclass + ');\n';
+
+        let enclosingClass = this.enclosingClass;
+        this.enclosingClass = { node: node, name: name, method: null };
+        for (let method of node.methods) code += this.method(method);
+        this.enclosingClass = enclosingClass;
+
+        return code;
+    }
+
+    method(node) {
+        let cls = this.enclosingClass;
+        cls.method = node;
+
+        let signature = quote(node.signature);
+        if (node.isForeign) {
+            return '$.foreignMethod(' + cls.name + ', ' + signature + ', ' +
+                node.isStatic + ');\n';
+        }
+
+        let define = node.kind == 'constructor' ? 'constructor'
+            : node.isStatic ? 'staticMethod' : 'method';
+        let fn = this.functionBody(node.parameters, node.body, true,
+            node.kind == 'constructor');
+
+        cls.method = null;
+        return '$.' + define + '(' + cls.name + ', ' + signature + ', ' + fn + ');\n';
+    }
+
+    expression(node) {
+        switch (node.type) {
+        case 'NullLiteral': return 'null';
+        case 'BooleanLiteral': return String(node.value);
+        case 'NumberLiteral': return String(node.value);
+        case 'StringLiteral': return quote(node.value);
+
+        // `toString` always returns a string, so the empty literal parts can
+        // go.
+        case 'Interpolation':
+            return '(' + node.parts
+                .filter((part) => part.type != 'StringLiteral' || part.value != '')
+                .map((part) => part.type == 'StringLiteral'
+                    ? quote(part.value)
+                    : '(yield* $.toString(' + this.expression(part) + '))')
+                .join(' + ') + ')';
+
+        case 'List':
+            return '[' + node.elements.map((element) => this.expression(element))
+                .join(', ') + ']';
+
+        case 'Map':
+            return '$.map([' + node.entries.map((entry) => '[' +
+                this.expression(entry.key) + ', ' + this.expression(entry.value) + ']')
+                .join(', ') + '])';
+
+        case 'Identifier': return this.variable(node.name, node);
+        case 'Field':
+            return '(' + this.receiver() + '.fields[' + this.fieldKey(node) + '] ?? null)';
+        case 'StaticField': return this.staticField(node);
+        case 'This': return this.receiver();
+        case 'Call': return this.call(node);
+
+        case 'Subscript':
+            return this.dispatch(this.expression(node.receiver),
+                subscriptSignature(node.arguments.length),
+                node.arguments.map((argument) => this.expression(argument)));
+
+        case 'Function':
+            return '$.fn(' + node.parameters.length + ', ' +
+                this.functionBody(node.parameters, node.body, false, false) + ')';
+
+        case 'Unary':
+            return this.dispatch(this.expression(node.operand), node.operator, []);
+
+        case 'Binary':
+            return this.dispatch(this.expression(node.left), node.operator + '(_)',
+                [this.expression(node.right)]);
+
+        // Only false and null are false, and the value is whichever operand
+        // decided it.
+        case 'Logical': {
+            this.function.usesTemp = true;
+            let left = '$.truthy($t = ' + this.expression(node.left) + ')';
+            let right = this.expression(node.right);
+            return '(' + left + (node.operator == '&&'
+                ? ' ? ' + right + ' : $t)'
+                : ' ? $t : ' + right + ')');
+        }
+
+        case 'Conditional':
+            return '($.truthy(' + this.expression(node.condition) + ') ? ' +
+                this.expression(node.thenBranch) + ' : ' +
+                this.expression(node.elseBranch) + ')';
+
+        case 'Assignment': return this.assignment(node);
+        }
+
+        throw new Error('Cannot compile a ' + node.type + ' expression.');
+    }
+
+    // Returns the code that calls [signature] on [receiver] with [args].
+    dispatch(receiver, signature, args) {
+        return '(yield* $.call(' + [receiver, quote(signature)].concat(args).join(', ') +
+            '))';
+    }
+
+    // Fields are kept per class, like Wren does, so a subclass can have a field
+    // with the same name.
+    fieldKey(node) {
+        return quote(this.enclosingClass.node.name + '.' + node.name);
+    }
+
+    staticField(node) {
+        return staticFieldName(this.enclosingClass.node.name, node.name);
+    }
+
+    // Compiles a Call. [extra] are arguments to pass after the call's own, like
+    // the value for a setter.
+    call(node, extra = []) {
+        let args = (node.arguments || []).map((argument) => this.expression(argument));
+        if (node.blockArgument) args.push(this.expression(node.blockArgument));
+        args = args.concat(extra);
+
+        if (node.receiver == null) {
+            return this.dispatch(this.receiver(), node.signature, args);
+        }
+        if (node.receiver.type != 'Super') {
+            return this.dispatch(this.expression(node.receiver), node.signature, args);
+        }
+
+        // `super` looks the method up in the superclass of the class it's
+        // written in, not the class of `this`.
+        let cls = this.enclosingClass;
+        let method = cls.method;
+        let target = method.isStatic ? cls.name + '.metaclass' : cls.name;
+        let signature = node.signature;
+        if (node.name == null && method.kind == 'constructor') {
+            signature = 'init ' + signature;
+        }
+        return '(yield* $.callSuper(' + [target, this.receiver(), quote(signature)]
+            .concat(args).join(', ') + '))';
+    }
+
+    assignment(node) {
+        let target = node.target;
+
+        switch (target.type) {
+        case 'Identifier':
+            return '(' + this.variable(target.name, target) + ' = ' +
+                this.expression(node.value) + ')';
+        case 'Field':
+            return '(' + this.receiver() + '.fields[' + this.fieldKey(target) + '] = ' +
+                this.expression(node.value) + ')';
+        case 'StaticField':
+            return '(' + this.staticField(target) + ' = ' +
+                this.expression(node.value) + ')';
+
+        case 'Subscript': {
+            let receiver = this.expression(target.receiver);
+            let args = target.arguments.map((argument) => this.expression(argument));
+            return this.dispatch(receiver, subscriptSignature(args.length) + '=(_)',
+                args.concat([this.expression(node.value)]));
+        }
+
+        case 'Call': {
+            let setter = Object.assign({}, target, {
+                arguments: null,
+                signature: target.name + '=(_)'
+            });
+            let value = this.expression(node.value);
+            return this.call(setter, [value]);
+        }
+        }
+
+        throw new Error('Cannot assign to a ' + target.type + '.');
+    }
+}
+
+// Returns the variable that holds the static field [name] of [className].
+function staticFieldName(className, name) {
+    return 's_' + className + name;
+}
+
+// Adds the names of the static fields used anywhere in [node] to [fields],
+// except inside nested classes, which have their own.
+function collectStaticFields(node, fields) {
+    if (Array.isArray(node)) {
+        for (let item of node) collectStaticFields(item, fields);
+        return;
+    }
+    if (node == null || typeof node != 'object') return;
+
+    if (node.type == 'StaticField') fields.add(node.name);
+    for (let key of Object.keys(node)) {
+        if (key == 'span') continue;
+        let value = node[key];
+        if (value && typeof value == 'object' && value.type != 'Class') {
+            collectStaticFields(value, fields);
+        }
+    }
+}
+
+// Returns the declarations that make the core classes in [names] visible.
+function coreDeclarations(names) {
+    if (names.size == 0) return '';
+    return 'const { ' + Array.from(names).map((name) => name + ': v_' + name)
+        .join(', ') + ' } = $.core;\n';
+}
+
+// Parses and compiles [source]. Returns the diagnostics and, if there weren't
+// any, the compiled pieces.
+function compile(source, options) {
+    let result = parse(source, options);
+    if (result.diagnostics.length > 0) return { diagnostics: result.diagnostics };
+
+    let generator = new Generator();
+    let compiled = generator.module(result.ast);
+    compiled.diagnostics = generator.diagnostics;
+    compiled.imports = generator.imports;
+    compiled.usedCore = generator.usedCore;
+    return compiled;
+}
+
+// Returns the module-level code shared by [transpile()] and [run()], after the
+// imports.
+function moduleCode(compiled) {
+    let code = coreDeclarations(compiled.usedCore);
+    if (compiled.moduleVariables.length > 0) {
+        code += 'let ' + compiled.moduleVariables.map((name) => 'v_' + name + ' = null')
+            .join(', ') + ';\n';
+    }
+    return code + '\n$.runModule(function* () {\n' + indent(compiled.body) + '});\n';
+}
+
+// Transpiles the Wren module in [source] to the source of an ES module.
+//
+// [options] are passed on to [Parser], along with:
+//
+// * `runtime`: The specifier the module imports the runtime from. Defaults to
+//   'js-wren-tokenizer/src/runtime.js'.
+// * `resolveImport`: A function that returns the specifier to import the Wren
+//   module with the given name from. Defaults to `./<name>.js`.
+//
+// Returns `{ code, diagnostics }`. If there are any diagnostics, [code] is
+// `null`.
+export function transpile(source, options = {}) {
+    let compiled = compile(source, options);
+    if (compiled.diagnostics.length > 0) {
+        return { code: null, diagnostics: compiled.diagnostics };
+    }
+
+    let runtimePath = options.runtime || 'js-wren-tokenizer/src/runtime.js';
+    let resolveImport = options.resolveImport || ((name) => './' + name + '.js');
+
+    let code = 'import * as $ from ' + quote(runtimePath) + ';\n';
+    for (let module of compiled.imports) {
+        let specifier = quote(resolveImport(module.module));
+        if (module.variables.length == 0) {
+            code += 'import ' + specifier + ';\n';
+        } else {
+            code += 'import { ' + module.variables.map((variable) =>
+                variable.name + ' as v_' + variable.alias).join(', ') +
+                ' } from ' + specifier + ';\n';
+        }
+    }
+
+    code += moduleCode(compiled);
+    if (compiled.exported.length > 0) {
+        code += '\nexport { ' + compiled.exported.map((name) => 'v_' + name + ' as ' + name)
+            .join(', ') + ' };\n';
+    }
+
+    return { code: code, diagnostics: [] };
+}
+
+// Transpiles the Wren module in [source] and runs it right away.
+//
+// [options] are passed on to [Parser], along with:
+//
+// * `write`: A function that gets everything the program prints. Without one,
+//   what it prints goes wherever [setWriter()] in the runtime last sent it,
+//   which is nowhere to begin with.
+// * `importModule`: A function that returns the module variables of the Wren
+//   module with the given name, as an object. The result of [run()] works.
+//
+// Returns `{ exports, diagnostics }`. [exports] has the module's variables, or
+// is `null` if there were diagnostics and it didn't run. A runtime error is
+// thrown as a [WrenRuntimeError].
+export function run(source, options = {}) {
+    let compiled = compile(source, options);
+    if (compiled.diagnostics.length > 0) {
+        return { exports: null, diagnostics: compiled.diagnostics };
+    }
+
+    let importModule = options.importModule || ((name) => {
+        throw new runtime.WrenRuntimeError('Could not load module \'' + name + '\'.');
+    });
+
+    let code = '\'use strict\';\n';
+    for (let module of compiled.imports) {
+        let call = '$import(' + quote(module.module) + ')';
+        if (module.variables.length == 0) {
+            code += call + ';\n';
+        } else {
+            code += 'const { ' + module.variables.map((variable) =>
+                variable.name + ': v_' + variable.alias).join(', ') + ' } = ' + call + ';\n';
+        }
+    }
+    code += moduleCode(compiled);
+    code += 'return { ' + compiled.exported.map((name) => name + ': v_' + name)
+        .join(', ') + ' };\n';
+
+    let previousWriter = options.write ? runtime.setWriter(options.write) : null;
+    try {
+        let exports = new Function('$', '$import', code)(runtime, importModule);
+        return { exports: exports, diagnostics: [] };
+    } finally {
+        if (previousWriter) runtime.setWriter(previousWriter);
+    }
+}
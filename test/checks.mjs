@@ -0,0 +1,22 @@
+// The runner for the test files that are a list of checks.
+
+// Runs [checks], a list of [name, check] pairs, in order, passing [args] to
+// each check. A check fails if it throws, or if the promise it returns is
+// rejected. Prints each failure and how many checks passed, sets the exit code
+// if any failed, and returns a promise for the number that failed.
+export async function runChecks(checks, ...args) {
+    let failures = 0;
+    for (let [name, check] of checks) {
+        try {
+            await check(...args);
+        } catch (error) {
+            failures++;
+            console.log('FAIL ' + name);
+            for (let line of error.message.split('\n')) console.log('    ' + line);
+        }
+    }
+
+    console.log((checks.length - failures) + ' of ' + checks.length + ' checks passed.');
+    if (failures > 0) process.exitCode = 1;
+    return failures;
+}
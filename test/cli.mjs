@@ -0,0 +1,123 @@
+// Checks the `wrent` command: what it prints, and its exit status.
+//
+//     node test/cli.mjs
+
+import assert from 'assert';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { main } from '../src/cli.js';
+import { runChecks } from './checks.mjs';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const files = {
+    'good.wren': 'var a = 1\n',
+    'bad.wren': 'var a = $\n"unterminated',
+    '-': 'System.print("stdin")\n'
+};
+
+// Runs `wrent` with [args] on [files], and returns its exit status and what it
+// wrote.
+function wrent(...args) {
+    let result = { status: null, stdout: '', stderr: '' };
+    result.status = main(args, {
+        stdout: (text) => { result.stdout += text; },
+        stderr: (text) => { result.stderr += text; },
+        readFile: (file) => {
+            if (!(file in files)) throw new Error('No such file.');
+            return Buffer.from(files[file]);
+        }
+    });
+    return result;
+}
+
+const checks = [
+    ['tokens', () => {
+        let result = wrent('good.wren');
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stderr, '');
+        assert.strictEqual(result.stdout, [
+            '1:1   TOKEN_VAR     "var"',
+            '1:5   TOKEN_NAME    "a"',
+            '1:7   TOKEN_EQ      "="',
+            '1:9   TOKEN_NUMBER  "1"    1',
+            '1:10  TOKEN_LINE    "\\n"',
+            '2:1   TOKEN_EOF     ""',
+            ''
+        ].join('\n'));
+
+        // No files means standard input.
+        let tokens = JSON.parse(wrent('--format', 'json').stdout);
+        assert.strictEqual(tokens[0].file, '<stdin>');
+        assert.strictEqual(tokens[0].tokens[4].value, 'stdin');
+    }],
+
+    ['exit status 1 for lexical errors', () => {
+        let result = wrent('good.wren', 'bad.wren');
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stderr,
+            'bad.wren:1:9: error: Invalid character \'$\'. [LEX_INVALID_CHARACTER]\n' +
+            'bad.wren:2:1: error: Unterminated string. [LEX_UNTERMINATED_STRING]\n');
+        assert.match(result.stdout, /^==> good\.wren <==\n/);
+        assert.match(result.stdout, /\n\n==> bad\.wren <==\n/);
+    }],
+
+    ['--check', () => {
+        let result = wrent('--check', 'good.wren', 'bad.wren');
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stderr, '');
+        assert.strictEqual(result.stdout,
+            'bad.wren:1:9: error: Invalid character \'$\'. [LEX_INVALID_CHARACTER]\n' +
+            'bad.wren:2:1: error: Unterminated string. [LEX_UNTERMINATED_STRING]\n');
+
+        result = wrent('-c', 'good.wren', '-');
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, '');
+    }],
+
+    ['exit status 2 when the command fails', () => {
+        for (let args of [['--format'], ['--format', 'xml'], ['--nope'],
+            ['--format', 'dot'], ['--imports', '--outline', 'good.wren'], ['--imports']]) {
+            let result = wrent(...args);
+            assert.strictEqual(result.status, 2, 'Arguments: ' + args.join(' '));
+            assert.match(result.stderr, /^wrent: .*\n\nUsage: wrent/);
+            assert.strictEqual(result.stdout, '');
+        }
+
+        // A file that can't be read fails the command even when others have
+        // lexical errors, but the rest are still lexed.
+        let result = wrent('--check', 'bad.wren', 'missing.wren', 'good.wren');
+        assert.strictEqual(result.status, 2);
+        assert.strictEqual(result.stderr,
+            'wrent: Could not read missing.wren: No such file.\n');
+        assert.strictEqual(result.stdout.split('\n').length, 3);
+    }],
+
+    ['--help', () => {
+        let result = wrent('--format', 'json', '-h');
+        assert.strictEqual(result.status, 0);
+        assert.match(result.stdout, /^Usage: wrent/);
+    }],
+
+    ['the executable', () => {
+        let run = (args, input) => spawnSync(process.execPath,
+            [path.join(root, 'bin', 'wrent.mjs')].concat(args),
+            { input: input, encoding: 'utf8', timeout: 30000 });
+
+        let result = run(['--check'], 'var a = 1\n');
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, '');
+
+        result = run(['--check', '-'], 'var a = $\n');
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(result.stdout,
+            '<stdin>:1:9: error: Invalid character \'$\'. [LEX_INVALID_CHARACTER]\n');
+
+        result = run(['--offsets', 'bytes'], '');
+        assert.strictEqual(result.status, 2);
+        assert.match(result.stderr, /^wrent: Unknown value 'bytes' for --offsets\./);
+    }]
+];
+
+runChecks(checks);
@@ -0,0 +1,93 @@
+// Runs the lexer over every snippet in test/conformance and compares its
+// tokens and errors to the expected ones next to it, which were checked
+// against the reference lexer in wren_compiler.c.
+//
+//     node test/conformance.mjs           Run the suite.
+//     node test/conformance.mjs --update  Regenerate the expected files.
+//     node test/conformance.mjs numbers   Only run the snippets matching
+//                                         "numbers".
+//
+// Each snippet is a `.wren` file. Its expected output is the `.tokens` file with
+// the same name, which has a line per token:
+//
+//     <line> <type> <text as JSON> [= <value as JSON>]
+//
+// The value is only there when it's different from the text. After the tokens
+// come the lexical errors, one per line:
+//
+//     ! <line>:<column> <code> <message>
+//
+// A snippet that needs [Parser] options, like an older language version, gives
+// them as JSON in a comment on its first line:
+//
+//     // options: {"languageVersion": "0.3"}
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Parser } from '../src/main.js';
+import { diff } from './diff.mjs';
+
+const directory = path.join(path.dirname(fileURLToPath(import.meta.url)), 'conformance');
+
+// Returns the [Parser] options that [source] asks for in its first line.
+function optionsOf(source) {
+    let match = /^\/\/ options: (.*)/.exec(source);
+    return match ? JSON.parse(match[1]) : {};
+}
+
+// Returns the expected-file contents for the tokens and errors of [source].
+function describe(source) {
+    let parser = new Parser(source, optionsOf(source));
+
+    let lines = parser.tokens.map((token) => {
+        let text = JSON.stringify(token.text);
+        let value = JSON.stringify(token.value);
+        return token.line + ' ' + token.type + ' ' + text +
+            (value == text ? '' : ' = ' + value);
+    });
+
+    for (let diagnostic of parser.diagnostics) {
+        lines.push('! ' + diagnostic.line + ':' + diagnostic.column + ' ' +
+            diagnostic.code + ' ' + diagnostic.message);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+let args = process.argv.slice(2);
+let update = args.includes('--update');
+let filters = args.filter((arg) => !arg.startsWith('--'));
+
+let snippets = fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.wren'))
+    .filter((file) => filters.length == 0 || filters.some((filter) => file.includes(filter)))
+    .sort();
+
+let failures = 0;
+for (let file of snippets) {
+    let source = fs.readFileSync(path.join(directory, file), 'utf8');
+    let expectedPath = path.join(directory, file.replace(/\.wren$/, '.tokens'));
+    let actual = describe(source);
+
+    if (update) {
+        fs.writeFileSync(expectedPath, actual);
+        continue;
+    }
+
+    let expected = fs.existsSync(expectedPath)
+        ? fs.readFileSync(expectedPath, 'utf8')
+        : '';
+    if (actual == expected) continue;
+
+    failures++;
+    console.log('FAIL ' + file);
+    for (let line of diff(expected, actual)) console.log('    ' + line);
+}
+
+if (update) {
+    console.log('Updated ' + snippets.length + ' expected files.');
+} else {
+    console.log((snippets.length - failures) + ' of ' + snippets.length + ' snippets passed.');
+    if (failures > 0) process.exitCode = 1;
+}
@@ -0,0 +1,41 @@
+// Line diffs for the test runners' failure messages.
+
+// Returns the lines of a diff from [expected] to [actual], with some context
+// around each change.
+export function diff(expected, actual) {
+    let a = expected.split('\n');
+    let b = actual.split('\n');
+
+    // The length of the longest common subsequence of a[i..] and b[j..].
+    let lengths = Array.from({ length: a.length + 1 },
+        () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] == b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] == b[j]) {
+            lines.push({ mark: ' ', text: a[i] });
+            i++;
+            j++;
+        } else if (j < b.length && (i == a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            lines.push({ mark: '+', text: b[j++] });
+        } else {
+            lines.push({ mark: '-', text: a[i++] });
+        }
+    }
+
+    // Only show unchanged lines near a change.
+    const context = 2;
+    return lines.filter((line, index) => lines
+        .slice(Math.max(0, index - context), index + context + 1)
+        .some((other) => other.mark != ' '))
+        .map((line) => line.mark + ' ' + line.text);
+}
@@ -0,0 +1,93 @@
+// Checks that a SourceDocument's tokens stay the same as lexing its text from
+// scratch, however it's edited.
+//
+//     node test/document.mjs
+
+import assert from 'assert';
+import { Parser, SourceDocument } from '../src/main.js';
+import { runChecks } from './checks.mjs';
+
+const source = [
+    'class Point {',
+    '  construct new(x, y) {',
+    '    _x = x',
+    '    _y = y',
+    '  }',
+    '  /* The x. */',
+    '  x { _x }',
+    '  toString { "(%(_x), %(_y))" }',
+    '}',
+    ''
+].join('\n');
+
+// Pieces of Wren for the random edits, picked to open and close strings,
+// comments and interpolations across lines.
+const pieces = [
+    '', '\n', ' ', 'a', 'foo', '1.5', '"', '"""', '%(', '(', ')', '{', '}',
+    '/*', '*/', '//', '\\', '$', '😀', 'var x = "%(y)"\n', '\r\n'
+];
+
+// Returns a function that gives the same sequence of numbers in [0, 1) for the
+// same [seed] each time.
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// Checks that [document] has the tokens and errors of its text lexed from
+// scratch with [options].
+function assertFresh(document, options, message) {
+    let parser = new Parser(document.source, options);
+    assert.deepStrictEqual(document.tokens, parser.tokens, message);
+    assert.deepStrictEqual(document.diagnostics, parser.diagnostics, message);
+}
+
+const checks = [
+    ['edits', () => {
+        let document = new SourceDocument(source, { trivia: true });
+        let change = document.edit({ start: { line: 7, column: 8 }, end: { line: 7, column: 9 } },
+            'y');
+        assert.strictEqual(document.source.split('\n')[6], '  x { _y }');
+        assert.deepStrictEqual(document.tokens.slice(change.index, change.index + change.added)
+            .map((token) => token.text), ['  ', 'x', ' ', '{', ' ', '_y', ' ', '}', '\n']);
+        assert.strictEqual(change.removed, change.added);
+        assertFresh(document, { trivia: true });
+
+        // Opening a block comment changes everything after it.
+        change = document.edit({ start: 0, end: 0 }, '/*');
+        assert.strictEqual(change.index, 0);
+        assert.strictEqual(change.added, 2);
+        assertFresh(document, { trivia: true });
+
+        document.setText('var a');
+        assertFresh(document, { trivia: true });
+    }],
+
+    ['random edits', () => {
+        for (let [seed, options] of [[1, {}], [2, { trivia: true }],
+            [3, { columnUnit: 'codepoint' }]]) {
+            let next = random(seed);
+            let document = new SourceDocument(source, options);
+            for (let i = 0; i < 300; i++) {
+                let start = Math.floor(next() * (document.source.length + 1));
+                let end = Math.min(document.source.length,
+                    start + Math.floor(next() * 4));
+                let text = pieces[Math.floor(next() * pieces.length)];
+
+                // Don't split a surrogate pair.
+                let isLow = (offset) => /[\udc00-\udfff]/.test(document.source[offset] || '');
+                if (isLow(start)) start--;
+                if (isLow(end)) end++;
+
+                document.edit({ start: start, end: end }, text);
+                assertFresh(document, options, 'Seed ' + seed + ', edit ' + i + ': ' +
+                    JSON.stringify([start, end, text]) + ' made ' +
+                    JSON.stringify(document.source));
+            }
+        }
+    }]
+];
+
+runChecks(checks);
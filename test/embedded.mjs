@@ -0,0 +1,124 @@
+// Checks that Wren code is found in Markdown and HTML, and that its tokens,
+// errors and lint fixes are mapped back to the document.
+//
+//     node test/embedded.mjs
+
+import assert from 'assert';
+import { extractWren, tokenizeEmbedded, lintEmbedded, fixEmbedded } from '../src/embedded.js';
+import { Linter } from '../src/linter.js';
+import { runChecks } from './checks.mjs';
+
+const markdown = [
+    '# Fences',
+    '',
+    '```wren',
+    'var a = "&amp;"',
+    '```',
+    '',
+    '  ~~~~ Wren {.example}',
+    '  var b = $',
+    '   b.x',
+    '  ~~~~',
+    '',
+    '```js',
+    '```wren',
+    '```',
+    '````wren',
+    'class A {}',
+    ''
+].join('\n');
+
+const html = [
+    '<p>Some <code>code</code>.</p>',
+    '<pre id="wren">',
+    '    System.print("a &lt; b &amp;&amp; c&#x21;")',
+    '    <span class="keyword">var</span> x = &quot;&#128512;&quot;',
+    '</pre>',
+    '<pre>Not Wren.</pre>',
+    '<script>let x = "<pre class=\'wren\'>"</script>',
+    '<!-- <pre class="wren">Commented out.</pre> -->',
+    '<pre><code class="language-wren">var y = 2</code></pre>',
+    '<script type="text/wren">',
+    '  var z = "&amp;"',
+    '</script>',
+    ''
+].join('\n');
+
+// Returns [tokens] as "text@line:column-endLine:endColumn" strings, leaving out
+// newlines and the end of the file.
+function positions(tokens) {
+    return tokens
+        .filter((token) => token.type != 'TOKEN_LINE' && token.type != 'TOKEN_EOF')
+        .map((token) => token.text + '@' + token.line + ':' + token.column + '-' +
+            token.endLine + ':' + token.endColumn);
+}
+
+const checks = [
+    ['Markdown fences', () => {
+        assert.deepStrictEqual(extractWren(markdown).map((block) => [block.kind, block.source]), [
+            ['fence', 'var a = "&amp;"\n'],
+            ['fence', 'var b = $\n b.x\n'],
+            ['fence', 'class A {}\n']
+        ]);
+    }],
+
+    ['Markdown positions', () => {
+        let result = tokenizeEmbedded(markdown);
+        assert.deepStrictEqual(positions(result.blocks[1].tokens), [
+            'var@8:3-8:6', 'b@8:7-8:8', '=@8:9-8:10', '$@8:11-8:12',
+            'b@9:4-9:5', '.@9:5-9:6', 'x@9:6-9:7'
+        ]);
+        assert.deepStrictEqual(result.diagnostics.map((diagnostic) =>
+            diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.code),
+        ['8:11 LEX_INVALID_CHARACTER']);
+    }],
+
+    ['HTML elements', () => {
+        assert.deepStrictEqual(extractWren(html, { format: 'html' }).map((block) =>
+            [block.kind, block.source]), [
+            ['pre', 'System.print("a < b && c!")\nvar x = "😀"\n'],
+            ['pre', 'var y = 2'],
+            ['script', '\nvar z = "&amp;"\n']
+        ]);
+        assert.deepStrictEqual(extractWren('<pre>\n  1\n</pre>', { format: 'html', allPre: true })
+            .map((block) => block.source), ['1\n']);
+    }],
+
+    ['HTML positions', () => {
+        let result = tokenizeEmbedded(html, { format: 'html', columnUnit: 'codepoint' });
+        assert.deepStrictEqual(positions(result.blocks[0].tokens), [
+            'System@3:5-3:11', '.@3:11-3:12', 'print@3:12-3:17', '(@3:17-3:18',
+            '"a < b && c!"@3:18-3:47', ')@3:47-3:48',
+            'var@4:27-4:30', 'x@4:38-4:39', '=@4:40-4:41', '"😀"@4:42-4:63'
+        ]);
+        assert.deepStrictEqual(result.diagnostics, []);
+    }],
+
+    ['unknown formats', () => {
+        assert.throws(() => extractWren('', { format: 'rst' }),
+            /^RangeError: Unknown document format 'rst'\. Expected markdown, html\.$/);
+    }],
+
+    ['linting in place', () => {
+        let document = [
+            '<pre class="wren">',
+            '  var s = "&lt;" ',
+            '  if (s) {}',
+            '</pre>',
+            ''
+        ].join('\n');
+        let linter = new Linter();
+        assert.deepStrictEqual(lintEmbedded(linter, document, { format: 'html' })
+            .map((diagnostic) => diagnostic.line + ':' + diagnostic.column + ' ' +
+                diagnostic.code), [
+            '2:17 trailing-whitespace',
+            '3:10 empty-block'
+        ]);
+
+        let fixed = fixEmbedded(linter, '```wren\n\t var a = 1 \n```\n');
+        assert.deepStrictEqual(fixed.output, '```wren\n     var a = 1\n```\n');
+        assert.deepStrictEqual(fixed.applied, 2);
+    }]
+];
+
+runChecks(checks);
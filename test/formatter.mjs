@@ -0,0 +1,72 @@
+// Formats every snippet in test/formatter and compares the result to the
+// expected one next to it.
+//
+//     node test/formatter.mjs           Run the suite.
+//     node test/formatter.mjs --update  Regenerate the expected files.
+//     node test/formatter.mjs blocks    Only run the snippets matching
+//                                       "blocks".
+//
+// Each snippet is a `.wren` file, and its expected output is the `.formatted`
+// file with the same name. Formatting the expected output again must not
+// change it. A snippet that needs options, like a different line length, gives
+// them as JSON in a comment on its first line:
+//
+//     // options: {"lineLength": 40}
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { format } from '../src/formatter.js';
+import { diff } from './diff.mjs';
+
+const directory = path.join(path.dirname(fileURLToPath(import.meta.url)), 'formatter');
+
+// Returns the options that [source] asks for in its first line.
+function optionsOf(source) {
+    let match = /^\/\/ options: (.*)/.exec(source);
+    return match ? JSON.parse(match[1]) : {};
+}
+
+let args = process.argv.slice(2);
+let update = args.includes('--update');
+let filters = args.filter((arg) => !arg.startsWith('--'));
+
+let snippets = fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.wren'))
+    .filter((file) => filters.length == 0 || filters.some((filter) => file.includes(filter)))
+    .sort();
+
+let failures = 0;
+for (let file of snippets) {
+    let source = fs.readFileSync(path.join(directory, file), 'utf8');
+    let expectedPath = path.join(directory, file.replace(/\.wren$/, '.formatted'));
+    let options = optionsOf(source);
+    let actual = format(source, options);
+
+    if (update) {
+        fs.writeFileSync(expectedPath, actual);
+        continue;
+    }
+
+    let expected = fs.existsSync(expectedPath)
+        ? fs.readFileSync(expectedPath, 'utf8')
+        : '';
+    let again = format(expected, options);
+    if (actual == expected && again == expected) continue;
+
+    failures++;
+    console.log('FAIL ' + file);
+    if (actual != expected) {
+        for (let line of diff(expected, actual)) console.log('    ' + line);
+    } else {
+        console.log('    Formatting the expected output changes it:');
+        for (let line of diff(expected, again)) console.log('    ' + line);
+    }
+}
+
+if (update) {
+    console.log('Updated ' + snippets.length + ' expected files.');
+} else {
+    console.log((snippets.length - failures) + ' of ' + snippets.length + ' snippets passed.');
+    if (failures > 0) process.exitCode = 1;
+}
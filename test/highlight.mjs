@@ -0,0 +1,86 @@
+// Checks that highlighting keeps the source text exactly as it was, and that
+// highlight.css styles every class it uses.
+//
+//     node test/highlight.mjs
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { highlight, tokenClass, ansiTheme } from '../src/highlight.js';
+import { tokenTypes } from '../src/main.js';
+import { runChecks } from './checks.mjs';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Sources with something awkward in them, errors included.
+const sources = [
+    '#!/usr/bin/env wren\nclass A is B {\n  foo { _x + __y }\n}\n',
+    'System.print("a %(b + "c %(d)") e") // Nested.\r\n',
+    '"%x" "a\\%b %(1)%" "%%" "%',
+    '"unterminated %(a',
+    '"""raw %(not) "quoted" """ /* block /* nested */ */',
+    'var é = $ @ `',
+    '"\\q \\u{zz}" 0x 1e 😀 <tag> & "&amp;"',
+    '#attr = 1\n#!runtime(a, b = "c")\nclass C {}',
+    ''
+];
+
+// Returns the text of [html] without its tags and with its entities unescaped.
+function textOf(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+const checks = [
+    ['HTML keeps the source', () => {
+        for (let source of sources) {
+            let html = highlight(source);
+            assert.strictEqual(textOf(html), source);
+            assert.strictEqual(html.split('<span').length, html.split('</span>').length,
+                'Unbalanced spans in ' + html);
+        }
+    }],
+
+    ['ANSI keeps the source', () => {
+        for (let source of sources) {
+            let text = highlight(source, { format: 'ansi' }).split('\x1b')
+                .map((part, i) => i == 0 ? part : part.replace(/^\[[0-9;]*m/, ''))
+                .join('');
+            assert.strictEqual(text, source);
+        }
+    }],
+
+    ['interpolation delimiters', () => {
+        assert.strictEqual(highlight('"a%(b)c"', { classPrefix: '' }),
+            '<span class="string">&quot;a<span class="interpolation">' +
+            '<span class="delimiter">%(</span>b<span class="delimiter">)</span>' +
+            '</span>c&quot;</span>');
+
+        // Without the "(", the delimiter is whatever follows the "%".
+        assert.strictEqual(highlight('"%x"', { classPrefix: '' }),
+            '<span class="string">&quot;<span class="interpolation">' +
+            '<span class="delimiter">%x</span><span class="string">&quot;</span>' +
+            '</span></span>');
+    }],
+
+    ['highlight.css', () => {
+        let css = fs.readFileSync(path.join(root, 'highlight.css'), 'utf8');
+        let styled = new Set(Array.from(css.matchAll(/\.wren-([a-z-]+)/g), (match) => match[1]));
+
+        let used = new Set(['string', 'interpolation', 'delimiter']);
+        for (let type of tokenTypes) {
+            let name = tokenClass(type);
+            if (name != null) used.add(name);
+        }
+        for (let name of used) {
+            assert.ok(styled.has(name), 'highlight.css has no rule for .wren-' + name + '.');
+
+            // A terminal can't nest colors, so interpolations aren't colored.
+            if (name == 'interpolation') continue;
+            assert.ok(name in ansiTheme, 'ansiTheme has no entry for ' + name + '.');
+        }
+    }]
+];
+
+runChecks(checks);
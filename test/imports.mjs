@@ -0,0 +1,140 @@
+// Checks that imports are found in Wren source, and that the import graph
+// resolves them, orders the modules and reports cycles and missing modules.
+//
+//     node test/imports.mjs
+//
+// The graph reads its files from an in-memory file system, so nothing on disk
+// is needed.
+
+import assert from 'assert';
+import path from 'path';
+import { findImports } from '../src/imports.js';
+import { ImportGraph, ImportErrorCode } from '../src/graph.js';
+import { runChecks } from './checks.mjs';
+
+// The files for the graph checks, by path relative to /project.
+const files = {
+    'main.wren': [
+        'import "lib/util" for Util',
+        'import "./app" for App',
+        'import "random" for Random',
+        'import "missing" for Nothing',
+        ''
+    ].join('\n'),
+    'app.wren': 'import "./main" for Main\nimport "lib/util"\n',
+    'lib/util.wren': 'import "./helper" for Help as Helper\n',
+    'lib/helper.wren': 'var Help = 1\n',
+    'vendor/extra.wren': 'import "lib/helper"\n'
+};
+
+// Returns a graph over [files] with [options].
+function graphOf(options = {}) {
+    return new ImportGraph(Object.assign({
+        base: '/project',
+        readFile: (file) => {
+            let relative = path.relative('/project', file).split(path.sep).join('/');
+            if (!(relative in files)) throw new Error('No such file: ' + file);
+            return files[relative];
+        }
+    }, options));
+}
+
+const checks = [
+    ['imports with variables and aliases', () => {
+        let result = findImports('import "a" for A, B as C,\n  D\nimport "b"\n');
+        assert.deepStrictEqual(result.diagnostics, []);
+        assert.deepStrictEqual(result.imports.map((node) => [
+            node.module,
+            node.variables && node.variables.map((variable) =>
+                variable.alias ? variable.name + ' as ' + variable.alias : variable.name),
+            node.span.line + ':' + node.span.column + '-' +
+                node.span.endLine + ':' + node.span.endColumn
+        ]), [
+            ['a', ['A', 'B as C', 'D'], '1:1-2:4'],
+            ['b', null, '3:1-3:11']
+        ]);
+    }],
+
+    ['imports in a block and in Wren 0.3', () => {
+        let source = 'if (x) {\n  import "a" for A as B\n}\n';
+        assert.deepStrictEqual(findImports(source).imports[0].variables[0].alias, 'B');
+        assert.deepStrictEqual(
+            findImports(source, { languageVersion: '0.3' }).imports[0].variables[0].alias,
+            'B');
+    }],
+
+    ['malformed imports', () => {
+        let result = findImports('import for\nimport "a" for\nimport "b"\n');
+        assert.deepStrictEqual(result.imports.map((node) => node.module), ['b']);
+        assert.deepStrictEqual(result.diagnostics.map((diagnostic) =>
+            diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.message), [
+            '1:8 Expect a string after \'import\'. Found \'for\'.',
+            '3:1 Expect variable name. Found \'import\'.'
+        ]);
+    }],
+
+    ['resolving modules', () => {
+        let graph = graphOf();
+        graph.addFile('main.wren');
+        assert.deepStrictEqual(Array.from(graph.modules.values()).map((module) =>
+            module.id + ' ' + module.kind + ' -> ' +
+                module.imports.map((entry) => entry.target).join(', ')), [
+            'main.wren file -> lib/util.wren, app.wren, random, missing',
+            'lib/util.wren file -> lib/helper.wren',
+            'app.wren file -> main.wren, lib/util.wren',
+            'random builtin -> ',
+            'missing missing -> ',
+            'lib/helper.wren file -> '
+        ]);
+    }],
+
+    ['search roots', () => {
+        let graph = graphOf({ roots: ['vendor', '.'] });
+        graph.addFile('vendor/extra.wren');
+        assert.deepStrictEqual(graph.modules.get('vendor/extra.wren').imports[0].target,
+            'lib/helper.wren');
+
+        graph = graphOf({ roots: ['vendor'] });
+        graph.addFile('vendor/extra.wren');
+        assert.deepStrictEqual(graph.missing().map((missing) => missing.import.module),
+            ['lib/helper']);
+    }],
+
+    ['load order, cycles and missing modules', () => {
+        let graph = graphOf();
+        graph.addFile('main.wren');
+        assert.deepStrictEqual(graph.order(),
+            ['lib/helper.wren', 'lib/util.wren', 'app.wren', 'main.wren']);
+        assert.deepStrictEqual(graph.cycles(), [['main.wren', 'app.wren', 'main.wren']]);
+        assert.deepStrictEqual(graph.diagnostics().map(({ module, diagnostic }) =>
+            module + ':' + diagnostic.line + ' ' + diagnostic.code), [
+            'main.wren:2 ' + ImportErrorCode.CYCLE,
+            'main.wren:4 ' + ImportErrorCode.MISSING_MODULE
+        ]);
+    }],
+
+    ['DOT output', () => {
+        let graph = graphOf();
+        graph.addFile('app.wren');
+        assert.deepStrictEqual(graph.toDot().split('\n'), [
+            'digraph imports {',
+            '  "app.wren";',
+            '  "main.wren";',
+            '  "lib/util.wren";',
+            '  "random" [style=dashed];',
+            '  "missing" [color=red, fontcolor=red];',
+            '  "lib/helper.wren";',
+            '  "app.wren" -> "main.wren" [color=red];',
+            '  "app.wren" -> "lib/util.wren";',
+            '  "main.wren" -> "lib/util.wren";',
+            '  "main.wren" -> "app.wren" [color=red];',
+            '  "main.wren" -> "random";',
+            '  "main.wren" -> "missing";',
+            '  "lib/util.wren" -> "lib/helper.wren";',
+            '}',
+            ''
+        ]);
+    }]
+];
+
+runChecks(checks);
@@ -0,0 +1,241 @@
+// Checks the ways of getting tokens out of the lexer that the conformance
+// snippets don't cover.
+//
+//     node test/lexer.mjs
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Parser, TokenBuffer, tokenTypes, tokenize, iterateTokens } from '../src/main.js';
+import { parse, parseTokens } from '../src/ast.js';
+import { runChecks } from './checks.mjs';
+
+const directory = path.dirname(fileURLToPath(import.meta.url));
+
+const source = [
+    '#!/usr/bin/env wren',
+    'var a = [1, 2] // A list.',
+    'System.print("%(a[0] + 1) and %("%(a[1])")")',
+    'class B {',
+    '  foo {',
+    '    return 1',
+    '  }',
+    '}',
+    ''
+].join('\n');
+
+// Returns the type and text of each of [tokens], as "TYPE text" strings.
+function describe(tokens) {
+    return Array.from(tokens, (token) => token.type + ' ' + token.text);
+}
+
+// Returns [nodes] from nestedTokens() with each token as its text, and each
+// interpolated string as an array of its literals' values and its
+// expressions, sketched the same way.
+function sketch(nodes) {
+    return nodes.map((node) => node.type != 'TOKEN_INTERPOLATED_STRING'
+        ? node.text
+        : node.parts.map((part) => part.type == 'literal' ? part.value : sketch(part.tokens)));
+}
+
+const checks = [
+    ['lazy iteration', () => {
+        for (let options of [{}, { trivia: true }, { skipNewlines: true },
+            { trivia: true, skipNewlines: true }]) {
+            let eager = new Parser(source, options);
+            let lazy = new Parser(source, Object.assign({ lazy: true }, options));
+            assert.deepStrictEqual(Array.from(lazy), eager.tokens,
+                'Options: ' + JSON.stringify(options));
+            assert.deepStrictEqual(Array.from(eager), eager.tokens);
+        }
+    }],
+
+    ['stopping early', () => {
+        let parser = new Parser('var a = 1\n$ "unterminated', { lazy: true });
+        let seen = [];
+        for (let token of parser) {
+            seen.push(token);
+            if (token.type == 'TOKEN_NUMBER') break;
+        }
+        assert.deepStrictEqual(describe(seen),
+            ['TOKEN_VAR var', 'TOKEN_NAME a', 'TOKEN_EQ =', 'TOKEN_NUMBER 1']);
+
+        // Nothing after the number was lexed, so its errors weren't found.
+        assert.deepStrictEqual(parser.diagnostics, []);
+        assert.ok(parser.currentChar <= 'var a = 1\n'.length);
+    }],
+
+    ['lazy parsers let go of tokens', () => {
+        let parser = new Parser('a.b(c)\n'.repeat(1000), { lazy: true });
+        let count = 0;
+        let most = 0;
+        for (let token of parser) {
+            assert.ok(token.type);
+            count++;
+            most = Math.max(most, parser.tokens.length);
+        }
+        assert.strictEqual(count, 7000 + 1);
+        assert.ok(most < 4, 'Kept ' + most + ' tokens at once.');
+    }],
+
+    ['tokenize() and iterateTokens()', () => {
+        let tokens = tokenize(source, { trivia: true, lazy: true });
+        assert.deepStrictEqual(tokens, new Parser(source, { trivia: true }).tokens);
+        assert.strictEqual(tokens.map((token) => token.text).join(''), source);
+
+        let iterator = iterateTokens(source, { skipNewlines: true });
+        assert.deepStrictEqual(iterator.next().value.type, 'TOKEN_VAR');
+        assert.deepStrictEqual(Array.from(iterator).pop().type, 'TOKEN_EOF');
+
+        assert.deepStrictEqual(describe(iterateTokens('')), ['TOKEN_EOF ']);
+    }],
+
+    ['compact tokens', () => {
+        let text = source + 'var é = "😀 %(1)" \\\n  .x\n$ await 0x1f\n';
+        for (let options of [{}, { trivia: true }, { skipNewlines: true },
+            { trivia: true, skipNewlines: true }, { offsetUnit: 'byte' },
+            { columnUnit: 'codepoint' }, { extraKeywords: ['await'] }]) {
+            let expected = new Parser(text, options).tokens;
+            let buffer = new Parser(text, Object.assign({ compact: true }, options)).tokens;
+            let message = 'Options: ' + JSON.stringify(options);
+
+            assert.ok(buffer instanceof TokenBuffer, message);
+            assert.strictEqual(buffer.length, expected.length, message);
+            assert.deepStrictEqual(Array.from(buffer), expected, message);
+            expected.forEach((token, i) => {
+                assert.deepStrictEqual(buffer.token(i), token, message);
+                assert.deepStrictEqual([buffer.type(i), buffer.text(i), buffer.value(i),
+                    buffer.start(i), buffer.end(i), buffer.line(i)],
+                [token.type, token.text, token.value, token.start, token.end, token.line],
+                message);
+            });
+        }
+
+        // Ids past tokenTypes are for extra keywords.
+        let buffer = tokenize('await x', { compact: true, extraKeywords: ['await'] });
+        assert.strictEqual(buffer.types[0], tokenTypes.length);
+        assert.strictEqual(buffer.types[1], tokenTypes.indexOf('TOKEN_NAME'));
+
+        // A compact parser is never lazy.
+        let parser = new Parser(text, { compact: true, lazy: true });
+        assert.strictEqual(parser.lazy, false);
+        assert.strictEqual(parser.tokens.length, new Parser(text).tokens.length);
+    }],
+
+    ['compact tokens grow', () => {
+        let text = 'a.b\n'.repeat(3000);
+        let buffer = tokenize(text, { compact: true });
+        assert.strictEqual(buffer.length, 4 * 3000 + 1);
+        assert.ok(buffer.types.length >= buffer.length);
+        assert.deepStrictEqual(buffer.token(4 * 2999 + 2),
+            new Parser(text).tokens[4 * 2999 + 2]);
+        assert.strictEqual(buffer.type(buffer.length - 1), 'TOKEN_EOF');
+    }],
+
+    ['nestedTokens()', () => {
+        let text = 'x = "a%(b + "c%(d)e")\\t" "g%(h';
+        let nested = new Parser(text).nestedTokens();
+        assert.deepStrictEqual(sketch(nested),
+            ['x', '=', ['a', ['b', '+', ['c', ['d'], 'e']], '\t'], ['g', ['h']], '']);
+
+        // Literals cover just their text, and strings all of theirs.
+        let string = nested[2];
+        assert.strictEqual(string.text, '"a%(b + "c%(d)e")\\t"');
+        assert.deepStrictEqual([string.start, string.end, string.column, string.endColumn],
+            [4, 24, 5, 25]);
+        assert.deepStrictEqual(string.parts.filter((part) => part.type == 'literal')
+            .map((part) => [part.start, part.end]), [[5, 6], [21, 23]]);
+
+        // The unterminated string ends with its expression.
+        assert.strictEqual(nested[3].end, text.length);
+
+        assert.deepStrictEqual(new Parser(text, { compact: true }).nestedTokens(), nested);
+        assert.deepStrictEqual(new Parser('"no interpolation"').nestedTokens(),
+            new Parser('"no interpolation"').tokens);
+    }],
+
+    ['nestedTokens() with byte offsets', () => {
+        let [string] = new Parser('"é%(x)😀"', { offsetUnit: 'byte' }).nestedTokens();
+        assert.strictEqual(string.text, '"é%(x)😀"');
+        assert.deepStrictEqual(string.parts.filter((part) => part.type == 'literal')
+            .map((part) => [part.value, part.start, part.end]), [['é', 1, 3], ['😀', 7, 11]]);
+    }],
+
+    ['nestedTokens() on a lazy parser', () => {
+        let parser = new Parser('"a%(b)c"', { lazy: true });
+        assert.throws(() => parser.nestedTokens(), /lazy/);
+    }],
+
+    ['skipped newlines parse the same', () => {
+        let sources = [
+            'class A {\n  foo {\n    return 1\n  }\n}',
+            'Fn.new {|x|\n  return x\n}',
+            'var f = Fn.new {|a,\n  b| a + b }',
+            'var m = {\n  "a": 1,\n  "b": {\n  }\n}',
+            'var m = {\n  "a": -{\n    1: 2\n  },\n  "f": Fn.new {\n    return 3\n  }\n}',
+            'class B {\n  - {\n    return 4\n  }\n}',
+            source
+        ];
+        for (let folder of ['parser', 'programs']) {
+            for (let file of fs.readdirSync(path.join(directory, folder))) {
+                if (!file.endsWith('.wren')) continue;
+                sources.push(fs.readFileSync(path.join(directory, folder, file), 'utf8'));
+            }
+        }
+
+        for (let text of sources) {
+            let expected = parse(text);
+            if (expected.diagnostics.length > 0) continue;
+
+            for (let options of [{ skipNewlines: true }, { skipNewlines: true, trivia: true }]) {
+                let result = parseTokens(tokenize(text, options));
+                assert.deepStrictEqual(result.diagnostics, [], text);
+                // Only the module's span can differ, since newlines at the
+                // start are left out.
+                assert.deepStrictEqual(result.ast.body, expected.ast.body, text);
+            }
+        }
+    }],
+
+    ['byte offsets', () => {
+        let tokens = tokenize('"é" 😀', { offsetUnit: 'byte' });
+        assert.deepStrictEqual(tokens.map((token) => [token.start, token.end]),
+            [[0, 4], [5, 9], [9, 9]]);
+        assert.deepStrictEqual(tokens.map((token) => token.endColumn), [5, 10, 10]);
+
+        // A Uint8Array counts in bytes unless told otherwise.
+        let bytes = new TextEncoder().encode('a\n  é');
+        assert.deepStrictEqual(tokenize(bytes).map((token) => token.column), [1, 2, 3, 5]);
+        assert.deepStrictEqual(
+            tokenize(bytes, { columnUnit: 'codepoint' }).map((token) => token.column),
+            [1, 2, 3, 4]);
+    }],
+
+    ['text and values are the same in bytes', () => {
+        let text = '"\\xff é \\u00e9 \\U0001F600 %(1)" """ré""" é 😀 \u0001 $ // ✓\n';
+        for (let options of [{}, { trivia: true }, { skipNewlines: true }]) {
+            let utf16 = new Parser(text, options);
+            let bytes = new Parser(text, Object.assign({ offsetUnit: 'byte' }, options));
+            let strip = (token) => [token.type, token.text, token.value];
+            assert.deepStrictEqual(bytes.tokens.map(strip), utf16.tokens.map(strip),
+                'Options: ' + JSON.stringify(options));
+            assert.deepStrictEqual(bytes.diagnostics.map((diagnostic) => diagnostic.message),
+                utf16.diagnostics.map((diagnostic) => diagnostic.message));
+        }
+
+        assert.strictEqual(tokenize('"\\xff"', { offsetUnit: 'byte' })[0].value, 'ÿ');
+
+        // Joining the text gives back the source, with malformed bytes decoded
+        // the way TextDecoder decodes them.
+        let bytes = new Uint8Array([0x61, 0x20, 0xff, 0xe2, 0x82, 0x20, 0xc3, 0xa9]);
+        let tokens = tokenize(bytes, { trivia: true });
+        assert.strictEqual(tokens.map((token) => token.text).join(''),
+            new TextDecoder().decode(bytes));
+        assert.deepStrictEqual(describe(tokens), ['TOKEN_NAME a', 'TOKEN_WHITESPACE  ',
+            'TOKEN_ERROR �', 'TOKEN_ERROR �', 'TOKEN_WHITESPACE  ', 'TOKEN_ERROR é',
+            'TOKEN_EOF ']);
+    }]
+];
+
+runChecks(checks);
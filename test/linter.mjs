@@ -0,0 +1,262 @@
+// Checks the lint rules, their config, the comments that turn them off and the
+// fixes they make.
+//
+//     node test/linter.mjs
+
+import assert from 'assert';
+import { Linter, applyFixes } from '../src/linter.js';
+import { runChecks } from './checks.mjs';
+
+// Returns what [linter] finds in the lines of [source], as
+// "line:column code" strings.
+function findings(source, linter = new Linter()) {
+    return linter.lint(source.join('\n')).map((diagnostic) =>
+        diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.code);
+}
+
+// Returns a linter with only the rule [name] on.
+function only(name, options = {}) {
+    let rules = {};
+    for (let other in new Linter().rules) rules[other] = 'off';
+    rules[name] = ['warning', options];
+    return new Linter({ rules: rules });
+}
+
+const checks = [
+    ['trailing whitespace', () => {
+        let linter = only('trailing-whitespace');
+        assert.deepStrictEqual(findings([
+            'var a = 1 \t',
+            '  ',
+            'var b = "ends in a space " // comment ',
+            'var c = a +  ',
+            '  1\r',
+            'System.print(c) '
+        ], linter), [
+            '1:10 trailing-whitespace',
+            '2:1 trailing-whitespace',
+            '3:38 trailing-whitespace',
+            '4:12 trailing-whitespace',
+            '6:16 trailing-whitespace'
+        ]);
+    }],
+
+    ['mixed indentation', () => {
+        let linter = only('mixed-indentation', { tabWidth: 2 });
+        let source = 'if (true) {\n \tSystem.print(1)\n\t\tSystem.print(2)\n}\n';
+        assert.deepStrictEqual(findings(source.split('\n'), linter),
+            ['2:1 mixed-indentation']);
+        assert.deepStrictEqual(linter.fix(source).output,
+            'if (true) {\n  System.print(1)\n\t\tSystem.print(2)\n}\n');
+    }],
+
+    ['maximum line length', () => {
+        let linter = only('max-line-length', { max: 14 });
+        let diagnostics = linter.lint('var a = "😀😀😀"\nvar b = "12345"\n');
+        assert.deepStrictEqual(diagnostics.map((diagnostic) => [
+            diagnostic.line, diagnostic.column, diagnostic.endColumn, diagnostic.message
+        ]), [
+            [2, 15, 16, 'Line is 15 characters long. The maximum is 14.']
+        ]);
+    }],
+
+    ['static fields outside of a class', () => {
+        assert.deepStrictEqual(findings([
+            '__count = 0',
+            'class Counter is Base {',
+            '  static next { __count = __count + 1 }',
+            '}',
+            'System.print(__count)'
+        ], only('static-field-outside-class')), [
+            '1:1 static-field-outside-class',
+            '5:14 static-field-outside-class'
+        ]);
+    }],
+
+    ['shadowed variables', () => {
+        let linter = only('no-shadow');
+        let source = [
+            'var a = 1',
+            'var b = 2',
+            'class C {',
+            '  run() {',
+            '    var a = 3',
+            '    [1].each { |b, c|',
+            '      var c = 4',
+            '    }',
+            '    var b = 5',
+            '  }',
+            '}',
+            'var C = 6'
+        ];
+        assert.deepStrictEqual(findings(source, linter), [
+            '7:11 no-shadow',
+            '12:5 no-shadow'
+        ]);
+        assert.deepStrictEqual(linter.lint('var a\nvar a\n')[0].message,
+            '\'a\' is already declared on line 1.');
+
+        // Blocks around it only count when asked for.
+        linter = only('no-shadow', { enclosingBlocks: true });
+        assert.deepStrictEqual(findings(source, linter), [
+            '5:9 no-shadow',
+            '6:17 no-shadow',
+            '7:11 no-shadow',
+            '9:9 no-shadow',
+            '12:5 no-shadow'
+        ]);
+        assert.deepStrictEqual(linter.lint('var a\n{\n  var a\n}\n')[0].message,
+            '\'a\' shadows the variable declared on line 1.');
+    }],
+
+    ['empty blocks', () => {
+        assert.deepStrictEqual(findings([
+            'if (a) {}',
+            'if (a) {',
+            '  // Nothing to do yet.',
+            '} else {',
+            '}',
+            'while (f(a)) {}',
+            'for (i in 1..3) {',
+            '',
+            '}',
+            'var map = {}',
+            'class A {',
+            '  foo() {}',
+            '}',
+            'Fn.new {}'
+        ], only('empty-block')), [
+            '1:8 empty-block',
+            '4:8 empty-block',
+            '6:14 empty-block',
+            '7:17 empty-block'
+        ]);
+    }],
+
+    ['unreachable code', () => {
+        let diagnostics = only('unreachable-code').lint([
+            'var f = Fn.new {',
+            '  if (a) return',
+            '  while (true) {',
+            '    break',
+            '    System.print("never")',
+            '  }',
+            '  return 1 +',
+            '    2',
+            '  System.print("never")',
+            '  return 3',
+            '}',
+            'list.each {|x|',
+            '  return',
+            '  System.print(x)',
+            '}',
+            'for (i in 1..3) { continue }'
+        ].join('\n'));
+        assert.deepStrictEqual(diagnostics.map((diagnostic) =>
+            diagnostic.line + ':' + diagnostic.column + '-' +
+                diagnostic.endLine + ':' + diagnostic.endColumn + ' ' + diagnostic.message), [
+            '5:5-5:26 Unreachable code after \'break\'.',
+            '9:3-10:11 Unreachable code after \'return\'.',
+            '14:3-14:18 Unreachable code after \'return\'.'
+        ]);
+    }],
+
+    ['config', () => {
+        let linter = new Linter({
+            rules: {
+                'trailing-whitespace': 'error',
+                'max-line-length': ['warning', { max: 20 }],
+                'no-shadow': 'off'
+            }
+        });
+        assert.deepStrictEqual(linter.lint('var a = 1 \nvar a = "long enough to be too long"\n')
+            .map((diagnostic) => diagnostic.code + ' ' + diagnostic.severity), [
+            'trailing-whitespace error',
+            'max-line-length warning'
+        ]);
+
+        assert.throws(() => new Linter({ rules: { 'no-such-rule': 'off' } }),
+            /^RangeError: Unknown lint rule 'no-such-rule'\.$/);
+        assert.throws(() => new Linter({ rules: { 'no-shadow': 'fatal' } }),
+            /^RangeError: Unknown severity 'fatal'/);
+        assert.throws(() => new Linter({ rules: { 'max-line-length': ['error', { width: 1 }] } }),
+            /^RangeError: Unknown option 'width'/);
+        assert.throws(() => new Linter({ rules: { 'max-line-length': ['error', { max: '1' }] } }),
+            /^TypeError: Option 'max' for lint rule 'max-line-length' should be a number\.$/);
+    }],
+
+    ['plugins', () => {
+        let linter = new Linter({ rules: { 'no-print': 'error' } }, {
+            'no-print': {
+                description: 'Disallow printing.',
+                severity: 'off',
+                options: {},
+                check(context) {
+                    for (let token of context.tokens) {
+                        if (token.text != 'System') continue;
+                        context.report({
+                            message: 'Don\'t print.',
+                            start: token.start,
+                            end: token.end,
+                            fix: { start: token.start, end: token.end, text: 'Log' }
+                        });
+                    }
+                }
+            }
+        });
+        assert.deepStrictEqual(findings(['System.print(1)'], linter), ['1:1 no-print']);
+        assert.deepStrictEqual(linter.fix('System.print(1)\n').output, 'Log.print(1)\n');
+        assert.deepStrictEqual(findings(['System.print(1)'], new Linter({}, linter.rules)), []);
+
+        // A rule without options can leave them out, and then takes none.
+        let plugin = { description: 'Nothing.', severity: 'warning', check() {} };
+        assert.deepStrictEqual(findings(['var a'], new Linter({ rules: { none: 'error' } },
+            { none: plugin })), []);
+        assert.throws(() => new Linter({ rules: { none: ['error', { max: 1 }] } },
+            { none: plugin }), /^RangeError: Unknown option 'max' for lint rule 'none'\.$/);
+    }],
+
+    ['disable comments', () => {
+        assert.deepStrictEqual(findings([
+            'var a = 1 ',
+            'var a = 2 // wren-lint-disable-line no-shadow',
+            '// wren-lint-disable-next-line',
+            'var a = 3 ',
+            '/* wren-lint-disable trailing-whitespace, no-shadow -- Generated. */',
+            'var a = 4 ',
+            '/* wren-lint-enable trailing-whitespace */',
+            'var a = 5 ',
+            '/* wren-lint-enable */',
+            'var a = 6 '
+        ]), [
+            '1:10 trailing-whitespace',
+            '8:10 trailing-whitespace',
+            '10:5 no-shadow',
+            '10:10 trailing-whitespace'
+        ]);
+    }],
+
+    ['fixes', () => {
+        let source = 'var a = 1  \n\t if (a) {  \n\t System.print(a)\n\t }\n';
+        let result = new Linter().fix(source);
+        assert.deepStrictEqual(result.output,
+            'var a = 1\n     if (a) {\n     System.print(a)\n     }\n');
+        assert.deepStrictEqual(result.applied, 5);
+        assert.deepStrictEqual(result.diagnostics, []);
+
+        // Overlapping fixes are left for the next pass.
+        assert.deepStrictEqual(applyFixes('abcdef', [
+            { fix: { start: 1, end: 3, text: 'X' } },
+            { fix: { start: 2, end: 4, text: 'Y' } },
+            { fix: null },
+            { fix: { start: 5, end: 5, text: 'Z' } }
+        ]), { output: 'aXdeZf', applied: 2 });
+    }],
+
+    ['lexical errors', () => {
+        assert.deepStrictEqual(findings(['var a = $']),
+            ['1:9 LEX_INVALID_CHARACTER']);
+    }]
+];
+
+runChecks(checks);
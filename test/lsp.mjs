@@ -0,0 +1,308 @@
+// Drives the language server in bin/wrent-lsp.mjs through a scripted session,
+// the way an editor would, and checks what it answers.
+//
+//     node test/lsp.mjs
+//
+// Each check sends some messages over the server's standard input and compares
+// the responses and notifications that come back to the expected ones.
+
+import assert from 'assert';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { MessageReader, frameMessage, semanticTokensLegend } from '../src/lsp.js';
+import { runChecks } from './checks.mjs';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// How long to wait for the server before giving up on it.
+const TIMEOUT = 10000;
+
+// A JSON-RPC client for a server running in a child process.
+class Client {
+    constructor(child) {
+        this.child = child;
+        this.nextId = 1;
+
+        // Messages from the server that nobody has waited for yet, and the
+        // functions waiting for one, each with a test for the one it wants.
+        this.messages = [];
+        this.waiting = [];
+
+        let reader = new MessageReader((message) => {
+            let index = this.waiting.findIndex((waiter) => waiter.wants(message));
+            if (index == -1) {
+                this.messages.push(message);
+            } else {
+                this.waiting.splice(index, 1)[0].resolve(message);
+            }
+        });
+        child.stdout.on('data', (chunk) => reader.push(chunk));
+    }
+
+    // Returns a promise for the next message from the server that [wants]
+    // returns true for.
+    receive(wants) {
+        let index = this.messages.findIndex(wants);
+        if (index != -1) return Promise.resolve(this.messages.splice(index, 1)[0]);
+
+        return new Promise((resolve, reject) => {
+            let timer = setTimeout(() => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                reject(new Error('No answer from the server.'));
+            }, TIMEOUT);
+            let waiter = {
+                wants: wants,
+                resolve: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                }
+            };
+            this.waiting.push(waiter);
+        });
+    }
+
+    // Sends a request and returns a promise for its response.
+    request(method, params) {
+        let id = this.nextId++;
+        this.child.stdin.write(frameMessage({
+            jsonrpc: '2.0', id: id, method: method, params: params
+        }));
+        return this.receive((message) => message.id === id);
+    }
+
+    // Sends a notification.
+    notify(method, params) {
+        this.child.stdin.write(frameMessage({
+            jsonrpc: '2.0', method: method, params: params
+        }));
+    }
+
+    // Returns a promise for the next diagnostics published for [uri].
+    diagnostics(uri) {
+        return this.receive((message) =>
+            message.method == 'textDocument/publishDiagnostics' &&
+            message.params.uri == uri).then((message) => message.params.diagnostics);
+    }
+}
+
+// Returns the semantic tokens in [result] as `<line>:<character> <type>
+// [modifiers] <text>` strings, taking the text from [source].
+function decode(result, source) {
+    let lines = source.split('\n');
+    let tokens = [];
+    let line = 0;
+    let character = 0;
+    for (let i = 0; i < result.data.length; i += 5) {
+        let [deltaLine, deltaCharacter, length, type, modifiers] =
+            result.data.slice(i, i + 5);
+        line += deltaLine;
+        character = deltaLine == 0 ? character + deltaCharacter : deltaCharacter;
+
+        let names = [semanticTokensLegend.tokenTypes[type]].concat(
+            semanticTokensLegend.tokenModifiers.filter((name, bit) => modifiers & (1 << bit)));
+        tokens.push(line + ':' + character + ' ' + names.join(' ') + ' ' +
+            lines[line].slice(character, character + length));
+    }
+    return tokens;
+}
+
+const uri = 'file:///test/point.wren';
+const source = `class Point {
+  static origin { __origin }
+  x { _x }
+  /* The
+     length. */
+  length { (_x * _x).sqrt }
+  name { "aé%(_x)" }
+}
+var bad = 1 $ 2
+`;
+
+// The checks, in order. Each one is a name and a function that runs it with the
+// client, and they share the same server.
+const checks = [
+    ['requests before initialize fail', async (client) => {
+        let response = await client.request('textDocument/semanticTokens/full', {
+            textDocument: { uri: uri }
+        });
+        assert.strictEqual(response.error.code, -32002);
+    }],
+
+    ['initialize', async (client) => {
+        let response = await client.request('initialize', {
+            processId: null,
+            rootUri: null,
+            capabilities: {},
+            initializationOptions: { languageVersion: '0.4' }
+        });
+        let capabilities = response.result.capabilities;
+        assert.strictEqual(capabilities.textDocumentSync.change, 2);
+        assert.deepStrictEqual(capabilities.semanticTokensProvider, {
+            legend: semanticTokensLegend, full: true, range: true
+        });
+        client.notify('initialized', {});
+    }],
+
+    ['didOpen publishes diagnostics', async (client) => {
+        client.notify('textDocument/didOpen', {
+            textDocument: { uri: uri, languageId: 'wren', version: 1, text: source }
+        });
+        assert.deepStrictEqual(await client.diagnostics(uri), [{
+            range: {
+                start: { line: 8, character: 12 },
+                end: { line: 8, character: 13 }
+            },
+            severity: 1,
+            code: 'LEX_INVALID_CHARACTER',
+            source: 'wrent',
+            message: 'Invalid character \'$\'.'
+        }]);
+    }],
+
+    ['semantic tokens', async (client) => {
+        let response = await client.request('textDocument/semanticTokens/full', {
+            textDocument: { uri: uri }
+        });
+        assert.deepStrictEqual(decode(response.result, source), [
+            '0:0 keyword class',
+            '1:2 keyword static',
+            '1:18 property static __origin',
+            '2:6 property _x',
+            '3:2 comment /* The',
+            '4:0 comment      length. */',
+            '5:12 property _x',
+            '5:15 operator *',
+            '5:17 property _x',
+            '6:9 string "aé%(',
+            '6:14 property _x',
+            '6:16 string )"',
+            '8:0 keyword var',
+            '8:8 operator =',
+            '8:10 number 1',
+            '8:14 number 2'
+        ]);
+    }],
+
+    ['semantic tokens in a range', async (client) => {
+        let response = await client.request('textDocument/semanticTokens/range', {
+            textDocument: { uri: uri },
+            range: {
+                start: { line: 4, character: 3 },
+                end: { line: 5, character: 16 }
+            }
+        });
+        assert.deepStrictEqual(decode(response.result, source), [
+            '3:2 comment /* The',
+            '4:0 comment      length. */',
+            '5:12 property _x',
+            '5:15 operator *'
+        ]);
+    }],
+
+    ['didChange applies incremental edits', async (client) => {
+        client.notify('textDocument/didChange', {
+            textDocument: { uri: uri, version: 2 },
+            contentChanges: [
+                {
+                    range: {
+                        start: { line: 8, character: 12 },
+                        end: { line: 8, character: 13 }
+                    },
+                    text: '+'
+                },
+                {
+                    range: {
+                        start: { line: 2, character: 2 },
+                        end: { line: 2, character: 3 }
+                    },
+                    text: 'y'
+                }
+            ]
+        });
+        assert.deepStrictEqual(await client.diagnostics(uri), []);
+
+        let response = await client.request('textDocument/semanticTokens/range', {
+            textDocument: { uri: uri },
+            range: {
+                start: { line: 8, character: 0 },
+                end: { line: 9, character: 0 }
+            }
+        });
+        assert.deepStrictEqual(decode(response.result, source.replace('$', '+')), [
+            '8:0 keyword var',
+            '8:8 operator =',
+            '8:10 number 1',
+            '8:12 operator +',
+            '8:14 number 2'
+        ]);
+    }],
+
+    ['didChange replaces the whole text', async (client) => {
+        client.notify('textDocument/didChange', {
+            textDocument: { uri: uri, version: 3 },
+            contentChanges: [{ text: '"unterminated' }]
+        });
+        let diagnostics = await client.diagnostics(uri);
+        assert.deepStrictEqual(diagnostics.map((diagnostic) => diagnostic.code),
+            ['LEX_UNTERMINATED_STRING']);
+    }],
+
+    ['unknown requests fail', async (client) => {
+        let response = await client.request('textDocument/hover', {
+            textDocument: { uri: uri },
+            position: { line: 0, character: 0 }
+        });
+        assert.strictEqual(response.error.code, -32601);
+
+        // Not even the methods every object has.
+        for (let method of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+            response = await client.request(method, {});
+            assert.strictEqual(response.error && response.error.code, -32601, method);
+        }
+    }],
+
+    ['messages that aren\'t objects fail', async (client) => {
+        for (let body of [null, 3, 'x', []]) {
+            client.child.stdin.write(frameMessage(body));
+            let response = await client.receive((message) =>
+                message.id === null && message.error !== undefined);
+            assert.strictEqual(response.error.code, -32600, JSON.stringify(body));
+        }
+
+        // The server is still there.
+        let response = await client.request('textDocument/semanticTokens/full', {
+            textDocument: { uri: uri }
+        });
+        assert.ok(Array.isArray(response.result.data));
+    }],
+
+    ['didClose clears diagnostics', async (client) => {
+        client.notify('textDocument/didClose', { textDocument: { uri: uri } });
+        assert.deepStrictEqual(await client.diagnostics(uri), []);
+    }],
+
+    ['shutdown and exit', async (client) => {
+        let response = await client.request('shutdown', null);
+        assert.strictEqual(response.result, null);
+
+        // Requests after shutdown are invalid.
+        response = await client.request('textDocument/semanticTokens/full', {
+            textDocument: { uri: uri }
+        });
+        assert.strictEqual(response.error.code, -32600);
+        assert.strictEqual((await client.request('shutdown', null)).error.code, -32600);
+
+        let exited = new Promise((resolve) => client.child.on('exit', resolve));
+        client.notify('exit');
+        assert.strictEqual(await exited, 0);
+    }]
+];
+
+// Runs the checks against a new server.
+let child = spawn(process.execPath, [path.join(root, 'bin', 'wrent-lsp.mjs')], {
+    stdio: ['pipe', 'pipe', 'inherit']
+});
+runChecks(checks, new Client(child)).then(() => {
+    if (child.exitCode == null) child.kill();
+});
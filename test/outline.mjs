@@ -0,0 +1,161 @@
+// Checks the outline of classes in Wren source, and the tags file made from it.
+//
+//     node test/outline.mjs
+
+import assert from 'assert';
+import { outline, ctags } from '../src/outline.js';
+import { runChecks } from './checks.mjs';
+
+const source = [
+    '#doc = "A point."',
+    'class Point is Shape {',
+    '  construct new(x, y) {',
+    '    _x = x',
+    '    _y = y',
+    '    __count = (__count || 0) + 1',
+    '  }',
+    '  x { _x }',
+    '  x=(value) { _x = value }',
+    '  [index] { index == 0 ? _x : _y }',
+    '  [index]=(value) {}',
+    '  +(other) { Point.new(_x + other.x, _y + other.y) }',
+    '  - { Point.new(-_x, -_y) }',
+    '  #!inline',
+    '  static count { __count }',
+    '  foreign static origin(a, b)',
+    '  each(fn) {',
+    '    class Step { value { _value } }',
+    '  }',
+    '}',
+    'foreign class File {}',
+    ''
+].join('\n');
+
+const checks = [
+    ['classes and members', () => {
+        let result = outline(source);
+        assert.deepStrictEqual(result.diagnostics, []);
+        assert.deepStrictEqual(result.classes.map((node) => [
+            node.name, node.superclass, node.isForeign, node.nameSpan.line
+        ]), [
+            ['Point', 'Shape', false, 2],
+            ['Step', null, false, 18],
+            ['File', null, true, 21]
+        ]);
+
+        assert.deepStrictEqual(result.classes[0].methods.map((method) =>
+            method.kind + ' ' + method.signature +
+                (method.isStatic ? ' static' : '') +
+                (method.isForeign ? ' foreign' : '') +
+                (method.isOperator ? ' operator' : '') +
+                ' ' + method.nameSpan.line + ':' + method.nameSpan.column), [
+            'constructor new(_,_) 3:13',
+            'getter x 8:3',
+            'setter x=(_) 9:3',
+            'subscript [_] operator 10:3',
+            'subscriptSetter [_]=(_) operator 11:3',
+            'method +(_) operator 12:3',
+            'getter - operator 13:3',
+            'getter count static 15:10',
+            'method origin(_,_) static foreign 16:18',
+            'method each(_) 17:3'
+        ]);
+    }],
+
+    ['fields', () => {
+        let classes = outline(source).classes;
+        assert.deepStrictEqual(classes.map((node) => [
+            node.name,
+            node.fields.map((field) => field.name + ' ' + field.span.line),
+            node.staticFields.map((field) => field.name + ' ' + field.span.line)
+        ]), [
+            ['Point', ['_x 4', '_y 5'], ['__count 6']],
+            ['Step', ['_value 18'], []],
+            ['File', [], []]
+        ]);
+
+        // A field after a class inside a method belongs to the outer class
+        // again.
+        let nested = outline([
+            'class A {',
+            '  foo {',
+            '    class B {',
+            '      b { _b }',
+            '    }',
+            '    class C {',
+            '      c { _c }',
+            '    }',
+            '    return _a',
+            '  }',
+            '}',
+            'class D {}'
+        ].join('\n'));
+        assert.deepStrictEqual(nested.diagnostics, []);
+        assert.deepStrictEqual(nested.classes.map((node) => [
+            node.name,
+            node.fields.map((field) => field.name + ' ' + field.span.line)
+        ]), [['A', ['_a 9']], ['B', ['_b 4']], ['C', ['_c 7']], ['D', []]]);
+    }],
+
+    ['many classes', () => {
+        let text = '';
+        for (let i = 0; i < 2000; i++) {
+            text += 'class C' + i + ' {\n  construct new() { _x = ' + i + ' }\n}\n';
+        }
+
+        let classes = outline(text).classes;
+        assert.strictEqual(classes.length, 2000);
+        classes.forEach((node, i) => {
+            assert.deepStrictEqual([node.methods[0].nameSpan.line, node.methods[0].nameSpan.column,
+                node.fields[0].span.line], [3 * i + 2, 13, 3 * i + 2]);
+        });
+    }],
+
+    ['superclass expressions and syntax errors', () => {
+        let result = outline('class A is Bases["list"] {}\nclass B {\n  foo( {}\n  bar {}\n}\n');
+        assert.deepStrictEqual(result.classes.map((node) => [
+            node.name,
+            node.superclass,
+            node.methods.map((method) => method.signature)
+        ]), [
+            ['A', 'Bases["list"]', []],
+            ['B', null, ['bar']]
+        ]);
+        assert.deepStrictEqual(result.diagnostics.map((diagnostic) =>
+            diagnostic.line + ':' + diagnostic.column + ' ' + diagnostic.code), [
+            '3:8 PARSE_SYNTAX'
+        ]);
+    }],
+
+    ['tags', () => {
+        let tags = ctags([
+            { file: 'point.wren', outline: outline(source) },
+            { file: 'empty.wren', outline: outline('class Empty {}\n') }
+        ]).split('\n');
+        assert.deepStrictEqual(tags.filter((line) => line.startsWith('!_')).length, 10);
+        assert.deepStrictEqual(tags.filter((line) => !line.startsWith('!_')), [
+            '+(_)\tpoint.wren\t12;"\to\tline:12\tclass:Point',
+            '-\tpoint.wren\t13;"\to\tline:13\tclass:Point',
+            'Empty\tempty.wren\t1;"\tc\tline:1',
+            'File\tpoint.wren\t21;"\tc\tline:21\tproperties:foreign',
+            'Point\tpoint.wren\t2;"\tc\tline:2\tinherits:Shape',
+            'Step\tpoint.wren\t18;"\tc\tline:18',
+            '[_]\tpoint.wren\t10;"\to\tline:10\tclass:Point',
+            '[_]=(_)\tpoint.wren\t11;"\to\tline:11\tclass:Point',
+            '__count\tpoint.wren\t6;"\tf\tline:6\tclass:Point\tproperties:static',
+            '_value\tpoint.wren\t18;"\tf\tline:18\tclass:Step',
+            '_x\tpoint.wren\t4;"\tf\tline:4\tclass:Point',
+            '_y\tpoint.wren\t5;"\tf\tline:5\tclass:Point',
+            'count\tpoint.wren\t15;"\tg\tline:15\tclass:Point\tproperties:static',
+            'each(_)\tpoint.wren\t17;"\tm\tline:17\tclass:Point',
+            'new(_,_)\tpoint.wren\t3;"\tr\tline:3\tclass:Point',
+            'origin(_,_)\tpoint.wren\t16;"\tm\tline:16\tclass:Point\tproperties:foreign,static',
+            'value\tpoint.wren\t18;"\tg\tline:18\tclass:Step',
+            'x\tpoint.wren\t8;"\tg\tline:8\tclass:Point',
+            'x=(_)\tpoint.wren\t9;"\ts\tline:9\tclass:Point',
+            ''
+        ]);
+    }]
+];
+
+runChecks(checks);
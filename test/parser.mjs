@@ -0,0 +1,123 @@
+// Parses every snippet in test/parser and compares its syntax tree and errors
+// to the expected ones next to it.
+//
+//     node test/parser.mjs           Run the suite.
+//     node test/parser.mjs --update  Regenerate the expected files.
+//     node test/parser.mjs classes   Only run the snippets matching "classes".
+//
+// Each snippet is a `.wren` file. Its expected output is the `.ast` file with
+// the same name, which has a line per node, indented under its parent:
+//
+//     <field>: <type> <line>:<column>-<endLine>:<endColumn> [<name>=<JSON> ...]
+//
+// The fields that hold nodes come after their parent's line, and a list of
+// nodes is a `<field>:` line with the nodes under it. Other fields, empty
+// lists included, are on the node's own line. After the tree come the
+// errors, one per line:
+//
+//     ! <line>:<column> <code> <message>
+//
+// A snippet that needs [Parser] options, like an older language version, gives
+// them as JSON in a comment on its first line:
+//
+//     // options: {"languageVersion": "0.3"}
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from '../src/ast.js';
+import { diff } from './diff.mjs';
+
+const directory = path.join(path.dirname(fileURLToPath(import.meta.url)), 'parser');
+
+// Returns the [Parser] options that [source] asks for in its first line.
+function optionsOf(source) {
+    let match = /^\/\/ options: (.*)/.exec(source);
+    return match ? JSON.parse(match[1]) : {};
+}
+
+// Returns true if [value] is a syntax tree node.
+function isNode(value) {
+    return value != null && typeof value == 'object' && typeof value.type == 'string';
+}
+
+// Adds the lines for [node], the value of [field] in its parent, to [lines],
+// indented by [indent].
+function describeNode(node, field, indent, lines) {
+    let span = node.span;
+    let line = indent + (field ? field + ': ' : '') + node.type + ' ' +
+        span.line + ':' + span.column + '-' + span.endLine + ':' + span.endColumn;
+
+    let children = [];
+    for (let [key, value] of Object.entries(node)) {
+        if (key == 'type' || key == 'span') continue;
+        if (isNode(value) || (Array.isArray(value) && value.some(isNode))) {
+            children.push([key, value]);
+        } else {
+            line += ' ' + key + '=' + JSON.stringify(value);
+        }
+    }
+    lines.push(line);
+
+    for (let [key, value] of children) {
+        if (!Array.isArray(value)) {
+            describeNode(value, key, indent + '  ', lines);
+            continue;
+        }
+
+        lines.push(indent + '  ' + key + ':');
+        for (let item of value) describeNode(item, null, indent + '    ', lines);
+    }
+}
+
+// Returns the expected-file contents for the tree and errors of [source].
+function describe(source) {
+    let result = parse(source, optionsOf(source));
+
+    let lines = [];
+    describeNode(result.ast, null, '', lines);
+
+    for (let diagnostic of result.diagnostics) {
+        lines.push('! ' + diagnostic.line + ':' + diagnostic.column + ' ' +
+            diagnostic.code + ' ' + diagnostic.message);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+let args = process.argv.slice(2);
+let update = args.includes('--update');
+let filters = args.filter((arg) => !arg.startsWith('--'));
+
+let snippets = fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.wren'))
+    .filter((file) => filters.length == 0 || filters.some((filter) => file.includes(filter)))
+    .sort();
+
+let failures = 0;
+for (let file of snippets) {
+    let source = fs.readFileSync(path.join(directory, file), 'utf8');
+    let expectedPath = path.join(directory, file.replace(/\.wren$/, '.ast'));
+    let actual = describe(source);
+
+    if (update) {
+        fs.writeFileSync(expectedPath, actual);
+        continue;
+    }
+
+    let expected = fs.existsSync(expectedPath)
+        ? fs.readFileSync(expectedPath, 'utf8')
+        : '';
+    if (actual == expected) continue;
+
+    failures++;
+    console.log('FAIL ' + file);
+    for (let line of diff(expected, actual)) console.log('    ' + line);
+}
+
+if (update) {
+    console.log('Updated ' + snippets.length + ' expected files.');
+} else {
+    console.log((snippets.length - failures) + ' of ' + snippets.length + ' snippets passed.');
+    if (failures > 0) process.exitCode = 1;
+}
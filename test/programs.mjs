@@ -0,0 +1,94 @@
+// Transpiles and runs every program in test/programs and compares what it
+// prints to what it expects.
+//
+//     node test/programs.mjs         Run the suite.
+//     node test/programs.mjs fibers  Only run the programs matching "fibers".
+//
+// Like the tests of Wren itself, each program says what it expects in comments
+// next to the code:
+//
+//     System.print(1 + 2) // expect: 3
+//     Fiber.abort("Oops") // expect runtime error: Oops
+//
+// The output has to be exactly the expected lines, in order. A program that
+// expects a runtime error has to end with it. `import "name"` runs the
+// program test/programs/modules/name.wren.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { run } from '../src/transpiler.js';
+import { diff } from './diff.mjs';
+
+const directory = path.join(path.dirname(fileURLToPath(import.meta.url)), 'programs');
+
+// Returns the lines [source] expects to print and the runtime error it expects,
+// or `null`.
+function expectationsOf(source) {
+    let lines = [];
+    let error = null;
+    for (let match of source.matchAll(/\/\/ expect( runtime error)?: ?(.*)/g)) {
+        if (match[1]) {
+            error = match[2];
+        } else {
+            lines.push(match[2]);
+        }
+    }
+    return { lines: lines, error: error };
+}
+
+// Runs the Wren module [source], and returns what it printed, followed by the
+// compile errors or the runtime error, if any.
+function runProgram(source) {
+    let output = '';
+    let write = (text) => { output += text; };
+
+    let modules = new Map();
+    let importModule = (name) => {
+        if (!modules.has(name)) {
+            let file = path.join(directory, 'modules', name + '.wren');
+            let result = run(fs.readFileSync(file, 'utf8'), {
+                write: write,
+                importModule: importModule
+            });
+            modules.set(name, result.exports);
+        }
+        return modules.get(name);
+    };
+
+    try {
+        let result = run(source, { write: write, importModule: importModule });
+        for (let diagnostic of result.diagnostics) {
+            output += '[line ' + diagnostic.line + '] Error: ' + diagnostic.message + '\n';
+        }
+    } catch (error) {
+        if (error.name != 'WrenRuntimeError') throw error;
+        output += 'Runtime error: ' + error.message + '\n';
+    }
+    return output;
+}
+
+let filters = process.argv.slice(2);
+
+let programs = fs.readdirSync(directory)
+    .filter((file) => file.endsWith('.wren'))
+    .filter((file) => filters.length == 0 || filters.some((filter) => file.includes(filter)))
+    .sort();
+
+let failures = 0;
+for (let file of programs) {
+    let source = fs.readFileSync(path.join(directory, file), 'utf8');
+    let expected = expectationsOf(source);
+    let expectedOutput = expected.lines.map((line) => line + '\n').join('') +
+        (expected.error == null ? '' : 'Runtime error: ' + expected.error + '\n');
+
+    let actual = runProgram(source);
+    if (actual == expectedOutput) continue;
+
+    failures++;
+    console.log('FAIL ' + file);
+    for (let line of diff(expectedOutput, actual)) console.log('    ' + line);
+}
+
+console.log((programs.length - failures) + ' of ' + programs.length + ' programs passed.');
+if (failures > 0) process.exitCode = 1;